@@ -7,9 +7,43 @@ const BACKEND_PORT = process.env.PORT || 5000;
 // const BASE_URL = `http://localhost:${BACKEND_PORT}`;
 const BASE_URL = 'https://spendwise-back-end.onrender.com';
 
+// Storage backend: "mysql" (default) or "sqlite" for offline development and tests.
+// SQLITE_FILE persists the SQLite database to disk; leave it unset for an in-memory database.
+const DB_CLIENT = (process.env.DB_CLIENT || "mysql").toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || null;
+
+// How often the in-process scheduler materializes due recurring transactions (default: hourly)
+const RECURRING_INTERVAL_MS = parseInt(process.env.RECURRING_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Budget usage percentages that raise an alert, unless a budget sets its own alert_thresholds
+const BUDGET_ALERT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || "80,100")
+  .split(",")
+  .map(value => parseInt(value, 10))
+  .filter(value => value > 0);
+
+// Receipt attachments are stored here, outside the public uploads/ folder, and only served
+// through /items/:id/attachments to the owning user
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || "attachments";
+
+// Locally installed OCR tools used to read receipts: Tesseract for images, and poppler's
+// pdftotext / pdftoppm for PDFs. Nothing is sent to an external service.
+const OCR = {
+  tesseractPath: process.env.TESSERACT_PATH || "tesseract",
+  language: process.env.TESSERACT_LANG || "eng",
+  pdftotextPath: process.env.PDFTOTEXT_PATH || "pdftotext",
+  pdftoppmPath: process.env.PDFTOPPM_PATH || "pdftoppm",
+  timeoutMs: parseInt(process.env.OCR_TIMEOUT_MS, 10) || 30 * 1000
+};
+
 module.exports = {
   SECRET_KEY,
   REFRESH_KEY,
   BACKEND_PORT,
-  BASE_URL
+  BASE_URL,
+  DB_CLIENT,
+  SQLITE_FILE,
+  RECURRING_INTERVAL_MS,
+  BUDGET_ALERT_THRESHOLDS,
+  ATTACHMENT_DIR,
+  OCR
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // db.js
 const mysql = require("mysql2");
 require("dotenv").config();
+const { retryOperation } = require("./storage/retry");
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || "bmeptlaonyp4rdlpgoy9-mysql.services.clever-cloud.com",
@@ -24,22 +25,4 @@ pool.getConnection((err, connection) => {
   connection.release();
 });
 
-// Utility function for retrying database operations
-async function retryOperation(operation, maxRetries = 3) {
-  let lastError;
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await operation();
-    } catch (error) {
-      lastError = error;
-      if (error.code === 'ER_USER_LIMIT_REACHED') {
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1))); // Exponential backoff
-        continue;
-      }
-      throw error;
-    }
-  }
-  throw lastError;
-}
-
 module.exports = { pool, retryOperation };
\ No newline at end of file
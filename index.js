@@ -7,12 +7,27 @@ const path = require("path"); // Still needed for multer error handling
 
 // Import configurations and database
 const { BASE_URL, BACKEND_PORT } = require("./config");
-const { pool } = require("./db"); // Used for overall DB connection check, not individual queries in this file
+require("./storage"); // Opens the configured database (MySQL pool or local SQLite) at startup
 
 // Import routes
 const authRoutes = require("./routes/authRoutes");
 const profileRoutes = require("./routes/profileRoutes");
 const expenseRoutes = require("./routes/expenseRoutes");
+const budgetRoutes = require("./routes/budgetRoutes");
+const importRoutes = require("./routes/importRoutes");
+const exportRoutes = require("./routes/exportRoutes");
+const statementRoutes = require("./routes/statementRoutes");
+const accountRoutes = require("./routes/accountRoutes");
+const recurringRoutes = require("./routes/recurringRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const currencyRoutes = require("./routes/currencyRoutes");
+const attachmentRoutes = require("./routes/attachmentRoutes");
+const refundRoutes = require("./routes/refundRoutes");
+const receiptRoutes = require("./routes/receiptRoutes");
+const categoryRuleRoutes = require("./routes/categoryRuleRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const { startRecurringScheduler } = require("./jobs/recurringTransactions");
 
 const app = express();
 app.use(cors());
@@ -35,7 +50,21 @@ app.use('/uploads', express.static('uploads'));
 // Use the routes
 app.use("/auth", authRoutes); // e.g., /auth/signup, /auth/login
 app.use("/profile", profileRoutes); // e.g., /profile (GET), /profile (PUT)
-app.use("/items", expenseRoutes); // e.g., /items (GET, POST), /items/:id (PUT, DELETE)
+app.use("/items/budgets", budgetRoutes); // e.g., /items/budgets (GET, POST), /items/budgets/status (GET)
+app.use("/items/import", importRoutes); // e.g., /items/import/preview (POST), /items/import/batches/:id (DELETE)
+app.use("/items/export", exportRoutes); // e.g., /items/export?format=csv (GET)
+app.use("/items/statement", statementRoutes); // e.g., /items/statement?month=2025-01 (GET, PDF)
+app.use("/items/rules", categoryRuleRoutes); // e.g., /items/rules (GET, POST), /items/rules/preview (GET), /items/rules/apply (POST)
+app.use("/items/categories", categoryRoutes); // e.g., /items/categories (GET, POST), /items/categories/:id (PUT, DELETE), /items/categories/:id/merge (POST), /items/categories/:id/delete-preview (GET)
+app.use("/items/tags", tagRoutes); // e.g., /items/tags (GET, POST), /items/tags/summary (GET), /items/tags/:id (PUT, DELETE)
+app.use("/items/receipts", receiptRoutes); // e.g., /items/receipts/scan (POST)
+app.use("/items/:id/attachments", attachmentRoutes); // e.g., /items/:id/attachments (GET, POST), /items/:id/attachments/:attachmentId (GET, DELETE)
+app.use("/items/:id/refunds", refundRoutes); // e.g., /items/:id/refunds (GET, POST)
+app.use("/items", expenseRoutes); // e.g., /items (GET, POST), /items/:id (PUT, DELETE), /items/reimbursements/outstanding (GET)
+app.use("/accounts", accountRoutes); // e.g., /accounts (GET, POST), /accounts/transfers (GET, POST)
+app.use("/recurring", recurringRoutes); // e.g., /recurring (GET, POST), /recurring/:id (PUT, DELETE)
+app.use("/notifications", notificationRoutes); // e.g., /notifications (GET), /notifications/:id/read (PUT)
+app.use("/currency", currencyRoutes); // e.g., /currency/rates (GET, POST), /currency/rates/import (POST)
 // You might want a root endpoint for health check
 app.get('/', (req, res) => {
     res.json({ message: 'API is running' });
@@ -45,4 +74,5 @@ app.get('/', (req, res) => {
 // Start Server
 app.listen(BACKEND_PORT, () => {
   console.log(`🚀 Server running on ${BASE_URL}`);
+  startRecurringScheduler(); // Catches up on occurrences missed while the server was down
 });
\ No newline at end of file
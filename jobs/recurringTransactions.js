@@ -0,0 +1,126 @@
+// jobs/recurringTransactions.js
+// Materializes due recurring rules into infodata rows. Each rule is processed in its
+// own transaction with the rule row locked, and occurrences_created/next_run_date are
+// advanced in that same transaction, so re-running (or running on several servers)
+// never creates an occurrence twice. Missed occurrences are caught up on the next run.
+const db = require("../storage");
+const { RECURRING_INTERVAL_MS } = require("../config");
+const RecurringRules = require("../repositories/recurringRuleRepository");
+const Transactions = require("../repositories/transactionRepository");
+const Users = require("../repositories/userRepository");
+const Categories = require("../repositories/categoryRepository");
+const { learn } = require("../services/categoryModel");
+const { resolveCategoryId } = require("../services/categories");
+const { resolveType } = require("../services/transactionTypes");
+const { dueOccurrences, occurrenceDate, toDateString } = require("../utils/recurrence");
+
+const today = () => toDateString(new Date());
+
+// The type and category id of a rule's occurrences: its category's (income for an income category).
+// A rule left without a category (the plain 'Income' section, or a category deleted since) goes by its
+// section, which creates a category of that name when needed.
+async function occurrenceCategory(connection, userId, rule) {
+  const category = rule.category_id ? await Categories.findById(connection, rule.category_id, userId) : null;
+  if (category) return { type: category.kind === "income" ? "income" : "expense", categoryId: category.id };
+
+  const { type, kind } = await resolveType(connection, userId, { section: rule.section });
+  const categoryId = kind ? await resolveCategoryId(connection, userId, rule.section, { kind }) : null;
+  if (categoryId) await RecurringRules.update(connection, rule.id, userId, { category_id: categoryId });
+  return { type, categoryId };
+}
+
+// Creates every due occurrence of one rule; returns the number of rows created
+async function materializeRule(ruleId, userId, asOf = today()) {
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const rule = await RecurringRules.findById(connection, ruleId, userId, { forUpdate: true });
+    if (!rule || !rule.active) {
+      await connection.rollback();
+      return 0;
+    }
+
+    const dates = dueOccurrences(rule, asOf);
+    const { type, categoryId } = dates.length > 0 ? await occurrenceCategory(connection, userId, rule) : {};
+    for (const date of dates) {
+      await Transactions.create(connection, userId, {
+        title: rule.title,
+        value: rule.value,
+        date: `${date} 00:00:00`,
+        type,
+        section: rule.section,
+        category_id: categoryId,
+        payment_mode: rule.payment_mode,
+        notes: rule.notes,
+        account_id: rule.account_id,
+        recurring_rule_id: rule.id
+      });
+    }
+
+    if (dates.length > 0) {
+      await learn(connection, userId, dates.map(() => ({
+        title: rule.title, value: rule.value, type, section: rule.section, category_id: categoryId
+      })));
+      await Users.adjustBalance(connection, userId, Transactions.balanceEffect(type, rule.value) * dates.length);
+    }
+
+    const occurrencesCreated = (rule.occurrences_created || 0) + dates.length;
+    await RecurringRules.setProgress(connection, rule.id, {
+      occurrences_created: occurrencesCreated,
+      next_run_date: occurrenceDate(rule, occurrencesCreated)
+    });
+
+    await connection.commit();
+    if (dates.length > 0) {
+      console.log(`Backend: Recurring rule ${rule.id} created ${dates.length} transaction(s) for user ${userId} (${dates.join(", ")}).`);
+    }
+    return dates.length;
+
+  } catch (err) {
+    if (connection) await connection.rollback();
+    throw err;
+  } finally {
+    if (connection) connection.release();
+  }
+}
+
+// Materializes every due rule (optionally only one user's); a failing rule does not stop the others
+async function runDueRules({ userId, asOf = today() } = {}) {
+  const dueRules = await RecurringRules.listDue(db, asOf, { userId });
+  let created = 0;
+
+  for (const rule of dueRules) {
+    try {
+      created += await materializeRule(rule.id, rule.user_id, asOf);
+    } catch (err) {
+      console.error(`Error materializing recurring rule ${rule.id}:`, err);
+    }
+  }
+  return created;
+}
+
+// Runs once immediately (catching up after downtime) and then on a fixed interval
+function startRecurringScheduler(intervalMs = RECURRING_INTERVAL_MS) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // A slow run is never overlapped by the next tick
+    running = true;
+    try {
+      await runDueRules();
+    } catch (err) {
+      console.error("Recurring transaction scheduler failed:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { materializeRule, runDueRules, startRecurringScheduler };
@@ -0,0 +1,41 @@
+// middleware/upload.js
+// Shared multer setup. Files saved to disk land in uploads/ (served publicly at /uploads);
+// use `inMemory` for files that are only parsed and must never be publicly reachable.
+const fs = require("fs");
+const multer = require("multer");
+const path = require("path");
+
+const UPLOAD_DIR = "uploads";
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB, matching the error message in index.js
+
+// prefix: saved filename prefix (e.g. 'profile'); extensions: allowed lowercase extensions without the dot
+function createUpload({ prefix, extensions, errorMessage, inMemory = false }) {
+  const storage = inMemory ? multer.memoryStorage() : multer.diskStorage({
+    destination: function (req, file, cb) {
+      if (!fs.existsSync(UPLOAD_DIR)) {
+        fs.mkdirSync(UPLOAD_DIR);
+      }
+      cb(null, UPLOAD_DIR + '/');
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+  });
+
+  const fileFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!extensions.includes(extension)) {
+      return cb(new Error(errorMessage), false);
+    }
+    cb(null, true);
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: MAX_FILE_SIZE }
+  });
+}
+
+module.exports = { createUpload };
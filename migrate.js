@@ -0,0 +1,150 @@
+// migrate.js
+// Applies the numbered scripts in ./migrations and records them in schema_migrations.
+//
+//   node migrate.js            apply every pending migration
+//   node migrate.js down [n]   revert the last n applied migrations (default 1)
+//   node migrate.js status     list migrations and whether they are applied
+const fs = require("fs");
+const path = require("path");
+
+const db = require("./storage");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_(.+)\.(up|down)\.sql$/;
+
+// Collect migrations as [{ version, name, up, down }] sorted by version
+function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const migration = migrations.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has conflicting names: '${migration.name}' and '${match[2]}'`);
+    }
+    migration[match[3]] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+// Split a script into statements, dropping '--' comment lines
+function readStatements(file) {
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter(line => !line.trim().startsWith("--"))
+    .join("\n")
+    .split(/;\s*(?:\n|$)/)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const [rows] = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(rows.map(row => row.version));
+}
+
+// DDL auto-commits in MySQL, so a failing script is reported with the statement that broke it
+async function runScript(db, file) {
+  for (const statement of readStatements(file)) {
+    try {
+      await db.query(statement);
+    } catch (err) {
+      err.message = `${path.basename(file)}: ${err.message}\n${statement}`;
+      throw err;
+    }
+  }
+}
+
+async function migrateUp(db) {
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    console.log("✅ Database schema is up to date.");
+    return;
+  }
+
+  for (const migration of pending) {
+    await runScript(db, migration.up);
+    await db.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]);
+    console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+  }
+}
+
+async function migrateDown(db, steps = 1) {
+  const applied = await getAppliedVersions(db);
+  const toRevert = loadMigrations()
+    .filter(m => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log("Nothing to revert.");
+    return;
+  }
+
+  for (const migration of toRevert) {
+    await runScript(db, migration.down);
+    await db.query("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    console.log(`⬇️  Reverted ${migration.version}_${migration.name}`);
+  }
+}
+
+async function printStatus(db) {
+  const applied = await getAppliedVersions(db);
+  for (const migration of loadMigrations()) {
+    const state = applied.has(migration.version) ? "applied" : "pending";
+    console.log(`${String(migration.version).padStart(3, "0")}_${migration.name}: ${state}`);
+  }
+}
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up":
+      await migrateUp(db);
+      break;
+    case "down":
+      await migrateDown(db, parseInt(arg, 10) || 1);
+      break;
+    case "status":
+      await printStatus(db);
+      break;
+    default:
+      throw new Error(`Unknown command '${command}'. Use up, down or status.`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .catch((err) => {
+      console.error("❌ Migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown };
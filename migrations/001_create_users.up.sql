@@ -0,0 +1,17 @@
+CREATE TABLE users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  email VARCHAR(255) NOT NULL,
+  phone_number VARCHAR(20),
+  password VARCHAR(255),
+  profile_photo VARCHAR(512),
+  google_id VARCHAR(255),
+  refresh_token TEXT,
+  balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX users_email_unique ON users (email);
+CREATE UNIQUE INDEX users_phone_number_unique ON users (phone_number);
+CREATE UNIQUE INDEX users_google_id_unique ON users (google_id);
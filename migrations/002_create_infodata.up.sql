@@ -0,0 +1,20 @@
+-- Every transaction (expenses and 'Income' deposits) lives in infodata.
+-- value/date are nullable because POST /items/custom-categories still stores
+-- a placeholder row carrying only the category label and icon.
+CREATE TABLE infodata (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  title VARCHAR(255),
+  value DECIMAL(12,2),
+  date DATETIME,
+  section VARCHAR(100),
+  target DECIMAL(12,2),
+  payment_mode VARCHAR(50),
+  notes TEXT,
+  iconName VARCHAR(100),
+  iconColor VARCHAR(50),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX infodata_user_date_index ON infodata (user_id, date);
+CREATE INDEX infodata_user_section_index ON infodata (user_id, section);
@@ -0,0 +1,13 @@
+-- Custom categories. Rows with a NULL user_id are shared by everyone.
+CREATE TABLE categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT,
+  label VARCHAR(100) NOT NULL,
+  iconName VARCHAR(100),
+  iconColor VARCHAR(50),
+  iconLibrary VARCHAR(50),
+  target DECIMAL(12,2) DEFAULT 0,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX categories_user_label_index ON categories (user_id, label);
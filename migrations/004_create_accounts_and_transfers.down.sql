@@ -0,0 +1,5 @@
+DROP TABLE transfers;
+ALTER TABLE infodata DROP FOREIGN KEY infodata_account_fk;
+DROP INDEX infodata_account_index ON infodata;
+ALTER TABLE infodata DROP COLUMN account_id;
+DROP TABLE accounts;
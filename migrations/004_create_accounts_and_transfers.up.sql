@@ -0,0 +1,35 @@
+-- Accounts (cash, bank, credit card, e-wallet) hold their own opening balance.
+-- An account's current balance is derived from the opening balance, the infodata
+-- rows assigned to it and the transfers in and out of it.
+CREATE TABLE accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX accounts_user_index ON accounts (user_id);
+
+ALTER TABLE infodata ADD COLUMN account_id INT NULL;
+CREATE INDEX infodata_account_index ON infodata (account_id);
+ALTER TABLE infodata ADD CONSTRAINT infodata_account_fk FOREIGN KEY (account_id) REFERENCES accounts (id);
+
+-- Transfers move money between two accounts of the same user and are never income or expense
+CREATE TABLE transfers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  from_account_id INT NOT NULL,
+  to_account_id INT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  date DATETIME NOT NULL,
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (from_account_id) REFERENCES accounts (id),
+  FOREIGN KEY (to_account_id) REFERENCES accounts (id)
+);
+
+CREATE INDEX transfers_user_date_index ON transfers (user_id, date);
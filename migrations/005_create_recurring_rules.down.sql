@@ -0,0 +1,4 @@
+ALTER TABLE infodata DROP FOREIGN KEY infodata_recurring_rule_fk;
+DROP INDEX infodata_recurring_occurrence_unique ON infodata;
+ALTER TABLE infodata DROP COLUMN recurring_rule_id;
+DROP TABLE recurring_rules;
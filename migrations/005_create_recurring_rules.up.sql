@@ -0,0 +1,31 @@
+-- Recurring rules generate infodata rows on a schedule. occurrences_created counts the
+-- rows generated so far and next_run_date is the next due date (NULL once the rule ends).
+CREATE TABLE recurring_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  value DECIMAL(12,2) NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  payment_mode VARCHAR(50) NOT NULL,
+  notes TEXT,
+  account_id INT,
+  frequency VARCHAR(10) NOT NULL,
+  interval_count INT NOT NULL DEFAULT 1,
+  day_of_month INT,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  max_occurrences INT,
+  occurrences_created INT NOT NULL DEFAULT 0,
+  next_run_date DATE,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (account_id) REFERENCES accounts (id)
+);
+
+CREATE INDEX recurring_rules_due_index ON recurring_rules (active, next_run_date);
+
+-- Generated rows point back at their rule; one row per rule per date
+ALTER TABLE infodata ADD COLUMN recurring_rule_id INT NULL;
+CREATE UNIQUE INDEX infodata_recurring_occurrence_unique ON infodata (recurring_rule_id, date);
+ALTER TABLE infodata ADD CONSTRAINT infodata_recurring_rule_fk FOREIGN KEY (recurring_rule_id) REFERENCES recurring_rules (id) ON DELETE SET NULL;
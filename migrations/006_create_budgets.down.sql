@@ -0,0 +1,16 @@
+ALTER TABLE infodata ADD COLUMN target DECIMAL(12,2);
+ALTER TABLE categories ADD COLUMN target DECIMAL(12,2) DEFAULT 0;
+
+UPDATE categories
+SET target = (SELECT b.amount FROM budgets b
+              WHERE b.user_id = categories.user_id AND b.category = categories.label AND b.period = 'monthly')
+WHERE EXISTS (SELECT 1 FROM budgets b
+              WHERE b.user_id = categories.user_id AND b.category = categories.label AND b.period = 'monthly');
+
+UPDATE infodata
+SET target = (SELECT b.amount FROM budgets b
+              WHERE b.user_id = infodata.user_id AND b.category = infodata.section AND b.period = 'monthly')
+WHERE EXISTS (SELECT 1 FROM budgets b
+              WHERE b.user_id = infodata.user_id AND b.category = infodata.section AND b.period = 'monthly');
+
+DROP TABLE budgets;
@@ -0,0 +1,35 @@
+-- Budgets replace the category targets that used to be copied onto every infodata row
+-- (default categories) or stored in categories.target (custom categories).
+-- category NULL is the overall budget across every expense category.
+CREATE TABLE budgets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  category VARCHAR(100),
+  amount DECIMAL(12,2) NOT NULL,
+  period VARCHAR(10) NOT NULL DEFAULT 'monthly',
+  start_date DATE NOT NULL,
+  end_date DATE,
+  rollover TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX budgets_user_category_period_unique ON budgets (user_id, category, period);
+
+-- Custom category targets become monthly budgets
+INSERT INTO budgets (user_id, category, amount, period, start_date)
+SELECT user_id, label, target, 'monthly', CURRENT_DATE
+FROM categories
+WHERE user_id IS NOT NULL AND target > 0;
+
+-- Default category targets lived on the most recent infodata row of the section
+INSERT INTO budgets (user_id, category, amount, period, start_date)
+SELECT i.user_id, i.section, i.target, 'monthly', CURRENT_DATE
+FROM infodata i
+WHERE i.target > 0
+  AND i.id = (SELECT MAX(latest.id) FROM infodata latest
+              WHERE latest.user_id = i.user_id AND latest.section = i.section AND latest.target IS NOT NULL)
+  AND NOT EXISTS (SELECT 1 FROM budgets b WHERE b.user_id = i.user_id AND b.category = i.section);
+
+ALTER TABLE infodata DROP COLUMN target;
+ALTER TABLE categories DROP COLUMN target;
@@ -0,0 +1,24 @@
+-- Per-budget alert thresholds as comma-separated percentages ("80,100");
+-- NULL falls back to BUDGET_ALERT_THRESHOLDS from config.js.
+ALTER TABLE budgets ADD COLUMN alert_thresholds VARCHAR(50) NULL;
+
+-- In-app notification feed. Budget alerts are unique per budget, threshold and period,
+-- so a threshold fires at most once per period even after the alert is dismissed.
+CREATE TABLE notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type VARCHAR(30) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  budget_id INT,
+  threshold INT,
+  period_start DATE,
+  read_at DATETIME,
+  dismissed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (budget_id) REFERENCES budgets (id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX notifications_budget_threshold_unique ON notifications (budget_id, threshold, period_start);
+CREATE INDEX notifications_user_index ON notifications (user_id, dismissed_at, created_at);
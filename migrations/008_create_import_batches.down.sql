@@ -0,0 +1,4 @@
+ALTER TABLE infodata DROP FOREIGN KEY infodata_import_batch_fk;
+DROP INDEX infodata_import_batch_index ON infodata;
+ALTER TABLE infodata DROP COLUMN import_batch_id;
+DROP TABLE import_batches;
@@ -0,0 +1,18 @@
+-- Each bank statement import is one batch; its infodata rows point back at it so the
+-- whole import can be rolled back. rolled_back_at is set once the rows are removed.
+CREATE TABLE import_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  source VARCHAR(10) NOT NULL,
+  filename VARCHAR(255),
+  row_count INT NOT NULL DEFAULT 0,
+  account_id INT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  rolled_back_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (account_id) REFERENCES accounts (id)
+);
+
+ALTER TABLE infodata ADD COLUMN import_batch_id INT NULL;
+CREATE INDEX infodata_import_batch_index ON infodata (import_batch_id);
+ALTER TABLE infodata ADD CONSTRAINT infodata_import_batch_fk FOREIGN KEY (import_batch_id) REFERENCES import_batches (id) ON DELETE SET NULL;
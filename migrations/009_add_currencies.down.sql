@@ -0,0 +1,3 @@
+DROP TABLE exchange_rates;
+ALTER TABLE infodata DROP COLUMN currency;
+ALTER TABLE users DROP COLUMN base_currency;
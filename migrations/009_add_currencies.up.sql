@@ -0,0 +1,20 @@
+-- Base currency per user; users.balance, account balances and every summary are expressed in it.
+ALTER TABLE users ADD COLUMN base_currency CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- Currency of each item; NULL means the owner's base currency
+ALTER TABLE infodata ADD COLUMN currency CHAR(3) NULL;
+
+-- Locally managed rates: 1 from_currency = rate to_currency from effective_date on,
+-- until a later effective_date for the same pair
+CREATE TABLE exchange_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  from_currency CHAR(3) NOT NULL,
+  to_currency CHAR(3) NOT NULL,
+  rate DECIMAL(18,8) NOT NULL,
+  effective_date DATE NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX exchange_rates_pair_date_unique ON exchange_rates (user_id, from_currency, to_currency, effective_date);
@@ -0,0 +1,13 @@
+-- Optional split lines of an infodata row (one receipt covering several categories).
+-- Lines are in the parent's currency and sum to its value; category totals count the lines
+-- instead of the parent's own section.
+CREATE TABLE transaction_splits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaction_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  value DECIMAL(12,2) NOT NULL,
+  notes TEXT,
+  FOREIGN KEY (transaction_id) REFERENCES infodata (id) ON DELETE CASCADE
+);
+
+CREATE INDEX transaction_splits_transaction_index ON transaction_splits (transaction_id);
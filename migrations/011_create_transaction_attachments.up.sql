@@ -0,0 +1,14 @@
+-- Receipt files (images or PDFs) attached to an infodata row. The files live in the private
+-- attachment directory under stored_name and are only served to the row's owner.
+CREATE TABLE transaction_attachments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transaction_id INT NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  stored_name VARCHAR(100) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (transaction_id) REFERENCES infodata (id) ON DELETE CASCADE
+);
+
+CREATE INDEX transaction_attachments_transaction_index ON transaction_attachments (transaction_id);
@@ -0,0 +1,19 @@
+-- Auto-categorization rules. An item saved without a section takes the section of the first
+-- active rule (lowest priority, then oldest) whose set conditions all match; NULL conditions
+-- match anything. Amounts are compared with the item's value in its own currency.
+CREATE TABLE category_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  title_contains VARCHAR(255),
+  title_pattern VARCHAR(255),
+  min_amount DECIMAL(12,2),
+  max_amount DECIMAL(12,2),
+  payment_mode VARCHAR(50),
+  priority INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX category_rules_user_index ON category_rules (user_id, priority);
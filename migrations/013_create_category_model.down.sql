@@ -0,0 +1,3 @@
+DROP TABLE category_model_tokens;
+DROP TABLE category_model_sections;
+DROP TABLE category_model_users;
@@ -0,0 +1,28 @@
+-- Per-user naive Bayes model behind GET /items/suggest-category: how many items each section holds
+-- and how often each title token (and amount bucket) appeared in it. A user's counts are built from
+-- their history on first use (category_model_users records that) and kept current as items change.
+CREATE TABLE category_model_users (
+  user_id INT PRIMARY KEY,
+  trained_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE category_model_sections (
+  user_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  item_count INT NOT NULL DEFAULT 0,
+  token_count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, section),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE category_model_tokens (
+  user_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  token VARCHAR(64) NOT NULL,
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, section, token),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX category_model_tokens_token_index ON category_model_tokens (user_id, token);
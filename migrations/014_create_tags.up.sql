@@ -0,0 +1,21 @@
+-- Free-form labels such as "vacation-2026" or "reimbursable" that cut across categories. Names are
+-- stored lowercased and are unique per user; an item can carry any number of tags.
+CREATE TABLE tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  color VARCHAR(20),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE transaction_tags (
+  transaction_id INT NOT NULL,
+  tag_id INT NOT NULL,
+  PRIMARY KEY (transaction_id, tag_id),
+  FOREIGN KEY (transaction_id) REFERENCES infodata (id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX tags_user_name_unique ON tags (user_id, name);
+CREATE INDEX transaction_tags_tag_index ON transaction_tags (tag_id);
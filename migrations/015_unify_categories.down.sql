@@ -0,0 +1,50 @@
+-- Category rows created by the up migration stay; placeholder rows are not recreated and the
+-- suggestion model is rebuilt per label on next use
+DROP TABLE category_model_tokens;
+DROP TABLE category_model_categories;
+
+CREATE TABLE category_model_sections (
+  user_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  item_count INT NOT NULL DEFAULT 0,
+  token_count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, section),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE TABLE category_model_tokens (
+  user_id INT NOT NULL,
+  section VARCHAR(100) NOT NULL,
+  token VARCHAR(64) NOT NULL,
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, section, token),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX category_model_tokens_token_index ON category_model_tokens (user_id, token);
+
+DELETE FROM category_model_users;
+
+ALTER TABLE recurring_rules DROP FOREIGN KEY recurring_rules_category_fk;
+DROP INDEX recurring_rules_category_index ON recurring_rules;
+ALTER TABLE recurring_rules DROP COLUMN category_id;
+
+ALTER TABLE category_rules DROP FOREIGN KEY category_rules_category_fk;
+DROP INDEX category_rules_category_index ON category_rules;
+ALTER TABLE category_rules DROP COLUMN category_id;
+
+ALTER TABLE budgets DROP FOREIGN KEY budgets_category_fk;
+CREATE UNIQUE INDEX budgets_user_category_period_unique ON budgets (user_id, category, period);
+DROP INDEX budgets_user_category_id_period_unique ON budgets;
+ALTER TABLE budgets DROP COLUMN category_id;
+
+ALTER TABLE transaction_splits DROP FOREIGN KEY transaction_splits_category_fk;
+DROP INDEX transaction_splits_category_index ON transaction_splits;
+ALTER TABLE transaction_splits DROP COLUMN category_id;
+
+ALTER TABLE infodata DROP FOREIGN KEY infodata_category_fk;
+DROP INDEX infodata_category_index ON infodata;
+ALTER TABLE infodata DROP COLUMN category_id;
+CREATE INDEX categories_user_label_index ON categories (user_id, label);
+DROP INDEX categories_user_label_unique ON categories;
+ALTER TABLE categories DROP COLUMN is_default;
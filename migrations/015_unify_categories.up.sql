@@ -0,0 +1,112 @@
+-- Categories become the one entity everything points at: each user gets the default categories as
+-- rows (is_default), every section already in use gets a row, and items, split lines, budgets,
+-- category rules and recurring rules reference it by category_id. Their label columns (section, or a
+-- budget's category) keep the category's label for display; rename and merge rewrite it. 'Income' is
+-- not a category. Shared rows (NULL user_id) were never matched against anyone's items and are left
+-- as they are. The suggestion model counts per category id instead of per label, so it is rebuilt
+-- from each user's history on next use.
+
+-- One row per user and label before labels become unique
+DELETE FROM categories
+WHERE user_id IS NOT NULL
+  AND id NOT IN (SELECT kept.id FROM (SELECT MIN(id) AS id FROM categories WHERE user_id IS NOT NULL GROUP BY user_id, label) kept);
+
+ALTER TABLE categories ADD COLUMN is_default TINYINT(1) NOT NULL DEFAULT 0;
+CREATE UNIQUE INDEX categories_user_label_unique ON categories (user_id, label);
+DROP INDEX categories_user_label_index ON categories;
+
+-- The defaults used to be a hard-coded list in the handlers
+INSERT INTO categories (user_id, label, is_default)
+SELECT u.id, defaults.label, 1
+FROM users u
+CROSS JOIN (
+  SELECT 'Travel' AS label UNION ALL SELECT 'Food' UNION ALL SELECT 'Petrol'
+  UNION ALL SELECT 'Clothes' UNION ALL SELECT 'Rent' UNION ALL SELECT 'Groceries'
+) defaults
+WHERE NOT EXISTS (SELECT 1 FROM categories c WHERE c.user_id = u.id AND c.label = defaults.label);
+
+UPDATE categories SET is_default = 1
+WHERE user_id IS NOT NULL AND label IN ('Travel', 'Food', 'Petrol', 'Clothes', 'Rent', 'Groceries');
+
+-- Placeholder rows of POST /items/custom-categories carried a category's label and icon
+INSERT INTO categories (user_id, label, iconName, iconColor)
+SELECT i.user_id, i.section, MAX(i.iconName), MAX(i.iconColor)
+FROM infodata i
+WHERE i.value IS NULL AND i.date IS NULL AND i.section IS NOT NULL AND i.section != 'Income'
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.user_id = i.user_id AND c.label = i.section)
+GROUP BY i.user_id, i.section;
+
+DELETE FROM infodata WHERE value IS NULL AND date IS NULL;
+
+-- Every other label in use: items, split lines, recurring rules, category rules and budgets
+INSERT INTO categories (user_id, label)
+SELECT DISTINCT used.user_id, used.label
+FROM (
+  SELECT user_id, section AS label FROM infodata
+  UNION SELECT i.user_id, s.section FROM transaction_splits s JOIN infodata i ON i.id = s.transaction_id
+  UNION SELECT user_id, section FROM recurring_rules
+  UNION SELECT user_id, section FROM category_rules
+  UNION SELECT user_id, category FROM budgets WHERE category IS NOT NULL
+) used
+WHERE used.label IS NOT NULL AND used.label != 'Income'
+  AND NOT EXISTS (SELECT 1 FROM categories c WHERE c.user_id = used.user_id AND c.label = used.label);
+
+ALTER TABLE infodata ADD COLUMN category_id INT NULL;
+UPDATE infodata SET category_id = (SELECT c.id FROM categories c WHERE c.user_id = infodata.user_id AND c.label = infodata.section);
+CREATE INDEX infodata_category_index ON infodata (category_id);
+ALTER TABLE infodata ADD CONSTRAINT infodata_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL;
+
+ALTER TABLE transaction_splits ADD COLUMN category_id INT NULL;
+UPDATE transaction_splits SET category_id = (
+  SELECT c.id FROM categories c JOIN infodata i ON i.user_id = c.user_id
+  WHERE i.id = transaction_splits.transaction_id AND c.label = transaction_splits.section
+);
+CREATE INDEX transaction_splits_category_index ON transaction_splits (category_id);
+ALTER TABLE transaction_splits ADD CONSTRAINT transaction_splits_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL;
+
+-- The overall budget keeps category and category_id NULL
+ALTER TABLE budgets ADD COLUMN category_id INT NULL;
+UPDATE budgets SET category_id = (SELECT c.id FROM categories c WHERE c.user_id = budgets.user_id AND c.label = budgets.category)
+WHERE category IS NOT NULL;
+CREATE UNIQUE INDEX budgets_user_category_id_period_unique ON budgets (user_id, category_id, period);
+DROP INDEX budgets_user_category_period_unique ON budgets;
+ALTER TABLE budgets ADD CONSTRAINT budgets_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE;
+
+ALTER TABLE category_rules ADD COLUMN category_id INT NULL;
+UPDATE category_rules SET category_id = (SELECT c.id FROM categories c WHERE c.user_id = category_rules.user_id AND c.label = category_rules.section);
+CREATE INDEX category_rules_category_index ON category_rules (category_id);
+ALTER TABLE category_rules ADD CONSTRAINT category_rules_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE;
+
+-- A rule whose category is deleted keeps its label and recreates the category on its next run
+ALTER TABLE recurring_rules ADD COLUMN category_id INT NULL;
+UPDATE recurring_rules SET category_id = (SELECT c.id FROM categories c WHERE c.user_id = recurring_rules.user_id AND c.label = recurring_rules.section);
+CREATE INDEX recurring_rules_category_index ON recurring_rules (category_id);
+ALTER TABLE recurring_rules ADD CONSTRAINT recurring_rules_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL;
+
+DROP TABLE category_model_tokens;
+DROP TABLE category_model_sections;
+
+CREATE TABLE category_model_categories (
+  user_id INT NOT NULL,
+  category_id INT NOT NULL,
+  item_count INT NOT NULL DEFAULT 0,
+  token_count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, category_id),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+);
+
+CREATE TABLE category_model_tokens (
+  user_id INT NOT NULL,
+  category_id INT NOT NULL,
+  token VARCHAR(64) NOT NULL,
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, category_id, token),
+  FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+);
+
+CREATE INDEX category_model_tokens_token_index ON category_model_tokens (user_id, token);
+
+-- Retrain every user's model on next use
+DELETE FROM category_model_users;
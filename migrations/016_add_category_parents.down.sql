@@ -0,0 +1,3 @@
+ALTER TABLE categories DROP FOREIGN KEY categories_parent_fk;
+DROP INDEX categories_parent_index ON categories;
+ALTER TABLE categories DROP COLUMN parent_id;
@@ -0,0 +1,6 @@
+-- Two-level category hierarchy: a category may sit under a top-level parent (Transport -> Petrol,
+-- Parking, Taxi). Parents can hold items of their own; roll-up totals and parent budgets include
+-- their children.
+ALTER TABLE categories ADD COLUMN parent_id INT NULL;
+CREATE INDEX categories_parent_index ON categories (parent_id);
+ALTER TABLE categories ADD CONSTRAINT categories_parent_fk FOREIGN KEY (parent_id) REFERENCES categories (id) ON DELETE SET NULL;
@@ -0,0 +1,2 @@
+-- Archived categories are hidden from category pickers but keep their items, budgets and history
+ALTER TABLE categories ADD COLUMN archived_at DATETIME NULL;
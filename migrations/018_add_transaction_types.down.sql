@@ -0,0 +1,8 @@
+-- Income filed under an income category goes back to the 'Income' section it was told apart by;
+-- transfers and refunds read as expenses again
+UPDATE infodata SET section = 'Income', category_id = NULL WHERE type = 'income';
+DELETE FROM categories WHERE kind = 'income';
+ALTER TABLE categories DROP COLUMN kind;
+
+DROP INDEX infodata_user_type_index ON infodata;
+ALTER TABLE infodata DROP COLUMN type;
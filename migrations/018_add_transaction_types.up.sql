@@ -0,0 +1,15 @@
+-- Transactions get an explicit type instead of being told apart by the 'Income' section: expense,
+-- income, transfer (money moved between the user's own accounts) or refund. Categories get a kind so
+-- income (Salary, Freelance, Interest) has categories of its own, separate from expense categories.
+ALTER TABLE infodata ADD COLUMN type VARCHAR(20) NOT NULL DEFAULT 'expense';
+UPDATE infodata SET type = 'income' WHERE section = 'Income';
+CREATE INDEX infodata_user_type_index ON infodata (user_id, type);
+
+ALTER TABLE categories ADD COLUMN kind VARCHAR(20) NOT NULL DEFAULT 'expense';
+
+-- The default income categories, for users who do not already have a category by that name
+INSERT INTO categories (user_id, label, kind, is_default)
+SELECT u.id, defaults.label, 'income', 1
+FROM users u
+CROSS JOIN (SELECT 'Salary' AS label UNION ALL SELECT 'Freelance' UNION ALL SELECT 'Interest') defaults
+WHERE NOT EXISTS (SELECT 1 FROM categories c WHERE c.user_id = u.id AND c.label = defaults.label);
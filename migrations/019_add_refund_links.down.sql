@@ -0,0 +1,4 @@
+ALTER TABLE infodata DROP FOREIGN KEY infodata_refund_of_fk;
+DROP INDEX infodata_refund_of_index ON infodata;
+ALTER TABLE infodata DROP COLUMN reimbursable;
+ALTER TABLE infodata DROP COLUMN refund_of;
@@ -0,0 +1,6 @@
+-- A refund or reimbursement can point at the expense it pays back (refund_of), and an expense paid on
+-- someone else's behalf can be marked reimbursable until the money comes back.
+ALTER TABLE infodata ADD COLUMN refund_of INT NULL;
+ALTER TABLE infodata ADD COLUMN reimbursable TINYINT(1) NOT NULL DEFAULT 0;
+CREATE INDEX infodata_refund_of_index ON infodata (refund_of);
+ALTER TABLE infodata ADD CONSTRAINT infodata_refund_of_fk FOREIGN KEY (refund_of) REFERENCES infodata (id) ON DELETE SET NULL;
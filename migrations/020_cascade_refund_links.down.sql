@@ -0,0 +1,2 @@
+ALTER TABLE infodata DROP FOREIGN KEY infodata_refund_of_fk;
+ALTER TABLE infodata ADD CONSTRAINT infodata_refund_of_fk FOREIGN KEY (refund_of) REFERENCES infodata (id) ON DELETE SET NULL;
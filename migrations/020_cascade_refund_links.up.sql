@@ -0,0 +1,3 @@
+-- Refunds are deleted with the expense they pay back instead of being left unlinked
+ALTER TABLE infodata DROP FOREIGN KEY infodata_refund_of_fk;
+ALTER TABLE infodata ADD CONSTRAINT infodata_refund_of_fk FOREIGN KEY (refund_of) REFERENCES infodata (id) ON DELETE CASCADE;
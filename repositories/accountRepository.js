@@ -0,0 +1,91 @@
+// repositories/accountRepository.js
+// Data access for accounts (cash, bank, credit card, e-wallet).
+
+const { balanceEffectSql } = require("./transactionRepository");
+
+const ACCOUNT_TYPES = ["cash", "bank", "credit_card", "e_wallet"];
+
+// Current balance = opening balance + assigned transactions (income and refunds in, expenses out,
+// in the base currency) + transfers received - transfers sent
+const BALANCE_SQL = `
+  a.opening_balance
+  + COALESCE((SELECT SUM(${balanceEffectSql("i")})
+              FROM infodata i WHERE i.account_id = a.id), 0)
+  + COALESCE((SELECT SUM(t.amount) FROM transfers t WHERE t.to_account_id = a.id), 0)
+  - COALESCE((SELECT SUM(t.amount) FROM transfers t WHERE t.from_account_id = a.id), 0)`;
+
+async function listWithBalances(db, userId) {
+  const [rows] = await db.query(
+    `SELECT a.id, a.name, a.type, a.opening_balance, ${BALANCE_SQL} AS balance
+     FROM accounts a
+     WHERE a.user_id = ?
+     ORDER BY a.id ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Pass { forUpdate: true } inside a transaction to lock the row until commit
+async function findById(db, accountId, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT a.id, a.name, a.type, a.opening_balance, ${BALANCE_SQL} AS balance
+     FROM accounts a
+     WHERE a.id = ? AND a.user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [accountId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Returns the new account's id
+async function create(db, userId, { name, type, opening_balance }) {
+  const [result] = await db.query(
+    "INSERT INTO accounts (user_id, name, type, opening_balance) VALUES (?, ?, ?, ?)",
+    [userId, name, type, opening_balance || 0]
+  );
+  return result.insertId;
+}
+
+// Only fields present in `fields` are written; returns the number of affected rows
+async function update(db, accountId, userId, fields) {
+  const columns = ["name", "type", "opening_balance"].filter(field => fields[field] !== undefined);
+  if (columns.length === 0) return 0;
+
+  const [result] = await db.query(
+    `UPDATE accounts SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ? AND user_id = ?`,
+    [...columns.map(column => fields[column]), accountId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Multiplies every opening balance of the user's accounts by `factor` (base currency change)
+async function scaleOpeningBalances(db, userId, factor) {
+  await db.query("UPDATE accounts SET opening_balance = ROUND(opening_balance * ?, 2) WHERE user_id = ?", [factor, userId]);
+}
+
+// Number of transactions, transfers and recurring rules that still reference the account
+async function countUsage(db, accountId) {
+  const [rows] = await db.query(
+    `SELECT
+        (SELECT COUNT(*) FROM infodata WHERE account_id = ?) AS transactions,
+        (SELECT COUNT(*) FROM transfers WHERE from_account_id = ? OR to_account_id = ?) AS transfers,
+        (SELECT COUNT(*) FROM recurring_rules WHERE account_id = ?) AS recurring_rules`,
+    [accountId, accountId, accountId, accountId]
+  );
+  return rows[0];
+}
+
+async function remove(db, accountId, userId) {
+  const [result] = await db.query("DELETE FROM accounts WHERE id = ? AND user_id = ?", [accountId, userId]);
+  return result.affectedRows;
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  listWithBalances,
+  findById,
+  create,
+  update,
+  scaleOpeningBalances,
+  countUsage,
+  remove
+};
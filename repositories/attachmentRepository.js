@@ -0,0 +1,79 @@
+// repositories/attachmentRepository.js
+// Data access for transaction_attachments, the receipt files of an infodata row.
+// Ownership goes through the parent row, so every read joins infodata on the user.
+
+const ATTACHMENT_COLUMNS = "a.id, a.transaction_id, a.original_name, a.stored_name, a.mime_type, a.size, a.created_at";
+
+async function listForTransaction(db, userId, transactionId) {
+  const [rows] = await db.query(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM transaction_attachments a
+     JOIN infodata i ON i.id = a.transaction_id
+     WHERE i.user_id = ? AND a.transaction_id = ?
+     ORDER BY a.id ASC`,
+    [userId, transactionId]
+  );
+  return rows;
+}
+
+async function findById(db, id, transactionId, userId) {
+  const [rows] = await db.query(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM transaction_attachments a
+     JOIN infodata i ON i.id = a.transaction_id
+     WHERE a.id = ? AND a.transaction_id = ? AND i.user_id = ?`,
+    [id, transactionId, userId]
+  );
+  return rows[0] || null;
+}
+
+// The caller has checked the item belongs to the user
+async function create(db, transactionId, { original_name, stored_name, mime_type, size }) {
+  const [result] = await db.query(
+    "INSERT INTO transaction_attachments (transaction_id, original_name, stored_name, mime_type, size) VALUES (?, ?, ?, ?, ?)",
+    [transactionId, original_name, stored_name, mime_type, size]
+  );
+  return result.insertId;
+}
+
+async function remove(db, id, transactionId) {
+  const [result] = await db.query("DELETE FROM transaction_attachments WHERE id = ? AND transaction_id = ?", [id, transactionId]);
+  return result.affectedRows;
+}
+
+// Stored file names of the attachments that deleting infodata rows would cascade away. Read them
+// before the delete and remove the files once it is committed. Filters mirror the
+// Transactions.remove / removeByCategory / removeByImportBatch conditions, linked refunds included.
+async function listStoredNames(db, userId, { transactionId, categoryId, importBatchId }) {
+  const conditions = ["i.user_id = ?"];
+  const params = [userId];
+  if (transactionId !== undefined) {
+    conditions.push("(i.id = ? OR i.refund_of = ?)");
+    params.push(transactionId, transactionId);
+  }
+  if (categoryId !== undefined) {
+    conditions.push("i.category_id = ?");
+    params.push(categoryId);
+  }
+  if (importBatchId !== undefined) {
+    conditions.push("(i.import_batch_id = ? OR i.refund_of IN (SELECT b.id FROM infodata b WHERE b.import_batch_id = ?))");
+    params.push(importBatchId, importBatchId);
+  }
+
+  const [rows] = await db.query(
+    `SELECT a.stored_name
+     FROM transaction_attachments a
+     JOIN infodata i ON i.id = a.transaction_id
+     WHERE ${conditions.join(" AND ")}`,
+    params
+  );
+  return rows.map(row => row.stored_name);
+}
+
+module.exports = {
+  listForTransaction,
+  findById,
+  create,
+  remove,
+  listStoredNames
+};
@@ -0,0 +1,134 @@
+// repositories/budgetRepository.js
+// Data access for budgets. A budget references its category by id (category_id) and carries its label
+// as `category`; a NULL category is the overall budget across all expense categories.
+
+const BUDGET_COLUMNS = "id, category, category_id, amount, period, start_date, end_date, rollover, alert_thresholds";
+const UPDATABLE_FIELDS = ["amount", "start_date", "end_date", "rollover", "alert_thresholds"];
+
+async function list(db, userId) {
+  const [rows] = await db.query(
+    `SELECT ${BUDGET_COLUMNS} FROM budgets WHERE user_id = ? ORDER BY category IS NOT NULL, category ASC, period ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function findById(db, budgetId, userId) {
+  const [rows] = await db.query(
+    `SELECT ${BUDGET_COLUMNS} FROM budgets WHERE id = ? AND user_id = ?`,
+    [budgetId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Budgets of any of the given category ids (plus the overall budgets when includeOverall is set)
+async function listForCategory(db, userId, categoryIds, { includeOverall = false } = {}) {
+  const conditions = [];
+  if (categoryIds.length > 0) conditions.push(`category_id IN (${categoryIds.map(() => "?").join(", ")})`);
+  if (includeOverall) conditions.push("category IS NULL");
+  if (conditions.length === 0) return [];
+
+  const [rows] = await db.query(
+    `SELECT ${BUDGET_COLUMNS} FROM budgets WHERE user_id = ? AND (${conditions.join(" OR ")})`,
+    [userId, ...categoryIds]
+  );
+  return rows;
+}
+
+// The category's budget for the period; categoryId null finds the overall budget
+async function findByCategory(db, userId, categoryId, period) {
+  const [rows] = await db.query(
+    `SELECT ${BUDGET_COLUMNS} FROM budgets
+     WHERE user_id = ? AND ${categoryId === null ? "category IS NULL" : "category_id = ?"} AND period = ?`,
+    categoryId === null ? [userId, period] : [userId, categoryId, period]
+  );
+  return rows[0] || null;
+}
+
+// Returns the new budget's id. category is the label of the category category_id references (both
+// null for the overall budget).
+async function create(db, userId, { category, category_id, amount, period, start_date, end_date, rollover, alert_thresholds }) {
+  const [result] = await db.query(
+    `INSERT INTO budgets (user_id, category, category_id, amount, period, start_date, end_date, rollover, alert_thresholds)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, category || null, category_id || null, amount, period, start_date, end_date || null, rollover ? 1 : 0, alert_thresholds || null]
+  );
+  return result.insertId;
+}
+
+// Only fields present in `fields` are written; returns the number of affected rows
+async function update(db, budgetId, userId, fields) {
+  const columns = UPDATABLE_FIELDS.filter(field => fields[field] !== undefined);
+  if (columns.length === 0) return 0;
+
+  const [result] = await db.query(
+    `UPDATE budgets SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ? AND user_id = ?`,
+    [...columns.map(column => fields[column]), budgetId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Sets the monthly budget of a category ({ id, label }), creating it when missing (the legacy "category target")
+async function setMonthlyAmount(db, userId, category, amount) {
+  const existing = await findByCategory(db, userId, category.id, "monthly");
+  if (existing) {
+    await update(db, existing.id, userId, { amount });
+    return existing.id;
+  }
+
+  const today = new Date();
+  return create(db, userId, {
+    category: category.label,
+    category_id: category.id,
+    amount,
+    period: "monthly",
+    start_date: `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}-01`
+  });
+}
+
+async function remove(db, budgetId, userId) {
+  const [result] = await db.query("DELETE FROM budgets WHERE id = ? AND user_id = ?", [budgetId, userId]);
+  return result.affectedRows;
+}
+
+async function removeByCategory(db, userId, categoryId) {
+  const [result] = await db.query("DELETE FROM budgets WHERE category_id = ? AND user_id = ?", [categoryId, userId]);
+  return result.affectedRows;
+}
+
+// Moves a category's budgets to another category, labelled `label` (a merge). Where both already have a
+// budget for the same period, the destination's budget is kept and the source's is dropped. Pass the
+// same id twice to bring the stored label in line after a rename.
+async function moveCategory(db, userId, fromCategoryId, toCategoryId, label) {
+  if (fromCategoryId !== toCategoryId) {
+    await db.query(
+      `DELETE FROM budgets
+       WHERE user_id = ? AND category_id = ?
+         AND period IN (SELECT taken.period FROM (SELECT period FROM budgets WHERE user_id = ? AND category_id = ?) taken)`,
+      [userId, fromCategoryId, userId, toCategoryId]
+    );
+  }
+  await db.query(
+    "UPDATE budgets SET category = ?, category_id = ? WHERE user_id = ? AND category_id = ?",
+    [label, toCategoryId, userId, fromCategoryId]
+  );
+}
+
+// Multiplies every budget amount of the user by `factor` (base currency change)
+async function scaleAmounts(db, userId, factor) {
+  await db.query("UPDATE budgets SET amount = ROUND(amount * ?, 2) WHERE user_id = ?", [factor, userId]);
+}
+
+module.exports = {
+  list,
+  findById,
+  listForCategory,
+  findByCategory,
+  create,
+  update,
+  setMonthlyAmount,
+  remove,
+  removeByCategory,
+  moveCategory,
+  scaleAmounts
+};
@@ -0,0 +1,94 @@
+// repositories/categoryModelRepository.js
+// Data access for the per-user category suggestion model (category_model_users, _categories, _tokens).
+// Counts are keyed by category id. Every query is scoped to one user; counts are never read across users.
+
+async function isTrained(db, userId) {
+  const [rows] = await db.query("SELECT user_id FROM category_model_users WHERE user_id = ?", [userId]);
+  return rows.length > 0;
+}
+
+// Claims the first training of the user's model; false when it was already trained
+async function markTrained(db, userId) {
+  const [result] = await db.query("INSERT IGNORE INTO category_model_users (user_id) VALUES (?)", [userId]);
+  return result.affectedRows > 0;
+}
+
+// Adds (or with negative deltas removes) one category's item and token counts. tokens: Map of token -> delta.
+// Rows that drop to zero are deleted.
+async function addCounts(db, userId, categoryId, itemDelta, tokens) {
+  let tokenDelta = 0;
+  for (const [token, delta] of tokens) {
+    await db.query(
+      "INSERT IGNORE INTO category_model_tokens (user_id, category_id, token, count) VALUES (?, ?, ?, 0)",
+      [userId, categoryId, token]
+    );
+    await db.query(
+      "UPDATE category_model_tokens SET count = count + ? WHERE user_id = ? AND category_id = ? AND token = ?",
+      [delta, userId, categoryId, token]
+    );
+    tokenDelta += delta;
+  }
+  await db.query(
+    "DELETE FROM category_model_tokens WHERE user_id = ? AND category_id = ? AND count <= 0",
+    [userId, categoryId]
+  );
+
+  await db.query(
+    "INSERT IGNORE INTO category_model_categories (user_id, category_id, item_count, token_count) VALUES (?, ?, 0, 0)",
+    [userId, categoryId]
+  );
+  await db.query(
+    "UPDATE category_model_categories SET item_count = item_count + ?, token_count = token_count + ? WHERE user_id = ? AND category_id = ?",
+    [itemDelta, tokenDelta, userId, categoryId]
+  );
+  await db.query(
+    "DELETE FROM category_model_categories WHERE user_id = ? AND category_id = ? AND item_count <= 0",
+    [userId, categoryId]
+  );
+}
+
+async function removeCategory(db, userId, categoryId) {
+  await db.query("DELETE FROM category_model_tokens WHERE user_id = ? AND category_id = ?", [userId, categoryId]);
+  await db.query("DELETE FROM category_model_categories WHERE user_id = ? AND category_id = ?", [userId, categoryId]);
+}
+
+// The categories the model knows, each with its current label as `section`. Archived categories are
+// left out so they are never suggested; their counts stay for when they are restored.
+async function listCategories(db, userId) {
+  const [rows] = await db.query(
+    `SELECT m.category_id, c.label AS section, m.item_count, m.token_count
+     FROM category_model_categories m
+     JOIN categories c ON c.id = m.category_id
+     WHERE m.user_id = ? AND c.archived_at IS NULL
+     ORDER BY m.item_count DESC, c.label ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Number of distinct tokens the user's model has seen (the smoothing denominator)
+async function vocabularySize(db, userId) {
+  const [rows] = await db.query("SELECT COUNT(DISTINCT token) AS size FROM category_model_tokens WHERE user_id = ?", [userId]);
+  return Number(rows[0].size) || 0;
+}
+
+// Per-category counts of the given tokens: [{ category_id, token, count }]
+async function tokenCounts(db, userId, tokens) {
+  if (tokens.length === 0) return [];
+  const [rows] = await db.query(
+    `SELECT category_id, token, count FROM category_model_tokens
+     WHERE user_id = ? AND token IN (${tokens.map(() => "?").join(", ")})`,
+    [userId, ...tokens]
+  );
+  return rows;
+}
+
+module.exports = {
+  isTrained,
+  markTrained,
+  addCounts,
+  removeCategory,
+  listCategories,
+  vocabularySize,
+  tokenCounts
+};
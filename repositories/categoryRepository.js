@@ -0,0 +1,144 @@
+// repositories/categoryRepository.js
+// Data access for the categories table: every category a user files items under, the defaults
+// (is_default) included. A category's kind says whether it holds expenses or income. Items reference
+// a category by id (infodata.category_id) and keep its label in infodata.section. A category may sit
+// under a top-level parent (parent_id). Category targets are monthly budgets (see budgetRepository).
+// An archived category (archived_at set) keeps its items but is left out of the pickers.
+
+const CATEGORY_KINDS = ["expense", "income"];
+const CATEGORY_COLUMNS = "id, label, kind, iconName, iconColor, iconLibrary, is_default, parent_id, archived_at";
+
+// Every category of the user (or only those of one kind) with its monthly budget (as `target`) and
+// how many items use it. Archived categories are left out unless includeArchived is set.
+async function list(db, userId, { kind, includeArchived = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT c.id, c.label, c.kind, c.iconName, c.iconColor, c.iconLibrary, c.is_default, c.parent_id, c.archived_at,
+        COALESCE(b.amount, 0) AS target,
+        (SELECT COUNT(*) FROM infodata i WHERE i.category_id = c.id) AS item_count
+     FROM categories c
+     LEFT JOIN budgets b ON b.category_id = c.id AND b.user_id = c.user_id AND b.period = 'monthly'
+     WHERE c.user_id = ?${kind ? " AND c.kind = ?" : ""}${includeArchived ? "" : " AND c.archived_at IS NULL"}
+     ORDER BY c.kind ASC, c.is_default DESC, c.label ASC`,
+    kind ? [userId, kind] : [userId]
+  );
+  return rows;
+}
+
+// The expense categories the user added (not the defaults), archived ones left out
+async function listCustom(db, userId) {
+  const [rows] = await db.query(
+    `SELECT c.id, c.label, c.iconName, c.iconColor, COALESCE(b.amount, 0) AS target
+     FROM categories c
+     LEFT JOIN budgets b ON b.category_id = c.id AND b.user_id = c.user_id AND b.period = 'monthly'
+     WHERE c.user_id = ? AND c.is_default = 0 AND c.kind = 'expense' AND c.archived_at IS NULL`,
+    [userId]
+  );
+  return rows;
+}
+
+async function findById(db, categoryId, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE id = ? AND user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [categoryId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Every category of the user without counts or budgets, for walking the parent/child tree
+async function listHierarchy(db, userId) {
+  const [rows] = await db.query(`SELECT ${CATEGORY_COLUMNS} FROM categories WHERE user_id = ?`, [userId]);
+  return rows;
+}
+
+async function countChildren(db, categoryId, userId) {
+  const [rows] = await db.query("SELECT COUNT(*) AS total FROM categories WHERE parent_id = ? AND user_id = ?", [categoryId, userId]);
+  return Number(rows[0].total) || 0;
+}
+
+async function findByLabels(db, userId, labels) {
+  if (labels.length === 0) return [];
+  const [rows] = await db.query(
+    `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE user_id = ? AND label IN (${labels.map(() => "?").join(", ")})`,
+    [userId, ...labels]
+  );
+  return rows;
+}
+
+// Returns the new category's id
+async function create(db, userId, { label, kind = "expense", iconName, iconColor, iconLibrary, is_default = false, parent_id }) {
+  const [result] = await db.query(
+    `INSERT INTO categories (label, kind, iconName, iconColor, user_id, iconLibrary, is_default, parent_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [label, kind, iconName || null, iconColor || null, userId, iconLibrary || null, is_default ? 1 : 0, parent_id || null]
+  );
+  return result.insertId;
+}
+
+// Adds a category of `kind` without an icon for each label the user does not have yet
+async function createMissing(db, userId, labels, { kind = "expense", is_default = false } = {}) {
+  for (const label of labels) {
+    await db.query(
+      "INSERT IGNORE INTO categories (label, kind, user_id, is_default) VALUES (?, ?, ?, ?)",
+      [label, kind, userId, is_default ? 1 : 0]
+    );
+  }
+}
+
+async function update(db, categoryId, userId, { label, iconName, iconColor, iconLibrary, parent_id }) {
+  const [result] = await db.query(
+    "UPDATE categories SET label = ?, iconName = ?, iconColor = ?, iconLibrary = ?, parent_id = ? WHERE id = ? AND user_id = ?",
+    [label, iconName || null, iconColor || null, iconLibrary || null, parent_id || null, categoryId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Moves the children of one parent under another (null makes them top-level)
+async function reparentChildren(db, userId, fromParentId, toParentId) {
+  await db.query(
+    "UPDATE categories SET parent_id = ? WHERE parent_id = ? AND user_id = ?",
+    [toParentId || null, fromParentId, userId]
+  );
+}
+
+// Archives a category together with its subcategories; returns how many were archived
+async function archive(db, categoryId, userId) {
+  const [result] = await db.query(
+    `UPDATE categories SET archived_at = NOW()
+     WHERE (id = ? OR parent_id = ?) AND user_id = ? AND archived_at IS NULL`,
+    [categoryId, categoryId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Brings an archived category and its subcategories back to the pickers
+async function restore(db, categoryId, userId) {
+  const [result] = await db.query(
+    "UPDATE categories SET archived_at = NULL WHERE (id = ? OR parent_id = ?) AND user_id = ? AND archived_at IS NOT NULL",
+    [categoryId, categoryId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Children of a removed category become top-level
+async function remove(db, categoryId, userId) {
+  await reparentChildren(db, userId, categoryId, null);
+  const [result] = await db.query("DELETE FROM categories WHERE id = ? AND user_id = ?", [categoryId, userId]);
+  return result.affectedRows;
+}
+
+module.exports = {
+  CATEGORY_KINDS,
+  list,
+  listCustom,
+  findById,
+  listHierarchy,
+  countChildren,
+  findByLabels,
+  create,
+  createMissing,
+  update,
+  reparentChildren,
+  archive,
+  restore,
+  remove
+};
@@ -0,0 +1,70 @@
+// repositories/categoryRuleRepository.js
+// Data access for category_rules, which pick a category for items saved without one. A rule references
+// its category by id and carries its label as `section`.
+
+const RULE_COLUMNS = "id, section, category_id, title_contains, title_pattern, min_amount, max_amount, payment_mode, priority, active, created_at";
+const RULE_FIELDS = ["section", "category_id", "title_contains", "title_pattern", "min_amount", "max_amount", "payment_mode", "priority", "active"];
+
+// In the order rules are tried; pass { activeOnly: true } to leave disabled rules out
+async function list(db, userId, { activeOnly = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${RULE_COLUMNS} FROM category_rules
+     WHERE user_id = ?${activeOnly ? " AND active = 1" : ""}
+     ORDER BY priority ASC, id ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function findById(db, ruleId, userId) {
+  const [rows] = await db.query(`SELECT ${RULE_COLUMNS} FROM category_rules WHERE id = ? AND user_id = ?`, [ruleId, userId]);
+  return rows[0] || null;
+}
+
+// Returns the new rule's id
+async function create(db, userId, rule) {
+  const [result] = await db.query(
+    `INSERT INTO category_rules (user_id, ${RULE_FIELDS.join(", ")}) VALUES (?, ${RULE_FIELDS.map(() => "?").join(", ")})`,
+    [userId, ...RULE_FIELDS.map(field => rule[field])]
+  );
+  return result.insertId;
+}
+
+// Writes every field; callers merge partial updates into the stored rule first
+async function update(db, ruleId, userId, rule) {
+  const [result] = await db.query(
+    `UPDATE category_rules SET ${RULE_FIELDS.map(field => `${field} = ?`).join(", ")} WHERE id = ? AND user_id = ?`,
+    [...RULE_FIELDS.map(field => rule[field]), ruleId, userId]
+  );
+  return result.affectedRows;
+}
+
+async function remove(db, ruleId, userId) {
+  const [result] = await db.query("DELETE FROM category_rules WHERE id = ? AND user_id = ?", [ruleId, userId]);
+  return result.affectedRows;
+}
+
+async function removeByCategory(db, userId, categoryId) {
+  const [result] = await db.query("DELETE FROM category_rules WHERE user_id = ? AND category_id = ?", [userId, categoryId]);
+  return result.affectedRows;
+}
+
+// Points the user's rules for one category at another, labelled `label` (a merge); pass the same id
+// twice to bring the stored label in line after a rename
+async function moveCategory(db, userId, fromCategoryId, toCategoryId, label) {
+  const [result] = await db.query(
+    "UPDATE category_rules SET section = ?, category_id = ? WHERE user_id = ? AND category_id = ?",
+    [label, toCategoryId, userId, fromCategoryId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  update,
+  remove,
+  removeByCategory,
+  moveCategory
+};
@@ -0,0 +1,95 @@
+// repositories/exchangeRateRepository.js
+// Data access for exchange_rates. A row means 1 from_currency = rate to_currency, effective
+// from effective_date until the next row for the same pair. The opposite pair is used
+// (as 1 / rate) when only that direction is stored.
+
+const RATE_COLUMNS = "id, from_currency, to_currency, rate, effective_date";
+
+// SQL for the rate converting `alias`'s currency into its owner's base currency on the row's date,
+// or NULL when no rate is stored. Rows without a currency are already in the base currency.
+function rateToBaseSql(alias) {
+  const base = `(SELECT u.base_currency FROM users u WHERE u.id = ${alias}.user_id)`;
+  const latest = (from, to, expression) => `(SELECT ${expression} FROM exchange_rates r
+      WHERE r.user_id = ${alias}.user_id AND r.from_currency = ${from} AND r.to_currency = ${to}
+        AND r.effective_date <= DATE(${alias}.date)
+      ORDER BY r.effective_date DESC LIMIT 1)`;
+
+  return `(CASE WHEN ${alias}.currency IS NULL OR ${alias}.currency = ${base} THEN 1
+    ELSE COALESCE(${latest(`${alias}.currency`, base, "r.rate")}, ${latest(base, `${alias}.currency`, "1.0 / r.rate")}) END)`;
+}
+
+// SQL for `alias`.value in the owner's base currency (NULL when no rate is known)
+const baseValueSql = (alias) => `(${alias}.value * ${rateToBaseSql(alias)})`;
+
+async function list(db, userId, { fromCurrency, toCurrency } = {}) {
+  let where = "user_id = ?";
+  const params = [userId];
+  if (fromCurrency) {
+    where += " AND from_currency = ?";
+    params.push(fromCurrency);
+  }
+  if (toCurrency) {
+    where += " AND to_currency = ?";
+    params.push(toCurrency);
+  }
+
+  const [rows] = await db.query(
+    `SELECT ${RATE_COLUMNS} FROM exchange_rates WHERE ${where}
+     ORDER BY from_currency ASC, to_currency ASC, effective_date DESC`,
+    params
+  );
+  return rows;
+}
+
+// Rate for converting `from` into `to` on `date` ('YYYY-MM-DD'), trying the stored pair first
+// and then the inverse of the opposite pair; null when neither is known
+async function findEffectiveRate(db, userId, from, to, date) {
+  const [direct] = await db.query(
+    `SELECT rate FROM exchange_rates
+     WHERE user_id = ? AND from_currency = ? AND to_currency = ? AND effective_date <= ?
+     ORDER BY effective_date DESC LIMIT 1`,
+    [userId, from, to, date]
+  );
+  if (direct.length > 0) return parseFloat(direct[0].rate);
+
+  const [inverse] = await db.query(
+    `SELECT rate FROM exchange_rates
+     WHERE user_id = ? AND from_currency = ? AND to_currency = ? AND effective_date <= ?
+     ORDER BY effective_date DESC LIMIT 1`,
+    [userId, to, from, date]
+  );
+  return inverse.length > 0 ? 1 / parseFloat(inverse[0].rate) : null;
+}
+
+// Inserts the rate, or replaces the rate stored for the same pair and date; returns the row id
+async function upsert(db, userId, { from_currency, to_currency, rate, effective_date }) {
+  const [existing] = await db.query(
+    "SELECT id FROM exchange_rates WHERE user_id = ? AND from_currency = ? AND to_currency = ? AND effective_date = ?",
+    [userId, from_currency, to_currency, effective_date]
+  );
+  if (existing.length > 0) {
+    await db.query("UPDATE exchange_rates SET rate = ? WHERE id = ?", [rate, existing[0].id]);
+    return existing[0].id;
+  }
+
+  const [result] = await db.query(
+    `INSERT INTO exchange_rates (user_id, from_currency, to_currency, rate, effective_date)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, from_currency, to_currency, rate, effective_date]
+  );
+  return result.insertId;
+}
+
+async function remove(db, rateId, userId) {
+  const [result] = await db.query("DELETE FROM exchange_rates WHERE id = ? AND user_id = ?", [rateId, userId]);
+  return result.affectedRows;
+}
+
+module.exports = {
+  rateToBaseSql,
+  baseValueSql,
+  list,
+  findEffectiveRate,
+  upsert,
+  remove
+};
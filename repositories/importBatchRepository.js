@@ -0,0 +1,55 @@
+// repositories/importBatchRepository.js
+// Data access for import_batches: one row per committed bank statement import.
+
+const BATCH_COLUMNS = "id, source, filename, row_count, account_id, created_at, rolled_back_at";
+
+async function list(db, userId) {
+  const [rows] = await db.query(
+    `SELECT ${BATCH_COLUMNS} FROM import_batches WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function findById(db, batchId, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${BATCH_COLUMNS} FROM import_batches WHERE id = ? AND user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [batchId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Returns the new batch's id
+async function create(db, userId, { source, filename, row_count, account_id }) {
+  const [result] = await db.query(
+    `INSERT INTO import_batches (user_id, source, filename, row_count, account_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [userId, source, filename || null, row_count, account_id || null]
+  );
+  return result.insertId;
+}
+
+async function markRolledBack(db, batchId, userId) {
+  const [result] = await db.query(
+    "UPDATE import_batches SET rolled_back_at = NOW() WHERE id = ? AND user_id = ? AND rolled_back_at IS NULL",
+    [batchId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Detaches the user's batches from an account that is being deleted
+async function clearAccount(db, userId, accountId) {
+  const [result] = await db.query(
+    "UPDATE import_batches SET account_id = NULL WHERE user_id = ? AND account_id = ?",
+    [userId, accountId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  markRolledBack,
+  clearAccount
+};
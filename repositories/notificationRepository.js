@@ -0,0 +1,78 @@
+// repositories/notificationRepository.js
+// Data access for the in-app notification feed. Dismissed notifications are kept
+// (dismissed_at set) so that a dismissed budget alert does not fire again.
+
+const NOTIFICATION_COLUMNS = "id, type, title, message, budget_id, threshold, period_start, read_at, created_at";
+
+// Newest first; dismissed notifications are never listed
+async function list(db, userId, { unreadOnly = false, limit = 50 } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+     WHERE user_id = ? AND dismissed_at IS NULL${unreadOnly ? " AND read_at IS NULL" : ""}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+}
+
+async function countUnread(db, userId) {
+  const [rows] = await db.query(
+    "SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND dismissed_at IS NULL AND read_at IS NULL",
+    [userId]
+  );
+  return Number(rows[0].unread) || 0;
+}
+
+async function findById(db, notificationId, userId) {
+  const [rows] = await db.query(
+    `SELECT ${NOTIFICATION_COLUMNS} FROM notifications WHERE id = ? AND user_id = ? AND dismissed_at IS NULL`,
+    [notificationId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Budget alerts are unique per (budget, threshold, period); returns the new id, or null when
+// the alert already exists
+async function createBudgetAlert(db, userId, { budget_id, threshold, period_start, title, message }) {
+  const [result] = await db.query(
+    `INSERT IGNORE INTO notifications (user_id, type, title, message, budget_id, threshold, period_start)
+     VALUES (?, 'budget_alert', ?, ?, ?, ?, ?)`,
+    [userId, title, message, budget_id, threshold, period_start]
+  );
+  return result.affectedRows > 0 ? result.insertId : null;
+}
+
+async function markRead(db, notificationId, userId) {
+  const [result] = await db.query(
+    "UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ? AND dismissed_at IS NULL",
+    [notificationId, userId]
+  );
+  return result.affectedRows;
+}
+
+async function markAllRead(db, userId) {
+  const [result] = await db.query(
+    "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL AND dismissed_at IS NULL",
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+async function dismiss(db, notificationId, userId) {
+  const [result] = await db.query(
+    "UPDATE notifications SET dismissed_at = NOW() WHERE id = ? AND user_id = ? AND dismissed_at IS NULL",
+    [notificationId, userId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  list,
+  countUnread,
+  findById,
+  createBudgetAlert,
+  markRead,
+  markAllRead,
+  dismiss
+};
@@ -0,0 +1,96 @@
+// repositories/recurringRuleRepository.js
+// Data access for recurring_rules (rent, salaries, subscriptions, ...). A rule references the category
+// its items go under by id and carries its label as `section` (category_id NULL for the 'Income' section).
+
+const RULE_COLUMNS = `id, title, value, section, category_id, payment_mode, notes, account_id, frequency, interval_count,
+  day_of_month, start_date, end_date, max_occurrences, occurrences_created, next_run_date, active`;
+const UPDATABLE_FIELDS = ["title", "value", "section", "category_id", "payment_mode", "notes", "account_id", "end_date", "max_occurrences", "active"];
+
+async function list(db, userId) {
+  const [rows] = await db.query(
+    `SELECT ${RULE_COLUMNS} FROM recurring_rules WHERE user_id = ? ORDER BY id ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Pass { forUpdate: true } inside a transaction to lock the rule while materializing it
+async function findById(db, ruleId, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${RULE_COLUMNS}, user_id FROM recurring_rules WHERE id = ? AND user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [ruleId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Active rules with an occurrence due on or before `today`, optionally for one user
+async function listDue(db, today, { userId } = {}) {
+  const [rows] = await db.query(
+    `SELECT id, user_id FROM recurring_rules
+     WHERE active = 1 AND next_run_date IS NOT NULL AND next_run_date <= ?${userId ? " AND user_id = ?" : ""}
+     ORDER BY next_run_date ASC, id ASC`,
+    userId ? [today, userId] : [today]
+  );
+  return rows;
+}
+
+// Returns the new rule's id
+async function create(db, userId, rule) {
+  const [result] = await db.query(
+    `INSERT INTO recurring_rules
+       (user_id, title, value, section, category_id, payment_mode, notes, account_id, frequency, interval_count,
+        day_of_month, start_date, end_date, max_occurrences, next_run_date)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId, rule.title, rule.value, rule.section, rule.category_id || null, rule.payment_mode, rule.notes || null, rule.account_id || null,
+      rule.frequency, rule.interval_count || 1, rule.day_of_month || null, rule.start_date, rule.end_date || null,
+      rule.max_occurrences || null, rule.next_run_date
+    ]
+  );
+  return result.insertId;
+}
+
+// Only fields present in `fields` are written; the schedule itself (frequency, start date) is fixed
+async function update(db, ruleId, userId, fields) {
+  const columns = UPDATABLE_FIELDS.filter(field => fields[field] !== undefined);
+  if (columns.length === 0) return 0;
+
+  const [result] = await db.query(
+    `UPDATE recurring_rules SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ? AND user_id = ?`,
+    [...columns.map(column => fields[column]), ruleId, userId]
+  );
+  return result.affectedRows;
+}
+
+async function setProgress(db, ruleId, { occurrences_created, next_run_date }) {
+  await db.query(
+    "UPDATE recurring_rules SET occurrences_created = ?, next_run_date = ? WHERE id = ?",
+    [occurrences_created, next_run_date, ruleId]
+  );
+}
+
+async function remove(db, ruleId, userId) {
+  const [result] = await db.query("DELETE FROM recurring_rules WHERE id = ? AND user_id = ?", [ruleId, userId]);
+  return result.affectedRows;
+}
+
+// Files future occurrences of the user's rules for one category under another, labelled `label` (a
+// merge); pass the same id twice to bring the stored label in line after a rename
+async function moveCategory(db, userId, fromCategoryId, toCategoryId, label) {
+  const [result] = await db.query(
+    "UPDATE recurring_rules SET section = ?, category_id = ? WHERE user_id = ? AND category_id = ?",
+    [label, toCategoryId, userId, fromCategoryId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  list,
+  findById,
+  listDue,
+  create,
+  update,
+  setProgress,
+  remove,
+  moveCategory
+};
@@ -0,0 +1,129 @@
+// repositories/tagRepository.js
+// Data access for tags and transaction_tags, the many-to-many labels on infodata rows.
+// Tag names are stored normalized (see services/tags.js), so lookups compare them exactly.
+const { baseValueSql } = require("./exchangeRateRepository");
+const { expenseSql, incomeSql } = require("./transactionRepository");
+const { dayAfter } = require("../utils/recurrence");
+
+const TAG_COLUMNS = "id, name, color, created_at";
+const BASE_VALUE = baseValueSql("i");
+
+// The user's tags by name, each with how many items carry it
+async function list(db, userId) {
+  const [rows] = await db.query(
+    `SELECT t.id, t.name, t.color, t.created_at, COUNT(tt.transaction_id) AS item_count
+     FROM tags t
+     LEFT JOIN transaction_tags tt ON tt.tag_id = t.id
+     WHERE t.user_id = ?
+     GROUP BY t.id, t.name, t.color, t.created_at
+     ORDER BY t.name ASC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function findById(db, tagId, userId) {
+  const [rows] = await db.query(`SELECT ${TAG_COLUMNS} FROM tags WHERE id = ? AND user_id = ?`, [tagId, userId]);
+  return rows[0] || null;
+}
+
+async function findByNames(db, userId, names) {
+  if (names.length === 0) return [];
+  const [rows] = await db.query(
+    `SELECT ${TAG_COLUMNS} FROM tags WHERE user_id = ? AND name IN (${names.map(() => "?").join(", ")})`,
+    [userId, ...names]
+  );
+  return rows;
+}
+
+// Returns the new tag's id
+async function create(db, userId, { name, color }) {
+  const [result] = await db.query("INSERT INTO tags (user_id, name, color) VALUES (?, ?, ?)", [userId, name, color || null]);
+  return result.insertId;
+}
+
+async function update(db, tagId, userId, { name, color }) {
+  const [result] = await db.query(
+    "UPDATE tags SET name = ?, color = ? WHERE id = ? AND user_id = ?",
+    [name, color || null, tagId, userId]
+  );
+  return result.affectedRows;
+}
+
+// Items keep everything but the label (transaction_tags rows cascade)
+async function remove(db, tagId, userId) {
+  const [result] = await db.query("DELETE FROM tags WHERE id = ? AND user_id = ?", [tagId, userId]);
+  return result.affectedRows;
+}
+
+// Tags of the given items keyed by item id; untagged items are absent
+async function listForTransactions(db, userId, transactionIds) {
+  const byTransaction = new Map();
+  if (transactionIds.length === 0) return byTransaction;
+
+  const [rows] = await db.query(
+    `SELECT tt.transaction_id, t.id, t.name, t.color
+     FROM transaction_tags tt
+     JOIN tags t ON t.id = tt.tag_id
+     WHERE t.user_id = ? AND tt.transaction_id IN (${transactionIds.map(() => "?").join(", ")})
+     ORDER BY t.name ASC`,
+    [userId, ...transactionIds]
+  );
+  for (const row of rows) {
+    if (!byTransaction.has(row.transaction_id)) byTransaction.set(row.transaction_id, []);
+    byTransaction.get(row.transaction_id).push(row);
+  }
+  return byTransaction;
+}
+
+// Replaces the item's tags ([] removes them); the caller has checked the item and tags belong to the user
+async function replaceForTransaction(db, transactionId, tagIds) {
+  await db.query("DELETE FROM transaction_tags WHERE transaction_id = ?", [transactionId]);
+  for (const tagId of tagIds) {
+    await db.query("INSERT INTO transaction_tags (transaction_id, tag_id) VALUES (?, ?)", [transactionId, tagId]);
+  }
+}
+
+// Expense (net of refunds) and income totals per tag in the base currency, optionally limited to fromDate/toDate. An item counts in full
+// toward each of its tags, so the totals of different tags can overlap.
+async function summarize(db, userId, { fromDate, toDate } = {}) {
+  let where = "t.user_id = ? AND i.value IS NOT NULL";
+  const params = [userId];
+  if (fromDate) {
+    where += " AND i.date >= ?";
+    params.push(fromDate);
+  }
+  if (toDate) {
+    where += " AND i.date < ?";
+    params.push(dayAfter(toDate));
+  }
+
+  const [rows] = await db.query(
+    `SELECT
+        t.id, t.name, t.color,
+        SUM(${expenseSql("i")}) AS total_expenses,
+        SUM(${incomeSql("i")}) AS total_income,
+        COUNT(*) AS item_count,
+        SUM(CASE WHEN ${BASE_VALUE} IS NULL THEN 1 ELSE 0 END) AS unconverted_count
+     FROM tags t
+     JOIN transaction_tags tt ON tt.tag_id = t.id
+     JOIN infodata i ON i.id = tt.transaction_id
+     WHERE ${where}
+     GROUP BY t.id, t.name, t.color
+     ORDER BY total_expenses DESC, t.name ASC`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  list,
+  findById,
+  findByNames,
+  create,
+  update,
+  remove,
+  listForTransactions,
+  replaceForTransaction,
+  summarize
+};
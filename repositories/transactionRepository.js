@@ -0,0 +1,637 @@
+// repositories/transactionRepository.js
+// Data access for infodata, which holds every transaction. Its type says how it counts: expenses
+// spend, income adds and refunds give back spending (netted against expenses). Transfers between the
+// user's accounts are not items; they live in the transfers table. A refund may be linked to the
+// expense it pays back (refund_of), under the same category; expenses expected back are reimbursable.
+// Aggregates are in the owner's base currency, converted at the rate effective on each item's date.
+const { baseValueSql } = require("./exchangeRateRepository");
+const { toMinor } = require("../utils/money");
+const { dayAfter } = require("../utils/recurrence");
+
+const TRANSACTION_TYPES = ["expense", "income", "refund"];
+const INCOME_SECTION = "Income"; // income filed under no income category
+const UNCATEGORIZED_SECTION = "Uncategorized"; // items saved without a section that no category rule matched
+const TRANSACTION_COLUMNS = "id, title, value, currency, date, type, section, category_id, payment_mode, notes, account_id, refund_of, reimbursable";
+const BASE_VALUE = baseValueSql("i");
+
+// SQL amounts by type, in the base currency, for the infodata alias given: spending (refunds
+// subtracted), income, and the effect on the balance
+const expenseSql = (alias) => `CASE ${alias}.type WHEN 'expense' THEN ${baseValueSql(alias)} WHEN 'refund' THEN -${baseValueSql(alias)} ELSE 0 END`;
+const incomeSql = (alias) => `CASE WHEN ${alias}.type = 'income' THEN ${baseValueSql(alias)} ELSE 0 END`;
+const balanceEffectSql = (alias) =>
+  `CASE WHEN ${alias}.type IN ('income', 'refund') THEN ${baseValueSql(alias)} WHEN ${alias}.type = 'expense' THEN -${baseValueSql(alias)} ELSE 0 END`;
+
+// One row per category line: each split line of a split item (in the item's currency and on its date),
+// or the item itself. Category totals read this instead of infodata; use it with the alias `i`.
+const CATEGORY_LINES = `(SELECT
+    i.id, i.user_id, i.date, i.currency, i.type,
+    CASE WHEN s.id IS NULL THEN i.category_id ELSE s.category_id END AS category_id,
+    COALESCE(s.section, i.section) AS section, COALESCE(s.value, i.value) AS value
+  FROM infodata i
+  LEFT JOIN transaction_splits s ON s.transaction_id = i.id)`;
+
+// SQL condition matching rows of the given alias filed under any of `categoryIds`, with its params.
+// null stands for the plain 'Income' section, which has no category; an empty list matches nothing.
+function categoryCondition(alias, categoryIds) {
+  const ids = categoryIds.filter(id => id !== null);
+  const conditions = [];
+  if (ids.length > 0) conditions.push(`${alias}.category_id IN (${ids.map(() => "?").join(", ")})`);
+  if (ids.length < categoryIds.length) conditions.push(`(${alias}.category_id IS NULL AND ${alias}.type = 'income')`);
+  return { sql: conditions.length > 0 ? `(${conditions.join(" OR ")})` : "1 = 0", params: ids };
+}
+
+// How a row of the given type moves the account balance, in minor units: income and refunds add
+// their value and expenses spend it
+function balanceEffect(type, value) {
+  const amount = toMinor(value);
+  if (type === "income" || type === "refund") return amount;
+  return type === "expense" ? -amount : 0;
+}
+
+// Builds the shared WHERE clause for the type/categoryIds/fromDate/toDate/tags filters of the item list.
+// fromDate and toDate are YYYY-MM-DD and both inclusive.
+// type: one of TRANSACTION_TYPES. categoryIds: the categories to keep (a parent category with its
+// children), as for categoryCondition; leave it out to keep every category.
+// tags: normalized tag names; items must carry all of them, or any with tagMatch 'any'.
+function buildFilters(userId, { type, categoryIds, fromDate, toDate, tags = [], tagMatch = "all" } = {}) {
+  let where = "i.user_id = ?";
+  const params = [userId];
+
+  if (type) {
+    where += " AND i.type = ?";
+    params.push(type);
+  }
+  if (categoryIds) {
+    const condition = categoryCondition("i", categoryIds);
+    where += ` AND ${condition.sql}`;
+    params.push(...condition.params);
+  }
+  if (fromDate) {
+    where += " AND i.date >= ?";
+    params.push(fromDate);
+  }
+  if (toDate) {
+    where += " AND i.date < ?";
+    params.push(dayAfter(toDate));
+  }
+  if (tags.length > 0) {
+    const matchAll = tagMatch !== "any";
+    where += ` AND i.id IN (SELECT tt.transaction_id
+      FROM transaction_tags tt JOIN tags t ON t.id = tt.tag_id
+      WHERE t.user_id = ? AND t.name IN (${tags.map(() => "?").join(", ")})${matchAll ? `
+      GROUP BY tt.transaction_id HAVING COUNT(*) = ?` : ""})`;
+    params.push(userId, ...tags);
+    if (matchAll) params.push(tags.length);
+  }
+  return { where, params };
+}
+
+// Items with their category icon and monthly budget (as `target`), as the item list and search return them
+const LIST_SELECT = `SELECT
+        i.id, i.title, i.value, i.currency, i.date, i.type, i.section, i.category_id, b.amount AS target, i.payment_mode, i.notes, i.account_id, i.recurring_rule_id, i.user_id,
+        i.refund_of, i.reimbursable,
+        c.iconName, c.iconColor, c.iconLibrary
+     FROM infodata i
+     LEFT JOIN categories c ON c.id = i.category_id
+     LEFT JOIN budgets b
+        ON b.category_id = i.category_id AND b.user_id = i.user_id AND b.period = 'monthly'`;
+
+// Sort orders of the search; the ID breaks ties for a stable order
+const SEARCH_SORTS = {
+  date: (direction) => `i.date ${direction}, i.id ${direction}`,
+  amount: (direction) => `i.value ${direction}, i.id ${direction}`,
+  title: (direction) => `LOWER(i.title) ${direction}, i.id ${direction}`
+};
+
+// Newest first (ID breaks ties for a stable order)
+async function list(db, userId, filters, { limit, offset }) {
+  const { where, params } = buildFilters(userId, filters);
+  const [rows] = await db.query(
+    `${LIST_SELECT}
+     WHERE ${where}
+     ORDER BY i.date DESC, i.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows;
+}
+
+// One page of the item list in cursor mode: newest first on (date, id), which stays stable while items
+// are added. cursor: a { date, id, direction } position or null for the first page; 'next' reads the
+// rows after it and 'prev' the rows before it (returned oldest first). Fetch one row more than the
+// page size to tell whether more exist. Rows without a date or value are skipped.
+async function listByCursor(db, userId, filters, { cursor, limit }) {
+  const { where, params } = buildFilters(userId, filters);
+  const backwards = Boolean(cursor) && cursor.direction === "prev";
+  let keyset = "";
+  if (cursor) {
+    keyset = backwards ? " AND (i.date > ? OR (i.date = ? AND i.id > ?))" : " AND (i.date < ? OR (i.date = ? AND i.id < ?))";
+    params.push(cursor.date, cursor.date, cursor.id);
+  }
+  const order = backwards ? "ASC" : "DESC";
+  const [rows] = await db.query(
+    `${LIST_SELECT}
+     WHERE ${where} AND i.date IS NOT NULL AND i.value IS NOT NULL${keyset}
+     ORDER BY i.date ${order}, i.id ${order}
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows;
+}
+
+// The given items as the list returns them, in the order of `ids`
+async function listByIds(db, userId, ids) {
+  if (ids.length === 0) return [];
+  const [rows] = await db.query(
+    `${LIST_SELECT}
+     WHERE i.user_id = ? AND i.id IN (${ids.map(() => "?").join(", ")})`,
+    [userId, ...ids]
+  );
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+// WHERE clause of the search. criteria: categoryIds (as for buildFilters), paymentModes (a list), min and max (decimal
+// strings compared with the item's value in its own currency), fromDate/toDate (YYYY-MM-DD, both
+// inclusive) and terms, each of which must appear in the title or the notes (LIKE, so without typo
+// tolerance). Rows without a date or value are never matched.
+function buildSearchFilters(userId, { categoryIds, paymentModes = [], min, max, fromDate, toDate, terms = [] }) {
+  let where = "i.user_id = ? AND i.value IS NOT NULL AND i.date IS NOT NULL";
+  const params = [userId];
+
+  if (categoryIds) {
+    const condition = categoryCondition("i", categoryIds);
+    where += ` AND ${condition.sql}`;
+    params.push(...condition.params);
+  }
+  if (paymentModes.length > 0) {
+    where += ` AND LOWER(i.payment_mode) IN (${paymentModes.map(() => "?").join(", ")})`;
+    params.push(...paymentModes.map(mode => mode.toLowerCase()));
+  }
+  if (min !== undefined) {
+    where += " AND i.value >= ?";
+    params.push(min);
+  }
+  if (max !== undefined) {
+    where += " AND i.value <= ?";
+    params.push(max);
+  }
+  if (fromDate) {
+    where += " AND i.date >= ?";
+    params.push(fromDate);
+  }
+  if (toDate) {
+    where += " AND i.date < ?";
+    params.push(dayAfter(toDate));
+  }
+  for (const term of terms) {
+    // '!' escapes LIKE wildcards the same way in MySQL and SQLite
+    const pattern = `%${term.replace(/[!%_]/g, "!$&")}%`;
+    where += " AND (i.title LIKE ? ESCAPE '!' OR i.notes LIKE ? ESCAPE '!')";
+    params.push(pattern, pattern);
+  }
+  return { where, params };
+}
+
+// One page of matching items as the list returns them, sorted by `sort` (date, amount or title)
+async function search(db, userId, criteria, { sort = "date", direction = "DESC", limit, offset }) {
+  const { where, params } = buildSearchFilters(userId, criteria);
+  const [rows] = await db.query(
+    `${LIST_SELECT}
+     WHERE ${where}
+     ORDER BY ${SEARCH_SORTS[sort](direction === "ASC" ? "ASC" : "DESC")}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows;
+}
+
+async function countSearch(db, userId, criteria) {
+  const { where, params } = buildSearchFilters(userId, criteria);
+  const [rows] = await db.query(`SELECT COUNT(*) AS total FROM infodata i WHERE ${where}`, params);
+  return Number(rows[0].total);
+}
+
+// The text and sort fields of up to `limit` matching items, newest first, for fuzzy matching in code
+async function listSearchCandidates(db, userId, criteria, { limit }) {
+  const { where, params } = buildSearchFilters(userId, criteria);
+  const [rows] = await db.query(
+    `SELECT i.id, i.title, i.notes, i.value, i.date
+     FROM infodata i
+     WHERE ${where}
+     ORDER BY i.date DESC, i.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows;
+}
+
+// One page of the filtered items for exports, newest first. Keyset paging on (date, id):
+// pass the last row of the previous page as `after`. Rows without a date or value are skipped.
+async function listPage(db, userId, filters, { after, limit }) {
+  const { where, params } = buildFilters(userId, filters);
+  const keyset = after ? " AND (i.date < ? OR (i.date = ? AND i.id < ?))" : "";
+  const [rows] = await db.query(
+    `SELECT
+        i.id, i.title, i.value, i.currency, i.date, i.type, i.section, i.payment_mode, i.notes, i.account_id,
+        i.refund_of, i.reimbursable, c.iconName, c.iconColor, c.iconLibrary
+     FROM infodata i
+     LEFT JOIN categories c ON c.id = i.category_id
+     WHERE ${where} AND i.date IS NOT NULL AND i.value IS NOT NULL${keyset}
+     ORDER BY i.date DESC, i.id DESC
+     LIMIT ?`,
+    after ? [...params, after.date, after.date, after.id, limit] : [...params, limit]
+  );
+  return rows;
+}
+
+async function count(db, userId, filters) {
+  const { where, params } = buildFilters(userId, filters);
+  const [rows] = await db.query(`SELECT COUNT(*) AS total FROM infodata i WHERE ${where}`, params);
+  return rows[0].total;
+}
+
+// Expense (net of refunds) and income totals and the item count for the filtered items; a category
+// filter counts the matching split lines of split items.
+// unconverted_count counts the items left out of the totals for lack of an exchange rate.
+async function summarize(db, userId, filters) {
+  const { where, params } = buildFilters(userId, filters);
+  const [rows] = await db.query(
+    `SELECT
+        SUM(${expenseSql("i")}) AS total_expenses,
+        SUM(${incomeSql("i")}) AS total_income,
+        COUNT(DISTINCT i.id) AS total_count,
+        COUNT(DISTINCT CASE WHEN i.value IS NOT NULL AND ${BASE_VALUE} IS NULL THEN i.id END) AS unconverted_count
+     FROM ${CATEGORY_LINES} i
+     WHERE ${where}`,
+    params
+  );
+  return rows[0];
+}
+
+// Expense totals (net of refunds, split items counted per line) within each of `periods` ({ start, end },
+// YYYY-MM-DD, both inclusive, in order and not overlapping), in one grouped query. filters as for
+// summarize, dates aside. Returns a total per period, in minor units.
+async function sumExpensesByPeriod(db, userId, filters, periods) {
+  if (periods.length === 0) return [];
+  const { where, params } = buildFilters(userId, {
+    ...filters,
+    fromDate: periods[0].start,
+    toDate: periods[periods.length - 1].end
+  });
+  const buckets = periods.map(() => "WHEN i.date >= ? AND i.date < ? THEN ?").join(" ");
+  const bucketParams = periods.flatMap((period, index) => [period.start, dayAfter(period.end), index]);
+  const [rows] = await db.query(
+    `SELECT period_index, SUM(expense) AS total_expenses
+     FROM (
+        SELECT CASE ${buckets} END AS period_index, ${expenseSql("i")} AS expense
+        FROM ${CATEGORY_LINES} i
+        WHERE ${where}
+     ) bucketed
+     WHERE period_index IS NOT NULL
+     GROUP BY period_index`,
+    [...bucketParams, ...params]
+  );
+  const totals = periods.map(() => 0);
+  for (const row of rows) totals[Number(row.period_index)] = toMinor(row.total_expenses);
+  return totals;
+}
+
+// Expense (net of refunds) and income totals per category (split items counted per line), optionally
+// limited to fromDate/toDate. Each row has the category's id and current label as `section` (category_id
+// null and section 'Income' for income filed under no category).
+async function summarizeByCategory(db, userId, { fromDate, toDate } = {}) {
+  const { where, params } = buildFilters(userId, { fromDate, toDate });
+  const [rows] = await db.query(
+    `SELECT
+        i.category_id,
+        COALESCE(c.label, i.section) AS section,
+        SUM(${expenseSql("i")}) AS total_expenses,
+        SUM(${incomeSql("i")}) AS total_income,
+        c.kind,
+        c.iconName,
+        c.iconColor,
+        c.iconLibrary
+     FROM ${CATEGORY_LINES} i
+     LEFT JOIN categories c ON c.id = i.category_id
+     WHERE ${where}
+     GROUP BY i.category_id, COALESCE(c.label, i.section), c.kind, c.iconName, c.iconColor, c.iconLibrary
+     ORDER BY total_expenses DESC, total_income DESC`,
+    params
+  );
+  return rows;
+}
+
+// Net balance effect (income minus expenses) of the items dated on or after `fromDate`, in minor units
+async function sumBalanceEffectSince(db, userId, fromDate) {
+  const [rows] = await db.query(
+    `SELECT SUM(${balanceEffectSql("i")}) AS total
+     FROM infodata i
+     WHERE i.user_id = ? AND i.date >= ?`,
+    [userId, fromDate]
+  );
+  return toMinor(rows[0].total);
+}
+
+// Expense (net of refunds) and income totals keyed by 'YYYY-MM' for every month starting at `fromDate`
+async function sumTotalsByMonth(db, userId, fromDate) {
+  const [rows] = await db.query(
+    `SELECT
+        DATE_FORMAT(i.date, '%Y-%m') AS month,
+        SUM(${expenseSql("i")}) AS total_expenses,
+        SUM(${incomeSql("i")}) AS total_income
+     FROM infodata i
+     WHERE i.user_id = ? AND i.date >= ?
+     GROUP BY DATE_FORMAT(i.date, '%Y-%m')`,
+    [userId, fromDate]
+  );
+  return rows;
+}
+
+// Expense (net of refunds) and income totals keyed by 'YYYY-MM-DD' between two dates (inclusive)
+async function sumTotalsByDay(db, userId, fromDate, toDate) {
+  const [rows] = await db.query(
+    `SELECT
+        DATE_FORMAT(i.date, '%Y-%m-%d') AS date,
+        SUM(${expenseSql("i")}) AS total_expenses,
+        SUM(${incomeSql("i")}) AS total_income
+     FROM infodata i
+     WHERE i.user_id = ? AND i.date >= ? AND i.date < ?
+     GROUP BY DATE_FORMAT(i.date, '%Y-%m-%d')
+     ORDER BY DATE_FORMAT(i.date, '%Y-%m-%d') ASC`,
+    [userId, fromDate, dayAfter(toDate)]
+  );
+  return rows;
+}
+
+// Expense (net of refunds) and income totals between two dates (inclusive)
+async function sumTotalsBetween(db, userId, fromDate, toDate) {
+  const [rows] = await db.query(
+    `SELECT SUM(${expenseSql("i")}) AS total_expenses, SUM(${incomeSql("i")}) AS total_income
+     FROM infodata i
+     WHERE i.user_id = ? AND i.date >= ? AND i.date < ?`,
+    [userId, fromDate, dayAfter(toDate)]
+  );
+  return rows[0];
+}
+
+// Total of the split lines and unsplit items under any of `categoryIds` (as for categoryCondition):
+// spending net of refunds, or income for an income category. { itemsOnly: true } sums the whole items
+// filed under them instead (what removeByCategory deletes).
+async function sumByCategory(db, userId, categoryIds, { itemsOnly = false } = {}) {
+  const condition = categoryCondition("i", categoryIds);
+  const [rows] = await db.query(
+    `SELECT SUM(${expenseSql("i")} + ${incomeSql("i")}) AS total_spent FROM ${itemsOnly ? "infodata" : CATEGORY_LINES} i
+     WHERE i.user_id = ? AND ${condition.sql}`,
+    [userId, ...condition.params]
+  );
+  return rows[0].total_spent;
+}
+
+// Pass { forUpdate: true } inside a transaction to lock the row until commit
+async function findById(db, id, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS}, user_id FROM infodata WHERE id = ? AND user_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+// Items filed under the category; null lists the income filed under the plain 'Income' section
+async function listByCategory(db, userId, categoryId) {
+  const condition = categoryCondition("i", [categoryId]);
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS}, user_id FROM infodata i WHERE ${condition.sql} AND i.user_id = ?`,
+    [...condition.params, userId]
+  );
+  return rows;
+}
+
+// Expenses and income, newest first
+async function listAll(db, userId) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS} FROM infodata WHERE user_id = ? ORDER BY date DESC, id DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+async function listIncome(db, userId, { limit } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS}
+     FROM infodata
+     WHERE user_id = ? AND type = 'income'
+     ORDER BY date DESC, id DESC${limit ? " LIMIT ?" : ""}`,
+    limit ? [userId, limit] : [userId]
+  );
+  return rows;
+}
+
+async function findIncomeById(db, id, userId) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS} FROM infodata WHERE id = ? AND user_id = ? AND type = 'income'`,
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+// Expenses and refunds filed under the Uncategorized category (its id given) that category rules may
+// still sort: split items are left out since their lines carry the categories. Pass
+// { forUpdate: true } inside a transaction to lock them.
+async function listUncategorized(db, userId, uncategorizedId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS}
+     FROM infodata i
+     WHERE i.user_id = ? AND i.category_id = ? AND i.type IN ('expense', 'refund') AND i.value IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = i.id)
+     ORDER BY i.date DESC, i.id DESC${forUpdate ? " FOR UPDATE" : ""}`,
+    [userId, uncategorizedId]
+  );
+  return rows;
+}
+
+// Rows dated from fromDate to toDate (YYYY-MM-DD, both inclusive), used to spot duplicates of imported
+// statement lines
+async function listBetween(db, userId, fromDate, toDate) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS} FROM infodata WHERE user_id = ? AND date >= ? AND date < ? AND value IS NOT NULL`,
+    [userId, fromDate, dayAfter(toDate)]
+  );
+  return rows;
+}
+
+async function listByImportBatch(db, userId, batchId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS} FROM infodata WHERE user_id = ? AND import_batch_id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [userId, batchId]
+  );
+  return rows;
+}
+
+// Returns the new row's id. category_id is the id of the category labelled `section` (null for Income
+// and transfers); type defaults to expense. refund_of links a refund to the expense it pays back.
+async function create(db, userId, {
+  title, value, currency, date, type = "expense", section, category_id, payment_mode, notes, account_id,
+  recurring_rule_id, import_batch_id, refund_of, reimbursable = false
+}) {
+  const [result] = await db.query(
+    `INSERT INTO infodata (title, value, currency, date, type, section, category_id, payment_mode, notes, account_id,
+        recurring_rule_id, import_batch_id, refund_of, reimbursable, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [title, value, currency || null, date, type, section, category_id || null, payment_mode, notes, account_id || null,
+      recurring_rule_id || null, import_batch_id || null, refund_of || null, reimbursable ? 1 : 0, userId]
+  );
+  return result.insertId;
+}
+
+async function update(db, id, userId, { title, value, currency, date, type, section, category_id, payment_mode, notes, account_id, reimbursable }) {
+  const [result] = await db.query(
+    `UPDATE infodata SET title = ?, value = ?, currency = ?, date = ?, type = ?, section = ?, category_id = ?, payment_mode = ?, notes = ?, account_id = ?, reimbursable = ?
+     WHERE id = ? AND user_id = ?`,
+    [title, value, currency || null, date, type, section, category_id || null, payment_mode, notes, account_id || null, reimbursable ? 1 : 0, id, userId]
+  );
+  return result.affectedRows;
+}
+
+// An expense's linked refunds are deleted with it (the foreign key does this on MySQL, not SQLite);
+// read them with listRefunds first to reverse their effect on the balance
+async function remove(db, id, userId) {
+  const [result] = await db.query("DELETE FROM infodata WHERE user_id = ? AND (id = ? OR refund_of = ?)", [userId, id, id]);
+  return result.affectedRows;
+}
+
+// Refunds linked to any of the given expenses, oldest first
+async function listRefunds(db, userId, transactionIds) {
+  if (transactionIds.length === 0) return [];
+  const [rows] = await db.query(
+    `SELECT ${TRANSACTION_COLUMNS} FROM infodata
+     WHERE user_id = ? AND refund_of IN (${transactionIds.map(() => "?").join(", ")})
+     ORDER BY date ASC, id ASC`,
+    [userId, ...transactionIds]
+  );
+  return rows;
+}
+
+// How much of an expense its linked refunds pay back, in minor units (refunds share the expense's
+// currency). excludeId leaves out a refund being edited.
+async function sumRefunds(db, userId, transactionId, { excludeId = null } = {}) {
+  const [rows] = await db.query(
+    `SELECT SUM(value) AS total FROM infodata WHERE user_id = ? AND refund_of = ?${excludeId ? " AND id != ?" : ""}`,
+    excludeId ? [userId, transactionId, excludeId] : [userId, transactionId]
+  );
+  return toMinor(rows[0].total);
+}
+
+// Reimbursable expenses not yet paid back in full, oldest first, each with the total of its linked
+// refunds as `refunded`
+async function listOutstandingReimbursements(db, userId) {
+  const [rows] = await db.query(
+    `SELECT i.id, i.title, i.value, i.currency, i.date, i.type, i.section, i.category_id, i.payment_mode, i.notes, i.account_id,
+        i.refund_of, i.reimbursable, COALESCE(r.refunded, 0) AS refunded
+     FROM infodata i
+     LEFT JOIN (
+        SELECT refund_of, SUM(value) AS refunded FROM infodata
+        WHERE user_id = ? AND refund_of IS NOT NULL
+        GROUP BY refund_of
+     ) r ON r.refund_of = i.id
+     WHERE i.user_id = ? AND i.type = 'expense' AND i.reimbursable = 1 AND COALESCE(r.refunded, 0) < i.value
+     ORDER BY i.date ASC, i.id ASC`,
+    [userId, userId]
+  );
+  return rows;
+}
+
+async function setSection(db, id, userId, section, categoryId) {
+  const [result] = await db.query(
+    "UPDATE infodata SET section = ?, category_id = ? WHERE id = ? AND user_id = ?",
+    [section, categoryId || null, id, userId]
+  );
+  return result.affectedRows;
+}
+
+// Refiles every item of one category under another, labelled `label` (a merge); pass the same id twice
+// to bring the stored label in line after a rename
+async function moveCategory(db, userId, fromCategoryId, toCategoryId, label) {
+  const [result] = await db.query(
+    "UPDATE infodata SET section = ?, category_id = ? WHERE user_id = ? AND category_id = ?",
+    [label, toCategoryId, userId, fromCategoryId]
+  );
+  return result.affectedRows;
+}
+
+// How many items are filed under the category themselves (what removeByCategory deletes)
+async function countByCategory(db, userId, categoryId) {
+  const [rows] = await db.query("SELECT COUNT(*) AS total FROM infodata WHERE user_id = ? AND category_id = ?", [userId, categoryId]);
+  return Number(rows[0].total) || 0;
+}
+
+// Linked refunds share their expense's category, so they go with it
+async function removeByCategory(db, userId, categoryId) {
+  const [result] = await db.query("DELETE FROM infodata WHERE user_id = ? AND category_id = ?", [userId, categoryId]);
+  return result.affectedRows;
+}
+
+// Pins items without a currency to `currency`; run before the owner's base currency changes
+async function pinCurrency(db, userId, currency) {
+  const [result] = await db.query("UPDATE infodata SET currency = ? WHERE user_id = ? AND currency IS NULL", [currency, userId]);
+  return result.affectedRows;
+}
+
+// The batch's items and the refunds linked to them (the derived table lets MySQL read the table it deletes from)
+async function removeByImportBatch(db, userId, batchId) {
+  const [result] = await db.query(
+    `DELETE FROM infodata
+     WHERE user_id = ? AND (import_batch_id = ? OR refund_of IN (
+        SELECT batch.id FROM (SELECT id FROM infodata WHERE user_id = ? AND import_batch_id = ?) batch
+     ))`,
+    [userId, batchId, userId, batchId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  INCOME_SECTION,
+  UNCATEGORIZED_SECTION,
+  expenseSql,
+  incomeSql,
+  balanceEffectSql,
+  balanceEffect,
+  SEARCH_SORTS,
+  list,
+  listByIds,
+  listByCursor,
+  search,
+  countSearch,
+  listSearchCandidates,
+  listPage,
+  count,
+  summarize,
+  summarizeByCategory,
+  sumExpensesByPeriod,
+  sumBalanceEffectSince,
+  sumTotalsByMonth,
+  sumTotalsByDay,
+  sumTotalsBetween,
+  sumByCategory,
+  findById,
+  listByCategory,
+  listAll,
+  listIncome,
+  findIncomeById,
+  listUncategorized,
+  listBetween,
+  listByImportBatch,
+  create,
+  update,
+  setSection,
+  moveCategory,
+  remove,
+  listRefunds,
+  sumRefunds,
+  listOutstandingReimbursements,
+  countByCategory,
+  removeByCategory,
+  pinCurrency,
+  removeByImportBatch
+};
@@ -0,0 +1,71 @@
+// repositories/transactionSplitRepository.js
+// Data access for transaction_splits, the category lines of a split infodata row. A line references its
+// category by id and carries its label as `section`, like the item does.
+// Ownership goes through the parent row, so every read joins infodata on the user.
+
+// Split lines of the given items keyed by item id; items without splits are absent
+async function listForTransactions(db, userId, transactionIds) {
+  const byTransaction = new Map();
+  if (transactionIds.length === 0) return byTransaction;
+
+  const [rows] = await db.query(
+    `SELECT s.id, s.transaction_id, s.section, s.category_id, s.value, s.notes
+     FROM transaction_splits s
+     JOIN infodata i ON i.id = s.transaction_id
+     WHERE i.user_id = ? AND s.transaction_id IN (${transactionIds.map(() => "?").join(", ")})
+     ORDER BY s.transaction_id ASC, s.id ASC`,
+    [userId, ...transactionIds]
+  );
+  for (const row of rows) {
+    if (!byTransaction.has(row.transaction_id)) byTransaction.set(row.transaction_id, []);
+    byTransaction.get(row.transaction_id).push(row);
+  }
+  return byTransaction;
+}
+
+async function listForTransaction(db, userId, transactionId) {
+  return (await listForTransactions(db, userId, [transactionId])).get(Number(transactionId)) || [];
+}
+
+// Replaces the item's split lines ([] removes them); each line gives its section and category_id. The
+// caller has checked the item belongs to the user.
+async function replaceForTransaction(db, transactionId, splits) {
+  await db.query("DELETE FROM transaction_splits WHERE transaction_id = ?", [transactionId]);
+  for (const split of splits) {
+    await db.query(
+      "INSERT INTO transaction_splits (transaction_id, section, category_id, value, notes) VALUES (?, ?, ?, ?, ?)",
+      [transactionId, split.section, split.category_id, split.value, split.notes || null]
+    );
+  }
+}
+
+// Moves the user's split lines from one category to another, labelled `label` (a merge); pass the same
+// id twice to bring the stored label in line after a rename
+async function moveCategory(db, userId, fromCategoryId, toCategoryId, label) {
+  const [result] = await db.query(
+    `UPDATE transaction_splits SET section = ?, category_id = ?
+     WHERE category_id = ? AND transaction_id IN (SELECT i.id FROM infodata i WHERE i.user_id = ?)`,
+    [label, toCategoryId, fromCategoryId, userId]
+  );
+  return result.affectedRows;
+}
+
+// How many of the user's split lines are filed under the category
+async function countForCategory(db, userId, categoryId) {
+  const [rows] = await db.query(
+    `SELECT COUNT(*) AS total
+     FROM transaction_splits s
+     JOIN infodata i ON i.id = s.transaction_id
+     WHERE i.user_id = ? AND s.category_id = ?`,
+    [userId, categoryId]
+  );
+  return Number(rows[0].total) || 0;
+}
+
+module.exports = {
+  listForTransactions,
+  listForTransaction,
+  replaceForTransaction,
+  moveCategory,
+  countForCategory
+};
@@ -0,0 +1,58 @@
+// repositories/transferRepository.js
+// Data access for transfers between two accounts of the same user.
+
+async function list(db, userId, { accountId } = {}) {
+  let query = `
+    SELECT t.id, t.from_account_id, f.name AS from_account_name,
+           t.to_account_id, d.name AS to_account_name,
+           t.amount, t.date, t.notes
+    FROM transfers t
+    JOIN accounts f ON f.id = t.from_account_id
+    JOIN accounts d ON d.id = t.to_account_id
+    WHERE t.user_id = ?`;
+  const params = [userId];
+
+  if (accountId) {
+    query += " AND (t.from_account_id = ? OR t.to_account_id = ?)";
+    params.push(accountId, accountId);
+  }
+
+  const [rows] = await db.query(`${query} ORDER BY t.date DESC, t.id DESC`, params);
+  return rows;
+}
+
+async function findById(db, transferId, userId) {
+  const [rows] = await db.query(
+    "SELECT id, from_account_id, to_account_id, amount, date, notes FROM transfers WHERE id = ? AND user_id = ?",
+    [transferId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Returns the new transfer's id
+async function create(db, userId, { from_account_id, to_account_id, amount, date, notes }) {
+  const [result] = await db.query(
+    `INSERT INTO transfers (user_id, from_account_id, to_account_id, amount, date, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, from_account_id, to_account_id, amount, date, notes || null]
+  );
+  return result.insertId;
+}
+
+async function remove(db, transferId, userId) {
+  const [result] = await db.query("DELETE FROM transfers WHERE id = ? AND user_id = ?", [transferId, userId]);
+  return result.affectedRows;
+}
+
+// Multiplies every transfer amount of the user by `factor` (base currency change)
+async function scaleAmounts(db, userId, factor) {
+  await db.query("UPDATE transfers SET amount = ROUND(amount * ?, 2) WHERE user_id = ?", [factor, userId]);
+}
+
+module.exports = {
+  list,
+  findById,
+  create,
+  remove,
+  scaleAmounts
+};
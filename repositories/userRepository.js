@@ -0,0 +1,116 @@
+// repositories/userRepository.js
+// Data access for the users table. Every function takes the database (or a
+// checked-out connection when it has to run inside a transaction) first.
+const { toMinor, fromMinor, formatMinor } = require("../utils/money");
+
+const PROFILE_COLUMNS = "id, first_name, last_name, email, phone_number, profile_photo, base_currency";
+const UPDATABLE_FIELDS = ["first_name", "last_name", "phone_number", "email", "profile_photo"];
+
+async function findById(db, userId) {
+  const [rows] = await db.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [userId]);
+  return rows[0] || null;
+}
+
+// Includes the password hash; never send the result to the client as-is
+async function findByEmail(db, email) {
+  const [rows] = await db.query("SELECT * FROM users WHERE email = ?", [email]);
+  return rows[0] || null;
+}
+
+async function findByPhoneNumber(db, phoneNumber) {
+  const [rows] = await db.query("SELECT id FROM users WHERE phone_number = ?", [phoneNumber]);
+  return rows[0] || null;
+}
+
+async function findByGoogleId(db, googleId) {
+  const [rows] = await db.query("SELECT * FROM users WHERE google_id = ?", [googleId]);
+  return rows[0] || null;
+}
+
+async function findByRefreshToken(db, userId, refreshToken) {
+  const [rows] = await db.query("SELECT * FROM users WHERE id = ? AND refresh_token = ?", [userId, refreshToken]);
+  return rows[0] || null;
+}
+
+async function isEmailTaken(db, email, exceptUserId) {
+  const [rows] = await db.query("SELECT id FROM users WHERE email = ? AND id != ?", [email, exceptUserId]);
+  return rows.length > 0;
+}
+
+async function isPhoneNumberTaken(db, phoneNumber, exceptUserId) {
+  const [rows] = await db.query("SELECT id FROM users WHERE phone_number = ? AND id != ?", [phoneNumber, exceptUserId]);
+  return rows.length > 0;
+}
+
+// Returns the new user's id
+async function create(db, { first_name, last_name, email, phone_number, password, profile_photo, google_id }) {
+  const [result] = await db.query(
+    `INSERT INTO users (first_name, last_name, email, phone_number, password, profile_photo, google_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [first_name, last_name, email, phone_number || null, password || null, profile_photo || null, google_id || null]
+  );
+  return result.insertId;
+}
+
+// Only fields present in `fields` are written; returns the number of affected rows
+async function update(db, userId, fields) {
+  const columns = UPDATABLE_FIELDS.filter(field => fields[field] !== undefined);
+  if (columns.length === 0) return 0;
+
+  const [result] = await db.query(
+    `UPDATE users SET ${columns.map(column => `${column} = ?`).join(", ")} WHERE id = ?`,
+    [...columns.map(column => fields[column]), userId]
+  );
+  return result.affectedRows;
+}
+
+async function setBaseCurrency(db, userId, currency) {
+  await db.query("UPDATE users SET base_currency = ? WHERE id = ?", [currency, userId]);
+}
+
+async function setRefreshToken(db, userId, refreshToken) {
+  await db.query("UPDATE users SET refresh_token = ? WHERE id = ?", [refreshToken, userId]);
+}
+
+// Returns the raw balance or null when the user does not exist.
+// Pass { forUpdate: true } inside a transaction to lock the row until commit.
+async function getBalance(db, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT balance FROM users WHERE id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [userId]
+  );
+  return rows.length > 0 ? rows[0].balance : null;
+}
+
+// `balanceMinor` is in minor units (see utils/money.js)
+async function setBalance(db, userId, balanceMinor) {
+  await db.query("UPDATE users SET balance = ? WHERE id = ?", [formatMinor(balanceMinor), userId]);
+}
+
+// Locks the user's row, applies `delta` (minor units) and returns the new balance as a number
+// (null when the user does not exist). Must run on a connection inside a transaction.
+async function adjustBalance(db, userId, delta) {
+  const storedBalance = await getBalance(db, userId, { forUpdate: true });
+  if (storedBalance === null) return null;
+
+  const newBalance = toMinor(storedBalance) + delta;
+  await setBalance(db, userId, newBalance);
+  return fromMinor(newBalance);
+}
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByPhoneNumber,
+  findByGoogleId,
+  findByRefreshToken,
+  isEmailTaken,
+  isPhoneNumberTaken,
+  create,
+  update,
+  setBaseCurrency,
+  setRefreshToken,
+  getBalance,
+  setBalance,
+  adjustBalance
+};
@@ -0,0 +1,242 @@
+// routes/accountRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Accounts = require("../repositories/accountRepository");
+const Transfers = require("../repositories/transferRepository");
+const ImportBatches = require("../repositories/importBatchRepository");
+const { isValidDateString } = require("../utils/recurrence");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+
+const formatAccount = (row) => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    opening_balance: fromMinor(toMinor(row.opening_balance)),
+    balance: fromMinor(toMinor(row.balance))
+});
+
+const formatTransfer = (row) => ({
+    ...row,
+    amount: fromMinor(toMinor(row.amount))
+});
+
+// GET /accounts - List the user's accounts with their current balances
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!userId) {
+        console.error("Error: userId is undefined in /accounts GET route.");
+        return res.status(401).json({ error: "User ID not found in token payload." });
+    }
+
+    try {
+        const accounts = await Accounts.listWithBalances(db, userId);
+        res.json(accounts.map(formatAccount));
+    } catch (err) {
+        console.error("Error fetching accounts:", err);
+        res.status(500).json({ error: "Failed to fetch accounts.", details: err.message });
+    }
+});
+
+// POST /accounts - Create an account with an optional opening balance
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { name, type, opening_balance } = req.body;
+
+    if (!name || !type) {
+        return res.status(400).json({ error: "Account name and type are required." });
+    }
+    if (!Accounts.ACCOUNT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Account type must be one of: ${Accounts.ACCOUNT_TYPES.join(", ")}.` });
+    }
+
+    // Credit cards and overdrawn accounts may open below zero
+    const openingBalance = opening_balance !== undefined ? parseAmount(opening_balance, { allowNegative: true }) : 0;
+    if (openingBalance === null) {
+        return res.status(400).json({ error: `Opening balance must be ${amountRule()}.` });
+    }
+
+    try {
+        const accountId = await Accounts.create(db, userId, { name, type, opening_balance: formatMinor(openingBalance) });
+        const account = await Accounts.findById(db, accountId, userId);
+
+        console.log(`Backend: Created ${type} account '${name}' for user ${userId}.`);
+        res.status(201).json({ message: "Account created successfully!", account: formatAccount(account) });
+    } catch (err) {
+        console.error("Error creating account:", err);
+        res.status(500).json({ error: "Failed to create account.", details: err.message });
+    }
+});
+
+// GET /accounts/transfers - List transfers, optionally only those touching ?accountId=
+router.get("/transfers", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const transfers = await Transfers.list(db, userId, { accountId: req.query.accountId });
+        res.json(transfers.map(formatTransfer));
+    } catch (err) {
+        console.error("Error fetching transfers:", err);
+        res.status(500).json({ error: "Failed to fetch transfers.", details: err.message });
+    }
+});
+
+// POST /accounts/transfers - Move money between two of the user's accounts.
+// Transfers change the two account balances only; they are neither income nor expense.
+router.post("/transfers", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { from_account_id, to_account_id, amount, date, notes } = req.body;
+
+    if (!from_account_id || !to_account_id || amount === undefined) {
+        return res.status(400).json({ error: "from_account_id, to_account_id and amount are required." });
+    }
+    if (String(from_account_id) === String(to_account_id)) {
+        return res.status(400).json({ error: "Cannot transfer to the same account." });
+    }
+
+    const amountMinor = parseAmount(amount);
+    if (amountMinor === null || amountMinor === 0) {
+        return res.status(400).json({ error: `Invalid amount. Must be a positive number: ${amountRule()}.` });
+    }
+    if (date !== undefined && date !== null && !isValidDateString(date)) {
+        return res.status(400).json({ error: "date must be a valid YYYY-MM-DD date." });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const fromAccount = await Accounts.findById(connection, from_account_id, userId, { forUpdate: true });
+        const toAccount = await Accounts.findById(connection, to_account_id, userId, { forUpdate: true });
+        if (!fromAccount || !toAccount) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Account not found." });
+        }
+
+        const transferId = await Transfers.create(connection, userId, {
+            from_account_id,
+            to_account_id,
+            amount: formatMinor(amountMinor),
+            date: date || new Date(),
+            notes
+        });
+
+        const accounts = [
+            await Accounts.findById(connection, from_account_id, userId),
+            await Accounts.findById(connection, to_account_id, userId)
+        ];
+
+        await connection.commit();
+        console.log(`Backend: Transferred ${formatMinor(amountMinor)} from account ${from_account_id} to ${to_account_id} for user ${userId}.`);
+        res.status(201).json({
+            message: "Transfer completed successfully!",
+            transferId,
+            accounts: accounts.map(formatAccount)
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error creating transfer:", err);
+        res.status(500).json({ error: "Failed to create transfer.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE /accounts/transfers/:id - Undo a transfer
+router.delete("/transfers/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await Transfers.remove(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Transfer not found." });
+        }
+        res.json({ message: "Transfer deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting transfer:", err);
+        res.status(500).json({ error: "Failed to delete transfer.", details: err.message });
+    }
+});
+
+// PUT /accounts/:id - Rename an account or change its type/opening balance
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { name, type, opening_balance } = req.body;
+
+    if (type !== undefined && !Accounts.ACCOUNT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Account type must be one of: ${Accounts.ACCOUNT_TYPES.join(", ")}.` });
+    }
+
+    const openingBalance = opening_balance !== undefined ? parseAmount(opening_balance, { allowNegative: true }) : undefined;
+    if (openingBalance === null) {
+        return res.status(400).json({ error: `Opening balance must be ${amountRule()}.` });
+    }
+
+    try {
+        const existing = await Accounts.findById(db, req.params.id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: "Account not found." });
+        }
+
+        const affectedRows = await Accounts.update(db, req.params.id, userId, {
+            name, type, opening_balance: openingBalance === undefined ? undefined : formatMinor(openingBalance)
+        });
+        if (affectedRows === 0) {
+            return res.status(400).json({ error: "No fields to update" });
+        }
+
+        const account = await Accounts.findById(db, req.params.id, userId);
+        res.json({ message: "Account updated successfully", account: formatAccount(account) });
+    } catch (err) {
+        console.error("Error updating account:", err);
+        res.status(500).json({ error: "Failed to update account.", details: err.message });
+    }
+});
+
+// DELETE /accounts/:id - Only accounts without transactions, transfers or recurring rules can be
+// deleted. Import batches keep their history without the account.
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const account = await Accounts.findById(connection, req.params.id, userId, { forUpdate: true });
+        if (!account) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Account not found." });
+        }
+
+        const usage = await Accounts.countUsage(connection, account.id);
+        if (usage.transactions > 0 || usage.transfers > 0 || usage.recurring_rules > 0) {
+            await connection.rollback();
+            return res.status(409).json({
+                error: "Account is still in use. Move or delete its transactions, transfers and recurring rules first.",
+                transactions: usage.transactions,
+                transfers: usage.transfers,
+                recurringRules: usage.recurring_rules
+            });
+        }
+
+        await ImportBatches.clearAccount(connection, userId, account.id);
+        await Accounts.remove(connection, account.id, userId);
+        await connection.commit();
+        res.json({ message: "Account deleted successfully." });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error deleting account:", err);
+        res.status(500).json({ error: "Failed to delete account.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
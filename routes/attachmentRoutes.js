@@ -0,0 +1,196 @@
+// routes/attachmentRoutes.js
+// Receipt images and PDFs attached to an item, mounted at /items/:id/attachments. Files are kept
+// out of the public /uploads mount and only streamed to the item's owner; they are deleted with
+// the attachment or the item, and can be scanned with the local OCR engine to prefill the item.
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // Exposes :id from the mount path
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const { createUpload } = require("../middleware/upload");
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Transactions = require("../repositories/transactionRepository");
+const Attachments = require("../repositories/attachmentRepository");
+const {
+    ATTACHMENT_EXTENSIONS, isAllowedFile, filePath, saveFile, removeFiles, formatAttachment
+} = require("../services/attachments");
+const { RECEIPT_DATE_FORMATS, scanReceipt } = require("../services/receiptOcr");
+const { getBaseCurrency } = require("../services/currency");
+
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_ITEM = 10;
+
+// Held in memory so the content can be checked before anything is written to disk
+const upload = createUpload({
+    extensions: ATTACHMENT_EXTENSIONS,
+    errorMessage: `Only ${ATTACHMENT_EXTENSIONS.join(", ").toUpperCase()} files are allowed!`,
+    inMemory: true
+});
+
+// Runs multer inline so that a rejected file becomes a JSON 400 response
+const uploadReceipts = (req, res, next) => {
+    upload.array("files", MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+        if (err) return res.status(400).json({ error: "File upload error", details: err.message });
+        next();
+    });
+};
+
+// GET /items/:id/attachments - The item's attachments (metadata only)
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const item = await Transactions.findById(db, req.params.id, userId);
+        if (!item) {
+            return res.status(404).json({ error: "Item not found." });
+        }
+
+        const attachments = await Attachments.listForTransaction(db, userId, item.id);
+        res.json({ attachments: attachments.map(formatAttachment) });
+    } catch (err) {
+        console.error("Error fetching attachments:", err);
+        res.status(500).json({ error: "Failed to fetch attachments.", details: err.message });
+    }
+});
+
+// POST /items/:id/attachments - multipart with one or more `files` (JPG, PNG, GIF, WEBP or PDF)
+router.post("/", verifyToken, uploadReceipts, async (req, res) => {
+    const userId = req.user.userId;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        return res.status(400).json({ error: "At least one file is required." });
+    }
+    const mismatched = files.find(file => !isAllowedFile(file));
+    if (mismatched) {
+        return res.status(400).json({ error: `${mismatched.originalname} is not a valid image or PDF file.` });
+    }
+
+    const saved = [];
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const item = await Transactions.findById(connection, req.params.id, userId, { forUpdate: true });
+        if (!item) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Item not found." });
+        }
+
+        const existing = await Attachments.listForTransaction(connection, userId, item.id);
+        if (existing.length + files.length > MAX_ATTACHMENTS_PER_ITEM) {
+            await connection.rollback();
+            return res.status(400).json({ error: `An item can have at most ${MAX_ATTACHMENTS_PER_ITEM} attachments.` });
+        }
+
+        const attachmentIds = [];
+        for (const file of files) {
+            const attachment = await saveFile(file);
+            saved.push(attachment.stored_name);
+            attachmentIds.push(await Attachments.create(connection, item.id, attachment));
+        }
+
+        await connection.commit();
+
+        const attachments = await Attachments.listForTransaction(connection, userId, item.id);
+        console.log(`Backend: Attached ${files.length} file(s) to item ${item.id} for user ${userId}.`);
+        res.status(201).json({
+            message: "Attachments uploaded successfully!",
+            attachments: attachments.filter(row => attachmentIds.includes(row.id)).map(formatAttachment)
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        await removeFiles(saved);
+        console.error("Error uploading attachments:", err);
+        res.status(500).json({ error: "Failed to upload attachments.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET /items/:id/attachments/:attachmentId - Streams the file (inline; ?download=true to save it)
+router.get("/:attachmentId", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let attachment;
+    try {
+        attachment = await Attachments.findById(db, req.params.attachmentId, req.params.id, userId);
+    } catch (err) {
+        console.error("Error fetching attachment:", err);
+        return res.status(500).json({ error: "Failed to fetch attachment.", details: err.message });
+    }
+    if (!attachment) {
+        return res.status(404).json({ error: "Attachment not found." });
+    }
+
+    const onError = (err) => {
+        if (!err) return;
+        console.error(`Error sending attachment ${attachment.id}:`, err);
+        if (!res.headersSent) res.status(404).json({ error: "Attachment file is missing." });
+    };
+
+    res.set({ "Cache-Control": "private, no-store", "X-Content-Type-Options": "nosniff" });
+    if (req.query.download === "true") {
+        return res.download(filePath(attachment.stored_name), attachment.original_name, onError);
+    }
+    res.type(attachment.mime_type);
+    res.sendFile(filePath(attachment.stored_name), onError);
+});
+
+// POST /items/:id/attachments/:attachmentId/scan - Reads a stored receipt with the local OCR engine
+// and returns { draft, fields, text } like POST /items/receipts/scan (?dateFormat= works the same).
+// The item is not changed; the client applies the draft with PUT /items/:id.
+router.post("/:attachmentId/scan", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const dateFormat = req.query.dateFormat || RECEIPT_DATE_FORMATS[0];
+
+    if (!RECEIPT_DATE_FORMATS.includes(dateFormat)) {
+        return res.status(400).json({ error: `dateFormat must be one of ${RECEIPT_DATE_FORMATS.join(", ")}.` });
+    }
+
+    try {
+        const attachment = await Attachments.findById(db, req.params.attachmentId, req.params.id, userId);
+        if (!attachment) {
+            return res.status(404).json({ error: "Attachment not found." });
+        }
+
+        const baseCurrency = await getBaseCurrency(db, userId);
+        const result = await scanReceipt(
+            { filePath: filePath(attachment.stored_name), mimeType: attachment.mime_type },
+            { dateFormat, baseCurrency }
+        );
+
+        console.log(`Backend: Scanned attachment ${attachment.id} of item ${attachment.transaction_id} for user ${userId}.`);
+        res.json(result);
+    } catch (err) {
+        if (err.code === "OCR_UNAVAILABLE") {
+            return res.status(503).json({ error: "Receipt scanning is not available on this server.", details: err.message });
+        }
+        console.error("Error scanning attachment:", err);
+        res.status(500).json({ error: "Failed to scan attachment.", details: err.message });
+    }
+});
+
+// DELETE /items/:id/attachments/:attachmentId
+router.delete("/:attachmentId", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const attachment = await Attachments.findById(db, req.params.attachmentId, req.params.id, userId);
+        if (!attachment) {
+            return res.status(404).json({ error: "Attachment not found." });
+        }
+
+        await Attachments.remove(db, attachment.id, attachment.transaction_id);
+        await removeFiles([attachment.stored_name]);
+
+        console.log(`Backend: Deleted attachment ${attachment.id} of item ${attachment.transaction_id} for user ${userId}.`);
+        res.json({ message: "Attachment deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting attachment:", err);
+        res.status(500).json({ error: "Failed to delete attachment.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -7,7 +7,9 @@ const fs = require("fs");
 const multer = require("multer"); // Import multer
 const path = require("path");
 
-const { pool } = require("../db"); // Import pool from db.js
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Users = require("../repositories/userRepository");
+const { seedDefaultCategories } = require("../services/categories");
 const { SECRET_KEY, REFRESH_KEY, BASE_URL } = require("../config"); // Import keys and BASE_URL
 
 // Multer configuration (copy from index.js)
@@ -78,37 +80,29 @@ router.post("/signup", (req, res) => {
       }
 
       // Check for duplicate phone number
-      const [phoneResults] = await pool.promise().query(
-        "SELECT phone_number FROM users WHERE phone_number = ?", 
-        [phone_number]
-      );
-      if (phoneResults.length > 0) {
+      if (await Users.findByPhoneNumber(db, phone_number)) {
         if (req.file) fs.unlinkSync(req.file.path);
         return res.status(400).json({ error: "Phone number already registered" });
       }
 
       // Check for duplicate email
-      const [emailResults] = await pool.promise().query(
-        "SELECT email FROM users WHERE email = ?", 
-        [email]
-      );
-      if (emailResults.length > 0) {
+      if (await Users.findByEmail(db, email)) {
         if (req.file) fs.unlinkSync(req.file.path);
         return res.status(400).json({ error: "Email already registered" });
       }
 
       // Hash password and create user
       const hashedPassword = await bcrypt.hash(password, 10);
-      const [result] = await pool.promise().query(
-        "INSERT INTO users (first_name, last_name, email, phone_number, password, profile_photo) VALUES (?, ?, ?, ?, ?, ?)",
-        [first_name, last_name, email, phone_number, hashedPassword, profile_photo]
-      );
+      const userId = await Users.create(db, {
+        first_name, last_name, email, phone_number, password: hashedPassword, profile_photo
+      });
+      await seedDefaultCategories(db, userId);
 
       // Return success response
       res.json({ 
         message: "User registered successfully", 
         user: { 
-          id: result.insertId, 
+          id: userId, 
           first_name, 
           last_name, 
           email, 
@@ -137,17 +131,16 @@ router.post("/login", async (req, res) => {
   if (!email || !password) return res.status(400).json({ error: "Email and password are required" });
 
   try {
-    const [results] = await pool.promise().query("SELECT * FROM users WHERE email = ?", [email]);
-    if (results.length === 0) return res.status(401).json({ error: "Invalid email or password" });
+    const user = await Users.findByEmail(db, email);
+    if (!user) return res.status(401).json({ error: "Invalid email or password" });
 
-    const user = results[0];
     const isMatch = await bcrypt.compare(password.trim(), user.password); // Trim password here too
     if (!isMatch) return res.status(401).json({ error: "Invalid email or password" });
 
     const token = jwt.sign({ userId: user.id, email: user.email }, SECRET_KEY, { expiresIn: '365d' });
     const refreshToken = jwt.sign({ userId: user.id }, REFRESH_KEY, { expiresIn: '730d' });
 
-    await pool.promise().query("UPDATE users SET refresh_token = ? WHERE id = ?", [refreshToken, user.id]);
+    await Users.setRefreshToken(db, user.id, refreshToken);
 
     const safeUser = { id: user.id, first_name: user.first_name, last_name: user.last_name, email: user.email, phone_number: user.phone_number, profile_photo: user.profile_photo };
     res.json({ message: "Login successful", token, refreshToken, user: safeUser });
@@ -164,12 +157,9 @@ router.post("/refresh-token", async (req, res) => {
 
   try {
     const decoded = jwt.verify(refreshToken, REFRESH_KEY);
-    const [users] = await pool.promise().query(
-      "SELECT * FROM users WHERE id = ? AND refresh_token = ?", [decoded.userId, refreshToken]
-    );
-    if (users.length === 0) return res.status(401).json({ error: "Invalid refresh token" });
+    const user = await Users.findByRefreshToken(db, decoded.userId, refreshToken);
+    if (!user) return res.status(401).json({ error: "Invalid refresh token" });
 
-    const user = users[0];
     const newToken = jwt.sign({ userId: user.id, email: user.email }, SECRET_KEY, { expiresIn: '365d' });
     res.json({ token: newToken });
   } catch (error) {
@@ -179,26 +169,30 @@ router.post("/refresh-token", async (req, res) => {
 });
 
 // Placeholder for Google OAuth Login
-router.post("/auth/google", (req, res) => {
+router.post("/auth/google", async (req, res) => {
   const { google_id, first_name, last_name, email, profile_photo } = req.body;
   if (!google_id || !email) return res.status(400).json({ error: "Google authentication failed" });
 
-  pool.query("SELECT * FROM users WHERE google_id = ?", [google_id], (err, results) => {
-    if (err) return res.status(500).json({ error: "Database error" });
-
-    if (results.length > 0) {
-      const token = jwt.sign({ userId: results[0].id }, SECRET_KEY, { expiresIn: "1h" });
-      return res.json({ message: "Login successful", token });
-    }
+  let existingUser;
+  try {
+    existingUser = await Users.findByGoogleId(db, google_id);
+  } catch (err) {
+    return res.status(500).json({ error: "Database error" });
+  }
 
-    const query = "INSERT INTO users (google_id, first_name, last_name, email, profile_photo) VALUES (?, ?, ?, ?, ?)";
-    pool.query(query, [google_id, first_name, last_name, email, profile_photo], (err, results) => {
-      if (err) return res.status(500).json({ error: "Signup failed" });
+  if (existingUser) {
+    const token = jwt.sign({ userId: existingUser.id }, SECRET_KEY, { expiresIn: "1h" });
+    return res.json({ message: "Login successful", token });
+  }
 
-      const token = jwt.sign({ userId: results.insertId }, SECRET_KEY, { expiresIn: "1h" });
-      res.json({ message: "User registered successfully", token });
-    });
-  });
+  try {
+    const userId = await Users.create(db, { google_id, first_name, last_name, email, profile_photo });
+    await seedDefaultCategories(db, userId);
+    const token = jwt.sign({ userId }, SECRET_KEY, { expiresIn: "1h" });
+    res.json({ message: "User registered successfully", token });
+  } catch (err) {
+    res.status(500).json({ error: "Signup failed" });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,179 @@
+// routes/budgetRoutes.js
+// Mounted at /items/budgets (before the /items router so "/budgets" is never taken for an item id)
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Budgets = require("../repositories/budgetRepository");
+const Transactions = require("../repositories/transactionRepository");
+const { getBudgetStatus, formatBudget } = require("../services/budgetStatus");
+const { resolveCategoryId, categoryFilter } = require("../services/categories");
+const { BUDGET_PERIODS } = require("../utils/budgetPeriods");
+const { toStoredThresholds } = require("../utils/budgetThresholds");
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+const { formatMinor, parseAmount, amountRule } = require("../utils/money");
+
+// GET /items/budgets - List the user's budgets
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!userId) {
+        console.error("Error: userId is undefined in /items/budgets GET route.");
+        return res.status(401).json({ error: "User ID not found in token payload." });
+    }
+
+    try {
+        const budgets = await Budgets.list(db, userId);
+        res.json(budgets.map(formatBudget));
+    } catch (err) {
+        console.error("Error fetching budgets:", err);
+        res.status(500).json({ error: "Failed to fetch budgets.", details: err.message });
+    }
+});
+
+// GET /items/budgets/status - Spent, remaining and percent used per budget for the current period
+// (or the period containing ?date=YYYY-MM-DD), optionally only for ?category=
+router.get("/status", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { date, category } = req.query;
+
+    if (date && !isValidDateString(date)) {
+        return res.status(400).json({ error: "Date format must be YYYY-MM-DD." });
+    }
+
+    try {
+        const categoryIds = await categoryFilter(db, userId, category);
+        const budgets = categoryIds
+            ? await Budgets.listForCategory(db, userId, categoryIds.filter(id => id !== null))
+            : await Budgets.list(db, userId);
+
+        const statuses = [];
+        for (const budget of budgets) {
+            statuses.push(await getBudgetStatus(db, userId, budget, date || new Date()));
+        }
+
+        console.log(`Backend: Fetched status of ${statuses.length} budgets for user ${userId}.`);
+        res.json(statuses);
+    } catch (err) {
+        console.error("Error fetching budget status:", err);
+        res.status(500).json({ error: "Failed to fetch budget status.", details: err.message });
+    }
+});
+
+// POST /items/budgets - Create a budget. Omit category for the overall budget.
+// Custom periods need start_date and end_date; monthly/weekly budgets start at start_date (default: today).
+// alert_thresholds (e.g. [80, 100]) overrides the default usage percentages that raise a notification.
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { category, amount, period = "monthly", start_date, end_date, rollover, alert_thresholds } = req.body;
+
+    const amountMinor = parseAmount(amount);
+    if (amountMinor === null || amountMinor === 0) {
+        return res.status(400).json({ error: `Amount must be a positive number: ${amountRule()}.` });
+    }
+    if (!BUDGET_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `Period must be one of: ${BUDGET_PERIODS.join(", ")}.` });
+    }
+    if (start_date && !isValidDateString(start_date)) {
+        return res.status(400).json({ error: "start_date must be a valid YYYY-MM-DD date." });
+    }
+    if (period === "custom") {
+        if (!start_date || !end_date || !isValidDateString(end_date) || end_date < start_date) {
+            return res.status(400).json({ error: "Custom budgets need a start_date and an end_date on or after it." });
+        }
+    }
+    const storedThresholds = alert_thresholds === undefined ? null : toStoredThresholds(alert_thresholds);
+    if (storedThresholds === undefined) {
+        return res.status(400).json({ error: "alert_thresholds must be a list of positive whole percentages." });
+    }
+    if (category === Transactions.INCOME_SECTION) {
+        return res.status(400).json({ error: `'${Transactions.INCOME_SECTION}' is not a category; budgets cover categories or overall spending.` });
+    }
+
+    try {
+        const categoryId = category ? await resolveCategoryId(db, userId, category) : null;
+        if (await Budgets.findByCategory(db, userId, categoryId, period)) {
+            return res.status(409).json({ error: `A ${period} budget already exists for ${category || "overall spending"}.` });
+        }
+
+        const budgetId = await Budgets.create(db, userId, {
+            category: category || null,
+            category_id: categoryId,
+            amount: formatMinor(amountMinor),
+            period,
+            start_date: start_date || toDateString(new Date()),
+            end_date: period === "custom" ? end_date : null,
+            rollover: period !== "custom" && Boolean(rollover),
+            alert_thresholds: storedThresholds
+        });
+        const budget = await Budgets.findById(db, budgetId, userId);
+
+        console.log(`Backend: Created ${period} budget of ${formatMinor(amountMinor)} for '${category || "overall"}' for user ${userId}.`);
+        res.status(201).json({ message: "Budget created successfully!", budget: formatBudget(budget) });
+    } catch (err) {
+        console.error("Error creating budget:", err);
+        res.status(500).json({ error: "Failed to create budget.", details: err.message });
+    }
+});
+
+// PUT /items/budgets/:id - Change the amount, dates, rollover or alert thresholds of a budget
+// (alert_thresholds: null goes back to the defaults)
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { amount, start_date, end_date, rollover, alert_thresholds } = req.body;
+
+    const amountMinor = amount !== undefined ? parseAmount(amount) : undefined;
+    if (amountMinor === null || amountMinor === 0) {
+        return res.status(400).json({ error: `Amount must be a positive number: ${amountRule()}.` });
+    }
+    if ((start_date && !isValidDateString(start_date)) || (end_date && !isValidDateString(end_date))) {
+        return res.status(400).json({ error: "Dates must be valid YYYY-MM-DD dates." });
+    }
+    const storedThresholds = alert_thresholds === undefined ? undefined : toStoredThresholds(alert_thresholds);
+    if (alert_thresholds !== undefined && storedThresholds === undefined) {
+        return res.status(400).json({ error: "alert_thresholds must be a list of positive whole percentages." });
+    }
+
+    try {
+        const existing = await Budgets.findById(db, req.params.id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: "Budget not found." });
+        }
+
+        const affectedRows = await Budgets.update(db, existing.id, userId, {
+            amount: amountMinor === undefined ? undefined : formatMinor(amountMinor),
+            start_date,
+            end_date: existing.period === "custom" ? end_date : undefined,
+            rollover: rollover === undefined || existing.period === "custom" ? undefined : (rollover ? 1 : 0),
+            alert_thresholds: storedThresholds
+        });
+        if (affectedRows === 0) {
+            return res.status(400).json({ error: "No fields to update" });
+        }
+
+        const budget = await Budgets.findById(db, existing.id, userId);
+        res.json({ message: "Budget updated successfully", budget: formatBudget(budget) });
+    } catch (err) {
+        console.error("Error updating budget:", err);
+        res.status(500).json({ error: "Failed to update budget.", details: err.message });
+    }
+});
+
+// DELETE /items/budgets/:id
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await Budgets.remove(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Budget not found." });
+        }
+        res.json({ message: "Budget deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting budget:", err);
+        res.status(500).json({ error: "Failed to delete budget.", details: err.message });
+    }
+});
+
+module.exports = router;
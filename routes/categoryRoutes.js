@@ -0,0 +1,310 @@
+// routes/categoryRoutes.js
+// Categories, mounted at /items/categories. Every user starts with the default expense and income
+// categories (kind); items reference a category by id and show its label as `section`. A category can
+// sit under a top-level parent (parent_id). Renaming and merging rewrite the affected items, split
+// lines, budgets and rules in one transaction. Deleting takes an explicit mode (reassign, archive or cascade); archived
+// categories are hidden from the list until restored.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Categories = require("../repositories/categoryRepository");
+const {
+    parseCategory, validateParent, formatCategory, updateCategory, mergeCategories,
+    parseDeleteOptions, previewCategoryDeletion, deleteCategory
+} = require("../services/categories");
+const { evaluateBudgetAlerts } = require("../services/budgetAlerts");
+const { removeFiles } = require("../services/attachments");
+const { toMinor, fromMinor } = require("../utils/money");
+
+// GET /items/categories - Every category of the user (defaults first) with its monthly target and item
+// count; ?kind=expense or ?kind=income lists one kind. Archived categories are included with
+// ?includeArchived=true.
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { kind } = req.query;
+    const includeArchived = req.query.includeArchived === "true";
+
+    if (kind !== undefined && !Categories.CATEGORY_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${Categories.CATEGORY_KINDS.join(", ")}.` });
+    }
+
+    try {
+        const categories = await Categories.list(db, userId, { kind, includeArchived });
+        res.json(categories.map(row => ({
+            ...formatCategory(row),
+            target: fromMinor(toMinor(row.target)),
+            itemCount: Number(row.item_count) || 0
+        })));
+    } catch (err) {
+        console.error("Error fetching categories:", err);
+        res.status(500).json({ error: "Failed to fetch categories.", details: err.message });
+    }
+});
+
+// POST /items/categories - Body: label and optional kind (expense or income, expense by default),
+// iconName, iconColor, iconLibrary and parent_id (or parentId; a top-level category of the same kind to nest under)
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    const { category, error } = parseCategory(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const parentError = await validateParent(db, userId, null, category.parent_id, category.kind);
+        if (parentError) {
+            return res.status(400).json({ error: parentError });
+        }
+        if ((await Categories.findByLabels(db, userId, [category.label])).length > 0) {
+            return res.status(409).json({ error: `Category '${category.label}' already exists.` });
+        }
+
+        const categoryId = await Categories.create(db, userId, category);
+        const savedCategory = await Categories.findById(db, categoryId, userId);
+
+        console.log(`Backend: Created category '${category.label}' for user ${userId}.`);
+        res.status(201).json({ message: "Category added successfully!", category: formatCategory(savedCategory) });
+    } catch (err) {
+        console.error("Error creating category:", err);
+        res.status(500).json({ error: "Failed to create category.", details: err.message });
+    }
+});
+
+// PUT /items/categories/:id - Rename a category, change its icon or move it under another parent
+// (parent_id null makes it top-level). The new label shows on every item, split line, budget and rule
+// that references the category.
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const existing = await Categories.findById(connection, req.params.id, userId, { forUpdate: true });
+        if (!existing) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Category not found." });
+        }
+
+        const { category, error } = parseCategory(req.body, existing);
+        const parentError = error ? null : await validateParent(connection, userId, existing.id, category.parent_id, category.kind);
+        if (error || parentError) {
+            await connection.rollback();
+            return res.status(400).json({ error: error || parentError });
+        }
+
+        const [clash] = await Categories.findByLabels(connection, userId, [category.label]);
+        if (clash && clash.id !== existing.id) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Category '${category.label}' already exists. Merge into it instead.` });
+        }
+
+        const movedCount = await updateCategory(connection, userId, existing, category);
+        const savedCategory = await Categories.findById(connection, existing.id, userId);
+
+        await connection.commit();
+
+        if (category.label !== existing.label) {
+            console.log(`Backend: Renamed category '${existing.label}' to '${category.label}' for user ${userId} (${movedCount} item(s)).`);
+        }
+        res.json({ message: "Category updated successfully", category: formatCategory(savedCategory), movedCount });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error updating category:", err);
+        res.status(500).json({ error: "Failed to update category.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// POST /items/categories/:id/merge - Body: into (the id of the category to keep). Files every item,
+// split line, budget and rule of this category under the other one, then deletes this category.
+// Where both have a budget for the same period, the kept category's budget wins; this category's
+// subcategories move under the kept one when it is top-level.
+router.post("/:id/merge", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const targetId = parseInt(req.body.into, 10);
+
+    if (!targetId) {
+        return res.status(400).json({ error: "into (the id of the category to merge into) is required." });
+    }
+    if (targetId === parseInt(req.params.id, 10)) {
+        return res.status(400).json({ error: "A category cannot be merged into itself." });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const source = await Categories.findById(connection, req.params.id, userId, { forUpdate: true });
+        const target = await Categories.findById(connection, targetId, userId, { forUpdate: true });
+        if (!source || !target) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Category not found." });
+        }
+        if (source.kind !== target.kind) {
+            await connection.rollback();
+            return res.status(400).json({ error: `'${source.label}' and '${target.label}' are not the same kind of category.` });
+        }
+
+        const movedCount = await mergeCategories(connection, userId, source, target);
+        const mergedCategory = await Categories.findById(connection, target.id, userId);
+
+        await connection.commit();
+
+        // Best-effort, like item changes: the moved spending can push the kept category over its budget
+        let notifications = [];
+        try {
+            notifications = await evaluateBudgetAlerts(connection, userId, target.id);
+        } catch (err) {
+            console.error("Error evaluating budget alerts:", err);
+        }
+
+        console.log(`Backend: Merged category '${source.label}' into '${target.label}' for user ${userId} (${movedCount} item(s)).`);
+        res.json({
+            message: `Category "${source.label}" merged into "${target.label}".`,
+            category: formatCategory(mergedCategory),
+            movedCount,
+            notifications
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error merging categories:", err);
+        res.status(500).json({ error: "Failed to merge categories.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET /items/categories/:id/delete-preview - What deleting the category would affect: how many items
+// are filed under it and their total in the base currency, split lines, subcategories, budgets, rules
+// and attachments
+router.get("/:id/delete-preview", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const category = await Categories.findById(db, req.params.id, userId);
+        if (!category) {
+            return res.status(404).json({ error: "Category not found." });
+        }
+
+        res.json(await previewCategoryDeletion(db, userId, category));
+    } catch (err) {
+        console.error("Error previewing category deletion:", err);
+        res.status(500).json({ error: "Failed to preview category deletion.", details: err.message });
+    }
+});
+
+// DELETE /items/categories/:id?mode=reassign&into=:otherId | ?mode=archive | ?mode=cascade
+// reassign files the items, budgets and rules under the other category (like a merge); archive hides
+// the category and its subcategories from the pickers but keeps their items; cascade deletes the items
+// with the category. mode (and into) may also be sent in the body. The legacy
+// DELETE /items/custom-categories/:id (expenseRoutes) uses the same handler.
+async function deleteCategoryHandler(req, res) {
+    const userId = req.user.userId;
+
+    const { mode, targetId, error } = parseDeleteOptions({ ...req.body, ...req.query }, req.params.id);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const category = await Categories.findById(connection, req.params.id, userId, { forUpdate: true });
+        const target = targetId ? await Categories.findById(connection, targetId, userId, { forUpdate: true }) : null;
+        if (!category || (targetId && !target)) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Category not found." });
+        }
+        if (target && target.archived_at) {
+            await connection.rollback();
+            return res.status(400).json({ error: `'${target.label}' is archived; restore it first.` });
+        }
+        if (target && target.kind !== category.kind) {
+            await connection.rollback();
+            return res.status(400).json({ error: `'${category.label}' and '${target.label}' are not the same kind of category.` });
+        }
+        if (mode === "archive" && category.archived_at) {
+            await connection.rollback();
+            return res.status(409).json({ error: `'${category.label}' is already archived.` });
+        }
+
+        const { affectedCount, attachmentFiles, error: deleteError } = await deleteCategory(connection, userId, category, { mode, target });
+        if (deleteError) {
+            await connection.rollback();
+            return res.status(400).json({ error: deleteError });
+        }
+
+        await connection.commit();
+        await removeFiles(attachmentFiles); // Receipt rows went with the items; their files go now
+
+        // Best-effort, like a merge: the reassigned spending can push the other category over its budget
+        let notifications = [];
+        if (target) {
+            try {
+                notifications = await evaluateBudgetAlerts(connection, userId, target.id);
+            } catch (err) {
+                console.error("Error evaluating budget alerts:", err);
+            }
+        }
+
+        const messages = {
+            reassign: `Category "${category.label}" deleted; ${affectedCount} item(s) moved to "${target && target.label}".`,
+            archive: `Category "${category.label}" archived; its ${affectedCount} item(s) were kept.`,
+            cascade: `Category "${category.label}" and ${affectedCount} item(s) deleted.`
+        };
+        console.log(`Backend: ${messages[mode]} (user ${userId})`);
+        res.json({ message: messages[mode], mode, affectedCount, notifications });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error deleting category:", err);
+        res.status(500).json({ error: "Failed to delete category.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+router.delete("/:id", verifyToken, deleteCategoryHandler);
+
+// POST /items/categories/:id/restore - Brings an archived category (and its subcategories) back
+router.post("/:id/restore", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const category = await Categories.findById(db, req.params.id, userId);
+        if (!category) {
+            return res.status(404).json({ error: "Category not found." });
+        }
+        if (!category.archived_at) {
+            return res.status(409).json({ error: `'${category.label}' is not archived.` });
+        }
+        // A subcategory comes back under its parent, so the parent must not stay archived
+        const parent = category.parent_id ? await Categories.findById(db, category.parent_id, userId) : null;
+        if (parent && parent.archived_at) {
+            return res.status(400).json({ error: `'${parent.label}' is archived; restore it first.` });
+        }
+
+        await Categories.restore(db, category.id, userId);
+        const restoredCategory = await Categories.findById(db, category.id, userId);
+
+        console.log(`Backend: Restored category '${category.label}' for user ${userId}.`);
+        res.json({ message: `Category "${category.label}" restored.`, category: formatCategory(restoredCategory) });
+    } catch (err) {
+        console.error("Error restoring category:", err);
+        res.status(500).json({ error: "Failed to restore category.", details: err.message });
+    }
+});
+
+module.exports = router;
+module.exports.deleteCategoryHandler = deleteCategoryHandler;
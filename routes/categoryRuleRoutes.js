@@ -0,0 +1,161 @@
+// routes/categoryRuleRoutes.js
+// Auto-categorization rules, mounted at /items/rules. Rules pick the category of expenses saved
+// through POST /items or an import without one; /preview and /apply re-run them over existing
+// 'Uncategorized' items. A rule's section names its category, which is created when new.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Transactions = require("../repositories/transactionRepository");
+const CategoryRules = require("../repositories/categoryRuleRepository");
+const { parseCategoryRule, checkRuleSection, formatRule, planRecategorization } = require("../services/categoryRules");
+const { evaluateBudgetAlerts } = require("../services/budgetAlerts");
+const { learn } = require("../services/categoryModel");
+const { resolveCategoryId } = require("../services/categories");
+
+// GET /items/rules - The user's rules in the order they are tried (priority, then oldest first)
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const rules = await CategoryRules.list(db, userId);
+        res.json(rules.map(formatRule));
+    } catch (err) {
+        console.error("Error fetching category rules:", err);
+        res.status(500).json({ error: "Failed to fetch category rules.", details: err.message });
+    }
+});
+
+// POST /items/rules - Body: section and at least one of title_contains, title_pattern (regular
+// expression, case-insensitive), min_amount, max_amount, payment_mode; optional priority (lower runs
+// first, default 0) and active (default true)
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    const { rule, error } = parseCategoryRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const sectionError = await checkRuleSection(db, userId, rule.section);
+        if (sectionError) {
+            return res.status(400).json({ error: sectionError });
+        }
+
+        rule.category_id = await resolveCategoryId(db, userId, rule.section);
+        const ruleId = await CategoryRules.create(db, userId, rule);
+        const savedRule = await CategoryRules.findById(db, ruleId, userId);
+
+        console.log(`Backend: Created category rule ${ruleId} -> '${rule.section}' for user ${userId}.`);
+        res.status(201).json({ message: "Category rule created successfully!", rule: formatRule(savedRule) });
+    } catch (err) {
+        console.error("Error creating category rule:", err);
+        res.status(500).json({ error: "Failed to create category rule.", details: err.message });
+    }
+});
+
+// GET /items/rules/preview - Dry run of /apply: the uncategorized items the rules would move and where
+router.get("/preview", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const changes = await planRecategorization(db, userId);
+        res.json({ changeCount: changes.length, changes });
+    } catch (err) {
+        console.error("Error previewing category rules:", err);
+        res.status(500).json({ error: "Failed to preview category rules.", details: err.message });
+    }
+});
+
+// POST /items/rules/apply - Re-runs the rules over 'Uncategorized' items and moves the ones that match
+router.post("/apply", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const changes = await planRecategorization(connection, userId, { forUpdate: true });
+        for (const change of changes) {
+            await Transactions.setSection(connection, change.id, userId, change.to_section, change.to_category_id);
+        }
+        // 'Uncategorized' items were never learned, so only their new category is
+        await learn(connection, userId, changes.map(change => ({
+            title: change.title, value: change.value, section: change.to_section, category_id: change.to_category_id
+        })));
+
+        await connection.commit();
+
+        // Best-effort, like item changes: moved spending can push a category over its current budget
+        const notifications = [];
+        for (const categoryId of new Set(changes.map(change => change.to_category_id))) {
+            try {
+                notifications.push(...await evaluateBudgetAlerts(connection, userId, categoryId));
+            } catch (err) {
+                console.error("Error evaluating budget alerts:", err);
+            }
+        }
+
+        console.log(`Backend: Category rules moved ${changes.length} uncategorized item(s) for user ${userId}.`);
+        res.json({
+            message: "Category rules applied successfully.",
+            updatedCount: changes.length,
+            changes,
+            notifications
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error applying category rules:", err);
+        res.status(500).json({ error: "Failed to apply category rules.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// PUT /items/rules/:id - Any rule field; fields left out keep their value, null clears a condition
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const existing = await CategoryRules.findById(db, req.params.id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: "Category rule not found." });
+        }
+
+        const { rule, error } = parseCategoryRule(req.body, existing);
+        const sectionError = error ? null : await checkRuleSection(db, userId, rule.section);
+        if (error || sectionError) {
+            return res.status(400).json({ error: error || sectionError });
+        }
+
+        rule.category_id = await resolveCategoryId(db, userId, rule.section);
+        await CategoryRules.update(db, existing.id, userId, rule);
+        const savedRule = await CategoryRules.findById(db, existing.id, userId);
+        res.json({ message: "Category rule updated successfully", rule: formatRule(savedRule) });
+    } catch (err) {
+        console.error("Error updating category rule:", err);
+        res.status(500).json({ error: "Failed to update category rule.", details: err.message });
+    }
+});
+
+// DELETE /items/rules/:id - Items the rule already categorized keep their section
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await CategoryRules.remove(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Category rule not found." });
+        }
+        res.json({ message: "Category rule deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting category rule:", err);
+        res.status(500).json({ error: "Failed to delete category rule.", details: err.message });
+    }
+});
+
+module.exports = router;
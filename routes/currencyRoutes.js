@@ -0,0 +1,143 @@
+// routes/currencyRoutes.js
+// Locally managed exchange rates, mounted at /currency. Summaries, balances and budgets convert
+// items into the user's base currency with the latest rate on or before each item's date.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const { createUpload } = require("../middleware/upload");
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const ExchangeRates = require("../repositories/exchangeRateRepository");
+const {
+    RATE_FILE_FORMATS, normalizeCurrency, getBaseCurrency, detectRateFileFormat, parseRate, parseRateFile
+} = require("../services/currency");
+
+const MAX_IMPORT_RATES = 5000;
+
+// Rate files are parsed from memory and never written to the public uploads folder
+const upload = createUpload({
+    extensions: RATE_FILE_FORMATS,
+    errorMessage: `Only ${RATE_FILE_FORMATS.join(", ").toUpperCase()} files are allowed!`,
+    inMemory: true
+});
+
+// Runs multer inline so that a rejected file becomes a JSON 400 response
+const uploadRateFile = (req, res, next) => {
+    upload.single("file")(req, res, (err) => {
+        if (err) return res.status(400).json({ error: "File upload error", details: err.message });
+        next();
+    });
+};
+
+// GET /currency/rates - The user's base currency and stored rates, optionally filtered by ?from= and ?to=
+router.get("/rates", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const baseCurrency = await getBaseCurrency(db, userId);
+        const rates = await ExchangeRates.list(db, userId, {
+            fromCurrency: normalizeCurrency(req.query.from),
+            toCurrency: normalizeCurrency(req.query.to)
+        });
+
+        res.json({ baseCurrency, rates });
+    } catch (err) {
+        console.error("Error fetching exchange rates:", err);
+        res.status(500).json({ error: "Failed to fetch exchange rates.", details: err.message });
+    }
+});
+
+// POST /currency/rates - { from_currency, to_currency, rate, effective_date } meaning
+// 1 from_currency = rate to_currency; replaces the rate stored for the same pair and date
+router.post("/rates", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const rate = parseRate(req.body || {});
+
+    if (rate.errors.length > 0) {
+        return res.status(400).json({ error: rate.errors.join(" ") });
+    }
+
+    try {
+        const rateId = await ExchangeRates.upsert(db, userId, rate);
+
+        console.log(`Backend: Saved rate ${rate.from_currency}/${rate.to_currency} = ${rate.rate} from ${rate.effective_date} for user ${userId}.`);
+        res.status(201).json({ message: "Exchange rate saved successfully!", rateId });
+    } catch (err) {
+        console.error("Error saving exchange rate:", err);
+        res.status(500).json({ error: "Failed to save exchange rate.", details: err.message });
+    }
+});
+
+// POST /currency/rates/import - multipart with `file`: a CSV (date,from,to,rate header) or JSON
+// ([{ date, from, to, rate }] or { base, date, rates: { EUR: 0.92 } }). Valid rates are saved,
+// invalid ones are reported back by row.
+router.post("/rates/import", verifyToken, uploadRateFile, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!req.file) {
+        return res.status(400).json({ error: "A rate file is required." });
+    }
+
+    let rates;
+    try {
+        rates = parseRateFile(detectRateFileFormat(req.file.originalname), req.file.buffer);
+    } catch (err) {
+        return res.status(400).json({ error: "Could not read the rate file.", details: err.message });
+    }
+
+    if (rates.length === 0) {
+        return res.status(400).json({ error: "The file contains no rates." });
+    }
+    if (rates.length > MAX_IMPORT_RATES) {
+        return res.status(400).json({ error: `A file may contain at most ${MAX_IMPORT_RATES} rates.` });
+    }
+
+    const rejected = rates.filter(rate => rate.errors.length > 0)
+        .map(({ row, errors }) => ({ row, errors }));
+    const valid = rates.filter(rate => rate.errors.length === 0);
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        for (const rate of valid) {
+            await ExchangeRates.upsert(connection, userId, rate);
+        }
+
+        await connection.commit();
+
+        console.log(`Backend: Imported ${valid.length} exchange rate(s) for user ${userId}; ${rejected.length} rejected.`);
+        res.status(201).json({
+            message: "Exchange rates imported successfully!",
+            importedCount: valid.length,
+            rejected
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error importing exchange rates:", err);
+        res.status(500).json({ error: "Failed to import exchange rates.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// DELETE /currency/rates/:id
+router.delete("/rates/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const deleted = await ExchangeRates.remove(db, req.params.id, userId);
+        if (deleted === 0) {
+            return res.status(404).json({ error: "Exchange rate not found." });
+        }
+
+        res.json({ message: "Exchange rate deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting exchange rate:", err);
+        res.status(500).json({ error: "Failed to delete exchange rate.", details: err.message });
+    }
+});
+
+module.exports = router;
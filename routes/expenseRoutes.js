@@ -3,13 +3,50 @@ const express = require("express");
 const router = express.Router();
 
 const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
-const { pool, retryOperation } = require("../db"); // Import pool and retryOperation
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const { retryOperation } = require("../storage/retry"); // Retries on connection-limit errors
+const Transactions = require("../repositories/transactionRepository");
+const Categories = require("../repositories/categoryRepository");
+const Users = require("../repositories/userRepository");
+const Accounts = require("../repositories/accountRepository");
+const Budgets = require("../repositories/budgetRepository");
+const Splits = require("../repositories/transactionSplitRepository");
+const Attachments = require("../repositories/attachmentRepository");
+const { evaluateBudgetAlerts } = require("../services/budgetAlerts");
+const { loadRules, categorize } = require("../services/categoryRules");
+const { learn, unlearn, ensureTrained, suggestCategories } = require("../services/categoryModel");
+const { isValidCurrency, normalizeCurrency, getBaseCurrency, baseBalanceEffect } = require("../services/currency");
+const { parseSplits, withCategoryIds, formatSplit, attachSplits, categoryIdsOf } = require("../services/transactionSplits");
+const { removeFiles } = require("../services/attachments");
+const { parseSearchQuery, searchTransactions } = require("../services/transactionSearch");
+const { isCursorMode, parseCursorQuery, listItemsByCursor } = require("../services/cursorPagination");
+const Tags = require("../repositories/tagRepository");
+const {
+    parseCategory, resolveCategoryIds, resolveCategoryId, categoryFilter, loadHierarchy, rollUpTotals
+} = require("../services/categories");
+const { deleteCategoryHandler } = require("./categoryRoutes");
+const { parseTagNames, resolveTagIds, formatTag, attachTags } = require("../services/tags");
+const { parseType, isExpenseType, defaultSection, resolveType, checkSplitSections } = require("../services/transactionTypes");
+const { parseReimbursable, checkRefundLinks, syncRefunds } = require("../services/refunds");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+const { isValidDateString } = require("../utils/recurrence");
+
+// A period's totals as the summaries report them: expenses (net of refunds), income and net
+const periodTotals = ({ total_expenses, total_income }) => ({
+    total_expenses: fromMinor(toMinor(total_expenses)),
+    total_income: fromMinor(toMinor(total_income)),
+    net: fromMinor(toMinor(total_income) - toMinor(total_expenses))
+});
+
+// Optional category target (monthly budget) from a request body: minor units, 0 when not given,
+// null when given but not a valid non-negative amount
+const parseTarget = (target) => (target === undefined || target === null || target === "" ? 0 : parseAmount(target));
 
 // Get all items for a user
 // In your backend file (e.g., total_expense_app/routes/expenseRoutes.js)
 
 // GET all items for the authenticated user with filters and pagination
-router.get("/", verifyToken, (req, res) => {
+router.get("/", verifyToken, async (req, res) => {
     const userId = req.user.userId;
 
     if (!userId) {
@@ -22,63 +59,81 @@ router.get("/", verifyToken, (req, res) => {
     const limit = parseInt(req.query._limit) || 10; // Default to 10 items per page
     const offset = (page - 1) * limit;
 
-    // Filter parameters
-    const category = req.query.category;
-    const fromDate = req.query.fromDate; // YYYY-MM-DD
-    const toDate = req.query.toDate;     // YYYY-MM-DD
-
-    let query = `
-    SELECT 
-        i.id, i.title, i.value, i.date, i.section, i.target, i.payment_mode, i.notes, i.user_id,
-        c.iconName, c.iconColor,c.iconLibrary
-    FROM infodata i
-    LEFT JOIN categories c
-        ON i.section = c.label AND c.user_id = i.user_id
-    WHERE i.user_id = ?
-`;
-let countQuery = "SELECT COUNT(*) AS total FROM infodata i WHERE i.user_id = ?";
-const queryParams = [userId];
-const countQueryParams = [userId];
-
-    if (category && category !== 'All') { // Assuming 'All' is a special client-side value
-        query += " AND section = ?";
-        countQuery += " AND section = ?";
-        queryParams.push(category);
-        countQueryParams.push(category);
-    }
-    if (fromDate) {
-        query += " AND date >= ?";
-        countQuery += " AND date >= ?";
-        queryParams.push(fromDate);
-        countQueryParams.push(fromDate);
-    }
-    if (toDate) {
-        query += " AND date <= ?";
-        countQuery += " AND date <= ?";
-        queryParams.push(toDate);
-        countQueryParams.push(toDate);
-    }
-
-    query += " ORDER BY date DESC, id DESC LIMIT ? OFFSET ?"; // Order by date descending, then ID for stable sort
-    queryParams.push(limit, offset);
-
-    pool.query(countQuery, countQueryParams, (err, countResults) => {
-        if (err) {
-            console.error("Error fetching item count:", err);
-            return res.status(500).json({ error: "Failed to fetch item count." });
+    // Tag filter: ?tag=a&tag=b or ?tag=a,b; items must carry every tag unless tagMatch=any
+    let tags = [];
+    if (req.query.tag !== undefined) {
+        const { names, error } = parseTagNames([].concat(req.query.tag).join(","));
+        if (error) {
+            return res.status(400).json({ error });
         }
-        const totalItems = (countResults )[0].total; // Get total count
-
-        pool.query(query, queryParams, (err, results) => {
-            if (err) {
-                console.error("Error fetching items:", err);
-                return res.status(500).json({ error: "Failed to fetch items." });
-            }
-            // Send both the items and a total count for pagination
-            res.json(results); // For now, sending just results, as frontend `hasMore` is based on `limit`.
-                               // If you want more robust pagination, you'd send { data: results, total: totalItems }
-        });
-    });
+        tags = names;
+    }
+    const tagMatch = req.query.tagMatch || "all";
+    if (!["all", "any"].includes(tagMatch)) {
+        return res.status(400).json({ error: "tagMatch must be all or any." });
+    }
+    for (const field of ["fromDate", "toDate"]) {
+        if (req.query[field] && !isValidDateString(req.query[field])) {
+            return res.status(400).json({ error: `${field} must be a valid YYYY-MM-DD date.` });
+        }
+    }
+
+    // Type filter: ?type=expense, income or refund
+    const { type, error: typeError } = parseType(req.query.type);
+    if (typeError) {
+        return res.status(400).json({ error: typeError });
+    }
+
+    // Filter parameters (?category= is resolved to category ids below)
+    const filters = {
+        type,
+        fromDate: req.query.fromDate, // YYYY-MM-DD
+        toDate: req.query.toDate,     // YYYY-MM-DD
+        tags,
+        tagMatch
+    };
+
+    // Cursor mode (?cursor= for the first page, then the returned next/prev): { items, next, prev }
+    let cursorPage = null;
+    if (isCursorMode(req.query)) {
+        cursorPage = parseCursorQuery(req.query);
+        if (cursorPage.error) {
+            return res.status(400).json({ error: cursorPage.error });
+        }
+    }
+
+    try {
+        filters.categoryIds = await categoryFilter(db, userId, req.query.category);
+        if (cursorPage) {
+            const { items, next, prev } = await listItemsByCursor(db, userId, filters, cursorPage);
+            return res.json({ items: await attachTags(db, userId, await attachSplits(db, userId, items)), next, prev });
+        }
+
+        const items = await attachTags(db, userId, await attachSplits(db, userId, await Transactions.list(db, userId, filters, { limit, offset })));
+        res.json(items); // Frontend `hasMore` is based on `limit`, so only the page of items is sent.
+    } catch (err) {
+        console.error("Error fetching items:", err);
+        res.status(500).json({ error: "Failed to fetch items." });
+    }
+});
+
+// GET /items/search - Items matching q in the title or notes (typos tolerated unless fuzzy=false), with
+// optional min/max amount, payment_mode and category (each repeatable), fromDate/toDate, sort
+// (relevance, date, amount or title), order (asc or desc) and _page/_limit
+router.get("/search", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    const { search, error } = parseSearchQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await searchTransactions(db, userId, search));
+    } catch (err) {
+        console.error("Error searching items:", err);
+        res.status(500).json({ error: "Failed to search items.", details: err.message });
+    }
 });
 
 // (Assuming you have a verifyToken middleware and pool setup)
@@ -135,6 +190,11 @@ router.get("/summary", verifyToken, async (req, res) => {
     let fromDate = req.query.fromDate; // YYYY-MM-DD
     let toDate = req.query.toDate;     // YYYY-MM-DD
     const period = req.query.period;   // New: e.g., 'thisMonth', 'last3Months'
+    for (const field of ["fromDate", "toDate"]) {
+        if (req.query[field] && !isValidDateString(req.query[field])) {
+            return res.status(400).json({ error: `${field} must be a valid YYYY-MM-DD date.` });
+        }
+    }
 
     // If a 'period' is specified, override fromDate and toDate
     if (period) {
@@ -143,45 +203,25 @@ router.get("/summary", verifyToken, async (req, res) => {
         toDate = periodDates.endDate;
     }
 
-    let query = `
-        SELECT
-            SUM(CASE WHEN section != 'Income' THEN value ELSE 0 END) AS total_expenses,
-            COUNT(id) AS total_count
-        FROM infodata
-        WHERE user_id = ?
-    `;
-    const queryParams = [userId];
-
-    if (category && category !== 'All') {
-        query += " AND section = ?";
-        queryParams.push(category);
-    }
-    if (fromDate) {
-        query += " AND date >= ?";
-        queryParams.push(fromDate);
-    }
-    if (toDate) {
-        query += " AND date <= ?";
-        queryParams.push(toDate);
-    }
-
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
-        const [rows] = await connection.query(query, queryParams);
+        const categoryIds = await categoryFilter(db, userId, category);
+        const summary = await Transactions.summarize(db, userId, { categoryIds, fromDate, toDate });
+        const baseCurrency = await getBaseCurrency(db, userId);
 
-        const totalExpenses = parseFloat(rows[0].total_expenses) || 0;
-        const totalCount = rows[0].total_count || 0;
+        // Totals are in the base currency; items whose currency has no rate are left out and counted.
+        // Expenses are net of refunds.
+        const totalExpenses = fromMinor(toMinor(summary.total_expenses));
+        const totalIncome = fromMinor(toMinor(summary.total_income));
+        const net = fromMinor(toMinor(summary.total_income) - toMinor(summary.total_expenses));
+        const totalCount = summary.total_count || 0;
+        const unconvertedCount = parseInt(summary.unconverted_count, 10) || 0;
 
-        console.log(`Backend: Fetched summary for user ${userId} - Total Expenses: ${totalExpenses}, Total Count: ${totalCount}`);
-        res.json({ totalExpenses, totalCount });
+        console.log(`Backend: Fetched summary for user ${userId} - Total Expenses: ${totalExpenses} ${baseCurrency}, Total Income: ${totalIncome} ${baseCurrency}, Total Count: ${totalCount}`);
+        res.json({ totalExpenses, totalIncome, net, totalCount, baseCurrency, unconvertedCount });
 
     } catch (err) {
-        if (connection) await connection.rollback(); // Note: rollback should only be used within a transaction
         console.error("Error fetching items summary:", err);
         res.status(500).json({ error: "Failed to fetch items summary.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
@@ -197,7 +237,10 @@ router.get("/summary", verifyToken, async (req, res) => {
 // const pool = require('../config/db'); // Your database connection pool
 // const verifyToken = require('../middleware/authMiddleware'); // Your authentication middleware
 
-// GET /items/category-summary - Get summary of expenses per category for the authenticated user
+// GET /items/category-summary - Get summary of expenses (net of refunds) and income per category for
+// the authenticated user; `kind` tells expense and income categories apart (null for plain 'Income').
+// Each row names its parent category; ?rollup=true returns one row per top-level category instead,
+// its totals including its subcategories (listed under `subcategories`).
 router.get("/category-summary", verifyToken, async (req, res) => {
     const userId = req.user.userId; // Get userId from the authenticated token
 
@@ -206,31 +249,42 @@ router.get("/category-summary", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    const query = `
-        SELECT
-            id.section,
-            SUM(id.value) AS total_expenses,
-            c.iconName,      -- Select iconName from categories table
-            c.iconColor,     -- Select iconColor from categories table
-            c.iconLibrary    -- Select iconLibrary from categories table
-        FROM infodata id
-        LEFT JOIN categories c ON id.section = c.label AND id.user_id = c.user_id
-        WHERE id.user_id = ?
-        GROUP BY id.section, c.iconName, c.iconColor, c.iconLibrary -- Include new columns in GROUP BY
-        ORDER BY total_expenses DESC; -- Ordering by total_expenses is often more useful here
-    `;
-    const queryParams = [userId];
-
     try {
-        const [rows] = await pool.promise().query(query, queryParams);
-
-        const categorySummaries = rows.map((row) => ({
-            section: row.section,
-            total_expenses: parseFloat(row.total_expenses) || 0,
-            iconName: row.iconName,      // Include iconName in the response
-            iconColor: row.iconColor,    // Include iconColor in the response
-            iconLibrary: row.iconLibrary // Include iconLibrary in the response
-        }));
+        const rows = await Transactions.summarizeByCategory(db, userId);
+        const hierarchy = await loadHierarchy(db, userId);
+        const parentLabel = (categoryId) => {
+            const parentId = categoryId === null ? null : hierarchy.parentOf.get(categoryId);
+            return parentId ? hierarchy.byId.get(parentId).label : null;
+        };
+
+        const categorySummaries = req.query.rollup === "true"
+            ? rollUpTotals(rows, hierarchy).map((row) => ({
+                category_id: row.category_id,
+                section: row.section,
+                kind: row.kind,
+                total_expenses: fromMinor(toMinor(row.total_expenses)),
+                total_income: fromMinor(toMinor(row.total_income)),
+                iconName: row.iconName,
+                iconColor: row.iconColor,
+                iconLibrary: row.iconLibrary,
+                subcategories: row.subcategories.map(child => ({
+                    category_id: child.category_id,
+                    section: child.section,
+                    total_expenses: fromMinor(toMinor(child.total_expenses)),
+                    total_income: fromMinor(toMinor(child.total_income))
+                }))
+            }))
+            : rows.map((row) => ({
+                category_id: row.category_id,
+                section: row.section,
+                kind: row.kind || null,
+                total_expenses: fromMinor(toMinor(row.total_expenses)),
+                total_income: fromMinor(toMinor(row.total_income)),
+                iconName: row.iconName,      // Include iconName in the response
+                iconColor: row.iconColor,    // Include iconColor in the response
+                iconLibrary: row.iconLibrary, // Include iconLibrary in the response
+                parent: parentLabel(row.category_id)
+            }));
 
         console.log(`Backend: Fetched category summaries for user ${userId}:`, categorySummaries);
         res.json(categorySummaries);
@@ -244,7 +298,7 @@ router.get("/category-summary", verifyToken, async (req, res) => {
 
  // Adjust path as per your project structure
 
-// GET /items/summary/monthly - Get monthly summary of expenses for the authenticated user
+// GET /items/summary/monthly - Get monthly expenses (net of refunds), income and net for the authenticated user
 router.get("/summary/monthly", verifyToken, async (req, res) => {
     const userId = req.user.userId;
     const months = parseInt(req.query.months) || 6; // Default to last 6 months
@@ -259,39 +313,31 @@ router.get("/summary/monthly", verifyToken, async (req, res) => {
     const startDate = new Date(today.getFullYear(), today.getMonth() - (months - 1), 1); // Start of the Nth month ago
 
     // Generate month labels for the last 'months' period
+    // Months are keyed by YYYY-MM so the same month name from different years never merges
     const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-    const monthLabels = [];
+    const monthKeys = [];
     for (let i = 0; i < months; i++) {
         const d = new Date(today.getFullYear(), today.getMonth() - i, 1);
-        monthLabels.unshift(monthNames[d.getMonth()]); // Add to the beginning to keep chronological order
+        monthKeys.unshift({ // Add to the beginning to keep chronological order
+            key: `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`,
+            label: monthNames[d.getMonth()]
+        });
     }
 
-    const query = `
-        SELECT
-            DATE_FORMAT(date, '%b') AS month,
-            SUM(CASE WHEN section != 'Income' THEN value ELSE 0 END) AS total_expenses
-        FROM infodata
-        WHERE user_id = ? AND date >= ?
-        GROUP BY month
-        ORDER BY MIN(date) ASC;
-    `;
-    const queryParams = [userId, startDate.toISOString().split('T')[0]]; // Use YYYY-MM-DD format for date comparison
-
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
-        const [rows] = await connection.query(query, queryParams);
+        // Use YYYY-MM-DD format for date comparison
+        const rows = await Transactions.sumTotalsByMonth(db, userId, startDate.toISOString().split('T')[0]);
 
         // Create a map for quick lookup of fetched data
         const fetchedDataMap = new Map();
         rows.forEach((row) => {
-            fetchedDataMap.set(row.month, parseFloat(row.total_expenses) || 0);
+            fetchedDataMap.set(row.month, periodTotals(row));
         });
 
         // Combine with all month labels to ensure all months are present, even if no expenses
-        const monthlySummaries = monthLabels.map(monthLabel => ({
-            month: monthLabel,
-            total_expenses: fetchedDataMap.get(monthLabel) || 0
+        const monthlySummaries = monthKeys.map(({ key, label }) => ({
+            month: label,
+            ...(fetchedDataMap.get(key) || periodTotals({}))
         }));
 
         console.log(`Backend: Fetched monthly summaries for user ${userId} (last ${months} months):`, monthlySummaries);
@@ -300,12 +346,10 @@ router.get("/summary/monthly", verifyToken, async (req, res) => {
     } catch (err) {
         console.error("Error fetching monthly summary:", err);
         res.status(500).json({ error: "Failed to fetch monthly summary.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
-// NEW: GET /items/summary/weekly - Get weekly summary of expenses for the authenticated user
+// NEW: GET /items/summary/weekly - Get weekly expenses (net of refunds), income and net for the authenticated user
 router.get("/summary/weekly", verifyToken, async (req, res) => {
     const userId = req.user.userId;
     const weeks = parseInt(req.query.weeks) || 4; // Default to last 4 weeks
@@ -315,10 +359,7 @@ router.get("/summary/weekly", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
-
         const weeklySummaries = [];
         const today = new Date();
 
@@ -330,21 +371,12 @@ router.get("/summary/weekly", verifyToken, async (req, res) => {
             const formattedStartDate = startDate.toISOString().split('T')[0];
             const formattedEndDate = endDate.toISOString().split('T')[0];
 
-            const query = `
-                SELECT
-                    SUM(CASE WHEN section != 'Income' THEN value ELSE 0 END) AS total_expenses
-                FROM infodata
-                WHERE user_id = ? AND date BETWEEN ? AND ?;
-            `;
-            const queryParams = [userId, formattedStartDate, formattedEndDate];
-
-            const [rows] = await connection.query(query, queryParams);
-            const totalExpenses = parseFloat(rows[0].total_expenses) || 0;
+            const totals = await Transactions.sumTotalsBetween(db, userId, formattedStartDate, formattedEndDate);
 
             // Determine a label for the week (e.g., "Wk X" or "Start Date - End Date")
             weeklySummaries.unshift({ // Add to the beginning to keep chronological order
                 week: weeks - i, // Week number (e.g., 1 for oldest, 4 for most recent)
-                total_expenses: totalExpenses
+                ...periodTotals(totals)
             });
         }
 
@@ -352,15 +384,12 @@ router.get("/summary/weekly", verifyToken, async (req, res) => {
         res.json(weeklySummaries);
 
     } catch (err) {
-        if (connection) await connection.rollback();
         console.error("Error fetching weekly summary:", err);
         res.status(500).json({ error: "Failed to fetch weekly summary.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
-// GET /items/summary/daily - Get daily summary of expenses for a given date range for the authenticated user
+// GET /items/summary/daily - Get daily expenses (net of refunds), income and net for a given date range for the authenticated user
 router.get("/summary/daily", verifyToken, async (req, res) => {
     const userId = req.user.userId;
     const { startDate, endDate } = req.query; // Expect YYYY-MM-DD format
@@ -374,31 +403,18 @@ router.get("/summary/daily", verifyToken, async (req, res) => {
         return res.status(400).json({ error: "startDate and endDate are required for daily summary." });
     }
 
-    // Validate date formats (simple check)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    // Validate date formats
+    if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
         return res.status(400).json({ error: "Date format must be YYYY-MM-DD." });
     }
 
-    const query = `
-        SELECT
-            DATE_FORMAT(date, '%Y-%m-%d') AS date,
-            SUM(CASE WHEN section != 'Income' THEN value ELSE 0 END) AS total_expenses
-        FROM infodata
-        WHERE user_id = ? AND date BETWEEN ? AND ?
-        GROUP BY date
-        ORDER BY date ASC;
-    `;
-    const queryParams = [userId, startDate, endDate];
-
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
-        const [rows] = await connection.query(query, queryParams);
+        const rows = await Transactions.sumTotalsByDay(db, userId, startDate, endDate);
 
         // Create a map for quick lookup of fetched data
         const fetchedDataMap = new Map();
         rows.forEach((row) => {
-            fetchedDataMap.set(row.date, parseFloat(row.total_expenses) || 0);
+            fetchedDataMap.set(row.date, periodTotals(row));
         });
 
         // Generate all dates within the range and combine with fetched data
@@ -410,7 +426,7 @@ router.get("/summary/daily", verifyToken, async (req, res) => {
             const formattedDate = currentDate.toISOString().split('T')[0];
             dailySummaries.push({
                 date: formattedDate,
-                total_expenses: fetchedDataMap.get(formattedDate) || 0
+                ...(fetchedDataMap.get(formattedDate) || periodTotals({}))
             });
             currentDate.setDate(currentDate.getDate() + 1); // Move to the next day
         }
@@ -419,11 +435,8 @@ router.get("/summary/daily", verifyToken, async (req, res) => {
         res.json(dailySummaries);
 
     } catch (err) {
-        if (connection) await connection.rollback(); // Rollback in case of error
         console.error("Error fetching daily summary:", err);
         res.status(500).json({ error: "Failed to fetch daily summary.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
@@ -431,6 +444,8 @@ router.get("/summary/daily", verifyToken, async (req, res) => {
 // module.exports = router;
 
 // GET total expenses for a specific category for the authenticated user
+// GET /items/total-by-category?category=... - Total of one category; with rollup=true its
+// subcategories are included (listed under `includes`)
 router.get("/total-by-category", verifyToken, async (req, res) => {
     const { category } = req.query;
     // Use req.user.userId, as confirmed by your verifyToken middleware
@@ -446,34 +461,109 @@ router.get("/total-by-category", verifyToken, async (req, res) => {
     }
 
     try {
-        const query = `
-            SELECT SUM(value) AS total_spent
-            FROM infodata
-            WHERE user_id = ? AND section = ?;
-        `;
-        const [rows] = await pool.promise().query(query, [userId, category]);
-
-        const totalSpent = rows[0].total_spent || 0;
+        const rollup = req.query.rollup === "true";
+        const categoryIds = await categoryFilter(db, userId, category, { rollup });
+        const totalSpent = fromMinor(toMinor(await Transactions.sumByCategory(db, userId, categoryIds)));
         console.log(`Backend: Fetched total for category '${category}' for user ${userId}: ${totalSpent}`); // Backend log
-        res.json({ category, totalSpent });
+        if (!rollup) return res.json({ category, totalSpent });
+
+        const { byId } = await loadHierarchy(db, userId);
+        const includes = categoryIds.map(id => (id === null ? Transactions.INCOME_SECTION : byId.get(id).label));
+        res.json({ category, totalSpent, includes });
 
     } catch (err) {
         console.error("Error fetching total expenses by category:", err);
         res.status(500).json({ error: "Internal server error." });
     }
 });
-router.get("/custom-categories", verifyToken, async (req, res) => {
+
+// GET /items/reimbursements/outstanding - Expenses marked reimbursable that have not been paid back in
+// full, oldest first, each with what has been reimbursed and what is outstanding, plus the outstanding
+// total per currency
+router.get("/reimbursements/outstanding", verifyToken, async (req, res) => {
     const userId = req.user.userId;
 
     try {
-        const defaultCategories = ["Travel", "Food", "Petrol", "Clothes", "Rent", "Groceries"];
+        const rows = await Transactions.listOutstandingReimbursements(db, userId);
+        const baseCurrency = await getBaseCurrency(db, userId);
+
+        const totals = new Map();
+        const items = rows.map(row => {
+            const currency = row.currency || baseCurrency;
+            const outstandingMinor = toMinor(row.value) - toMinor(row.refunded);
+            totals.set(currency, (totals.get(currency) || 0) + outstandingMinor);
+            return {
+                id: row.id,
+                title: row.title,
+                value: fromMinor(toMinor(row.value)),
+                currency,
+                date: row.date,
+                section: row.section,
+                payment_mode: row.payment_mode,
+                notes: row.notes,
+                account_id: row.account_id || null,
+                reimbursed: fromMinor(toMinor(row.refunded)),
+                outstanding: fromMinor(outstandingMinor)
+            };
+        });
+
+        console.log(`Backend: Fetched ${items.length} outstanding reimbursement(s) for user ${userId}.`);
+        res.json({
+            baseCurrency,
+            items,
+            totals: [...totals].map(([currency, minor]) => ({ currency, outstanding: fromMinor(minor) }))
+        });
+    } catch (err) {
+        console.error("Error fetching outstanding reimbursements:", err);
+        res.status(500).json({ error: "Failed to fetch outstanding reimbursements.", details: err.message });
+    }
+});
+
+// GET /items/suggest-category?title=...&amount=...&limit=5 - Sections ranked for a new item by a model
+// trained on the user's own past items (title words and amount); probabilities sum to 1 over all sections
+router.get("/suggest-category", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const title = typeof req.query.title === "string" ? req.query.title.trim() : "";
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+
+    if (!title) {
+        return res.status(400).json({ error: "title is required." });
+    }
+    const amountMinor = req.query.amount === undefined || req.query.amount === "" ? undefined : parseAmount(req.query.amount);
+    if (amountMinor === null) {
+        return res.status(400).json({ error: `amount must be ${amountRule()}.` });
+    }
+    if (!(limit >= 1 && limit <= 50)) {
+        return res.status(400).json({ error: "limit must be between 1 and 50." });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction(); // The first request builds the model from the user's history
 
-        const query = `
-            SELECT id,label, iconName, iconColor, target
-            FROM categories
-            WHERE user_id = ? AND label NOT IN (?) 
-        `;
-        const [rows] = await pool.promise().query(query, [userId, defaultCategories]);
+        await ensureTrained(connection, userId);
+        const { suggestions, trainedItems } = await suggestCategories(connection, userId, {
+            title,
+            amount: amountMinor === undefined ? undefined : formatMinor(amountMinor),
+            limit
+        });
+
+        await connection.commit();
+        res.json({ suggestions, trainedItems });
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error suggesting categories:", err);
+        res.status(500).json({ error: "Failed to suggest categories.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+router.get("/custom-categories", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const rows = await Categories.listCustom(db, userId);
 
         res.json(rows);
     } catch (err) {
@@ -488,29 +578,12 @@ router.get("/category-target", verifyToken, async (req, res) => {
 
     if (!category) return res.status(400).json({ error: "Category is required." });
 
-    const defaultCategories = ["Travel", "Food", "Petrol", "Clothes", "Rent", "Groceries"];
     try {
-        let query, params;
-
-        if (defaultCategories.includes(category)) {
-            query = `
-    SELECT target 
-    FROM infodata 
-    WHERE section = ? AND user_id = ? 
-    ORDER BY id DESC 
-    LIMIT 1
-`;
-
-            params = [category, userId];
-        } else {
-            query = `SELECT target FROM categories WHERE label = ? AND user_id = ? LIMIT 1`;
-            params = [category, userId];
-        }
-
-        const [rows] = await pool.promise().query(query, params);
-        const target = rows.length > 0 ? rows[0].target : 0;
+        // A category's target is its monthly budget
+        const [match] = await Categories.findByLabels(db, userId, [category]);
+        const budget = match ? await Budgets.findByCategory(db, userId, match.id, "monthly") : null;
 
-        res.json({ target });
+        res.json({ target: budget ? fromMinor(toMinor(budget.amount)) : 0 });
     } catch (err) {
         console.error("Error fetching category target:", err);
         res.status(500).json({ error: "Internal server error." });
@@ -527,23 +600,27 @@ router.post("/custom-categories", verifyToken, async (req, res) => {
     if (!label || !iconName || !iconColor) {
       return res.status(400).json({ error: "Missing required fields." });
     }
+
+    const { category, error } = parseCategory({ label, iconName, iconColor });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const targetMinor = parseTarget(target);
+    if (targetMinor === null) {
+      return res.status(400).json({ error: `Target must be ${amountRule()}.` });
+    }
   
     try {
-        const query = `
-        INSERT INTO infodata (title, section, iconName, iconColor, target, user_id)
-        VALUES (?, ?, ?, ?, ?, ?);
-      `;
-      await pool.promise().query(query, [
-        label,                  // Use category label as title (or something else)
-        label,
-        iconName,
-        iconColor,
-        target || null,
-        userId
-      ]);
-      
+      if ((await Categories.findByLabels(db, userId, [category.label])).length > 0) {
+        return res.status(409).json({ error: `Category '${category.label}' already exists.` });
+      }
+      const categoryId = await Categories.create(db, userId, category);
+      if (targetMinor > 0) {
+        await Budgets.setMonthlyAmount(db, userId, { id: categoryId, label: category.label }, formatMinor(targetMinor));
+      }
   
-      console.log(`Backend: Added custom category '${label}' for user ${userId}`);
+      console.log(`Backend: Added custom category '${category.label}' for user ${userId}`);
       res.status(201).json({ message: "Custom category added successfully!" });
   
     } catch (err) {
@@ -559,16 +636,24 @@ router.post("/add-category", verifyToken, async (req, res) => {
 
     if (!label || !iconLibrary) return res.status(400).json({ error: "Category label is required." });
 
+    const { category, error } = parseCategory({ label, iconName, iconColor, iconLibrary });
+    if (error) return res.status(400).json({ error });
+
+    const targetMinor = parseTarget(target);
+    if (targetMinor === null) return res.status(400).json({ error: `Target must be ${amountRule()}.` });
+
     try {
-        const query = `
-            INSERT INTO categories (label, iconName, iconColor, target, user_id,iconLibrary)
-            VALUES (?, ?, ?, ?, ?, ?);
-        `;
-        const [result] = await pool.promise().query(query, [label, iconName, iconColor, target || 0, userId,iconLibrary]);
+        if ((await Categories.findByLabels(db, userId, [category.label])).length > 0) {
+            return res.status(409).json({ error: `Category '${category.label}' already exists.` });
+        }
+        const categoryId = await Categories.create(db, userId, category);
+        if (targetMinor > 0) {
+            await Budgets.setMonthlyAmount(db, userId, { id: categoryId, label: category.label }, formatMinor(targetMinor));
+        }
 
         res.status(201).json({
             message: "Category added successfully!",
-            categoryId: result.insertId,
+            categoryId,
         });
     } catch (err) {
         console.error("Error adding category:", err);
@@ -576,8 +661,7 @@ router.post("/add-category", verifyToken, async (req, res) => {
     }
 });
 
-  // PUT /items/update-category-target
-// PUT /items/update-category-target
+// PUT /items/update-category-target - Sets the category's monthly budget (created if missing)
 router.put("/update-category-target", verifyToken, async (req, res) => {
     const { category, target } = req.body;
     const userId = req.user.userId;
@@ -586,43 +670,20 @@ router.put("/update-category-target", verifyToken, async (req, res) => {
         return res.status(400).json({ error: "Missing category or target." });
     }
 
-    const defaultCategories = ["Travel", "Food", "Petrol", "Clothes", "Rent", "Groceries"];
+    const targetMinor = parseAmount(target);
+    if (targetMinor === null) {
+        return res.status(400).json({ error: `Target must be ${amountRule()}.` });
+    }
+    if (category === Transactions.INCOME_SECTION) {
+        return res.status(400).json({ error: `'${Transactions.INCOME_SECTION}' is not a category and has no target.` });
+    }
 
     try {
-        let query, result;
-
-        if (defaultCategories.includes(category)) {
-            // Update infodata for default categories
-            query = `
-                UPDATE infodata
-                SET target = ?
-                WHERE section = ? AND user_id = ?;
-            `;
-            [result] = await pool.promise().query(query, [target, category, userId]);
-
-            if (result.affectedRows === 0) {
-                return res.status(404).json({ error: "No expenses found for this category." });
-            }
-
-            console.log(`Updated target in infodata for default category '${category}' to ${target} for user ${userId}.`);
-            res.json({ message: "Target updated successfully in infodata!" });
-
-        } else {
-            // Update categories table for custom categories
-            query = `
-                UPDATE categories
-                SET target = ?
-                WHERE label = ? AND (user_id = ? OR user_id IS NULL);
-            `;
-            [result] = await pool.promise().query(query, [target, category, userId]);
-
-            if (result.affectedRows === 0) {
-                return res.status(404).json({ error: "Category not found." });
-            }
-
-            console.log(`Updated target in categories for custom category '${category}' to ${target} for user ${userId}.`);
-            res.json({ message: "Target updated successfully in categories!" });
-        }
+        const categoryId = await resolveCategoryId(db, userId, category);
+        const budgetId = await Budgets.setMonthlyAmount(db, userId, { id: categoryId, label: category }, formatMinor(targetMinor));
+
+        console.log(`Updated monthly budget for category '${category}' to ${formatMinor(targetMinor)} for user ${userId}.`);
+        res.json({ message: "Target updated successfully!", budgetId });
 
     } catch (err) {
         console.error("Error updating category target:", err);
@@ -630,192 +691,380 @@ router.put("/update-category-target", verifyToken, async (req, res) => {
     }
 });
 
-router.delete("/custom-categories/:id", verifyToken, async (req, res) => {
-    const categoryId = req.params.id; // The ID of the category to delete
+// DELETE /items/custom-categories/:id?mode=reassign&into=:otherId | ?mode=archive | ?mode=cascade
+// Kept for older clients; same as DELETE /items/categories/:id
+router.delete("/custom-categories/:id", verifyToken, deleteCategoryHandler);
+
+// Budget alerts are best-effort: a failure is logged and never fails the item change itself.
+// Runs after commit on the request's own connection, once per category (id) the item counts toward.
+async function checkBudgetAlerts(connection, userId, categoryIds, date) {
+    const notifications = [];
+    for (const categoryId of categoryIds) {
+        try {
+            notifications.push(...await evaluateBudgetAlerts(connection, userId, categoryId, date));
+        } catch (err) {
+            console.error("Error evaluating budget alerts:", err);
+        }
+    }
+    return notifications;
+}
+
+// POST new expense. Optional type: expense, income or refund; without one it follows the section
+// ('Income' and income categories mean income, see services/transactionTypes.js). Transfers between
+// accounts are made under /accounts/transfers. Expenses expected to be paid back can be sent with
+// reimbursable: true; refunds linked to an expense are recorded under /items/:id/refunds.
+router.post("/", verifyToken, async (req, res) => {
+    const { title, value, date, section, target, payment_mode, notes, account_id } = req.body;
+    const currency = normalizeCurrency(req.body.currency); // Omitted: the user's base currency
     const userId = req.user.userId;
 
     if (!userId) {
-        console.error("Error: userId is undefined in /custom-categories DELETE route.");
-        return res.status(401).json({ error: "User ID not found in token payload." });
+        console.error("Error: userId is undefined in /items POST route. Cannot add expense.");
+        return res.status(401).json({ error: "User ID not found in token payload. Cannot add expense." });
     }
 
-    if (!categoryId) {
-        return res.status(400).json({ error: "Category ID is required." });
+    // section may be left out: the user's category rules then pick it
+    if (!title || value === undefined || !date || !payment_mode) {
+        return res.status(400).json({ error: "Missing required fields." });
     }
 
-    let connection;
-    try {
-        connection = await pool.promise().getConnection();
-        await connection.beginTransaction(); // Start a transaction for atomicity
-
-        // 1. Get the label of the category to be deleted
-        // This label is needed to identify and delete associated transactions in `infodata`.
-        const [categoryRows] = await connection.query(
-            `SELECT label FROM categories WHERE id = ? AND user_id = ?`,
-            [categoryId, userId]
-        );
-
-        if (categoryRows.length === 0) {
-            await connection.rollback(); // Rollback if category not found or unauthorized
-            return res.status(404).json({ error: "Custom category not found or not authorized for this user." });
-        }
-
-        const deletedCategoryLabel = categoryRows[0].label;
-
-        // 2. DELETE all infodata entries that used this category for the current user
-        const [deleteInfodataResult] = await connection.query(
-            `DELETE FROM infodata WHERE user_id = ? AND section = ?`,
-            [userId, deletedCategoryLabel]
-        );
-        console.log(`Backend: Deleted ${deleteInfodataResult.affectedRows} infodata entries associated with '${deletedCategoryLabel}'.`);
-
-
-        // 3. Delete the custom category from the categories table
-        const [deleteCategoryResult] = await connection.query(
-            `DELETE FROM categories WHERE id = ? AND user_id = ?`,
-            [categoryId, userId]
-        );
-
-        if (deleteCategoryResult.affectedRows === 0) {
-            await connection.rollback(); // Rollback if category couldn't be deleted (e.g., already gone)
-            return res.status(404).json({ error: "Custom category not found or could not be deleted from categories table." });
-        }
-
-        await connection.commit(); // Commit the transaction if all operations succeed
-
-        console.log(`Backend: Custom category '${deletedCategoryLabel}' (ID: ${categoryId}) and all its associated transactions deleted for user ${userId}.`);
-        res.status(200).json({ 
-            message: `Custom category "${deletedCategoryLabel}" and ${deleteInfodataResult.affectedRows} associated transactions deleted successfully.`,
-            deletedTransactionsCount: deleteInfodataResult.affectedRows 
-        });
+    if (currency && !isValidCurrency(currency)) {
+        return res.status(400).json({ error: "Currency must be a three-letter code such as USD." });
+    }
 
-    } catch (err) {
-        if (connection) await connection.rollback(); // Rollback on any error during the transaction
-        console.error("Error deleting custom category and associated infodata:", err);
-        res.status(500).json({ error: "Internal server error. Failed to delete custom category and associated transactions.", details: err.message });
-    } finally {
-        if (connection) connection.release(); // Always release the connection
+    const valueMinor = parseAmount(value, { currency, allowNegative: true });
+    if (valueMinor === null) {
+        return res.status(400).json({ error: `Value must be ${amountRule(currency)}.` });
+    }
+    const targetMinor = parseTarget(target);
+    if (targetMinor === null) {
+        return res.status(400).json({ error: `Target must be ${amountRule()}.` });
     }
-});
 
-// POST new expense
-router.post("/", verifyToken, async (req, res) => {
-    const { title, value, date, section, target, payment_mode, notes } = req.body;
-    const userId = req.user.userId;
+    const { type: requestedType, error: typeError } = parseType(req.body.type);
+    if (typeError) {
+        return res.status(400).json({ error: typeError });
+    }
+    const { reimbursable, error: reimbursableError } = parseReimbursable(req.body.reimbursable);
+    if (reimbursableError) {
+        return res.status(400).json({ error: reimbursableError });
+    }
 
-    if (!userId) {
-        console.error("Error: userId is undefined in /items POST route. Cannot add expense.");
-        return res.status(401).json({ error: "User ID not found in token payload. Cannot add expense." });
+    // Optional split lines: [{ section, value, notes }] adding up to value
+    const { splits, error: splitError } = parseSplits(req.body.splits, { valueMinor, section, currency });
+    if (splitError) {
+        return res.status(400).json({ error: splitError });
     }
 
-    if (!title || value === undefined || !date || !section || !payment_mode) {
-        return res.status(400).json({ error: "Missing required fields." });
+    // Optional tag names; ones the user does not have yet are created
+    const { names: tagNames, error: tagError } = req.body.tags === undefined ? { names: [] } : parseTagNames(req.body.tags);
+    if (tagError) {
+        return res.status(400).json({ error: tagError });
     }
 
     // Use the date as provided (already in "YYYY-MM-DD HH:mm:ss" format from frontend)
     const formattedDate = date; // No additional conversion needed
 
+    let connection;
     try {
-        const query = `
-            INSERT INTO infodata (title, value, date, section, target, payment_mode, notes, user_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?);
-        `;
-        const [result] = await pool.promise().query(query, [
+        connection = await db.getConnection();
+        await connection.beginTransaction(); // The item and the balance change commit together
+
+        if (account_id && !(await Accounts.findById(connection, account_id, userId))) {
+            await connection.rollback();
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        // Without a section income goes under 'Income' and for expenses the
+        // first matching category rule picks one ('Uncategorized' when none match)
+        const { section: itemSection, rule_id: ruleId } = section || defaultSection(requestedType)
+            ? { section: section || defaultSection(requestedType), rule_id: null }
+            : categorize(await loadRules(connection, userId), { title, value: formatMinor(valueMinor), payment_mode });
+
+        const { type, kind, error: sectionError } = await resolveType(connection, userId, { type: requestedType, section: itemSection });
+        const itemError = sectionError || (splits.length > 0 && type !== "expense" ? "Only expenses can be split." : null)
+            || (reimbursable && type !== "expense" ? "Only expenses can be reimbursable." : null)
+            || await checkSplitSections(connection, userId, splits);
+        if (itemError) {
+            await connection.rollback();
+            return res.status(400).json({ error: itemError });
+        }
+
+        // The balance is kept in the base currency
+        const balanceEffect = await baseBalanceEffect(connection, userId, { type, value: formatMinor(valueMinor), currency, date: formattedDate });
+        if (balanceEffect === null) {
+            await connection.rollback();
+            return res.status(400).json({ error: `No exchange rate for ${currency} on ${formattedDate}. Add one under /currency/rates first.` });
+        }
+
+        // Labels not used before become categories of the item's kind, split lines' included ('Income' has none)
+        const categoryIds = kind
+            ? await resolveCategoryIds(connection, userId, [itemSection, ...splits.map(split => split.section)], { kind })
+            : new Map();
+        const categoryId = categoryIds.get(itemSection) || null;
+        const savedSplits = withCategoryIds(splits, categoryIds);
+        const expenseId = await Transactions.create(connection, userId, {
             title,
-            value,
-            formattedDate,
-            section,
-            target,
+            value: formatMinor(valueMinor),
+            currency,
+            date: formattedDate,
+            type,
+            section: itemSection,
+            category_id: categoryId,
             payment_mode,
             notes,
-            userId
-        ]);
+            account_id,
+            reimbursable
+        });
+        if (savedSplits.length > 0) {
+            await Splits.replaceForTransaction(connection, expenseId, savedSplits);
+        }
+        if (tagNames.length > 0) {
+            await Tags.replaceForTransaction(connection, expenseId, await resolveTagIds(connection, userId, tagNames));
+        }
+        await learn(connection, userId, [{ title, value: formatMinor(valueMinor), type, section: itemSection, category_id: categoryId }]);
 
-        console.log(`Backend: Added expense '${title}' for user ${userId} to category '${section}' with date ${formattedDate}.`);
+        // 'Income' is not a category and has no target
+        if (targetMinor > 0 && categoryId) {
+            await Budgets.setMonthlyAmount(connection, userId, { id: categoryId, label: itemSection }, formatMinor(targetMinor));
+        }
+
+        const newBalance = await Users.adjustBalance(connection, userId, balanceEffect);
+        if (newBalance === null) {
+            await connection.rollback();
+            return res.status(404).json({ error: "User not found." });
+        }
+
+        await connection.commit();
+
+        const notifications = isExpenseType(type)
+            ? await checkBudgetAlerts(connection, userId, categoryIdsOf(categoryId, savedSplits), formattedDate)
+            : [];
+
+        console.log(`Backend: Added ${type} '${title}' for user ${userId} to category '${itemSection}' with date ${formattedDate}. New balance: ${newBalance}`);
         res.status(201).json({
             message: "Expense added successfully!",
-            expenseId: result.insertId,
+            expenseId,
+            type,
+            reimbursable: Boolean(reimbursable),
+            section: itemSection,
+            categoryId,
+            ruleId,
+            tags: tagNames,
+            newBalance,
+            notifications
         });
 
     } catch (err) {
+        if (connection) await connection.rollback();
         console.error("Error adding expense:", err);
         res.status(500).json({ error: "Internal server error." });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-// Delete an item
-router.delete("/:id", verifyToken, (req, res) => {
+// Delete an item; an expense's linked refunds are deleted with it
+router.delete("/:id", verifyToken, async (req, res) => {
   const { id } = req.params;
   const userId = req.user.userId;
-  pool.query(
-    "DELETE FROM infodata WHERE id = ? AND user_id = ?",
-    [id, userId],
-    (err) => {
-      if (err) {
-        console.error("Error deleting item:", err);
-        return res.status(500).json({ error: "Failed to delete item." });
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const item = await Transactions.findById(connection, id, userId, { forUpdate: true });
+    if (!item) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Item not found." });
+    }
+
+    const refunds = await Transactions.listRefunds(connection, userId, [item.id]);
+    let balanceEffect = 0;
+    for (const row of [item, ...refunds]) {
+      const effect = await baseBalanceEffect(connection, userId, row);
+      if (effect === null) {
+        await connection.rollback();
+        return res.status(400).json({ error: `No exchange rate for ${row.currency} on the date of item ${row.id}. Add one under /currency/rates first.` });
       }
-      res.json({ message: "Item deleted successfully" });
+      balanceEffect += effect;
     }
-  );
+
+    const attachmentFiles = await Attachments.listStoredNames(connection, userId, { transactionId: item.id });
+    await Transactions.remove(connection, id, userId);
+    await unlearn(connection, userId, [item, ...refunds]);
+    // Undo the item's effect: deleting an expense refunds it, deleting income takes it back, and the
+    // expense's refunds are taken back with it
+    const newBalance = await Users.adjustBalance(connection, userId, -balanceEffect);
+
+    await connection.commit();
+    await removeFiles(attachmentFiles);
+    res.json({ message: "Item deleted successfully", removedRefundCount: refunds.length, newBalance });
+  } catch (err) {
+    if (connection) await connection.rollback();
+    console.error("Error deleting item:", err);
+    res.status(500).json({ error: "Failed to delete item." });
+  } finally {
+    if (connection) connection.release();
+  }
 });
 
 
-// Update an item
+// Update an item. Without a type an expense or income item follows its section; refunds stay refunds,
+// and reimbursable stays as it is when not sent. A refund linked to an expense stays within what is
+// left to pay back, and an expense's linked refunds follow its category and split lines.
 router.put("/:id", verifyToken, async (req, res) => {
   const { id } = req.params;
-  const { title, value, date, section, target, payment_mode, notes } = req.body;
+  const { title, value, date, section, target, payment_mode, notes, account_id } = req.body;
   const userId = req.user.userId;
 
-  const numericValue = parseFloat(value);
-  if (isNaN(numericValue)) return res.status(400).json({ error: "Value must be a valid number." });
+  // Re-checked below against the item's currency once it is known
+  if (parseAmount(value, { allowNegative: true }) === null) {
+    return res.status(400).json({ error: `Value must be ${amountRule()}.` });
+  }
+
+  const targetMinor = parseTarget(target);
+  if (targetMinor === null) return res.status(400).json({ error: `Target must be ${amountRule()}.` });
 
-  const numericTarget = target !== undefined ? parseFloat(target) : 0;
-  if (isNaN(numericTarget)) return res.status(400).json({ error: "Target must be a valid number." });
+  const requestedCurrency = normalizeCurrency(req.body.currency);
+  if (requestedCurrency && !isValidCurrency(requestedCurrency)) {
+    return res.status(400).json({ error: "Currency must be a three-letter code such as USD." });
+  }
 
   const formattedDate = new Date(date).toISOString().split('T')[0];
 
+  const { type: bodyType, error: typeError } = parseType(req.body.type);
+  if (typeError) {
+    return res.status(400).json({ error: typeError });
+  }
+  const { reimbursable: bodyReimbursable, error: reimbursableError } = parseReimbursable(req.body.reimbursable);
+  if (reimbursableError) {
+    return res.status(400).json({ error: reimbursableError });
+  }
+
+  // Clients that do not send tags keep the item's tags; tags: [] removes them
+  const { names: tagNames, error: tagError } = req.body.tags === undefined ? { names: null } : parseTagNames(req.body.tags);
+  if (tagError) {
+    return res.status(400).json({ error: tagError });
+  }
+
   let connection;
   try {
     connection = await retryOperation(async () => {
-      const conn = await pool.promise().getConnection();
+      const conn = await db.getConnection();
       await conn.beginTransaction();
       return conn;
     });
 
-    if (target !== undefined) {
-      await retryOperation(async () => {
-        await connection.query(
-          "UPDATE infodata SET target = ? WHERE section = ? AND user_id = ?",
-          [numericTarget, section, userId]
-        );
-      });
+    const existingItem = await retryOperation(() => Transactions.findById(connection, id, userId, { forUpdate: true }));
+    if (!existingItem) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Item not found." });
     }
 
-    await retryOperation(async () => {
-      await connection.query(
-        `UPDATE infodata SET title = ?, value = ?, date = ?, section = ?, payment_mode = ?, notes = ? WHERE id = ? AND user_id = ?`,
-        [title, numericValue, formattedDate, section, payment_mode || null, notes || null, id, userId]
-      );
-    });
+    // Clients that do not send account_id keep the item on its current account
+    const accountId = account_id !== undefined ? account_id : existingItem.account_id;
+    if (accountId && !(await Accounts.findById(connection, accountId, userId))) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Account not found." });
+    }
+
+    // Clients that do not send currency keep the item's current one
+    const currency = req.body.currency !== undefined ? requestedCurrency : existingItem.currency;
+    const valueMinor = parseAmount(value, { currency, allowNegative: true });
+    if (valueMinor === null) {
+      await connection.rollback();
+      return res.status(400).json({ error: `Value must be ${amountRule(currency)}.` });
+    }
+
+    // A linked refund's lines follow its expense's (see syncRefunds below)
+    if (existingItem.refund_of && req.body.splits !== undefined) {
+      await connection.rollback();
+      return res.status(400).json({ error: "A linked refund is split like its expense; edit the expense's split lines instead." });
+    }
+
+    // Clients that do not send splits keep the current lines, which must still add up to the new value;
+    // splits: [] turns a split item back into a plain one
+    const existingSplits = existingItem.refund_of ? [] : await Splits.listForTransaction(connection, userId, id);
+    const { splits, error: splitError } = parseSplits(
+      req.body.splits !== undefined ? req.body.splits : existingSplits,
+      { valueMinor, section, currency }
+    );
+    if (splitError) {
+      await connection.rollback();
+      return res.status(400).json({ error: splitError });
+    }
+
+    const keptType = existingItem.type === "refund" ? existingItem.type : null;
+    const { type, kind, error: sectionError } = await resolveType(connection, userId, { type: bodyType || keptType, section });
+    // Items that stop being expenses stop being reimbursable
+    const reimbursable = type === "expense" && (bodyReimbursable !== null ? bodyReimbursable : Boolean(existingItem.reimbursable));
+    const itemError = sectionError || (splits.length > 0 && type !== "expense" ? "Only expenses can be split." : null)
+      || (bodyReimbursable && type !== "expense" ? "Only expenses can be reimbursable." : null)
+      || await checkSplitSections(connection, userId, splits)
+      || await checkRefundLinks(connection, userId, existingItem, { type, section, currency, valueMinor });
+    if (itemError) {
+      await connection.rollback();
+      return res.status(400).json({ error: itemError });
+    }
+
+    // Covers amount, currency and date edits and changes of type (an expense turned into income)
+    const oldEffect = await baseBalanceEffect(connection, userId, existingItem);
+    const newEffect = await baseBalanceEffect(connection, userId, { type, value: formatMinor(valueMinor), currency, date: formattedDate });
+    if (oldEffect === null || newEffect === null) {
+      await connection.rollback();
+      const missing = oldEffect === null ? existingItem.currency : currency;
+      return res.status(400).json({ error: `No exchange rate for ${missing} on the item's date. Add one under /currency/rates first.` });
+    }
+
+    const categoryIds = kind
+      ? await resolveCategoryIds(connection, userId, [section, ...splits.map(split => split.section)], { kind })
+      : new Map();
+    const categoryId = categoryIds.get(section) || null;
+    const savedSplits = withCategoryIds(splits, categoryIds);
+
+    // 'Income' is not a category and has no target
+    if (targetMinor > 0 && categoryId) {
+      await retryOperation(() => Budgets.setMonthlyAmount(connection, userId, { id: categoryId, label: section }, formatMinor(targetMinor)));
+    }
+
+    await retryOperation(() => Transactions.update(connection, id, userId, {
+      title, value: formatMinor(valueMinor), currency, date: formattedDate, type, section, category_id: categoryId,
+      payment_mode: payment_mode || null, notes: notes || null, account_id: accountId, reimbursable
+    }));
+    if (req.body.splits !== undefined) {
+      await retryOperation(() => Splits.replaceForTransaction(connection, id, savedSplits));
+    }
+    await syncRefunds(connection, userId, await Transactions.findById(connection, existingItem.refund_of || id, userId));
+    if (tagNames) {
+      await Tags.replaceForTransaction(connection, id, await resolveTagIds(connection, userId, tagNames));
+    }
+    await unlearn(connection, userId, [existingItem]);
+    await learn(connection, userId, [{ title, value: formatMinor(valueMinor), type, section, category_id: categoryId }]);
+
+    const balanceDelta = newEffect - oldEffect;
+    const newBalance = await retryOperation(() => Users.adjustBalance(connection, userId, balanceDelta));
 
     await connection.commit();
 
-    const [updatedItems] = await retryOperation(async () => {
-      return await pool.promise().query(
-        "SELECT id, title, value, date, section, target, payment_mode, notes, user_id FROM infodata WHERE section = ? AND user_id = ?",
-        [section, userId]
-      );
-    });
+    const updatedItems = await retryOperation(() => Transactions.listByCategory(connection, userId, categoryId));
+    const notifications = isExpenseType(type)
+      ? await checkBudgetAlerts(connection, userId, categoryIdsOf(categoryId, savedSplits), formattedDate)
+      : [];
 
     res.json({
       message: "Items updated successfully",
       updatedItem: {
-        id: parseInt(id), title, value: numericValue, date: formattedDate,
-        section, target: numericTarget, payment_mode: payment_mode || null,
-        notes: notes || null, user_id: userId
+        id: parseInt(id), title, value: fromMinor(valueMinor), currency: currency || null, date: formattedDate,
+        type, reimbursable, refund_of: existingItem.refund_of || null, section, category_id: categoryId, target: fromMinor(targetMinor), payment_mode: payment_mode || null,
+        notes: notes || null, account_id: accountId || null, user_id: userId,
+        splits: (await Splits.listForTransaction(connection, userId, id)).map(formatSplit),
+        tags: ((await Tags.listForTransactions(connection, userId, [existingItem.id])).get(existingItem.id) || []).map(formatTag)
       },
-      sectionItems: updatedItems
+      sectionItems: updatedItems,
+      newBalance,
+      notifications
     });
 
   } catch (error) {
@@ -0,0 +1,51 @@
+// routes/exportRoutes.js
+// Mounted at /items/export (before the /items router)
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const { EXPORT_FORMATS, CONTENT_TYPES, writeExport } = require("../services/transactionExport");
+const { categoryFilter } = require("../services/categories");
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+
+// GET /items/export?format=csv|json|xlsx - Download the items matching the same
+// category/fromDate/toDate filters as GET /items, newest first
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const format = (req.query.format || "csv").toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` });
+    }
+    for (const field of ["fromDate", "toDate"]) {
+        if (req.query[field] && !isValidDateString(req.query[field])) {
+            return res.status(400).json({ error: `${field} must be a valid YYYY-MM-DD date.` });
+        }
+    }
+
+    const filters = {
+        fromDate: req.query.fromDate, // YYYY-MM-DD
+        toDate: req.query.toDate      // YYYY-MM-DD
+    };
+
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="transactions-${toDateString(new Date())}.${format}"`);
+
+    try {
+        filters.categoryIds = await categoryFilter(db, userId, req.query.category);
+        await writeExport(db, userId, filters, format, res);
+        res.end();
+        console.log(`Backend: Exported items as ${format} for user ${userId}.`);
+    } catch (err) {
+        console.error("Error exporting items:", err);
+        // Once rows have been streamed the status can no longer change; cut the download short instead
+        if (!res.headersSent) {
+            res.removeHeader("Content-Disposition");
+            return res.status(500).json({ error: "Failed to export items.", details: err.message });
+        }
+        res.destroy(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+// routes/importRoutes.js
+// Bank statement import, mounted at /items/import (before the /items router).
+// 1. POST /items/import/preview parses the file and flags likely duplicates; nothing is saved.
+// 2. POST /items/import saves the rows the user kept as one import batch.
+// 3. DELETE /items/import/batches/:id rolls a whole batch back.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const { createUpload } = require("../middleware/upload");
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Transactions = require("../repositories/transactionRepository");
+const ImportBatches = require("../repositories/importBatchRepository");
+const Users = require("../repositories/userRepository");
+const Accounts = require("../repositories/accountRepository");
+const Attachments = require("../repositories/attachmentRepository");
+const { IMPORT_SOURCES, DATE_FORMATS, detectSource, parseStatement, markDuplicates } = require("../services/statementImport");
+const { baseBalanceEffect } = require("../services/currency");
+const { loadRules, categorize, categorizeImportRows } = require("../services/categoryRules");
+const { learn, unlearn } = require("../services/categoryModel");
+const { resolveCategoryIds } = require("../services/categories");
+const { parseType, defaultSection, resolveType } = require("../services/transactionTypes");
+const { removeFiles } = require("../services/attachments");
+const { isValidDateString } = require("../utils/recurrence");
+const { formatMinor, parseAmount } = require("../utils/money");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Statements are parsed from memory and never written to the public uploads folder
+const upload = createUpload({
+    extensions: IMPORT_SOURCES,
+    errorMessage: `Only ${IMPORT_SOURCES.join(", ").toUpperCase()} files are allowed!`,
+    inMemory: true
+});
+
+// Runs multer inline so that a rejected file becomes a JSON 400 response
+const uploadStatement = (req, res, next) => {
+    upload.single("file")(req, res, (err) => {
+        if (err) return res.status(400).json({ error: "File upload error", details: err.message });
+        next();
+    });
+};
+
+const formatBatch = (batch) => ({
+    ...batch,
+    rolled_back: batch.rolled_back_at !== null
+});
+
+// POST /items/import/preview - multipart with `file` (.csv, .ofx or .qfx) and optional fields:
+// mapping (JSON, e.g. {"date":"Date","title":"Description","amount":"Amount"}; columns by header or index),
+// date_format (YYYY-MM-DD | DD/MM/YYYY | MM/DD/YYYY), section (category for expenses), payment_mode,
+// invert_amounts ("true" when the file lists money out as positive).
+// Expenses the statement gives no category for are sorted by the user's category rules (rule_id on each row).
+// CSV files without a usable mapping return needs_mapping with the headers, a suggested mapping and sample rows.
+router.post("/preview", verifyToken, uploadStatement, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!req.file) {
+        return res.status(400).json({ error: "A statement file is required." });
+    }
+
+    const source = detectSource(req.file.originalname);
+    const { date_format, section, payment_mode, invert_amounts } = req.body;
+
+    let mapping;
+    if (req.body.mapping) {
+        try {
+            mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+            return res.status(400).json({ error: "mapping must be valid JSON." });
+        }
+    }
+    if (date_format && !DATE_FORMATS.includes(date_format)) {
+        return res.status(400).json({ error: `date_format must be one of: ${DATE_FORMATS.join(", ")}.` });
+    }
+
+    try {
+        let preview;
+        try {
+            preview = parseStatement(source, req.file.buffer, {
+                mapping,
+                dateFormat: date_format,
+                section,
+                paymentMode: payment_mode,
+                invertAmounts: invert_amounts === "true"
+            });
+        } catch (err) {
+            return res.status(400).json({ error: "Could not read the statement file.", details: err.message });
+        }
+
+        if (preview.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `A statement can contain at most ${MAX_IMPORT_ROWS} rows.` });
+        }
+        categorizeImportRows(await loadRules(db, userId), preview.rows);
+        await markDuplicates(db, userId, preview.rows);
+
+        res.json({
+            source,
+            filename: req.file.originalname,
+            ...preview,
+            duplicateCount: preview.rows.filter(row => row.duplicate_of).length,
+            invalidCount: preview.rows.filter(row => row.errors.length > 0).length
+        });
+    } catch (err) {
+        console.error("Error previewing statement import:", err);
+        res.status(500).json({ error: "Failed to preview import.", details: err.message });
+    }
+});
+
+// POST /items/import - Save the selected preview rows in one transaction.
+// Body: { source, filename, account_id, rows: [{ date, title, value, type, section, payment_mode, notes }] }
+// Rows without a type follow their section (see services/transactionTypes.js). Expense rows without
+// a section are sorted by the user's category rules ('Uncategorized' when none match).
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { source, filename, account_id, rows } = req.body;
+
+    if (!IMPORT_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: ${IMPORT_SOURCES.join(", ")}.` });
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: "Select at least one row to import." });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once.` });
+    }
+
+    const invalidRow = rows.findIndex(row => !row || !isValidDateString(row.date) || !row.title
+        || !row.payment_mode || !(parseAmount(row.value) > 0));
+    if (invalidRow !== -1) {
+        return res.status(400).json({ error: `Row ${invalidRow + 1} needs a date (YYYY-MM-DD), title, positive value and payment_mode.` });
+    }
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction(); // Every row and the balance change commit together
+
+        if (account_id && !(await Accounts.findById(connection, account_id, userId))) {
+            await connection.rollback();
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        const batchId = await ImportBatches.create(connection, userId, {
+            source,
+            filename,
+            row_count: rows.length,
+            account_id
+        });
+
+        const rules = await loadRules(connection, userId);
+        const savedItems = [];
+        for (const [index, row] of rows.entries()) {
+            const value = formatMinor(parseAmount(row.value));
+            const { type: requestedType, error: typeError } = parseType(row.type);
+            const section = row.section || defaultSection(requestedType)
+                || categorize(rules, { title: row.title, value, payment_mode: row.payment_mode }).section;
+            const { type, kind, error } = typeError ? { error: typeError } : await resolveType(connection, userId, { type: requestedType, section });
+            if (error) {
+                await connection.rollback();
+                return res.status(400).json({ error: `Row ${index + 1}: ${error}` });
+            }
+            savedItems.push({ title: row.title, value, type, section, kind });
+        }
+        // New labels become categories of their items' kind ('Income' has none)
+        const labelsOf = (kind) => savedItems.filter(item => item.kind === kind).map(item => item.section);
+        const categoryIds = new Map([
+            ...await resolveCategoryIds(connection, userId, labelsOf("expense")),
+            ...await resolveCategoryIds(connection, userId, labelsOf("income"), { kind: "income" })
+        ]);
+
+        let balanceDelta = 0;
+        for (const [index, row] of rows.entries()) {
+            const item = savedItems[index];
+            item.category_id = item.kind ? categoryIds.get(item.section) : null;
+            const { value, type, section, category_id } = item;
+            await Transactions.create(connection, userId, {
+                title: row.title,
+                value,
+                date: `${row.date} 00:00:00`,
+                type,
+                section,
+                category_id,
+                payment_mode: row.payment_mode,
+                notes: row.notes || null,
+                account_id,
+                import_batch_id: batchId
+            });
+            balanceDelta += Transactions.balanceEffect(type, value);
+        }
+        await learn(connection, userId, savedItems);
+
+        const newBalance = await Users.adjustBalance(connection, userId, balanceDelta);
+        if (newBalance === null) {
+            await connection.rollback();
+            return res.status(404).json({ error: "User not found." });
+        }
+
+        await connection.commit();
+
+        console.log(`Backend: Imported ${rows.length} ${source} row(s) as batch ${batchId} for user ${userId}. New balance: ${newBalance}`);
+        res.status(201).json({
+            message: "Statement imported successfully!",
+            batchId,
+            importedCount: rows.length,
+            newBalance
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error importing statement:", err);
+        res.status(500).json({ error: "Failed to import statement.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// GET /items/import/batches - Past imports, newest first
+router.get("/batches", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const batches = await ImportBatches.list(db, userId);
+        res.json(batches.map(formatBatch));
+    } catch (err) {
+        console.error("Error fetching import batches:", err);
+        res.status(500).json({ error: "Failed to fetch import batches.", details: err.message });
+    }
+});
+
+// DELETE /items/import/batches/:id - Roll back an import: deletes the rows still left from it
+// (including any edits made since) and reverses their effect on the balance
+router.delete("/batches/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const batch = await ImportBatches.findById(connection, req.params.id, userId, { forUpdate: true });
+        if (!batch) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Import batch not found." });
+        }
+        if (batch.rolled_back_at) {
+            await connection.rollback();
+            return res.status(409).json({ error: "Import batch was already rolled back." });
+        }
+
+        // Refunds linked to the batch's items go with them
+        const batchItems = await Transactions.listByImportBatch(connection, userId, batch.id, { forUpdate: true });
+        const items = [...batchItems, ...await Transactions.listRefunds(connection, userId, batchItems.map(item => item.id))];
+
+        // Items keep the currency that was the base at import time, so convert them back first
+        let balanceDelta = 0;
+        for (const item of items) {
+            const effect = await baseBalanceEffect(connection, userId, item);
+            if (effect === null) {
+                await connection.rollback();
+                return res.status(400).json({ error: `No exchange rate for ${item.currency} on the date of item ${item.id}. Add one under /currency/rates first.` });
+            }
+            balanceDelta -= effect;
+        }
+
+        const attachmentFiles = await Attachments.listStoredNames(connection, userId, { importBatchId: batch.id });
+        const removedCount = await Transactions.removeByImportBatch(connection, userId, batch.id);
+        await unlearn(connection, userId, items);
+        const newBalance = await Users.adjustBalance(connection, userId, balanceDelta);
+        await ImportBatches.markRolledBack(connection, batch.id, userId);
+
+        await connection.commit();
+        await removeFiles(attachmentFiles);
+
+        console.log(`Backend: Rolled back import batch ${batch.id} (${removedCount} row(s)) for user ${userId}.`);
+        res.json({ message: "Import rolled back successfully.", removedCount, newBalance });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error rolling back import batch:", err);
+        res.status(500).json({ error: "Failed to roll back import.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
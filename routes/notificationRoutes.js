@@ -0,0 +1,89 @@
+// routes/notificationRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Notifications = require("../repositories/notificationRepository");
+const { toDateString } = require("../utils/recurrence");
+
+const formatNotification = (row) => ({
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    budget_id: row.budget_id,
+    threshold: row.threshold,
+    period_start: row.period_start ? toDateString(row.period_start) : null,
+    read: row.read_at !== null,
+    created_at: row.created_at
+});
+
+// GET /notifications - The user's feed, newest first (?unread=true for unread only, ?limit= up to 200)
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!userId) {
+        console.error("Error: userId is undefined in /notifications GET route.");
+        return res.status(401).json({ error: "User ID not found in token payload." });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const notifications = await Notifications.list(db, userId, { unreadOnly: req.query.unread === "true", limit });
+        const unreadCount = await Notifications.countUnread(db, userId);
+        res.json({ notifications: notifications.map(formatNotification), unreadCount });
+    } catch (err) {
+        console.error("Error fetching notifications:", err);
+        res.status(500).json({ error: "Failed to fetch notifications.", details: err.message });
+    }
+});
+
+// PUT /notifications/read-all - Mark every notification as read
+router.put("/read-all", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const updatedCount = await Notifications.markAllRead(db, userId);
+        res.json({ message: "Notifications marked as read.", updatedCount });
+    } catch (err) {
+        console.error("Error marking notifications as read:", err);
+        res.status(500).json({ error: "Failed to update notifications.", details: err.message });
+    }
+});
+
+// PUT /notifications/:id/read
+router.put("/:id/read", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await Notifications.markRead(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Notification not found." });
+        }
+        const notification = await Notifications.findById(db, req.params.id, userId);
+        res.json({ message: "Notification marked as read.", notification: formatNotification(notification) });
+    } catch (err) {
+        console.error("Error marking notification as read:", err);
+        res.status(500).json({ error: "Failed to update notification.", details: err.message });
+    }
+});
+
+// DELETE /notifications/:id - Dismiss a notification (the same alert will not fire again this period)
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await Notifications.dismiss(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Notification not found." });
+        }
+        res.json({ message: "Notification dismissed." });
+    } catch (err) {
+        console.error("Error dismissing notification:", err);
+        res.status(500).json({ error: "Failed to dismiss notification.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,37 +1,25 @@
 const express = require("express");
 const router = express.Router();
 const fs = require("fs");
-const multer = require("multer");
-const path = require("path");
 
 const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
-const { pool } = require("../db"); // Import pool from db.js
+const { createUpload } = require("../middleware/upload");
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Users = require("../repositories/userRepository");
+const Transactions = require("../repositories/transactionRepository");
+const Accounts = require("../repositories/accountRepository");
+const Attachments = require("../repositories/attachmentRepository");
+const { isValidCurrency, normalizeCurrency, baseBalanceEffect, changeBaseCurrency } = require("../services/currency");
+const { removeFiles } = require("../services/attachments");
+const { isCursorMode, parseCursorQuery, listItemsByCursor } = require("../services/cursorPagination");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
 const { BASE_URL } = require("../config"); // Import BASE_URL
 
 // Multer configuration for profile photo uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadDir = 'uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
-        }
-        cb(null, uploadDir + '/');
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-const fileFilter = (req, file, cb) => {
-    if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
-        return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-};
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+const upload = createUpload({
+    prefix: 'profile',
+    extensions: ['jpg', 'jpeg', 'png', 'gif'],
+    errorMessage: 'Only image files are allowed!'
 });
 
 // Helper to get start/end dates for various summary periods
@@ -80,24 +68,19 @@ router.get("/", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
-        const [userRows] = await connection.query('SELECT id, first_name, last_name, email, phone_number, profile_photo FROM users WHERE id = ?', [userId]);
+        const userProfile = await Users.findById(db, userId);
 
-        if (userRows.length === 0) {
+        if (!userProfile) {
             return res.status(404).json({ error: "User not found." });
         }
 
-        const userProfile = userRows[0];
         console.log(`Backend: Fetched profile for user ${userId}:`, userProfile);
         res.json(userProfile);
 
     } catch (err) {
         console.error("Error fetching user profile:", err);
         res.status(500).json({ error: "Failed to fetch user profile.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
@@ -109,46 +92,56 @@ router.get("/all-transactions", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    let connection;
+    // Without a cursor every item is returned; with one (empty for the first page), one page plus next/prev
+    let cursorPage = null;
+    if (isCursorMode(req.query)) {
+        cursorPage = parseCursorQuery(req.query);
+        if (cursorPage.error) {
+            return res.status(400).json({ error: cursorPage.error });
+        }
+    }
+
     try {
-        connection = await pool.promise().getConnection();
-        // Fetch all items (expenses and incomes) for the user
-        const [transactions] = await connection.query(
-            `SELECT id, title, value, date, section, payment_mode, notes
-             FROM infodata
-             WHERE user_id = ?
-             ORDER BY date DESC;`, // Order by date to get recent ones
-            [userId]
-        );
+        // Fetch all items (expenses and incomes) for the user, most recent first
+        const page = cursorPage ? await listItemsByCursor(db, userId, {}, cursorPage) : null;
+        const transactions = page ? page.items : await Transactions.listAll(db, userId);
 
         const formattedTransactions = transactions.map(row => ({
             id: String(row.id),
             name: row.title,
-            amount: parseFloat(row.value).toFixed(2),
+            amount: formatMinor(toMinor(row.value)),
             date: new Date(row.date).toISOString(), // Keep date in ISO string for frontend flexibility
             section: row.section,
             payment_mode: row.payment_mode,
             notes: row.notes,
-            type: row.section === 'Income' ? 'income' : 'expense' // Determine type here
+            account_id: row.account_id,
+            currency: row.currency, // null: the base currency
+            type: row.type // expense, income or refund
         }));
 
-        res.json({ allTransactions: formattedTransactions });
+        res.json(page
+            ? { allTransactions: formattedTransactions, next: page.next, prev: page.prev }
+            : { allTransactions: formattedTransactions });
 
     } catch (err) {
         console.error("Error fetching all transactions for recent activities:", err);
         res.status(500).json({ error: "Failed to fetch all transactions for recent activities." });
-    } finally {
-        if (connection) connection.release();
     }
 });
 // PUT /profile - Update User Profile API
 router.put("/", verifyToken, upload.single('profile_photo'), async (req, res) => {
     const userId = req.user.userId;
     const { first_name, last_name, phone_number, email } = req.body;
+    const base_currency = normalizeCurrency(req.body.base_currency);
+
+    if (base_currency && !isValidCurrency(base_currency)) {
+        if (req.file) fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: "Base currency must be a three-letter code such as USD." });
+    }
 
     let connection;
     try {
-        connection = await pool.promise().getConnection();
+        connection = await db.getConnection();
         await connection.beginTransaction(); // Start transaction
 
         if (email) {
@@ -158,10 +151,7 @@ router.put("/", verifyToken, upload.single('profile_photo'), async (req, res) =>
                 await connection.rollback();
                 return res.status(400).json({ error: "Invalid email format" });
             }
-            const [emailExists] = await connection.query(
-                "SELECT id FROM users WHERE email = ? AND id != ?", [email, userId]
-            );
-            if (emailExists.length > 0) {
+            if (await Users.isEmailTaken(connection, email, userId)) {
                 if (req.file) fs.unlinkSync(req.file.path);
                 await connection.rollback();
                 return res.status(400).json({ error: "Email already in use" });
@@ -169,67 +159,57 @@ router.put("/", verifyToken, upload.single('profile_photo'), async (req, res) =>
         }
 
         if (phone_number) {
-            const [phoneExists] = await connection.query(
-                "SELECT id FROM users WHERE phone_number = ? AND id != ?", [phone_number, userId]
-            );
-            if (phoneExists.length > 0) {
+            if (await Users.isPhoneNumberTaken(connection, phone_number, userId)) {
                 if (req.file) fs.unlinkSync(req.file.path);
                 await connection.rollback();
                 return res.status(400).json({ error: "Phone number already in use" });
             }
         }
 
+        // Switching the base currency converts the balance, account opening balances, transfers
+        // and budgets at today's rate
+        if (base_currency && (await changeBaseCurrency(connection, userId, base_currency)) === null) {
+            if (req.file) fs.unlinkSync(req.file.path);
+            await connection.rollback();
+            return res.status(400).json({ error: `No exchange rate into ${base_currency} for today. Add one under /currency/rates first.` });
+        }
+
         let profile_photo_url = undefined;
         if (req.file) {
             profile_photo_url = `${BASE_URL}/uploads/${req.file.filename}`;
             // Delete old profile photo if it exists
-            const [oldPhotoRows] = await connection.query(
-                "SELECT profile_photo FROM users WHERE id = ?", [userId]
-            );
-            if (oldPhotoRows.length > 0 && oldPhotoRows[0].profile_photo) {
-                const oldPhotoPath = oldPhotoRows[0].profile_photo.replace(BASE_URL + '/', '');
+            const currentUser = await Users.findById(connection, userId);
+            if (currentUser && currentUser.profile_photo) {
+                const oldPhotoPath = currentUser.profile_photo.replace(BASE_URL + '/', '');
                 if (fs.existsSync(oldPhotoPath)) {
                     fs.unlinkSync(oldPhotoPath);
                 }
             }
         }
 
-        const updateFields = [];
-        const values = [];
-
-        if (first_name !== undefined) { updateFields.push("first_name = ?"); values.push(first_name); }
-        if (last_name !== undefined) { updateFields.push("last_name = ?"); values.push(last_name); }
-        if (phone_number !== undefined) { updateFields.push("phone_number = ?"); values.push(phone_number); }
-        if (email !== undefined) { updateFields.push("email = ?"); values.push(email); }
-        if (profile_photo_url !== undefined) { updateFields.push("profile_photo = ?"); values.push(profile_photo_url); }
+        const updates = { first_name, last_name, phone_number, email, profile_photo: profile_photo_url };
+        const hasProfileUpdates = Object.values(updates).some(value => value !== undefined);
 
-        if (updateFields.length === 0) {
+        if (!hasProfileUpdates && !base_currency) {
             await connection.rollback();
             return res.status(400).json({ error: "No fields to update" });
         }
 
-        const updateQuery = `
-            UPDATE users
-            SET ${updateFields.join(", ")}
-            WHERE id = ?
-        `;
-        values.push(userId);
+        if (hasProfileUpdates) {
+            const affectedRows = await Users.update(connection, userId, updates);
 
-        const [result] = await connection.query(updateQuery, values);
-
-        if (result.affectedRows === 0) {
-            await connection.rollback();
-            return res.status(404).json({ error: "User not found or no changes made." });
+            if (affectedRows === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: "User not found or no changes made." });
+            }
         }
 
         await connection.commit(); // Commit transaction
 
-        const [updatedUserRows] = await connection.query(
-            "SELECT id, first_name, last_name, email, phone_number, profile_photo FROM users WHERE id = ?", [userId]
-        );
+        const updatedUser = await Users.findById(connection, userId);
 
         console.log(`Backend: Profile updated for user ${userId}.`);
-        res.json({ message: "Profile updated successfully", user: updatedUserRows[0] });
+        res.json({ message: "Profile updated successfully", user: updatedUser });
 
     } catch (error) {
         if (connection) await connection.rollback();
@@ -252,32 +232,23 @@ router.get("/balance", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    let connection;
     try {
-        connection = await pool.promise().getConnection();
         // Fetch balance
-        const [userRows] = await connection.query('SELECT balance FROM users WHERE id = ?', [userId]);
+        const storedBalance = await Users.getBalance(db, userId);
 
-        if (userRows.length === 0) {
-            return res.json({ balance: 0, lastIncomeTransaction: null });
+        if (storedBalance === null) {
+            return res.json({ balance: 0, lastIncomeTransaction: null, accounts: [] });
         }
 
-        const balance = parseFloat(userRows[0].balance) || 0;
+        const balance = fromMinor(toMinor(storedBalance));
 
         // Fetch the most recent income transaction
-        const [incomeRows] = await connection.query(
-            `SELECT id, title, value, date, section, payment_mode, notes
-             FROM infodata
-             WHERE user_id = ? AND section = 'Income'
-             ORDER BY date DESC, id DESC
-             LIMIT 1`,
-            [userId]
-        );
+        const incomeRows = await Transactions.listIncome(db, userId, { limit: 1 });
 
         const lastIncomeTransaction = incomeRows.length > 0 ? {
             id: String(incomeRows[0].id),
             name: incomeRows[0].title,
-            amount: parseFloat(incomeRows[0].value).toFixed(2),
+            amount: formatMinor(toMinor(incomeRows[0].value)),
             date: new Date(incomeRows[0].date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: 'numeric', hour12: true }),
             section: incomeRows[0].section,
             payment_mode: incomeRows[0].payment_mode,
@@ -285,14 +256,20 @@ router.get("/balance", verifyToken, async (req, res) => {
             type: 'income'
         } : null;
 
+        // Per-account balances (opening balance + assigned transactions + transfers)
+        const accounts = (await Accounts.listWithBalances(db, userId)).map((account) => ({
+            id: account.id,
+            name: account.name,
+            type: account.type,
+            balance: fromMinor(toMinor(account.balance))
+        }));
+
         console.log(`Backend: Fetched balance for user ${userId}: ${balance}, lastIncomeTransaction: ${JSON.stringify(lastIncomeTransaction)}`);
-        res.json({ balance, lastIncomeTransaction });
+        res.json({ balance, lastIncomeTransaction, accounts });
 
     } catch (err) {
         console.error("Error fetching bank balance:", err);
         res.status(500).json({ error: "Failed to fetch bank balance.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
@@ -305,36 +282,39 @@ router.get("/income-transactions", verifyToken, async (req, res) => {
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    let connection;
+    // Without a cursor every deposit is returned; with one (empty for the first page), one page plus next/prev
+    let cursorPage = null;
+    if (isCursorMode(req.query)) {
+        cursorPage = parseCursorQuery(req.query);
+        if (cursorPage.error) {
+            return res.status(400).json({ error: cursorPage.error });
+        }
+    }
+
     try {
-        connection = await pool.promise().getConnection();
-        const [incomeRows] = await connection.query(
-            `SELECT id, title, value, date, section, payment_mode, notes
-             FROM infodata
-             WHERE user_id = ? AND section = 'Income'
-             ORDER BY date DESC, id DESC;`,
-            [userId]
-        );
+        const page = cursorPage
+            ? await listItemsByCursor(db, userId, { type: "income" }, cursorPage)
+            : null;
+        const incomeRows = page ? page.items : await Transactions.listIncome(db, userId);
 
         const incomeTransactions = incomeRows.map((row) => ({
             id: String(row.id),
             name: row.title,
-            amount: parseFloat(row.value).toFixed(2),
+            amount: formatMinor(toMinor(row.value)),
             date: new Date(row.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: 'numeric', hour12: true }),
             section: row.section,
             payment_mode: row.payment_mode,
             notes: row.notes,
+            currency: row.currency, // null: the base currency
             type: 'income' // Explicitly set type for frontend display
         }));
 
         console.log(`Backend: Fetched ${incomeTransactions.length} income transactions for user ${userId}.`);
-        res.json({ incomeTransactions });
+        res.json(page ? { incomeTransactions, next: page.next, prev: page.prev } : { incomeTransactions });
 
     } catch (err) {
         console.error("Error fetching all income transactions:", err);
         res.status(500).json({ error: "Failed to fetch income transactions.", details: err.message });
-    } finally {
-        if (connection) connection.release();
     }
 });
 
@@ -350,43 +330,36 @@ router.delete("/income-transactions/delete/:id", verifyToken, async (req, res) =
 
     let connection;
     try {
-        connection = await pool.promise().getConnection();
+        connection = await db.getConnection();
         await connection.beginTransaction();
 
-        // Check if the transaction belongs to the user and is an 'Income' type
-        const [transactionRows] = await connection.query(
-            'SELECT value FROM infodata WHERE id = ? AND user_id = ? AND section = \'Income\'',
-            [transactionId, userId]
-        );
+        // Check if the transaction belongs to the user and is income
+        const transaction = await Transactions.findIncomeById(connection, transactionId, userId);
 
-        if (transactionRows.length === 0) {
+        if (!transaction) {
             await connection.rollback();
             return res.status(404).json({ error: "Transaction not found or unauthorized." });
         }
 
-        const amountToDeduct = parseFloat(transactionRows[0].value);
+        // Income adds to the balance in the base currency (minor units)
+        const amountToDeduct = await baseBalanceEffect(connection, userId, transaction);
+        if (amountToDeduct === null) {
+            await connection.rollback();
+            return res.status(400).json({ error: `No exchange rate for ${transaction.currency} on the deposit's date. Add one under /currency/rates first.` });
+        }
 
-        // Delete the transaction
-        await connection.query(
-            'DELETE FROM infodata WHERE id = ? AND user_id = ?',
-            [transactionId, userId]
-        );
+        // Delete the transaction (its attachment rows cascade; the files are removed after commit)
+        const attachmentFiles = await Attachments.listStoredNames(connection, userId, { transactionId: transaction.id });
+        await Transactions.remove(connection, transactionId, userId);
 
         // Update user balance
-        const [userRows] = await connection.query(
-            'SELECT balance FROM users WHERE id = ? FOR UPDATE', // Use FOR UPDATE for pessimistic locking
-            [userId]
-        );
-        if (userRows.length > 0) {
-            const currentBalance = parseFloat(userRows[0].balance) || 0;
-            const newBalance = currentBalance - amountToDeduct;
-            await connection.query(
-                'UPDATE users SET balance = ? WHERE id = ?',
-                [newBalance, userId]
-            );
+        const storedBalance = await Users.getBalance(connection, userId, { forUpdate: true }); // Pessimistic locking
+        if (storedBalance !== null) {
+            await Users.setBalance(connection, userId, toMinor(storedBalance) - amountToDeduct);
         }
 
         await connection.commit();
+        await removeFiles(attachmentFiles);
         console.log(`Backend: Deleted income transaction ${transactionId} for user ${userId}. New balance updated.`);
         res.json({ message: "Deposit entry deleted successfully." });
     } catch (err) {
@@ -401,43 +374,53 @@ router.delete("/income-transactions/delete/:id", verifyToken, async (req, res) =
 // POST /profile/balance/add - Add balance to user's account
 router.post("/balance/add", verifyToken, async (req, res) => {
     const userId = req.user.userId;
-    const { amount } = req.body;
+    const { amount, account_id } = req.body;
 
     if (!userId) {
         console.error("Error: userId is undefined in /profile/balance/add POST route.");
         return res.status(401).json({ error: "User ID not found in token payload." });
     }
 
-    if (typeof amount !== 'number' || amount <= 0) {
-        return res.status(400).json({ error: "Invalid amount. Must be a positive number." });
+    const amountMinor = parseAmount(amount);
+    if (amountMinor === null || amountMinor === 0) {
+        return res.status(400).json({ error: `Invalid amount. Must be a positive number: ${amountRule()}.` });
     }
 
     let connection;
     try {
-        connection = await pool.promise().getConnection();
+        connection = await db.getConnection();
         await connection.beginTransaction();
 
         // Get current balance
-        const [userRows] = await connection.query('SELECT balance FROM users WHERE id = ? FOR UPDATE', [userId]);
-        if (userRows.length === 0) {
+        const storedBalance = await Users.getBalance(connection, userId, { forUpdate: true });
+        if (storedBalance === null) {
             await connection.rollback();
             return res.status(404).json({ error: "User not found." });
         }
-        const currentBalance = parseFloat(userRows[0].balance) || 0;
-        const newBalance = currentBalance + amount;
+        if (account_id && !(await Accounts.findById(connection, account_id, userId))) {
+            await connection.rollback();
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        const newBalanceMinor = toMinor(storedBalance) + amountMinor;
 
         // Update balance
-        await connection.query('UPDATE users SET balance = ? WHERE id = ?', [newBalance, userId]);
+        await Users.setBalance(connection, userId, newBalanceMinor);
 
         // Log the addition as an income transaction in infodata table
-        const currentDate = new Date();
-        await connection.query(
-            `INSERT INTO infodata (user_id, target, title, value, date, section, payment_mode, notes)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [userId, 0, 'Balance Addition', amount, currentDate, 'Income', 'Digital', `Added ${amount} to balance`] // Added default 'Digital' for payment_mode and null for target for income
-        );
+        await Transactions.create(connection, userId, {
+            title: 'Balance Addition',
+            value: formatMinor(amountMinor),
+            date: new Date(),
+            type: "income",
+            section: Transactions.INCOME_SECTION,
+            payment_mode: 'Digital', // Default payment mode for deposits
+            notes: `Added ${formatMinor(amountMinor)} to balance`,
+            account_id
+        });
 
         await connection.commit();
+        const newBalance = fromMinor(newBalanceMinor);
         console.log(`Backend: Added ${amount} to user ${userId}'s balance. New balance: ${newBalance}`);
         res.json({ newBalance });
 
@@ -0,0 +1,61 @@
+// routes/receiptRoutes.js
+// Receipt scanning, mounted at /items/receipts. The receipt is read with the server's local OCR
+// engine and the result is a draft the client confirms into POST /items; nothing is saved here.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const { createUpload } = require("../middleware/upload");
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const { ATTACHMENT_EXTENSIONS, mimeTypeOf, isAllowedFile } = require("../services/attachments");
+const { RECEIPT_DATE_FORMATS, scanReceipt } = require("../services/receiptOcr");
+const { getBaseCurrency } = require("../services/currency");
+
+// Scanned from a temporary copy and never written to the public uploads folder
+const upload = createUpload({
+    extensions: ATTACHMENT_EXTENSIONS,
+    errorMessage: `Only ${ATTACHMENT_EXTENSIONS.join(", ").toUpperCase()} files are allowed!`,
+    inMemory: true
+});
+
+// Runs multer inline so that a rejected file becomes a JSON 400 response
+const uploadReceipt = (req, res, next) => {
+    upload.single("file")(req, res, (err) => {
+        if (err) return res.status(400).json({ error: "File upload error", details: err.message });
+        next();
+    });
+};
+
+// POST /items/receipts/scan - multipart with `file` (JPG, PNG, GIF, WEBP or PDF).
+// ?dateFormat=DD/MM/YYYY reads ambiguous dates such as 03/04/2025 day first (default MM/DD/YYYY).
+// Responds with { draft, fields, text }; each field has a value and a 0-1 confidence.
+router.post("/scan", verifyToken, uploadReceipt, async (req, res) => {
+    const userId = req.user.userId;
+    const dateFormat = req.query.dateFormat || RECEIPT_DATE_FORMATS[0];
+
+    if (!RECEIPT_DATE_FORMATS.includes(dateFormat)) {
+        return res.status(400).json({ error: `dateFormat must be one of ${RECEIPT_DATE_FORMATS.join(", ")}.` });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: "A receipt file is required." });
+    }
+    if (!isAllowedFile(req.file)) {
+        return res.status(400).json({ error: `${req.file.originalname} is not a valid image or PDF file.` });
+    }
+
+    try {
+        const baseCurrency = await getBaseCurrency(db, userId);
+        const result = await scanReceipt({ buffer: req.file.buffer, mimeType: mimeTypeOf(req.file) }, { dateFormat, baseCurrency });
+
+        console.log(`Backend: Scanned receipt ${req.file.originalname} for user ${userId}.`);
+        res.json(result);
+    } catch (err) {
+        if (err.code === "OCR_UNAVAILABLE") {
+            return res.status(503).json({ error: "Receipt scanning is not available on this server.", details: err.message });
+        }
+        console.error("Error scanning receipt:", err);
+        res.status(500).json({ error: "Failed to scan receipt.", details: err.message });
+    }
+});
+
+module.exports = router;
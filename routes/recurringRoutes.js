@@ -0,0 +1,245 @@
+// routes/recurringRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const RecurringRules = require("../repositories/recurringRuleRepository");
+const Accounts = require("../repositories/accountRepository");
+const { materializeRule, runDueRules } = require("../jobs/recurringTransactions");
+const { resolveCategoryId } = require("../services/categories");
+const { FREQUENCIES, isValidDateString, occurrenceDate, toDateString } = require("../utils/recurrence");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+
+const formatRule = (rule) => ({
+    id: rule.id,
+    title: rule.title,
+    value: fromMinor(toMinor(rule.value)),
+    section: rule.section,
+    category_id: rule.category_id || null,
+    payment_mode: rule.payment_mode,
+    notes: rule.notes,
+    account_id: rule.account_id,
+    frequency: rule.frequency,
+    interval: rule.interval_count,
+    day_of_month: rule.day_of_month,
+    start_date: toDateString(rule.start_date),
+    end_date: rule.end_date ? toDateString(rule.end_date) : null,
+    occurrences: rule.max_occurrences,
+    occurrences_created: rule.occurrences_created,
+    next_run_date: rule.next_run_date ? toDateString(rule.next_run_date) : null,
+    active: Boolean(rule.active)
+});
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// Validates the optional end conditions shared by create and update; returns an error message or null
+function validateEndConditions({ end_date, occurrences }, startDate) {
+    if (end_date !== undefined && end_date !== null) {
+        if (!isValidDateString(end_date)) return "end_date must be a valid YYYY-MM-DD date.";
+        if (startDate && end_date < startDate) return "end_date cannot be before start_date.";
+    }
+    if (occurrences !== undefined && occurrences !== null && !isPositiveInteger(occurrences)) {
+        return "occurrences must be a positive whole number.";
+    }
+    return null;
+}
+
+// GET /recurring - List the user's recurring rules
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    if (!userId) {
+        console.error("Error: userId is undefined in /recurring GET route.");
+        return res.status(401).json({ error: "User ID not found in token payload." });
+    }
+
+    try {
+        const rules = await RecurringRules.list(db, userId);
+        res.json(rules.map(formatRule));
+    } catch (err) {
+        console.error("Error fetching recurring rules:", err);
+        res.status(500).json({ error: "Failed to fetch recurring rules.", details: err.message });
+    }
+});
+
+// POST /recurring/run - Materialize the user's due occurrences right away
+router.post("/run", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const createdCount = await runDueRules({ userId });
+        res.json({ message: "Recurring transactions processed.", createdCount });
+    } catch (err) {
+        console.error("Error running recurring rules:", err);
+        res.status(500).json({ error: "Failed to run recurring rules.", details: err.message });
+    }
+});
+
+// GET /recurring/:id
+router.get("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const rule = await RecurringRules.findById(db, req.params.id, userId);
+        if (!rule) {
+            return res.status(404).json({ error: "Recurring rule not found." });
+        }
+        res.json(formatRule(rule));
+    } catch (err) {
+        console.error("Error fetching recurring rule:", err);
+        res.status(500).json({ error: "Failed to fetch recurring rule.", details: err.message });
+    }
+});
+
+// POST /recurring - Create a rule. Occurrences already due (start_date in the past) are created immediately.
+// Body: title, value, section, payment_mode, frequency (daily|weekly|monthly|yearly), start_date (YYYY-MM-DD),
+// optional interval (every N periods), day_of_month (monthly/yearly; clamped in short months),
+// end_date or occurrences, notes, account_id
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const {
+        title, value, section, payment_mode, notes, account_id,
+        frequency, interval, day_of_month, start_date, end_date, occurrences
+    } = req.body;
+
+    if (!title || value === undefined || !section || !payment_mode || !frequency || !start_date) {
+        return res.status(400).json({ error: "Missing required fields." });
+    }
+
+    const valueMinor = parseAmount(value);
+    if (valueMinor === null || valueMinor === 0) {
+        return res.status(400).json({ error: `Value must be a positive number: ${amountRule()}.` });
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `Frequency must be one of: ${FREQUENCIES.join(", ")}.` });
+    }
+    if (!isValidDateString(start_date)) {
+        return res.status(400).json({ error: "start_date must be a valid YYYY-MM-DD date." });
+    }
+    if (interval !== undefined && !isPositiveInteger(interval)) {
+        return res.status(400).json({ error: "interval must be a positive whole number." });
+    }
+    if (day_of_month !== undefined && day_of_month !== null) {
+        if (frequency !== "monthly" && frequency !== "yearly") {
+            return res.status(400).json({ error: "day_of_month only applies to monthly and yearly rules." });
+        }
+        if (!Number.isInteger(Number(day_of_month)) || day_of_month < 1 || day_of_month > 31) {
+            return res.status(400).json({ error: "day_of_month must be between 1 and 31." });
+        }
+    }
+    const endConditionError = validateEndConditions({ end_date, occurrences }, start_date);
+    if (endConditionError) {
+        return res.status(400).json({ error: endConditionError });
+    }
+
+    try {
+        if (account_id && !(await Accounts.findById(db, account_id, userId))) {
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        const rule = {
+            title,
+            value: formatMinor(valueMinor),
+            section,
+            category_id: await resolveCategoryId(db, userId, section),
+            payment_mode,
+            notes,
+            account_id,
+            frequency,
+            interval_count: interval ? Number(interval) : 1,
+            day_of_month: day_of_month ? Number(day_of_month) : null,
+            start_date,
+            end_date: end_date || null,
+            max_occurrences: occurrences ? Number(occurrences) : null
+        };
+        rule.next_run_date = occurrenceDate(rule, 0);
+
+        const ruleId = await RecurringRules.create(db, userId, rule);
+        const createdCount = await materializeRule(ruleId, userId);
+        const savedRule = await RecurringRules.findById(db, ruleId, userId);
+
+        console.log(`Backend: Created ${frequency} recurring rule '${title}' for user ${userId}.`);
+        res.status(201).json({ message: "Recurring rule created successfully!", rule: formatRule(savedRule), createdCount });
+
+    } catch (err) {
+        console.error("Error creating recurring rule:", err);
+        res.status(500).json({ error: "Failed to create recurring rule.", details: err.message });
+    }
+});
+
+// PUT /recurring/:id - Update the generated entry's details, the end condition, or pause/resume (active).
+// Frequency and start date are fixed; delete and recreate the rule to change the schedule.
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { title, value, section, payment_mode, notes, account_id, end_date, occurrences, active } = req.body;
+
+    const valueMinor = value !== undefined ? parseAmount(value) : undefined;
+    if (valueMinor === null || valueMinor === 0) {
+        return res.status(400).json({ error: `Value must be a positive number: ${amountRule()}.` });
+    }
+
+    try {
+        const existing = await RecurringRules.findById(db, req.params.id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: "Recurring rule not found." });
+        }
+
+        const endConditionError = validateEndConditions({ end_date, occurrences }, toDateString(existing.start_date));
+        if (endConditionError) {
+            return res.status(400).json({ error: endConditionError });
+        }
+        if (account_id && !(await Accounts.findById(db, account_id, userId))) {
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        const affectedRows = await RecurringRules.update(db, existing.id, userId, {
+            title,
+            value: valueMinor === undefined ? undefined : formatMinor(valueMinor),
+            section,
+            category_id: section === undefined ? undefined : await resolveCategoryId(db, userId, section),
+            payment_mode,
+            notes,
+            account_id,
+            end_date,
+            max_occurrences: occurrences === undefined ? undefined : (occurrences ? Number(occurrences) : null),
+            active: active === undefined ? undefined : (active ? 1 : 0)
+        });
+        if (affectedRows === 0) {
+            return res.status(400).json({ error: "No fields to update" });
+        }
+
+        // A new end condition can end the rule early or extend it
+        const updated = await RecurringRules.findById(db, existing.id, userId);
+        await RecurringRules.setProgress(db, updated.id, {
+            occurrences_created: updated.occurrences_created,
+            next_run_date: occurrenceDate(updated, updated.occurrences_created)
+        });
+        const createdCount = await materializeRule(updated.id, userId);
+
+        const savedRule = await RecurringRules.findById(db, updated.id, userId);
+        res.json({ message: "Recurring rule updated successfully", rule: formatRule(savedRule), createdCount });
+
+    } catch (err) {
+        console.error("Error updating recurring rule:", err);
+        res.status(500).json({ error: "Failed to update recurring rule.", details: err.message });
+    }
+});
+
+// DELETE /recurring/:id - Stops the rule; transactions it already created are kept
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await RecurringRules.remove(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Recurring rule not found." });
+        }
+        res.json({ message: "Recurring rule deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting recurring rule:", err);
+        res.status(500).json({ error: "Failed to delete recurring rule.", details: err.message });
+    }
+});
+
+module.exports = router;
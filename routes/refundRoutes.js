@@ -0,0 +1,140 @@
+// routes/refundRoutes.js
+// Refunds and reimbursements of an expense, mounted at /items/:id/refunds. Each is saved as an item of
+// type refund linked to the expense (refund_of) and filed under its category (spread over its split
+// lines), so it adds back to the balance and nets against the expense in category summaries.
+// See services/refunds.js.
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // Exposes :id from the mount path
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Transactions = require("../repositories/transactionRepository");
+const Accounts = require("../repositories/accountRepository");
+const Users = require("../repositories/userRepository");
+const { baseBalanceEffect } = require("../services/currency");
+const { evaluateBudgetAlerts } = require("../services/budgetAlerts");
+const Splits = require("../repositories/transactionSplitRepository");
+const { remainingMinor, parseRefund, syncRefunds, formatRefundStatus } = require("../services/refunds");
+const { attachSplits, categoryIdsOf } = require("../services/transactionSplits");
+const { learn } = require("../services/categoryModel");
+const { toMinor, fromMinor, formatMinor } = require("../utils/money");
+
+const formatRefund = (row) => ({
+    id: row.id,
+    title: row.title,
+    value: fromMinor(toMinor(row.value)),
+    currency: row.currency || null,
+    date: row.date,
+    section: row.section,
+    payment_mode: row.payment_mode,
+    notes: row.notes,
+    account_id: row.account_id || null,
+    splits: row.splits || []
+});
+
+// GET /items/:id/refunds - The expense's linked refunds with how much has been paid back and what is left
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const expense = await Transactions.findById(db, req.params.id, userId);
+        if (!expense) {
+            return res.status(404).json({ error: "Item not found." });
+        }
+
+        const refunds = await attachSplits(db, userId, await Transactions.listRefunds(db, userId, [expense.id]));
+        const refundedMinor = refunds.reduce((total, row) => total + toMinor(row.value), 0);
+        res.json({
+            expenseId: expense.id,
+            reimbursable: Boolean(expense.reimbursable),
+            ...formatRefundStatus(expense, refundedMinor),
+            refunds: refunds.map(formatRefund)
+        });
+    } catch (err) {
+        console.error("Error fetching refunds:", err);
+        res.status(500).json({ error: "Failed to fetch refunds.", details: err.message });
+    }
+});
+
+// POST /items/:id/refunds - Body: optional value (what is left to pay back by default), date (today),
+// title, payment_mode, notes and account_id (the expense's by default). Records money paid back on an
+// expense: a returned purchase or a colleague's reimbursement.
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    let connection;
+    try {
+        connection = await db.getConnection();
+        await connection.beginTransaction(); // The refund and the balance change commit together
+
+        const expense = await Transactions.findById(connection, req.params.id, userId, { forUpdate: true });
+        if (!expense) {
+            await connection.rollback();
+            return res.status(404).json({ error: "Item not found." });
+        }
+        if (expense.type !== "expense") {
+            await connection.rollback();
+            return res.status(400).json({ error: `Only expenses can be refunded; '${expense.title}' is ${expense.type}.` });
+        }
+
+        const leftMinor = await remainingMinor(connection, userId, expense);
+        const { refund, error } = parseRefund(req.body, expense, leftMinor);
+        if (error) {
+            await connection.rollback();
+            return res.status(400).json({ error });
+        }
+        if (refund.account_id && !(await Accounts.findById(connection, refund.account_id, userId))) {
+            await connection.rollback();
+            return res.status(400).json({ error: "Account not found." });
+        }
+
+        const value = formatMinor(refund.valueMinor);
+        const balanceEffect = await baseBalanceEffect(connection, userId, { type: refund.type, value, currency: refund.currency, date: refund.date });
+        if (balanceEffect === null) {
+            await connection.rollback();
+            return res.status(400).json({ error: `No exchange rate for ${refund.currency} on ${refund.date}. Add one under /currency/rates first.` });
+        }
+
+        const refundId = await Transactions.create(connection, userId, { ...refund, value });
+        await syncRefunds(connection, userId, expense);
+        await learn(connection, userId, [{ ...refund, value }]);
+        const newBalance = await Users.adjustBalance(connection, userId, balanceEffect);
+        if (newBalance === null) {
+            await connection.rollback();
+            return res.status(404).json({ error: "User not found." });
+        }
+        const [savedRefund] = await attachSplits(connection, userId, [await Transactions.findById(connection, refundId, userId)]);
+        const expenseSplits = await Splits.listForTransaction(connection, userId, expense.id);
+
+        await connection.commit();
+
+        // Best-effort, like item changes: the refund lowers the categories' spending, which can clear an alert
+        const notifications = [];
+        for (const categoryId of categoryIdsOf(expense.category_id, expenseSplits)) {
+            try {
+                notifications.push(...await evaluateBudgetAlerts(connection, userId, categoryId));
+            } catch (err) {
+                console.error("Error evaluating budget alerts:", err);
+            }
+        }
+
+        const refundedMinor = toMinor(expense.value) - leftMinor + refund.valueMinor;
+        console.log(`Backend: Recorded refund of ${value} on item ${expense.id} for user ${userId}. New balance: ${newBalance}`);
+        res.status(201).json({
+            message: "Refund recorded successfully!",
+            refund: formatRefund(savedRefund),
+            ...formatRefundStatus(expense, refundedMinor),
+            newBalance,
+            notifications
+        });
+
+    } catch (err) {
+        if (connection) await connection.rollback();
+        console.error("Error recording refund:", err);
+        res.status(500).json({ error: "Failed to record refund.", details: err.message });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
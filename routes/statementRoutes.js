@@ -0,0 +1,42 @@
+// routes/statementRoutes.js
+// Mounted at /items/statement (before the /items router)
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const { isValidMonth, buildStatement, renderStatementPdf } = require("../services/monthlyStatement");
+
+// GET /items/statement?month=YYYY-MM - Monthly statement as a PDF download (default: current month).
+// ?format=json returns the same figures as JSON.
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const today = new Date();
+    const month = req.query.month || `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}`;
+
+    if (!isValidMonth(month)) {
+        return res.status(400).json({ error: "Month format must be YYYY-MM." });
+    }
+
+    try {
+        const statement = await buildStatement(db, userId, month);
+        if (!statement) {
+            return res.status(404).json({ error: "User not found." });
+        }
+
+        if (req.query.format === "json") {
+            return res.json(statement);
+        }
+
+        const pdf = renderStatementPdf(statement);
+        console.log(`Backend: Generated ${month} statement for user ${userId} (${statement.transactions.length} transactions).`);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="statement-${month}.pdf"`);
+        res.send(pdf);
+    } catch (err) {
+        console.error("Error generating statement:", err);
+        res.status(500).json({ error: "Failed to generate statement.", details: err.message });
+    }
+});
+
+module.exports = router;
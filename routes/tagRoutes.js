@@ -0,0 +1,136 @@
+// routes/tagRoutes.js
+// Tags, mounted at /items/tags. Items are tagged through the `tags` field of POST/PUT /items (unknown
+// names are created there too) and GET /items filters on them with ?tag=.
+const express = require("express");
+const router = express.Router();
+
+const verifyToken = require("../middleware/authMiddleware"); // Import auth middleware
+const db = require("../storage"); // Configured storage backend (MySQL or SQLite)
+const Tags = require("../repositories/tagRepository");
+const { parseTag, formatTag } = require("../services/tags");
+const { getBaseCurrency } = require("../services/currency");
+const { isValidDateString } = require("../utils/recurrence");
+const { toMinor, fromMinor } = require("../utils/money");
+
+// Another of the user's tags already has the name
+async function nameTaken(userId, name, tagId = null) {
+    const [match] = await Tags.findByNames(db, userId, [name]);
+    return Boolean(match) && match.id !== tagId;
+}
+
+// GET /items/tags - The user's tags by name, each with the number of items carrying it
+router.get("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const tags = await Tags.list(db, userId);
+        res.json(tags.map(row => ({ ...formatTag(row), itemCount: Number(row.item_count) || 0 })));
+    } catch (err) {
+        console.error("Error fetching tags:", err);
+        res.status(500).json({ error: "Failed to fetch tags.", details: err.message });
+    }
+});
+
+// GET /items/tags/summary - Expense, income and net totals per tag in the base currency, optionally
+// limited to fromDate/toDate. An item counts toward each of its tags.
+router.get("/summary", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+    const { fromDate, toDate } = req.query;
+
+    for (const [field, value] of Object.entries({ fromDate, toDate })) {
+        if (value && !isValidDateString(value)) {
+            return res.status(400).json({ error: `${field} must be a valid YYYY-MM-DD date.` });
+        }
+    }
+
+    try {
+        const rows = await Tags.summarize(db, userId, { fromDate, toDate });
+        const baseCurrency = await getBaseCurrency(db, userId);
+
+        // Items whose currency has no rate are left out of the totals and counted
+        const tagSummaries = rows.map(row => ({
+            ...formatTag(row),
+            total_expenses: fromMinor(toMinor(row.total_expenses)),
+            total_income: fromMinor(toMinor(row.total_income)),
+            net: fromMinor(toMinor(row.total_income) - toMinor(row.total_expenses)),
+            item_count: Number(row.item_count) || 0,
+            unconverted_count: Number(row.unconverted_count) || 0
+        }));
+
+        console.log(`Backend: Fetched tag summaries for user ${userId} (${tagSummaries.length} tag(s)).`);
+        res.json({ baseCurrency, tags: tagSummaries });
+    } catch (err) {
+        console.error("Error fetching tag summary:", err);
+        res.status(500).json({ error: "Failed to fetch tag summary.", details: err.message });
+    }
+});
+
+// POST /items/tags - Body: name (letters, digits, '-', '_' and '.'; case-insensitive) and optional color
+router.post("/", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    const { tag, error } = parseTag(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (await nameTaken(userId, tag.name)) {
+            return res.status(409).json({ error: `Tag '${tag.name}' already exists.` });
+        }
+
+        const tagId = await Tags.create(db, userId, tag);
+        const savedTag = await Tags.findById(db, tagId, userId);
+
+        console.log(`Backend: Created tag '${tag.name}' for user ${userId}.`);
+        res.status(201).json({ message: "Tag created successfully!", tag: formatTag(savedTag) });
+    } catch (err) {
+        console.error("Error creating tag:", err);
+        res.status(500).json({ error: "Failed to create tag.", details: err.message });
+    }
+});
+
+// PUT /items/tags/:id - Rename or recolor a tag; tagged items follow
+router.put("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const existing = await Tags.findById(db, req.params.id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: "Tag not found." });
+        }
+
+        const { tag, error } = parseTag(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (await nameTaken(userId, tag.name, existing.id)) {
+            return res.status(409).json({ error: `Tag '${tag.name}' already exists.` });
+        }
+
+        await Tags.update(db, existing.id, userId, tag);
+        const savedTag = await Tags.findById(db, existing.id, userId);
+        res.json({ message: "Tag updated successfully", tag: formatTag(savedTag) });
+    } catch (err) {
+        console.error("Error updating tag:", err);
+        res.status(500).json({ error: "Failed to update tag.", details: err.message });
+    }
+});
+
+// DELETE /items/tags/:id - Removes the tag from every item; the items themselves are kept
+router.delete("/:id", verifyToken, async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const affectedRows = await Tags.remove(db, req.params.id, userId);
+        if (affectedRows === 0) {
+            return res.status(404).json({ error: "Tag not found." });
+        }
+        res.json({ message: "Tag deleted successfully." });
+    } catch (err) {
+        console.error("Error deleting tag:", err);
+        res.status(500).json({ error: "Failed to delete tag.", details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// services/attachments.js
+// Receipt files attached to transactions. Uploads are held in memory, checked against their
+// content signature and written to the private ATTACHMENT_DIR under a random name; they are never
+// placed in the public uploads/ folder.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ATTACHMENT_DIR } = require("../config");
+
+// Allowed extensions and the MIME type each is served with
+const ATTACHMENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  pdf: "application/pdf"
+};
+const ATTACHMENT_EXTENSIONS = Object.keys(ATTACHMENT_TYPES);
+
+// MIME type from the first bytes of the file, or null when it is none of the allowed types
+function detectMimeType(buffer) {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+  if (startsWith([0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (buffer.toString("latin1", 0, 4) === "GIF8") return "image/gif";
+  if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+  if (buffer.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+}
+
+// MIME type implied by an uploaded file's extension, or undefined when it is not allowed
+const mimeTypeOf = (file) => ATTACHMENT_TYPES[path.extname(file.originalname).slice(1).toLowerCase()];
+
+// Whether a multer memory file's content matches its extension (a renamed .exe is rejected)
+const isAllowedFile = (file) => Boolean(mimeTypeOf(file)) && detectMimeType(file.buffer) === mimeTypeOf(file);
+
+const filePath = (storedName) => path.resolve(ATTACHMENT_DIR, path.basename(storedName));
+
+// Writes a multer memory file and returns the row to store for it
+async function saveFile(file) {
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  const storedName = `receipt-${Date.now()}-${crypto.randomBytes(8).toString("hex")}.${extension}`;
+
+  await fs.promises.mkdir(ATTACHMENT_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath(storedName), file.buffer, { flag: "wx" });
+
+  return {
+    original_name: path.basename(file.originalname).slice(0, 255),
+    stored_name: storedName,
+    mime_type: mimeTypeOf(file),
+    size: file.size
+  };
+}
+
+// Best-effort delete of stored files; a missing file is not an error and other failures are only
+// logged, since the rows referencing them are already gone
+async function removeFiles(storedNames) {
+  for (const storedName of storedNames) {
+    try {
+      await fs.promises.unlink(filePath(storedName));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Error deleting attachment file ${storedName}:`, err);
+    }
+  }
+}
+
+const formatAttachment = (row) => ({
+  id: row.id,
+  transaction_id: row.transaction_id,
+  original_name: row.original_name,
+  mime_type: row.mime_type,
+  size: row.size,
+  created_at: row.created_at
+});
+
+module.exports = {
+  ATTACHMENT_EXTENSIONS,
+  mimeTypeOf,
+  isAllowedFile,
+  filePath,
+  saveFile,
+  removeFiles,
+  formatAttachment
+};
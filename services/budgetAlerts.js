@@ -0,0 +1,58 @@
+// services/budgetAlerts.js
+// Raises a notification when spending crosses one of a budget's alert thresholds.
+// Each threshold fires at most once per budget period (enforced by a unique index).
+const Budgets = require("../repositories/budgetRepository");
+const Notifications = require("../repositories/notificationRepository");
+const { getBudgetStatus } = require("./budgetStatus");
+const { categoryIdsAbove } = require("./categories");
+const { thresholdsOf } = require("../utils/budgetThresholds");
+const { toDateString } = require("../utils/recurrence");
+const { toMinor, formatMinor } = require("../utils/money");
+
+function alertText(status, threshold) {
+  const name = status.category || "Overall spending";
+  return {
+    title: threshold >= 100 ? `${name} budget reached` : `${name} budget at ${threshold}%`,
+    message: `You have spent ${formatMinor(toMinor(status.spent))} of your ${formatMinor(toMinor(status.available))} ${status.period} budget `
+      + `for ${name} (${status.period_start} to ${status.period_end}).`
+  };
+}
+
+// Checks the budgets covering the category (by id), its parent category and overall spending in the
+// period containing `date`. categoryId null is the plain 'Income' section, which no budget covers.
+// Returns the notifications created, empty when nothing new crossed a threshold.
+async function evaluateBudgetAlerts(db, userId, categoryId, date = new Date()) {
+  if (categoryId === null) return [];
+
+  const day = toDateString(date);
+  const budgets = await Budgets.listForCategory(db, userId, await categoryIdsAbove(db, userId, categoryId), { includeOverall: true });
+  const created = [];
+
+  for (const budget of budgets) {
+    const status = await getBudgetStatus(db, userId, budget, day);
+    // Custom budgets only cover their own date range
+    if (status.percent_used === null || day < status.period_start || day > status.period_end) continue;
+
+    // Only the highest crossed threshold is announced; lower ones are recorded as already passed
+    const crossed = thresholdsOf(budget).filter(threshold => status.percent_used >= threshold);
+    for (const threshold of crossed) {
+      const { title, message } = alertText(status, threshold);
+      const notificationId = await Notifications.createBudgetAlert(db, userId, {
+        budget_id: budget.id,
+        threshold,
+        period_start: status.period_start,
+        title,
+        message
+      });
+      if (notificationId && threshold === crossed[crossed.length - 1]) {
+        created.push({ id: notificationId, type: "budget_alert", title, message, budget_id: budget.id, threshold });
+      } else if (notificationId) {
+        await Notifications.dismiss(db, notificationId, userId);
+      }
+    }
+  }
+
+  return created;
+}
+
+module.exports = { evaluateBudgetAlerts };
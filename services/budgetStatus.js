@@ -0,0 +1,79 @@
+// services/budgetStatus.js
+// Spent / remaining / percent used for a budget in the period containing a given date.
+const Transactions = require("../repositories/transactionRepository");
+const { categoryIdsUnder } = require("./categories");
+const { periodContaining, nextPeriod } = require("../utils/budgetPeriods");
+const { toDateString } = require("../utils/recurrence");
+const { thresholdsOf } = require("../utils/budgetThresholds");
+const { toMinor, fromMinor } = require("../utils/money");
+
+// The category ids a budget counts: its category and subcategories, or every expense category
+// (undefined) for the overall budget
+const budgetCategoryIds = async (db, userId, budget) =>
+  (budget.category === null ? undefined : categoryIdsUnder(db, userId, budget.category_id));
+
+// Expenses the budget counts within a period, in minor units like every amount computed here
+async function spentInPeriod(db, userId, budget, period) {
+  const summary = await Transactions.summarize(db, userId, {
+    categoryIds: await budgetCategoryIds(db, userId, budget),
+    fromDate: period.start,
+    toDate: period.end
+  });
+  return toMinor(summary.total_expenses);
+}
+
+// Unused amount carried into `period`, accumulated period by period since the budget started.
+// Overspending a period drops the carry back to zero rather than borrowing from the next one.
+// The spending of every past period is read in one grouped query.
+async function rolloverInto(db, userId, budget, period) {
+  if (!budget.rollover || budget.period === "custom") return 0;
+
+  const pastPeriods = [];
+  for (let past = periodContaining(budget, budget.start_date); past.start < period.start; past = nextPeriod(budget, past)) {
+    pastPeriods.push(past);
+  }
+  const spentByPeriod = await Transactions.sumExpensesByPeriod(
+    db, userId, { categoryIds: await budgetCategoryIds(db, userId, budget) }, pastPeriods
+  );
+
+  const amount = toMinor(budget.amount);
+  return spentByPeriod.reduce((carry, spent) => Math.max(0, amount + carry - spent), 0);
+}
+
+async function getBudgetStatus(db, userId, budget, date = new Date()) {
+  const period = periodContaining(budget, date);
+  const amount = toMinor(budget.amount);
+  const rolloverAmount = await rolloverInto(db, userId, budget, period);
+  const available = amount + rolloverAmount;
+  const spent = await spentInPeriod(db, userId, budget, period);
+
+  return {
+    id: budget.id,
+    category: budget.category,
+    category_id: budget.category_id || null,
+    period: budget.period,
+    period_start: period.start,
+    period_end: period.end,
+    amount: fromMinor(amount),
+    rollover: Boolean(budget.rollover),
+    rollover_amount: fromMinor(rolloverAmount),
+    available: fromMinor(available),
+    spent: fromMinor(spent),
+    remaining: fromMinor(available - spent),
+    percent_used: available > 0 ? Math.round((spent / available) * 1000) / 10 : null
+  };
+}
+
+const formatBudget = (budget) => ({
+  id: budget.id,
+  category: budget.category,
+  category_id: budget.category_id || null,
+  amount: fromMinor(toMinor(budget.amount)),
+  period: budget.period,
+  start_date: toDateString(budget.start_date),
+  end_date: budget.end_date ? toDateString(budget.end_date) : null,
+  rollover: Boolean(budget.rollover),
+  alert_thresholds: thresholdsOf(budget)
+});
+
+module.exports = { getBudgetStatus, formatBudget };
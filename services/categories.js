@@ -0,0 +1,348 @@
+// services/categories.js
+// Categories as one entity: every user starts with the default expense and income categories (a
+// category's kind). Items, split lines, budgets, category rules, recurring rules and the suggestion
+// model reference a category by id; the label they carry (`section`, or a budget's `category`) is for
+// display, and renaming a category rewrites it. A category may sit under a top-level parent whose
+// totals and budgets include it. Merging a category moves everything that references it; run renames
+// and merges on a connection inside a transaction so they apply atomically.
+// Deleting a category takes an explicit mode: reassign its items to another category, archive it
+// (hidden from pickers, history kept) or cascade (delete its items too).
+const Transactions = require("../repositories/transactionRepository");
+const Categories = require("../repositories/categoryRepository");
+const Splits = require("../repositories/transactionSplitRepository");
+const Budgets = require("../repositories/budgetRepository");
+const CategoryRules = require("../repositories/categoryRuleRepository");
+const RecurringRules = require("../repositories/recurringRuleRepository");
+const Users = require("../repositories/userRepository");
+const Attachments = require("../repositories/attachmentRepository");
+const { learn, unlearn, forgetCategory } = require("./categoryModel");
+const { getBaseCurrency, baseBalanceEffect } = require("./currency");
+const { toMinor, fromMinor, formatMinor } = require("../utils/money");
+
+const DEFAULT_CATEGORIES = ["Travel", "Food", "Petrol", "Clothes", "Rent", "Groceries"];
+const DEFAULT_INCOME_CATEGORIES = ["Salary", "Freelance", "Interest"];
+const DELETE_MODES = ["reassign", "archive", "cascade"];
+const MAX_LABEL_LENGTH = 100;
+
+const optionalText = (value) => (value === undefined || value === null || String(value).trim() === "" ? null : String(value).trim());
+
+async function seedDefaultCategories(db, userId) {
+  await Categories.createMissing(db, userId, DEFAULT_CATEGORIES, { is_default: true });
+  await Categories.createMissing(db, userId, DEFAULT_INCOME_CATEGORIES, { kind: "income", is_default: true });
+}
+
+// Category ids keyed by section, creating categories of `kind` for labels the user has not used
+// before. The plain 'Income' section is not a category and has no entry.
+async function resolveCategoryIds(db, userId, sections, { kind = "expense" } = {}) {
+  const labels = [...new Set(sections.filter(section => section && section !== Transactions.INCOME_SECTION))];
+  await Categories.createMissing(db, userId, labels, { kind });
+  return new Map((await Categories.findByLabels(db, userId, labels)).map(category => [category.label, category.id]));
+}
+
+// The id of the category an item filed under `section` references (null for Income)
+async function resolveCategoryId(db, userId, section, { kind = "expense" } = {}) {
+  return (await resolveCategoryIds(db, userId, [section], { kind })).get(section) || null;
+}
+
+// Validates a category from a request body ({ label, kind, iconName, iconColor, iconLibrary, parent_id }).
+// parentId, the name responses use, is accepted for parent_id. For updates pass the stored category as
+// `existing`; fields missing from the body keep their value and parent_id null makes the category top-level. kind (expense or income, expense by default) is
+// fixed once the category exists. Returns { category } or { error }; check the parent with validateParent.
+function parseCategory(input, existing = null) {
+  const body = input || {};
+  const pick = (field) => (body[field] !== undefined ? body[field] : existing ? existing[field] : undefined);
+
+  const label = optionalText(pick("label"));
+  if (!label) return { error: "Category label is required." };
+  if (label.length > MAX_LABEL_LENGTH) return { error: `Category labels must be at most ${MAX_LABEL_LENGTH} characters.` };
+  if (label === Transactions.INCOME_SECTION) return { error: `'${Transactions.INCOME_SECTION}' is reserved for deposits.` };
+
+  const kind = optionalText(pick("kind")) || "expense";
+  if (!Categories.CATEGORY_KINDS.includes(kind)) return { error: `kind must be one of ${Categories.CATEGORY_KINDS.join(", ")}.` };
+  if (existing && kind !== existing.kind) return { error: "A category's kind cannot change; create a new category instead." };
+
+  if (body.parent_id !== undefined && body.parentId !== undefined && body.parent_id !== body.parentId) {
+    return { error: "Send parent_id or parentId, not both." };
+  }
+  const rawParent = body.parentId !== undefined ? body.parentId : pick("parent_id");
+  const parentId = rawParent === undefined || rawParent === null || rawParent === "" ? null : Number(rawParent);
+  if (parentId !== null && !(Number.isInteger(parentId) && parentId > 0)) {
+    return { error: "parent_id must be a category id, or null for a top-level category." };
+  }
+
+  return {
+    category: {
+      label,
+      kind,
+      iconName: optionalText(pick("iconName")),
+      iconColor: optionalText(pick("iconColor")),
+      iconLibrary: optionalText(pick("iconLibrary")),
+      parent_id: parentId
+    }
+  };
+}
+
+// Categories nest one level deep: the parent must be another of the user's top-level categories of the
+// same kind, and a category that has children cannot move under a parent. categoryId is null for a
+// new category. Returns an error message or null.
+async function validateParent(db, userId, categoryId, parentId, kind) {
+  if (parentId === null) return null;
+  if (categoryId !== null && parentId === categoryId) return "A category cannot be its own parent.";
+
+  const parent = await Categories.findById(db, parentId, userId);
+  if (!parent) return "Parent category not found.";
+  if (parent.archived_at) return `'${parent.label}' is archived; restore it first.`;
+  if (parent.kind !== kind) return `'${parent.label}' is an ${parent.kind} category; a category nests under one of its own kind.`;
+  if (parent.parent_id) return `'${parent.label}' is a subcategory itself; categories nest one level deep.`;
+  if (categoryId !== null && (await Categories.countChildren(db, categoryId, userId)) > 0) {
+    return "A category with subcategories cannot move under a parent.";
+  }
+  return null;
+}
+
+// The user's category tree by id: parentOf (id -> parent id or null), childrenOf (id -> child ids) and
+// byId (id -> category row)
+async function loadHierarchy(db, userId) {
+  const categories = await Categories.listHierarchy(db, userId);
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const parentOf = new Map();
+  const childrenOf = new Map();
+  for (const category of categories) {
+    const parent = category.parent_id ? byId.get(category.parent_id) : null;
+    parentOf.set(category.id, parent ? parent.id : null);
+    if (parent) {
+      if (!childrenOf.has(parent.id)) childrenOf.set(parent.id, []);
+      childrenOf.get(parent.id).push(category.id);
+    }
+  }
+  return { byId, parentOf, childrenOf };
+}
+
+// A category's id followed by its children's: the categories its roll-up total and budgets cover
+async function categoryIdsUnder(db, userId, categoryId) {
+  const { childrenOf } = await loadHierarchy(db, userId);
+  return [categoryId, ...(childrenOf.get(categoryId) || [])];
+}
+
+// A category's id followed by its parent's: the categories whose budgets its spending counts toward
+async function categoryIdsAbove(db, userId, categoryId) {
+  const { parentOf } = await loadHierarchy(db, userId);
+  const parent = parentOf.get(categoryId);
+  return parent ? [categoryId, parent] : [categoryId];
+}
+
+// The category ids a filter given by label (from a query string) keeps, for Transactions.buildFilters:
+// the category's own id, plus its children's with rollup. 'Income' is the plain section ([null]) and a
+// label the user has no category for matches nothing ([]). undefined (no filter) for no label or 'All',
+// a special client-side value. labels may be one label or a list of them.
+async function categoryFilter(db, userId, labels, { rollup = false } = {}) {
+  const wanted = [].concat(labels === undefined || labels === null ? [] : labels).filter(label => label && label !== "All");
+  if (wanted.length === 0) return undefined;
+
+  const categories = await Categories.findByLabels(db, userId, wanted);
+  const ids = wanted.includes(Transactions.INCOME_SECTION) ? [null] : [];
+  for (const category of categories) {
+    ids.push(...(rollup ? await categoryIdsUnder(db, userId, category.id) : [category.id]));
+  }
+  return [...new Set(ids)];
+}
+
+// Folds per-category rows ({ category_id, section, total_expenses, total_income, iconName, iconColor,
+// iconLibrary }) into one row per top-level category: children's totals are added to their parent's row
+// (created when the parent has no items of its own), which lists them as subcategories. Rows without a
+// category (Income) pass through.
+function rollUpTotals(rows, { byId, parentOf }) {
+  const rolled = new Map();
+  const rowFor = (categoryId, source) => {
+    const key = categoryId === null ? source.section : categoryId;
+    if (!rolled.has(key)) {
+      const category = byId.get(categoryId) || source;
+      rolled.set(key, {
+        category_id: categoryId,
+        section: category.label || source.section,
+        kind: category.kind || null,
+        totalMinor: 0,
+        incomeMinor: 0,
+        iconName: category.iconName,
+        iconColor: category.iconColor,
+        iconLibrary: category.iconLibrary,
+        subcategories: []
+      });
+    }
+    return rolled.get(key);
+  };
+
+  for (const row of rows) {
+    const categoryId = row.category_id === undefined ? null : row.category_id;
+    const parent = categoryId === null ? null : parentOf.get(categoryId);
+    const target = rowFor(parent || categoryId, row);
+    const amount = toMinor(row.total_expenses);
+    const income = toMinor(row.total_income);
+    target.totalMinor += amount;
+    target.incomeMinor += income;
+    if (parent) {
+      target.subcategories.push({ category_id: categoryId, section: row.section, total_expenses: formatMinor(amount), total_income: formatMinor(income) });
+    }
+  }
+
+  return [...rolled.values()]
+    .sort((a, b) => b.totalMinor - a.totalMinor || b.incomeMinor - a.incomeMinor)
+    .map(({ totalMinor, incomeMinor, ...row }) => ({ ...row, total_expenses: formatMinor(totalMinor), total_income: formatMinor(incomeMinor) }));
+}
+
+const formatCategory = (row) => ({
+  id: row.id,
+  label: row.label,
+  kind: row.kind,
+  iconName: row.iconName,
+  iconColor: row.iconColor,
+  iconLibrary: row.iconLibrary,
+  isDefault: Boolean(row.is_default),
+  parentId: row.parent_id || null,
+  archived: Boolean(row.archived_at)
+});
+
+// Files everything that references category `fromId` under `to` ({ id, label }), carrying its label.
+// Given the same category as `to`, only the stored labels change (a rename). Returns the number of items moved.
+async function moveCategory(connection, userId, fromId, to) {
+  const items = fromId === to.id ? [] : await Transactions.listByCategory(connection, userId, fromId);
+  await unlearn(connection, userId, items);
+
+  const movedCount = await Transactions.moveCategory(connection, userId, fromId, to.id, to.label);
+  await Splits.moveCategory(connection, userId, fromId, to.id, to.label);
+  await Budgets.moveCategory(connection, userId, fromId, to.id, to.label);
+  await CategoryRules.moveCategory(connection, userId, fromId, to.id, to.label);
+  await RecurringRules.moveCategory(connection, userId, fromId, to.id, to.label);
+
+  await learn(connection, userId, items.map(item => ({ ...item, section: to.label, category_id: to.id })));
+  return movedCount;
+}
+
+// Saves `changes` (from parseCategory) to the stored category, renaming it everywhere when the label
+// changed. The caller has checked no other category has the new label. Returns the number of items renamed.
+async function updateCategory(connection, userId, category, changes) {
+  await Categories.update(connection, category.id, userId, changes);
+  if (changes.label === category.label) return 0;
+  return moveCategory(connection, userId, category.id, { id: category.id, label: changes.label });
+}
+
+// Files everything of `source` under `target` and deletes `source`. The source's subcategories move
+// under the target when it ends up top-level, and become top-level otherwise. Returns the number of items moved.
+async function mergeCategories(connection, userId, source, target) {
+  const movedCount = await moveCategory(connection, userId, source.id, target);
+
+  if (target.parent_id === source.id) {
+    await Categories.update(connection, target.id, userId, { ...target, parent_id: null });
+  }
+  const targetIsTopLevel = !target.parent_id || target.parent_id === source.id;
+  await Categories.reparentChildren(connection, userId, source.id, targetIsTopLevel ? target.id : null);
+
+  await Categories.remove(connection, source.id, userId);
+  return movedCount;
+}
+
+// Validates how a category is deleted, from the query string or body: mode (reassign, archive or
+// cascade) and, for reassign, into (the id of the category that takes over its items).
+// Returns { mode, targetId } or { error }.
+function parseDeleteOptions(input, categoryId) {
+  const body = input || {};
+  const mode = optionalText(body.mode);
+  if (!mode) {
+    return { error: `mode is required: one of ${DELETE_MODES.join(", ")}. See the delete preview for what each would affect.` };
+  }
+  if (!DELETE_MODES.includes(mode)) return { error: `mode must be one of ${DELETE_MODES.join(", ")}.` };
+  if (mode !== "reassign") return { mode, targetId: null };
+
+  const targetId = Number(body.into);
+  if (!(Number.isInteger(targetId) && targetId > 0)) {
+    return { error: "into (the id of the category to reassign the items to) is required with mode=reassign." };
+  }
+  if (targetId === Number(categoryId)) return { error: "Items cannot be reassigned to the category being deleted." };
+  return { mode, targetId };
+}
+
+// What deleting the category would touch: the items filed under it (and their total in the base
+// currency, which cascade deletes and reassign moves), split lines of other items, subcategories,
+// budgets, rules and receipt attachments
+async function previewCategoryDeletion(db, userId, category) {
+  const transactionCount = await Transactions.countByCategory(db, userId, category.id);
+  const total = await Transactions.sumByCategory(db, userId, [category.id], { itemsOnly: true });
+  const splitLineCount = await Splits.countForCategory(db, userId, category.id);
+  const subcategoryCount = await Categories.countChildren(db, category.id, userId);
+  const budgets = await Budgets.listForCategory(db, userId, [category.id]);
+  const categoryRules = await CategoryRules.list(db, userId);
+  const recurringRules = await RecurringRules.list(db, userId);
+  const attachments = await Attachments.listStoredNames(db, userId, { categoryId: category.id });
+
+  return {
+    category: formatCategory(category),
+    transactionCount,
+    totalAmount: fromMinor(toMinor(total)),
+    currency: await getBaseCurrency(db, userId),
+    splitLineCount,
+    subcategoryCount,
+    budgetCount: budgets.length,
+    categoryRuleCount: categoryRules.filter(rule => rule.category_id === category.id).length,
+    recurringRuleCount: recurringRules.filter(rule => rule.category_id === category.id).length,
+    attachmentCount: attachments.length
+  };
+}
+
+// Deletes (or archives) `category` the way `mode` says; `target` is the category taking over its
+// items for reassign. Run on a connection inside a transaction. Returns { affectedCount } plus, for
+// cascade, the attachment files to remove once the transaction commits, or { error } when an item to
+// delete has no exchange rate for its balance effect (nothing is deleted then).
+async function deleteCategory(connection, userId, category, { mode, target }) {
+  if (mode === "reassign") {
+    return { affectedCount: await mergeCategories(connection, userId, category, target), attachmentFiles: [] };
+  }
+  if (mode === "archive") {
+    await Categories.archive(connection, category.id, userId);
+    return { affectedCount: await Transactions.countByCategory(connection, userId, category.id), attachmentFiles: [] };
+  }
+
+  // cascade: the items, budgets and category rules go too, reversing the items' effect on the balance.
+  // Split lines of other items and recurring rules keep the label without a category, as the foreign
+  // keys leave them on MySQL; a rule's next occurrence files under a new category of that name.
+  let balanceDelta = 0;
+  for (const item of await Transactions.listByCategory(connection, userId, category.id)) {
+    const effect = await baseBalanceEffect(connection, userId, item);
+    if (effect === null) {
+      return { error: `No exchange rate for ${item.currency} on the date of item ${item.id}. Add one under /currency/rates first.` };
+    }
+    balanceDelta -= effect;
+  }
+
+  const attachmentFiles = await Attachments.listStoredNames(connection, userId, { categoryId: category.id });
+  const affectedCount = await Transactions.removeByCategory(connection, userId, category.id);
+  await Users.adjustBalance(connection, userId, balanceDelta);
+  await Budgets.removeByCategory(connection, userId, category.id);
+  await CategoryRules.removeByCategory(connection, userId, category.id);
+  await Splits.moveCategory(connection, userId, category.id, null, category.label);
+  await RecurringRules.moveCategory(connection, userId, category.id, null, category.label);
+  await forgetCategory(connection, userId, category.id);
+  await Categories.remove(connection, category.id, userId);
+  return { affectedCount, attachmentFiles };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_INCOME_CATEGORIES,
+  DELETE_MODES,
+  seedDefaultCategories,
+  resolveCategoryIds,
+  resolveCategoryId,
+  parseCategory,
+  validateParent,
+  loadHierarchy,
+  categoryIdsUnder,
+  categoryIdsAbove,
+  categoryFilter,
+  rollUpTotals,
+  formatCategory,
+  updateCategory,
+  mergeCategories,
+  parseDeleteOptions,
+  previewCategoryDeletion,
+  deleteCategory
+};
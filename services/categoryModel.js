@@ -0,0 +1,116 @@
+// services/categoryModel.js
+// Learned category suggestions: a multinomial naive Bayes model per user over the tokens of their
+// item titles plus a coarse amount bucket. Counts live in the database, are built from the user's
+// history on first use and are then updated as items are added, edited or deleted. Counts are kept per
+// category id, so renaming a category leaves its model as it is.
+const Transactions = require("../repositories/transactionRepository");
+const CategoryModel = require("../repositories/categoryModelRepository");
+const { toMinor } = require("../utils/money");
+
+const MAX_TOKEN_LENGTH = 64;
+const STOP_WORDS = new Set(["the", "and", "for", "of", "at", "to", "in", "on", "with", "from", "by"]);
+
+// Lowercased words of a title without accents, numbers-only words (store and card numbers) or stop words
+function tokenize(title) {
+  const words = String(title || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2 && !/^\d+$/.test(word) && !STOP_WORDS.has(word))
+    .map(word => word.slice(0, MAX_TOKEN_LENGTH));
+  return [...new Set(words)];
+}
+
+// Amounts fall into powers-of-two buckets (under 1, 1-2, 2-4, 4-8, ...) so "coffee" at 3.50 and
+// "coffee beans" at 24 can lean towards different categories
+function amountToken(value) {
+  if (value === undefined || value === null) return null;
+  const major = Math.abs(toMinor(value)) / 100;
+  if (major === 0) return null;
+  return `#amount:${major < 1 ? 0 : Math.floor(Math.log2(major)) + 1}`;
+}
+
+const featuresOf = ({ title, value }) => [...tokenize(title), amountToken(value)].filter(Boolean);
+
+// Income and items no one categorized say nothing about which expense category a title
+// belongs to. Items without a type are expenses.
+const isLearnable = ({ type = "expense", section, category_id }) => (type === "expense" || type === "refund")
+  && Boolean(category_id) && section !== Transactions.UNCATEGORIZED_SECTION;
+
+async function adjust(db, userId, items, sign) {
+  // Until the model is first used there is nothing to update; it is then built from the full history
+  if (!(await CategoryModel.isTrained(db, userId))) return;
+
+  const byCategory = new Map();
+  for (const item of items) {
+    if (!isLearnable(item) || item.value === null || item.value === undefined) continue;
+    if (!byCategory.has(item.category_id)) byCategory.set(item.category_id, { itemCount: 0, tokens: new Map() });
+    const entry = byCategory.get(item.category_id);
+    entry.itemCount += 1;
+    for (const token of featuresOf(item)) entry.tokens.set(token, (entry.tokens.get(token) || 0) + 1);
+  }
+
+  for (const [categoryId, { itemCount, tokens }] of byCategory) {
+    const signedTokens = new Map([...tokens].map(([token, count]) => [token, sign * count]));
+    await CategoryModel.addCounts(db, userId, categoryId, sign * itemCount, signedTokens);
+  }
+}
+
+// items: [{ title, value, type, section, category_id }] that were saved (learn) or deleted (unlearn); an
+// edit is an unlearn of the old values followed by a learn of the new ones. Run on the connection that changes them.
+const learn = (db, userId, items) => adjust(db, userId, items, 1);
+const unlearn = (db, userId, items) => adjust(db, userId, items, -1);
+
+async function forgetCategory(db, userId, categoryId) {
+  await CategoryModel.removeCategory(db, userId, categoryId);
+}
+
+// Builds the user's model from their history the first time it is needed.
+// Must run on a connection inside a transaction.
+async function ensureTrained(connection, userId) {
+  if (!(await CategoryModel.markTrained(connection, userId))) return;
+  const items = await Transactions.listAll(connection, userId);
+  await learn(connection, userId, items);
+}
+
+// Categories ranked for a title (and optional amount): [{ section, category_id, probability }] with the
+// probabilities of all categories summing to 1. Tokens the user never used carry no evidence, so an
+// unfamiliar title is ranked by how often each category is used.
+async function suggestCategories(db, userId, { title, amount, limit = 5 }) {
+  const categories = await CategoryModel.listCategories(db, userId);
+  const trainedItems = categories.reduce((total, category) => total + category.item_count, 0);
+  if (trainedItems === 0) return { suggestions: [], trainedItems };
+
+  const counts = await CategoryModel.tokenCounts(db, userId, featuresOf({ title, value: amount }));
+  const knownTokens = [...new Set(counts.map(row => row.token))];
+  const countOf = new Map(counts.map(row => [`${row.category_id}\u0000${row.token}`, row.count]));
+  const vocabulary = await CategoryModel.vocabularySize(db, userId);
+
+  // Log scores with add-one smoothing
+  const scored = categories.map(({ category_id, section, item_count, token_count }) => {
+    let score = Math.log(item_count / trainedItems);
+    for (const token of knownTokens) {
+      score += Math.log(((countOf.get(`${category_id}\u0000${token}`) || 0) + 1) / (token_count + vocabulary));
+    }
+    return { section, category_id, score };
+  });
+
+  const best = Math.max(...scored.map(entry => entry.score));
+  const weights = scored.map(entry => Math.exp(entry.score - best));
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  const suggestions = scored
+    .map((entry, i) => ({ section: entry.section, category_id: entry.category_id, probability: Math.round((weights[i] / totalWeight) * 1000) / 1000 }))
+    .sort((a, b) => b.probability - a.probability || a.section.localeCompare(b.section))
+    .slice(0, limit);
+  return { suggestions, trainedItems };
+}
+
+module.exports = {
+  learn,
+  unlearn,
+  forgetCategory,
+  ensureTrained,
+  suggestCategories
+};
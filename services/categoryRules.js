@@ -0,0 +1,186 @@
+// services/categoryRules.js
+// Auto-categorization: user-defined rules (title contains / title regex, amount range, payment mode)
+// pick the category of expenses saved without one. The first active rule whose set conditions all
+// match wins; items no rule matches stay 'Uncategorized'. A rule references its category by id.
+const Transactions = require("../repositories/transactionRepository");
+const CategoryRules = require("../repositories/categoryRuleRepository");
+const Categories = require("../repositories/categoryRepository");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+
+const MAX_TEXT_LENGTH = 255;
+const MAX_PATTERN_LENGTH = 200;
+// Nested quantifiers such as (a+)+ can take exponential time on a long title, so they are refused
+const NESTED_QUANTIFIER = /\([^)]*[+*}][^)]*\)\s*[+*{]/;
+const CONDITIONS = ["title_contains", "title_pattern", "min_amount", "max_amount", "payment_mode"];
+
+const optionalText = (value) => (value === undefined || value === null || String(value).trim() === "" ? null : String(value).trim());
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "i");
+  } catch (err) {
+    return null;
+  }
+}
+
+// Validates a rule from a request body. For updates pass the stored rule as `existing`; fields
+// missing from the body keep their stored value and null clears a condition.
+// Returns { rule } or { error }; set the rule's category_id (see checkRuleSection) before saving it.
+function parseCategoryRule(input, existing = null) {
+  const body = input || {};
+  const pick = (field) => (body[field] !== undefined ? body[field] : existing ? existing[field] : undefined);
+
+  const section = optionalText(pick("section"));
+  if (!section) return { error: "section is required." };
+  if (section === Transactions.INCOME_SECTION) return { error: "Rules cannot file items as Income." };
+  if (section.length > 100) return { error: "section must be at most 100 characters." };
+
+  const titleContains = optionalText(pick("title_contains"));
+  const titlePattern = optionalText(pick("title_pattern"));
+  const paymentMode = optionalText(pick("payment_mode"));
+  if ([titleContains, paymentMode].some(text => text && text.length > MAX_TEXT_LENGTH)) {
+    return { error: `title_contains and payment_mode must be at most ${MAX_TEXT_LENGTH} characters.` };
+  }
+  if (titlePattern) {
+    if (titlePattern.length > MAX_PATTERN_LENGTH) return { error: `title_pattern must be at most ${MAX_PATTERN_LENGTH} characters.` };
+    if (!compilePattern(titlePattern)) return { error: "title_pattern is not a valid regular expression." };
+    if (NESTED_QUANTIFIER.test(titlePattern)) return { error: "title_pattern cannot repeat a group that itself repeats, such as (a+)+." };
+  }
+
+  const amounts = {};
+  for (const field of ["min_amount", "max_amount"]) {
+    const raw = pick(field);
+    if (raw === undefined || raw === null || raw === "") {
+      amounts[field] = null;
+      continue;
+    }
+    amounts[field] = parseAmount(raw);
+    if (amounts[field] === null) return { error: `${field} must be ${amountRule()}.` };
+  }
+  if (amounts.min_amount !== null && amounts.max_amount !== null && amounts.min_amount > amounts.max_amount) {
+    return { error: "min_amount cannot be greater than max_amount." };
+  }
+
+  const priority = pick("priority") === undefined || pick("priority") === null ? 0 : Number(pick("priority"));
+  if (!Number.isInteger(priority)) return { error: "priority must be a whole number." };
+  const active = pick("active") === undefined ? true : Boolean(pick("active"));
+
+  const rule = {
+    section,
+    title_contains: titleContains,
+    title_pattern: titlePattern,
+    min_amount: amounts.min_amount === null ? null : formatMinor(amounts.min_amount),
+    max_amount: amounts.max_amount === null ? null : formatMinor(amounts.max_amount),
+    payment_mode: paymentMode,
+    priority,
+    active: active ? 1 : 0
+  };
+  if (CONDITIONS.every(field => rule[field] === null)) {
+    return { error: "A rule needs at least one condition: title_contains, title_pattern, min_amount, max_amount or payment_mode." };
+  }
+  return { rule };
+}
+
+const formatRule = (rule) => ({
+  id: rule.id,
+  section: rule.section,
+  category_id: rule.category_id,
+  title_contains: rule.title_contains,
+  title_pattern: rule.title_pattern,
+  min_amount: rule.min_amount === null ? null : fromMinor(toMinor(rule.min_amount)),
+  max_amount: rule.max_amount === null ? null : fromMinor(toMinor(rule.max_amount)),
+  payment_mode: rule.payment_mode,
+  priority: rule.priority,
+  active: Boolean(rule.active),
+  created_at: rule.created_at
+});
+
+// Stored rows ready for matching, with their patterns compiled once
+const prepareRules = (rows) => rows.map(row => ({ ...row, regex: row.title_pattern ? compilePattern(row.title_pattern) : null }));
+
+// Active rules in the order they are tried
+async function loadRules(db, userId) {
+  return prepareRules(await CategoryRules.list(db, userId, { activeOnly: true }));
+}
+
+// Amounts are compared with the item's absolute value in its own currency
+function ruleMatches(rule, { title, value, payment_mode }) {
+  const text = String(title || "");
+  if (rule.title_contains && !text.toLowerCase().includes(rule.title_contains.toLowerCase())) return false;
+  if (rule.title_pattern && !(rule.regex && rule.regex.test(text))) return false;
+
+  const amount = Math.abs(toMinor(value));
+  if (rule.min_amount !== null && amount < toMinor(rule.min_amount)) return false;
+  if (rule.max_amount !== null && amount > toMinor(rule.max_amount)) return false;
+
+  if (rule.payment_mode && String(payment_mode || "").toLowerCase() !== rule.payment_mode.toLowerCase()) return false;
+  return true;
+}
+
+const matchRule = (rules, item) => rules.find(rule => ruleMatches(rule, item)) || null;
+
+// Category for an expense saved without one: { section, category_id, rule_id } (category_id and
+// rule_id null when none matched and the item goes under 'Uncategorized')
+function categorize(rules, item) {
+  const rule = matchRule(rules, item);
+  return rule
+    ? { section: rule.section, category_id: rule.category_id, rule_id: rule.id }
+    : { section: Transactions.UNCATEGORIZED_SECTION, category_id: null, rule_id: null };
+}
+
+// Import rows whose statement gave no category get the matching rule's section and its rule_id
+function categorizeImportRows(rules, rows) {
+  for (const row of rows) {
+    row.rule_id = null;
+    if (row.section !== Transactions.UNCATEGORIZED_SECTION) continue;
+    const rule = matchRule(rules, row);
+    if (rule) {
+      row.section = rule.section;
+      row.rule_id = rule.id;
+    }
+  }
+  return rows;
+}
+
+// What re-running the rules would change: uncategorized items that a rule now matches.
+// Pass { forUpdate: true } inside a transaction that goes on to apply the changes.
+async function planRecategorization(db, userId, { forUpdate = false } = {}) {
+  const rules = await loadRules(db, userId);
+  const [uncategorized] = await Categories.findByLabels(db, userId, [Transactions.UNCATEGORIZED_SECTION]);
+  if (rules.length === 0 || !uncategorized) return [];
+
+  const items = await Transactions.listUncategorized(db, userId, uncategorized.id, { forUpdate });
+  const changes = [];
+  for (const item of items) {
+    const rule = matchRule(rules, item);
+    if (!rule) continue;
+    changes.push({
+      id: item.id,
+      title: item.title,
+      value: fromMinor(toMinor(item.value)),
+      currency: item.currency,
+      date: item.date,
+      from_section: item.section,
+      to_section: rule.section,
+      to_category_id: rule.category_id,
+      rule_id: rule.id
+    });
+  }
+  return changes;
+}
+
+// Rules sort expenses, so they cannot point at an income category. Returns an error message or null.
+async function checkRuleSection(db, userId, section) {
+  const [category] = await Categories.findByLabels(db, userId, [section]);
+  return category && category.kind === "income" ? `Rules file expenses; '${section}' is an income category.` : null;
+}
+
+module.exports = {
+  parseCategoryRule,
+  checkRuleSection,
+  formatRule,
+  loadRules,
+  categorize,
+  categorizeImportRows,
+  planRecategorization
+};
@@ -0,0 +1,164 @@
+// services/currency.js
+// Multi-currency support: items carry a currency code, the user has a base currency, and amounts
+// are converted with the locally stored exchange rate effective on the item's date.
+const path = require("path");
+const Users = require("../repositories/userRepository");
+const Transactions = require("../repositories/transactionRepository");
+const Accounts = require("../repositories/accountRepository");
+const Transfers = require("../repositories/transferRepository");
+const Budgets = require("../repositories/budgetRepository");
+const ExchangeRates = require("../repositories/exchangeRateRepository");
+const { parseCsv } = require("../utils/csv");
+const { toMinor, convertMinor } = require("../utils/money");
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+
+const RATE_FILE_FORMATS = ["csv", "json"];
+
+// ISO 4217 style codes: three uppercase letters
+const isValidCurrency = (code) => typeof code === "string" && /^[A-Z]{3}$/.test(code);
+
+// Uppercases a client-supplied code; empty values become null (the base currency)
+function normalizeCurrency(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  return String(value).trim().toUpperCase();
+}
+
+async function getBaseCurrency(db, userId) {
+  const user = await Users.findById(db, userId);
+  return user ? user.base_currency : null;
+}
+
+// Rate turning `currency` into the user's base currency on `date`; null when no rate is stored
+async function rateToBase(db, userId, currency, date) {
+  const base = await getBaseCurrency(db, userId);
+  if (!currency || currency === base) return 1;
+  return ExchangeRates.findEffectiveRate(db, userId, currency, base, toDateString(date));
+}
+
+// How an item moves users.balance, in base currency minor units; null when its currency has no rate
+async function baseBalanceEffect(db, userId, { type, value, currency, date }) {
+  const rate = await rateToBase(db, userId, currency, date);
+  return rate === null ? null : convertMinor(Transactions.balanceEffect(type, value), rate);
+}
+
+// Re-denominates everything stored in the base currency (balance, account opening balances,
+// transfers and budgets) at today's rate. Items without a currency are pinned to the old base first
+// so they keep their meaning. Returns the rate used, or null when none is stored.
+// Must run on a connection inside a transaction.
+async function changeBaseCurrency(connection, userId, newCurrency) {
+  const oldCurrency = await getBaseCurrency(connection, userId);
+  if (oldCurrency === newCurrency) return 1;
+
+  const rate = await ExchangeRates.findEffectiveRate(connection, userId, oldCurrency, newCurrency, toDateString(new Date()));
+  if (rate === null) return null;
+
+  await Transactions.pinCurrency(connection, userId, oldCurrency);
+  await Accounts.scaleOpeningBalances(connection, userId, rate);
+  await Transfers.scaleAmounts(connection, userId, rate);
+  await Budgets.scaleAmounts(connection, userId, rate);
+  await Users.setBaseCurrency(connection, userId, newCurrency);
+
+  const storedBalance = await Users.getBalance(connection, userId, { forUpdate: true });
+  await Users.setBalance(connection, userId, convertMinor(toMinor(storedBalance), rate));
+  return rate;
+}
+
+function detectRateFileFormat(filename) {
+  const extension = path.extname(filename || "").slice(1).toLowerCase();
+  return RATE_FILE_FORMATS.includes(extension) ? extension : null;
+}
+
+// Validates one rate and returns { row, from_currency, to_currency, rate, effective_date, errors }
+function toRateRow(row, { from, to, rate, date }) {
+  const entry = {
+    row,
+    from_currency: normalizeCurrency(from),
+    to_currency: normalizeCurrency(to),
+    rate: parseFloat(rate),
+    effective_date: date === undefined || date === null ? null : String(date).trim().slice(0, 10),
+    errors: []
+  };
+  if (!isValidCurrency(entry.from_currency)) entry.errors.push("Invalid from currency.");
+  if (!isValidCurrency(entry.to_currency)) entry.errors.push("Invalid to currency.");
+  if (entry.from_currency && entry.from_currency === entry.to_currency) entry.errors.push("Currencies must differ.");
+  if (!(entry.rate > 0)) entry.errors.push("Rate must be a positive number.");
+  if (!isValidDateString(entry.effective_date)) entry.errors.push("Date must be YYYY-MM-DD.");
+  return entry;
+}
+
+// Accepts both the short (from, to, date) and the column (from_currency, to_currency, effective_date) names
+function parseRate(item, row = 1) {
+  return toRateRow(row, {
+    from: item.from ?? item.from_currency,
+    to: item.to ?? item.to_currency,
+    rate: item.rate,
+    date: item.date ?? item.effective_date
+  });
+}
+
+// CSV: a header row naming date, from, to and rate columns (effective_date, from_currency and
+// to_currency are accepted too), one rate per line
+function parseRateCsv(text) {
+  const [headers = [], ...lines] = parseCsv(text);
+  const names = headers.map(header => header.toLowerCase().replace(/\s+/g, "_"));
+  const column = (...aliases) => names.findIndex(name => aliases.includes(name));
+  const columns = {
+    date: column("date", "effective_date"),
+    from: column("from", "from_currency", "base"),
+    to: column("to", "to_currency", "currency"),
+    rate: column("rate")
+  };
+  if (Object.values(columns).includes(-1)) {
+    throw new Error("CSV header must name date, from, to and rate columns.");
+  }
+
+  return lines.map((cells, i) => toRateRow(i + 2, {
+    date: cells[columns.date],
+    from: cells[columns.from],
+    to: cells[columns.to],
+    rate: cells[columns.rate]
+  }));
+}
+
+// JSON: an array of { date, from, to, rate }, or rate tables shaped like
+// { base: "USD", date: "2024-01-31", rates: { EUR: 0.92, GBP: 0.79 } } (1 base = rate currency),
+// alone or in an array
+function parseRateJson(text) {
+  const data = JSON.parse(String(text).replace(/^\uFEFF/, ""));
+  const entries = Array.isArray(data) ? data : [data];
+  const rows = [];
+  for (const entry of entries) {
+    if (entry && entry.rates && typeof entry.rates === "object") {
+      for (const [to, rate] of Object.entries(entry.rates)) {
+        rows.push(toRateRow(rows.length + 1, { from: entry.base, to, rate, date: entry.date }));
+      }
+    } else {
+      rows.push(parseRate(entry || {}, rows.length + 1));
+    }
+  }
+  return rows;
+}
+
+// Throws with a readable message when the file itself cannot be read
+function parseRateFile(format, buffer) {
+  const text = buffer.toString("utf8");
+  if (format === "csv") return parseRateCsv(text);
+  try {
+    return parseRateJson(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+}
+
+module.exports = {
+  RATE_FILE_FORMATS,
+  isValidCurrency,
+  normalizeCurrency,
+  getBaseCurrency,
+  rateToBase,
+  baseBalanceEffect,
+  changeBaseCurrency,
+  detectRateFileFormat,
+  parseRate,
+  parseRateFile
+};
@@ -0,0 +1,67 @@
+// services/cursorPagination.js
+// Cursor mode of the item lists (GET /items, /profile/all-transactions, /profile/income-transactions).
+// A cursor is an opaque token for a (date, id) position plus a direction, so pages neither skip nor
+// repeat rows when items are added while the user scrolls.
+const Transactions = require("../repositories/transactionRepository");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// MySQL returns DATETIME columns as Dates in local time and SQLite as the stored text; either way the
+// cursor keeps the value the database compares against
+function dateKey(date) {
+  if (!(date instanceof Date)) return String(date);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+const encodeCursor = (row, direction) =>
+  Buffer.from(JSON.stringify({ d: dateKey(row.date), i: row.id, v: direction })).toString("base64url");
+
+function decodeCursor(token) {
+  try {
+    const { d, i, v } = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    if (typeof d !== "string" || !Number.isInteger(i) || i < 1 || !["next", "prev"].includes(v)) return null;
+    return { date: d, id: i, direction: v };
+  } catch (err) {
+    return null;
+  }
+}
+
+const isCursorMode = (query) => query.cursor !== undefined;
+
+// Validates cursor (empty for the first page) and _limit. Returns { cursor, limit } or { error }.
+function parseCursorQuery(query) {
+  const limit = query._limit === undefined ? DEFAULT_LIMIT : parseInt(query._limit, 10);
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) return { error: `_limit must be between 1 and ${MAX_LIMIT}.` };
+
+  if (!query.cursor) return { cursor: null, limit };
+  const cursor = typeof query.cursor === "string" ? decodeCursor(query.cursor) : null;
+  if (!cursor) return { error: "cursor is invalid. Use the next or prev value of a previous response." };
+  return { cursor, limit };
+}
+
+// One page, newest first: { items, next, prev }. next/prev are the cursors of the neighbouring pages,
+// null at either end of the list.
+async function listItemsByCursor(db, userId, filters, { cursor, limit }) {
+  const rows = await Transactions.listByCursor(db, userId, filters, { cursor, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  const backwards = Boolean(cursor) && cursor.direction === "prev";
+  const items = backwards ? rows.slice(0, limit).reverse() : rows.slice(0, limit);
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  // Going forwards there are newer rows whenever we started from a cursor; going backwards there are
+  // older ones, the page we came from
+  const hasNewer = backwards ? hasMore : Boolean(cursor);
+  const hasOlder = backwards ? true : hasMore;
+  return {
+    items,
+    next: last && hasOlder ? encodeCursor(last, "next") : null,
+    prev: first && hasNewer ? encodeCursor(first, "prev") : null
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, isCursorMode, parseCursorQuery, listItemsByCursor };
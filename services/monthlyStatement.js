@@ -0,0 +1,239 @@
+// services/monthlyStatement.js
+// Monthly statement: opening/closing balance, income vs expense totals, spending per category
+// against its monthly budget, and every transaction of the month; rendered as a PDF.
+const Transactions = require("../repositories/transactionRepository");
+const Users = require("../repositories/userRepository");
+const Budgets = require("../repositories/budgetRepository");
+const { getBudgetStatus } = require("./budgetStatus");
+const { createPdf, fitText, PAGE_WIDTH, PAGE_HEIGHT } = require("../utils/pdf");
+const { toDateString } = require("../utils/recurrence");
+const { toMinor, fromMinor, sumMinor } = require("../utils/money");
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"];
+
+const isValidMonth = (month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month || "");
+
+function monthRange(month) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const next = new Date(Date.UTC(year, monthNumber, 1)).toISOString().slice(0, 10);
+  return {
+    start: `${month}-01`,
+    end: `${month}-${String(lastDay).padStart(2, "0")}`,
+    next,
+    label: `${MONTH_NAMES[monthNumber - 1]} ${year}`
+  };
+}
+
+async function buildStatement(db, userId, month) {
+  const range = monthRange(month);
+  const user = await Users.findById(db, userId);
+  if (!user) return null;
+
+  // The stored balance includes every item; walk it back past the items dated after the month.
+  // Sums are in minor units and turned back into numbers for the result.
+  const currentBalance = toMinor(await Users.getBalance(db, userId));
+  const afterMonth = await Transactions.sumBalanceEffectSince(db, userId, range.next);
+  const duringMonth = await Transactions.sumBalanceEffectSince(db, userId, range.start) - afterMonth;
+  const closingBalance = currentBalance - afterMonth;
+
+  const sections = await Transactions.summarizeByCategory(db, userId, { fromDate: range.start, toDate: range.end });
+  const spentBySection = new Map();
+  let totalIncome = 0;
+  for (const row of sections) {
+    totalIncome += toMinor(row.total_income);
+    const spent = toMinor(row.total_expenses);
+    if (spent !== 0) spentBySection.set(row.section, (spentBySection.get(row.section) || 0) + spent);
+  }
+  const totalExpenses = sumMinor([...spentBySection.values()]);
+
+  // Monthly budgets line up with the statement month; the overall one (category NULL) is reported separately
+  const monthlyBudgets = (await Budgets.list(db, userId)).filter(budget => budget.period === "monthly");
+  const statusByCategory = new Map();
+  let overallBudget = null;
+  for (const budget of monthlyBudgets) {
+    const status = await getBudgetStatus(db, userId, budget, range.start);
+    if (budget.category === null) overallBudget = status;
+    else statusByCategory.set(budget.category, status);
+  }
+
+  const categoryNames = new Set([...spentBySection.keys(), ...statusByCategory.keys()]);
+  const categories = [...categoryNames].map((category) => {
+    const spent = spentBySection.get(category) || 0;
+    const status = statusByCategory.get(category);
+    const target = status ? toMinor(status.available) : null;
+    return {
+      category,
+      spent: fromMinor(spent),
+      target: target === null ? null : fromMinor(target),
+      remaining: target === null ? null : fromMinor(target - spent),
+      percent_used: target ? Math.round((spent / target) * 1000) / 10 : null
+    };
+  }).sort((a, b) => b.spent - a.spent || a.category.localeCompare(b.category));
+
+  const transactions = (await Transactions.listBetween(db, userId, range.start, range.end))
+    .map(row => ({
+      id: row.id,
+      date: toDateString(row.date),
+      title: row.title,
+      category: row.section,
+      type: row.type,
+      payment_mode: row.payment_mode,
+      amount: fromMinor(Transactions.balanceEffect(row.type, row.value)),
+      // Amounts are in the item's own currency; null means the base currency
+      currency: row.currency && row.currency !== user.base_currency ? row.currency : null
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+
+  return {
+    month,
+    label: range.label,
+    period_start: range.start,
+    period_end: range.end,
+    user: { name: `${user.first_name || ""} ${user.last_name || ""}`.trim(), email: user.email },
+    base_currency: user.base_currency,
+    opening_balance: fromMinor(closingBalance - duringMonth),
+    closing_balance: fromMinor(closingBalance),
+    total_income: fromMinor(totalIncome),
+    total_expenses: fromMinor(totalExpenses),
+    net_change: fromMinor(duringMonth),
+    overall_budget: overallBudget ? { target: overallBudget.available, spent: overallBudget.spent } : null,
+    categories,
+    transactions
+  };
+}
+
+const money = (value) => value.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const ROW_HEIGHT = 16;
+
+// Draws a table; columns: [{ header, width, align }], rows: arrays of strings. Repeats the header after page breaks.
+function drawTable(pdf, layout, columns, rows) {
+  const drawHeader = () => {
+    pdf.fillRect(MARGIN, layout.y, CONTENT_WIDTH, ROW_HEIGHT);
+    let x = MARGIN;
+    for (const column of columns) {
+      pdf.text(column.header, x + 4, layout.y + 3, { size: 9, bold: true, align: column.align, width: column.width - 8 });
+      x += column.width;
+    }
+    layout.y += ROW_HEIGHT;
+  };
+
+  drawHeader();
+  for (const row of rows) {
+    if (layout.y + ROW_HEIGHT > PAGE_HEIGHT - MARGIN) {
+      layout.newPage();
+      drawHeader();
+    }
+    let x = MARGIN;
+    row.forEach((value, i) => {
+      const column = columns[i];
+      pdf.text(fitText(value, column.width - 8, 9), x + 4, layout.y + 3, { size: 9, align: column.align, width: column.width - 8 });
+      x += column.width;
+    });
+    pdf.line(MARGIN, layout.y + ROW_HEIGHT, MARGIN + CONTENT_WIDTH, layout.y + ROW_HEIGHT, { gray: 0.85 });
+    layout.y += ROW_HEIGHT;
+  }
+}
+
+function renderStatementPdf(statement) {
+  const pdf = createPdf();
+  const layout = {
+    y: MARGIN,
+    newPage() {
+      pdf.addPage();
+      this.y = MARGIN;
+    },
+    // Starts a new page unless `height` more points fit on this one
+    ensureSpace(height) {
+      if (this.y + height > PAGE_HEIGHT - MARGIN) this.newPage();
+    }
+  };
+  const heading = (title) => {
+    layout.ensureSpace(60);
+    layout.y += 14;
+    pdf.text(title, MARGIN, layout.y, { size: 13, bold: true });
+    layout.y += 22;
+  };
+
+  layout.newPage();
+  pdf.text("SpendWise", MARGIN, layout.y, { size: 20, bold: true });
+  pdf.text("Monthly statement", MARGIN, layout.y + 4, { size: 12, align: "right", width: CONTENT_WIDTH, gray: 0.35 });
+  layout.y += 32;
+  pdf.text(`${statement.label} (${statement.period_start} to ${statement.period_end})`, MARGIN, layout.y, { size: 11, bold: true });
+  layout.y += 16;
+  pdf.text([statement.user.name, statement.user.email, `Amounts in ${statement.base_currency}`].filter(Boolean).join("  |  "), MARGIN, layout.y, { size: 10, gray: 0.35 });
+  layout.y += 14;
+  pdf.line(MARGIN, layout.y, MARGIN + CONTENT_WIDTH, layout.y);
+  layout.y += 6;
+
+  heading("Summary");
+  const summaryLines = [
+    ["Opening balance", statement.opening_balance],
+    ["Income", statement.total_income],
+    ["Expenses", -statement.total_expenses],
+    ["Net change", statement.net_change],
+    ["Closing balance", statement.closing_balance]
+  ];
+  if (statement.overall_budget) {
+    summaryLines.push(["Overall monthly budget", statement.overall_budget.target]);
+  }
+  for (const [label, value] of summaryLines) {
+    const bold = label.endsWith("balance");
+    pdf.text(label, MARGIN, layout.y, { size: 10, bold });
+    pdf.text(money(value), MARGIN, layout.y, { size: 10, bold, align: "right", width: 220 });
+    layout.y += 16;
+  }
+
+  heading("Spending by category");
+  if (statement.categories.length === 0) {
+    pdf.text("No expenses this month.", MARGIN, layout.y, { size: 10, gray: 0.35 });
+    layout.y += 16;
+  } else {
+    drawTable(pdf, layout, [
+      { header: "Category", width: 175 },
+      { header: "Spent", width: 85, align: "right" },
+      { header: "Target", width: 85, align: "right" },
+      { header: "Remaining", width: 85, align: "right" },
+      { header: "Used", width: CONTENT_WIDTH - 430, align: "right" }
+    ], statement.categories.map(row => [
+      row.category,
+      money(row.spent),
+      row.target === null ? "-" : money(row.target),
+      row.remaining === null ? "-" : money(row.remaining),
+      row.percent_used === null ? "-" : `${row.percent_used}%`
+    ]));
+  }
+
+  heading("Transactions");
+  if (statement.transactions.length === 0) {
+    pdf.text("No transactions this month.", MARGIN, layout.y, { size: 10, gray: 0.35 });
+  } else {
+    drawTable(pdf, layout, [
+      { header: "Date", width: 70 },
+      { header: "Title", width: 165 },
+      { header: "Category", width: 100 },
+      { header: "Payment", width: 75 },
+      { header: "Amount", width: CONTENT_WIDTH - 410, align: "right" }
+    ], statement.transactions.map(row => [
+      row.date,
+      row.title || "",
+      row.category || "",
+      row.payment_mode || "",
+      (row.amount > 0 ? "+" : "") + money(row.amount) + (row.currency ? ` ${row.currency}` : "")
+    ]));
+  }
+
+  const pageCount = pdf.pageCount();
+  for (let i = 0; i < pageCount; i++) {
+    pdf.goToPage(i);
+    pdf.text(`Page ${i + 1} of ${pageCount}`, MARGIN, PAGE_HEIGHT - MARGIN + 20, { size: 8, align: "right", width: CONTENT_WIDTH, gray: 0.5 });
+  }
+
+  return pdf.toBuffer();
+}
+
+module.exports = { isValidMonth, buildStatement, renderStatementPdf };
@@ -0,0 +1,105 @@
+// services/receiptOcr.js
+// Runs the locally installed OCR tools on a receipt image or PDF and turns the result into a draft
+// item. PDFs with a text layer are read directly; scanned PDFs have their first page rasterised and
+// OCR'd like an image.
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { OCR } = require("../config");
+const { parseReceipt } = require("./receiptParser");
+
+// Orders accepted for ambiguous numeric dates such as 03/04/2025
+const RECEIPT_DATE_FORMATS = ["MM/DD/YYYY", "DD/MM/YYYY"];
+const MIN_PDF_TEXT = 20; // fewer readable characters than this means a scanned PDF
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+// Resolves with stdout. A missing executable rejects with code OCR_UNAVAILABLE so routes can
+// answer 503 instead of 500.
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: OCR.timeoutMs, maxBuffer: MAX_OUTPUT }, (err, stdout, stderr) => {
+      if (!err) return resolve(stdout);
+      if (err.code === "ENOENT") {
+        const unavailable = new Error(`${command} is not installed on the server.`);
+        unavailable.code = "OCR_UNAVAILABLE";
+        return reject(unavailable);
+      }
+      reject(new Error(`${path.basename(command)} failed: ${(stderr || err.message).trim()}`));
+    });
+  });
+}
+
+// Tesseract TSV columns: level, page_num, block_num, par_num, line_num, word_num, left, top, width,
+// height, conf, text. Words are grouped back into lines with their mean confidence.
+function parseTesseractTsv(tsv) {
+  const lines = new Map();
+  for (const row of tsv.split(/\r?\n/).slice(1)) {
+    const cells = row.split("\t");
+    if (cells.length < 12 || cells[0] !== "5") continue; // level 5 rows are words
+    const confidence = Number(cells[10]);
+    const text = cells.slice(11).join("\t").trim();
+    if (!text || confidence < 0) continue;
+
+    const key = cells.slice(1, 5).join(":");
+    if (!lines.has(key)) lines.set(key, { words: [], confidences: [] });
+    lines.get(key).words.push(text);
+    lines.get(key).confidences.push(confidence);
+  }
+  return [...lines.values()].map(({ words, confidences }) => ({
+    text: words.join(" "),
+    confidence: confidences.reduce((total, value) => total + value, 0) / confidences.length
+  }));
+}
+
+// --psm 4 reads a single column of variably sized text, which is how most receipts are laid out
+async function recognizeImage(imagePath) {
+  const tsv = await run(OCR.tesseractPath, [imagePath, "stdout", "-l", OCR.language, "--psm", "4", "tsv"]);
+  return parseTesseractTsv(tsv);
+}
+
+async function readPdf(pdfPath, workDir) {
+  const text = await run(OCR.pdftotextPath, ["-layout", "-f", "1", "-l", "3", pdfPath, "-"]);
+  if (text.replace(/\s/g, "").length >= MIN_PDF_TEXT) {
+    // A text layer is exact, so its lines are as good as OCR gets
+    return text.split(/\r?\n/).map(line => ({ text: line.replace(/\s{2,}/g, "  ").trim(), confidence: 100 }));
+  }
+
+  const imagePrefix = path.join(workDir, "page");
+  await run(OCR.pdftoppmPath, ["-r", "300", "-f", "1", "-l", "1", "-singlefile", "-png", pdfPath, imagePrefix]);
+  return recognizeImage(`${imagePrefix}.png`);
+}
+
+// Reads a receipt given either as a buffer (an upload held in memory) or as a stored file.
+// options: dateFormat for ambiguous numeric dates (see parseReceipt); baseCurrency, left out of the
+// draft since items in it carry no currency.
+// Returns { fields, draft, text }: per-field values with confidences, a body for POST /items
+// (title, value, date, currency; null where nothing was found) and the recognised text.
+async function scanReceipt({ buffer, filePath, mimeType }, { dateFormat, baseCurrency } = {}) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "receipt-"));
+  try {
+    let sourcePath = filePath;
+    if (buffer) {
+      sourcePath = path.join(workDir, mimeType === "application/pdf" ? "receipt.pdf" : "receipt");
+      await fs.promises.writeFile(sourcePath, buffer);
+    }
+
+    const lines = mimeType === "application/pdf" ? await readPdf(sourcePath, workDir) : await recognizeImage(sourcePath);
+    const fields = parseReceipt(lines, { dateFormat });
+
+    return {
+      fields,
+      draft: {
+        title: fields.merchant.value,
+        value: fields.total.value,
+        date: fields.date.value,
+        currency: fields.currency.value === baseCurrency ? null : fields.currency.value
+      },
+      text: lines.map(line => line.text).filter(Boolean).join("\n")
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { RECEIPT_DATE_FORMATS, scanReceipt };
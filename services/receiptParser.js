@@ -0,0 +1,175 @@
+// services/receiptParser.js
+// Reads merchant, date, total and currency out of OCR'd receipt lines. Each field gets a
+// confidence between 0 and 1: how sure the layout heuristic is, scaled by how sure the OCR engine
+// was about the line it came from.
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+const { parseAmount, fromMinor } = require("../utils/money");
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_PATTERN = "(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+
+// Total lines by how reliably they carry the amount paid, strongest first
+const TOTAL_HINTS = [
+  { pattern: /grand\s*total|total\s*(due|amount|to\s*pay|payable|eur|usd|gbp)|amount\s*(due|payable)|balance\s*due|total\s*ttc|montant|gesamt|importe\s*total/i, score: 0.95 },
+  { pattern: /\btotal\b/i, score: 0.85 },
+  { pattern: /\b(amount|paid|payment|card|visa|mastercard|amex|debit|credit|charged)\b/i, score: 0.55 }
+];
+// "Total" lines that are not the amount paid
+const NOT_TOTAL = /sub\s*-?\s*total|total\s*(tax|vat|gst|savings?|saved|discount|items?|qty|quantity|points)|(tax|vat|gst)\s*total|\bchange\b|\btip\b|tendered/i;
+
+// Lines near the top that name something other than the merchant
+const NOT_MERCHANT = /receipt|invoice|welcome|thank|\btel\b|phone|fax|www\.|https?:|@|\bvat\b|\bgst\b|\babn\b|\border\b|\btable\b|\bserver\b|cashier|\bdate\b|\btime\b|\bstore\s*#|\bno\.\s*\d/i;
+const MERCHANT_LINES = 6;
+
+// Currency codes recognised next to amounts, and symbols with the code they usually stand for
+const CURRENCY_CODES = ["AUD", "CAD", "CHF", "CNY", "DKK", "EUR", "GBP", "HKD", "INR", "JPY", "MXN", "NOK", "NZD", "SEK", "SGD", "USD", "ZAR"];
+const CURRENCY_SYMBOLS = { "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR", "$": "USD" };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const field = (value, score, ocrConfidence) => ({ value, confidence: round2(score * ocrConfidence / 100) });
+const EMPTY_FIELD = { value: null, confidence: 0 };
+
+// Amounts written with two decimals ("1,234.56", "12,50", "1.234,56"), in minor units, left to right
+function amountsIn(text) {
+  const amounts = [];
+  const pattern = /(?<![\d.,])(\d{1,3}(?:[,.]\d{3})+|\d+)[.,](\d{2})(?![\d.,]*\d)/g;
+  for (const match of text.matchAll(pattern)) {
+    const minor = parseAmount(`${match[1].replace(/[,.]/g, "")}.${match[2]}`);
+    if (minor !== null && minor > 0) amounts.push(minor);
+  }
+  return amounts;
+}
+
+function toIsoDate(year, month, day) {
+  const fullYear = String(year).length === 2 ? `20${year}` : String(year);
+  const text = `${fullYear}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return isValidDateString(text) ? text : null;
+}
+
+// Dates in a line with the confidence of how they were read. Numeric dates where both parts could be
+// the month are read in `dateFormat` order ("DD/MM/YYYY" or "MM/DD/YYYY") at a lower confidence.
+function datesIn(text, dateFormat) {
+  const dates = [];
+  const push = (date, score) => { if (date) dates.push({ date, score }); };
+
+  for (const [, year, month, day] of text.matchAll(/\b(20\d{2})[-/.](\d{1,2})[-/.](\d{1,2})\b/g)) {
+    push(toIsoDate(year, month, day), 0.9);
+  }
+  for (const [, first, separator, second, year] of text.matchAll(/\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g)) {
+    const a = Number(first);
+    const b = Number(second);
+    if (a > 12) push(toIsoDate(year, b, a), 0.85);
+    else if (b > 12) push(toIsoDate(year, a, b), 0.85);
+    else if (separator === ".") push(toIsoDate(year, b, a), 0.75); // dotted dates are day first
+    else if (dateFormat === "DD/MM/YYYY") push(toIsoDate(year, b, a), 0.6);
+    else push(toIsoDate(year, a, b), 0.6);
+  }
+  for (const [, day, month, year] of text.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN},?\\s+(\\d{4}|\\d{2})\\b`, "gi"))) {
+    push(toIsoDate(year, MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1, day), 0.9);
+  }
+  for (const [, month, day, year] of text.matchAll(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4}|\\d{2})\\b`, "gi"))) {
+    push(toIsoDate(year, MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1, day), 0.9);
+  }
+  return dates;
+}
+
+// "WALMART SUPERCENTER #123" -> "Walmart Supercenter #123"
+function cleanMerchant(text) {
+  const trimmed = text.replace(/\s+/g, " ").replace(/^[^\p{L}\d]+|[^\p{L}\d)]+$/gu, "").slice(0, 100);
+  if (trimmed !== trimmed.toUpperCase()) return trimmed;
+  return trimmed.toLowerCase().replace(/(^|[\s&-])(\p{L})/gu, (all, before, letter) => before + letter.toUpperCase());
+}
+
+function findMerchant(lines) {
+  const candidates = lines.slice(0, MERCHANT_LINES);
+  for (const [index, line] of candidates.entries()) {
+    const letters = (line.text.match(/\p{L}/gu) || []).length;
+    const visible = line.text.replace(/\s/g, "").length;
+    if (letters < 3 || letters / visible < 0.5) continue;
+    if (NOT_MERCHANT.test(line.text) || amountsIn(line.text).length > 0) continue;
+    return field(cleanMerchant(line.text), Math.max(0.4, 0.8 - index * 0.1), line.confidence);
+  }
+  return EMPTY_FIELD;
+}
+
+// Receipts are not dated in the future or before 2000; a "Date" label makes a match more likely
+function findDate(lines, dateFormat) {
+  const today = toDateString(new Date());
+  let best = null;
+  for (const line of lines) {
+    for (const { date, score } of datesIn(line.text, dateFormat)) {
+      if (date > today || date < "2000-01-01") continue;
+      const lineScore = /\bdate\b/i.test(line.text) ? Math.min(1, score + 0.05) : score;
+      if (!best || lineScore > best.score) best = { date, score: lineScore, confidence: line.confidence };
+    }
+  }
+  return best ? field(best.date, best.score, best.confidence) : EMPTY_FIELD;
+}
+
+// The largest amount on the strongest kind of total line. A label with its amount on the next line
+// is read from that line; without any label the largest amount on the receipt is a weak guess.
+function findTotal(lines) {
+  for (const { pattern, score } of TOTAL_HINTS) {
+    let best = null;
+    for (const [index, line] of lines.entries()) {
+      if (!pattern.test(line.text) || NOT_TOTAL.test(line.text)) continue;
+      let amounts = amountsIn(line.text);
+      let lineScore = score;
+      let source = line;
+      if (amounts.length === 0 && lines[index + 1]) {
+        source = lines[index + 1];
+        amounts = amountsIn(source.text);
+        lineScore = score * 0.9;
+      }
+      for (const minor of amounts) {
+        if (!best || minor > best.minor) best = { minor, score: lineScore, line: source };
+      }
+    }
+    if (best) return { ...field(fromMinor(best.minor), best.score, best.line.confidence), line: best.line };
+  }
+
+  let largest = null;
+  for (const line of lines) {
+    for (const minor of amountsIn(line.text)) {
+      if (!largest || minor > largest.minor) largest = { minor, line };
+    }
+  }
+  return largest ? { ...field(fromMinor(largest.minor), 0.3, largest.line.confidence), line: largest.line } : { ...EMPTY_FIELD, line: null };
+}
+
+function currencyIn(text) {
+  const code = CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`).test(text));
+  if (code) return { code, score: 0.9 };
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => text.includes(candidate));
+  // "$" is shared by many currencies, so it is only a hint
+  if (symbol) return { code: CURRENCY_SYMBOLS[symbol], score: symbol === "$" ? 0.5 : 0.8 };
+  return null;
+}
+
+// Prefers a currency printed on the total line, then anywhere on the receipt
+function findCurrency(lines, totalLine) {
+  for (const line of totalLine ? [totalLine, ...lines] : lines) {
+    const found = currencyIn(line.text);
+    if (found) return field(found.code, found.score, line.confidence);
+  }
+  return EMPTY_FIELD;
+}
+
+// lines: [{ text, confidence }] in reading order, confidence 0-100 as reported by the OCR engine.
+// options: dateFormat for ambiguous numeric dates (default "MM/DD/YYYY").
+// Returns { merchant, date, total, currency }, each { value, confidence } (value null when not found).
+function parseReceipt(lines, { dateFormat = "MM/DD/YYYY" } = {}) {
+  const readable = lines
+    .map(line => ({ text: String(line.text || "").trim(), confidence: Number(line.confidence) || 0 }))
+    .filter(line => line.text !== "");
+
+  const { line: totalLine, ...total } = findTotal(readable);
+  return {
+    merchant: findMerchant(readable),
+    date: findDate(readable, dateFormat),
+    total,
+    currency: findCurrency(readable, totalLine)
+  };
+}
+
+module.exports = { parseReceipt };
@@ -0,0 +1,140 @@
+// services/refunds.js
+// Refunds and reimbursements linked to an expense (refund_of). A linked refund is filed under the
+// expense's category and currency, and spread over its split lines in proportion when the expense is
+// split, so category summaries net it against the expense line by line, and together
+// the refunds of an expense never pay back more than it cost. An expense marked reimbursable is
+// outstanding until its linked refunds cover it. Deleting an expense deletes its linked refunds and
+// takes their credit back off the balance.
+const Transactions = require("../repositories/transactionRepository");
+const Splits = require("../repositories/transactionSplitRepository");
+const { learn, unlearn } = require("./categoryModel");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+
+// Validates an optional reimbursable flag. Returns { reimbursable } (null when not given) or { error }.
+function parseReimbursable(value) {
+  if (value === undefined || value === null) return { reimbursable: null };
+  if (value === true || value === "true" || value === 1 || value === "1") return { reimbursable: true };
+  if (value === false || value === "false" || value === 0 || value === "0") return { reimbursable: false };
+  return { error: "reimbursable must be true or false." };
+}
+
+// What is left to pay back on an expense, in minor units
+async function remainingMinor(db, userId, expense, { excludeId = null } = {}) {
+  return toMinor(expense.value) - await Transactions.sumRefunds(db, userId, expense.id, { excludeId });
+}
+
+// Validates a refund of `expense` from a request body. value defaults to what is left to pay back,
+// date to today, title to "Refund: <expense>" ("Reimbursement: ..." for reimbursable expenses) and
+// payment_mode and account_id to the expense's. Returns { refund } ready for Transactions.create or { error }.
+function parseRefund(input, expense, leftMinor) {
+  const { currency } = expense;
+  const valueMinor = input.value === undefined || input.value === null || input.value === ""
+    ? leftMinor
+    : parseAmount(input.value, { currency });
+  if (valueMinor === null) return { error: `Value must be ${amountRule(currency)}.` };
+  if (leftMinor <= 0) return { error: `'${expense.title}' has already been paid back in full.` };
+  if (valueMinor === 0) return { error: "Value must be greater than 0." };
+  if (valueMinor > leftMinor) return { error: `Value is more than the ${fromMinor(leftMinor)} left to pay back on '${expense.title}'.` };
+
+  const date = input.date || toDateString(new Date());
+  if (!isValidDateString(String(date).slice(0, 10))) return { error: "date must be a valid YYYY-MM-DD date." };
+
+  const title = typeof input.title === "string" && input.title.trim()
+    ? input.title.trim()
+    : `${expense.reimbursable ? "Reimbursement" : "Refund"}: ${expense.title}`;
+
+  return {
+    refund: {
+      title,
+      valueMinor,
+      currency,
+      date,
+      type: "refund",
+      section: expense.section,
+      category_id: expense.category_id,
+      payment_mode: input.payment_mode || expense.payment_mode,
+      notes: input.notes || null,
+      account_id: input.account_id !== undefined ? input.account_id : expense.account_id,
+      refund_of: expense.id
+    }
+  };
+}
+
+// Checks an edit of an item against its refund links: a linked refund stays a refund in its
+// expense's section and currency and within what is left to pay back; an expense with refunds stays
+// an expense in its currency and worth at least what has been paid back. Returns an error message or null.
+async function checkRefundLinks(db, userId, existing, { type, section, currency, valueMinor }) {
+  if (existing.refund_of) {
+    const expense = await Transactions.findById(db, existing.refund_of, userId);
+    if (type !== "refund") return `This item is linked to '${expense.title}' and must stay a refund.`;
+    if (section !== expense.section) return `A linked refund stays under '${expense.section}', the category of '${expense.title}'.`;
+    if ((currency || null) !== (expense.currency || null)) return `A linked refund stays in the currency of '${expense.title}'.`;
+    const leftMinor = await remainingMinor(db, userId, expense, { excludeId: existing.id });
+    if (valueMinor <= 0 || valueMinor > leftMinor) {
+      return `Value must be greater than 0 and at most the ${fromMinor(leftMinor)} left to pay back on '${expense.title}'.`;
+    }
+    return null;
+  }
+
+  const refundedMinor = await Transactions.sumRefunds(db, userId, existing.id);
+  if (refundedMinor === 0) return null;
+  if (type !== "expense") return `'${existing.title}' has linked refunds and must stay an expense.`;
+  if ((currency || null) !== (existing.currency || null)) return `'${existing.title}' has linked refunds; its currency cannot change.`;
+  if (valueMinor < refundedMinor) return `Value cannot be less than the ${fromMinor(refundedMinor)} already paid back.`;
+  return null;
+}
+
+// Divides a refund over the expense's split lines in proportion to their values, the rounding cents
+// going to the lines with the largest remainders so the lines add up to the refund exactly. Returns
+// split lines for the refund ([] when the expense is not split).
+function spreadOverSplits(expenseSplits, expenseMinor, refundMinor) {
+  if (expenseSplits.length === 0 || expenseMinor <= 0) return [];
+
+  const shares = expenseSplits.map((split, index) => {
+    const exact = (refundMinor * toMinor(split.value)) / expenseMinor;
+    return { index, section: split.section, category_id: split.category_id, minor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let leftover = refundMinor - shares.reduce((total, share) => total + share.minor, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder || a.index - b.index)) {
+    if (leftover <= 0) break;
+    share.minor += 1;
+    leftover -= 1;
+  }
+
+  return shares
+    .filter(share => share.minor > 0)
+    .map(share => ({ section: share.section, category_id: share.category_id, value: formatMinor(share.minor), notes: null }));
+}
+
+// Brings an expense's linked refunds in line with it: filed under its section and category and spread
+// over its current split lines. Run after the expense or one of its refunds changes.
+async function syncRefunds(db, userId, expense) {
+  const expenseSplits = await Splits.listForTransaction(db, userId, expense.id);
+  for (const refund of await Transactions.listRefunds(db, userId, [expense.id])) {
+    if (refund.category_id !== expense.category_id) {
+      // The suggestion model counts the refund under its category, so it moves there too
+      await unlearn(db, userId, [refund]);
+      await learn(db, userId, [{ ...refund, section: expense.section, category_id: expense.category_id }]);
+    }
+    await Transactions.setSection(db, refund.id, userId, expense.section, expense.category_id);
+    await Splits.replaceForTransaction(db, refund.id, spreadOverSplits(expenseSplits, toMinor(expense.value), toMinor(refund.value)));
+  }
+}
+
+// How much of an expense has been paid back and what is left, for responses
+function formatRefundStatus(expense, refundedMinor) {
+  return {
+    refunded: fromMinor(refundedMinor),
+    remaining: fromMinor(Math.max(toMinor(expense.value) - refundedMinor, 0))
+  };
+}
+
+module.exports = {
+  parseReimbursable,
+  remainingMinor,
+  parseRefund,
+  checkRefundLinks,
+  syncRefunds,
+  formatRefundStatus
+};
@@ -0,0 +1,205 @@
+// services/statementImport.js
+// Turns an uploaded bank statement (CSV with a column mapping, or OFX/QFX) into rows shaped
+// like infodata, and flags rows that probably already exist (same day, amount and title).
+// Negative amounts are money out (an expense); positive amounts are income, filed under 'Income'.
+const path = require("path");
+const Transactions = require("../repositories/transactionRepository");
+const { parseCsv } = require("../utils/csv");
+const { parseOfx } = require("../utils/ofx");
+const { isValidDateString, toDateString } = require("../utils/recurrence");
+const { toMinor, fromMinor } = require("../utils/money");
+
+const IMPORT_SOURCES = ["csv", "ofx", "qfx"];
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+const MAPPING_FIELDS = ["date", "title", "amount", "debit", "credit", "category", "notes"];
+const DEFAULT_PAYMENT_MODE = "Bank";
+
+// Header name patterns used to suggest a CSV column mapping
+const HEADER_HINTS = {
+  date: /date|posted|booked/i,
+  title: /description|payee|merchant|title|name|details|narrative/i,
+  amount: /amount|value|sum/i,
+  debit: /debit|withdrawal|money out|paid out/i,
+  credit: /credit|deposit|money in|paid in/i,
+  category: /category/i,
+  notes: /memo|note|reference/i
+};
+
+function detectSource(filename) {
+  const extension = path.extname(filename || "").slice(1).toLowerCase();
+  return IMPORT_SOURCES.includes(extension) ? extension : null;
+}
+
+function suggestMapping(headers) {
+  const mapping = {};
+  const taken = new Set();
+  for (const field of MAPPING_FIELDS) {
+    const index = headers.findIndex((header, i) => !taken.has(i) && HEADER_HINTS[field].test(header));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+      taken.add(index);
+    }
+  }
+  // A debit/credit pair takes precedence over a lone amount guess such as "Balance amount"
+  if (mapping.debit && mapping.credit) delete mapping.amount;
+  return mapping;
+}
+
+// A mapping may name columns by header text or by zero-based index
+function columnIndex(headers, column) {
+  if (column === undefined || column === null || column === "") return -1;
+  if (Number.isInteger(Number(column)) && !headers.includes(String(column))) return Number(column);
+  return headers.indexOf(String(column));
+}
+
+function isCompleteMapping(mapping) {
+  return Boolean(mapping.date && mapping.title && (mapping.amount || mapping.debit || mapping.credit));
+}
+
+// "1,234.56", "-12,50", "(40.00)", "$ 99" -> number; NaN when unreadable
+function parseAmount(raw) {
+  if (raw === undefined || raw === null) return NaN;
+  let text = String(raw).trim();
+  if (text === "") return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes("-");
+  text = text.replace(/[^\d.,]/g, "");
+
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma > lastDot && text.length - lastComma - 1 !== 3) {
+    text = text.replace(/\./g, "").replace(",", "."); // decimal comma
+  } else {
+    text = text.replace(/,/g, "");
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+}
+
+// Returns 'YYYY-MM-DD' or null. ISO dates are always accepted; other layouts need dateFormat.
+function parseDate(raw, dateFormat = "YYYY-MM-DD") {
+  const text = String(raw || "").trim().split(/[ T]/)[0]; // drop any time part
+  if (isValidDateString(text)) return text;
+
+  const parts = text.split(/[/.-]/);
+  if (parts.length !== 3) return null;
+
+  let year, month, day;
+  if (dateFormat === "DD/MM/YYYY") [day, month, year] = parts;
+  else if (dateFormat === "MM/DD/YYYY") [month, day, year] = parts;
+  else [year, month, day] = parts;
+  if (year.length === 2) year = `20${year}`;
+
+  const date = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  return isValidDateString(date) ? date : null;
+}
+
+// Builds an infodata-shaped row from a signed amount; errors lists what is wrong with it
+function toImportRow(rowNumber, { date, title, amount, category, notes, externalId }, options) {
+  const errors = [];
+  if (!date) errors.push("Unreadable date.");
+  if (!title) errors.push("Missing description.");
+  if (isNaN(amount) || amount === 0) errors.push("Unreadable or zero amount.");
+
+  const signed = options.invertAmounts ? -amount : amount;
+  return {
+    row: rowNumber,
+    date,
+    title: title || null,
+    value: isNaN(amount) ? null : fromMinor(Math.abs(toMinor(amount))), // rounded to the cent
+    type: signed > 0 ? "income" : "expense",
+    section: signed > 0 ? Transactions.INCOME_SECTION : (category || options.section || Transactions.UNCATEGORIZED_SECTION),
+    payment_mode: options.paymentMode || DEFAULT_PAYMENT_MODE,
+    notes: notes || null,
+    external_id: externalId || null,
+    duplicate_of: null,
+    errors
+  };
+}
+
+function readCsvRows(buffer, mapping, options) {
+  const [headers = [], ...records] = parseCsv(buffer.toString("utf8"));
+  const usedMapping = mapping || suggestMapping(headers);
+
+  if (!isCompleteMapping(usedMapping)) {
+    return { headers, mapping: usedMapping, needs_mapping: true, sample: records.slice(0, 5), rows: [] };
+  }
+
+  const indexes = {};
+  for (const field of MAPPING_FIELDS) indexes[field] = columnIndex(headers, usedMapping[field]);
+  const cell = (record, field) => (indexes[field] >= 0 ? record[indexes[field]] : undefined);
+
+  const rows = records.map((record, i) => {
+    let amount = parseAmount(cell(record, "amount"));
+    if (isNaN(amount) && (indexes.debit >= 0 || indexes.credit >= 0)) {
+      const debit = Math.abs(parseAmount(cell(record, "debit"))) || 0;
+      const credit = Math.abs(parseAmount(cell(record, "credit"))) || 0;
+      amount = credit - debit || NaN;
+    }
+
+    return toImportRow(i + 2, { // +2: 1-based line numbers after the header line
+      date: parseDate(cell(record, "date"), options.dateFormat),
+      title: cell(record, "title"),
+      amount,
+      category: cell(record, "category"),
+      notes: cell(record, "notes")
+    }, options);
+  });
+
+  return { headers, mapping: usedMapping, needs_mapping: false, rows };
+}
+
+function readOfxRows(buffer, options) {
+  const rows = parseOfx(buffer.toString("utf8")).map((transaction, i) => toImportRow(i + 1, {
+    date: transaction.date,
+    title: transaction.name || transaction.memo,
+    amount: transaction.amount,
+    notes: transaction.name && transaction.memo !== transaction.name ? transaction.memo : null,
+    externalId: transaction.fitId
+  }, options));
+  return { needs_mapping: false, rows };
+}
+
+// Parses an uploaded statement. options: mapping, dateFormat, section, paymentMode, invertAmounts
+function parseStatement(source, buffer, options = {}) {
+  return source === "csv" ? readCsvRows(buffer, options.mapping, options) : readOfxRows(buffer, options);
+}
+
+const normalizeTitle = (title) => String(title || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Bank descriptions are often longer than what the user typed ("CARD 1234 TESCO STORES" vs "Tesco")
+function titlesMatch(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return false;
+  return left === right || left.includes(right) || right.includes(left);
+}
+
+// Sets duplicate_of on rows matching an existing transaction by day, amount and title
+async function markDuplicates(db, userId, rows) {
+  const dated = rows.filter(row => row.date && row.value);
+  if (dated.length === 0) return rows;
+
+  const dates = dated.map(row => row.date).sort();
+  const existing = await Transactions.listBetween(db, userId, dates[0], dates[dates.length - 1]);
+
+  for (const row of rows) {
+    const match = existing.find(item =>
+      toDateString(item.date) === row.date
+      && toMinor(item.value) === toMinor(row.value)
+      && (item.type === "income") === (row.type === "income")
+      && titlesMatch(item.title, row.title)
+    );
+    row.duplicate_of = match ? match.id : null;
+  }
+  return rows;
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  DATE_FORMATS,
+  detectSource,
+  parseStatement,
+  markDuplicates
+};
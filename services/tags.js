@@ -0,0 +1,76 @@
+// services/tags.js
+// Tags: cross-cutting labels on items (for example "vacation-2026" or "reimbursable"). Names are
+// case-insensitive, so they are stored lowercased; items name their tags and unknown names are created.
+const Tags = require("../repositories/tagRepository");
+
+const MAX_NAME_LENGTH = 50;
+const MAX_COLOR_LENGTH = 20;
+const MAX_TAGS_PER_ITEM = 20;
+const TAG_NAME = /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u;
+
+const normalizeTagName = (name) => String(name).trim().toLowerCase();
+
+function validateTagName(name) {
+  if (!name) return "Tag name is required.";
+  if (name.length > MAX_NAME_LENGTH) return `Tag names must be at most ${MAX_NAME_LENGTH} characters.`;
+  if (!TAG_NAME.test(name)) return `Tag '${name}' may only contain letters, digits, '-', '_' and '.', and must start with a letter or digit.`;
+  return null;
+}
+
+// Validates a tag from a request body ({ name, color }). For updates pass the stored tag as
+// `existing`; fields missing from the body keep their value. Returns { tag } or { error }.
+function parseTag(input, existing = null) {
+  const body = input || {};
+  const pick = (field) => (body[field] !== undefined ? body[field] : existing ? existing[field] : undefined);
+
+  const name = normalizeTagName(pick("name") || "");
+  const nameError = validateTagName(name);
+  if (nameError) return { error: nameError };
+
+  const rawColor = pick("color");
+  const color = rawColor === undefined || rawColor === null || String(rawColor).trim() === "" ? null : String(rawColor).trim();
+  if (color && color.length > MAX_COLOR_LENGTH) return { error: `color must be at most ${MAX_COLOR_LENGTH} characters.` };
+
+  return { tag: { name, color } };
+}
+
+// The tag names of an item or a filter: an array of names or one comma-separated string.
+// Returns { names } (normalized, without duplicates) or { error }.
+function parseTagNames(value) {
+  const entries = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : null;
+  if (!entries || entries.some(entry => typeof entry !== "string")) {
+    return { error: "tags must be a list of tag names." };
+  }
+
+  const names = [...new Set(entries.map(normalizeTagName).filter(Boolean))];
+  if (names.length > MAX_TAGS_PER_ITEM) return { error: `An item can have at most ${MAX_TAGS_PER_ITEM} tags.` };
+  for (const name of names) {
+    const error = validateTagName(name);
+    if (error) return { error };
+  }
+  return { names };
+}
+
+// IDs of the named tags, creating the ones the user does not have yet
+async function resolveTagIds(db, userId, names) {
+  const existing = new Map((await Tags.findByNames(db, userId, names)).map(tag => [tag.name, tag.id]));
+  const ids = [];
+  for (const name of names) {
+    ids.push(existing.has(name) ? existing.get(name) : await Tags.create(db, userId, { name }));
+  }
+  return ids;
+}
+
+const formatTag = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color
+});
+
+// Adds `tags` (empty for untagged items) to each item
+async function attachTags(db, userId, items) {
+  const byTransaction = await Tags.listForTransactions(db, userId, items.map(item => item.id));
+  return items.map(item => ({ ...item, tags: (byTransaction.get(item.id) || []).map(formatTag) }));
+}
+
+module.exports = { parseTag, parseTagNames, resolveTagIds, formatTag, attachTags };
@@ -0,0 +1,95 @@
+// services/transactionExport.js
+// Streams the user's filtered items as CSV, JSON or XLSX. Rows are read page by page
+// (keyset paging) and written as they arrive, so large histories never sit in memory.
+const Transactions = require("../repositories/transactionRepository");
+const { writeXlsx } = require("../utils/xlsx");
+const { waitForDrain } = require("../utils/streams");
+const { toMinor, fromMinor } = require("../utils/money");
+
+const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+const PAGE_SIZE = 500;
+
+// [column header, row -> value]
+const EXPORT_COLUMNS = [
+  ["id", (row) => row.id],
+  ["date", (row) => formatDateTime(row.date)],
+  ["title", (row) => row.title],
+  ["value", (row) => fromMinor(toMinor(row.value))],
+  ["currency", (row) => row.currency],
+  ["type", (row) => row.type],
+  ["category", (row) => row.section],
+  ["payment_mode", (row) => row.payment_mode],
+  ["notes", (row) => row.notes],
+  ["account_id", (row) => row.account_id],
+  ["refund_of", (row) => row.refund_of],
+  ["reimbursable", (row) => Boolean(row.reimbursable)],
+  ["icon_name", (row) => row.iconName],
+  ["icon_color", (row) => row.iconColor],
+  ["icon_library", (row) => row.iconLibrary]
+];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// mysql2 returns DATETIME columns as Date objects, SQLite as 'YYYY-MM-DD HH:MM:SS' strings
+function formatDateTime(value) {
+  if (!(value instanceof Date)) return value === null || value === undefined ? null : String(value);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+    + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Calls onRow(values) for every filtered item, newest first
+async function eachRow(db, userId, filters, onRow) {
+  let after = null;
+  for (;;) {
+    const page = await Transactions.listPage(db, userId, filters, { after, limit: PAGE_SIZE });
+    for (const row of page) {
+      await onRow(EXPORT_COLUMNS.map(([, read]) => read(row)));
+    }
+    if (page.length < PAGE_SIZE) return;
+    after = page[page.length - 1];
+  }
+}
+
+// Writes to a response (or any writable stream), waiting whenever the client falls behind
+async function write(output, text) {
+  if (!output.write(text)) await waitForDrain(output);
+}
+
+async function writeExport(db, userId, filters, format, output) {
+  const headers = EXPORT_COLUMNS.map(([header]) => header);
+
+  if (format === "csv") {
+    await write(output, "\uFEFF" + headers.join(",") + "\r\n"); // BOM so Excel reads UTF-8
+    await eachRow(db, userId, filters, (values) => write(output, values.map(csvCell).join(",") + "\r\n"));
+  } else if (format === "json") {
+    let first = true;
+    await write(output, "[");
+    await eachRow(db, userId, filters, (values) => {
+      const item = Object.fromEntries(headers.map((header, i) => [header, values[i] ?? null]));
+      const text = (first ? "\n" : ",\n") + JSON.stringify(item);
+      first = false;
+      return write(output, text);
+    });
+    await write(output, "\n]\n");
+  } else {
+    await writeXlsx(output, {
+      sheetName: "Transactions",
+      headers,
+      produceRows: (writeRow) => eachRow(db, userId, filters, writeRow)
+    });
+  }
+}
+
+module.exports = { EXPORT_FORMATS, CONTENT_TYPES, writeExport };
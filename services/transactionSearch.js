@@ -0,0 +1,150 @@
+// services/transactionSearch.js
+// Search over a user's items: words matched in the title or notes (typo-tolerant by default), amount
+// range, payment modes, several categories and a date range, sorted by relevance, date, amount or title.
+// Results are the same enriched rows as GET /items, with pagination metadata.
+const Transactions = require("../repositories/transactionRepository");
+const { attachSplits } = require("./transactionSplits");
+const { attachTags } = require("./tags");
+const { categoryFilter } = require("./categories");
+const { normalizeText, termScore } = require("../utils/fuzzy");
+const { toMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+const { isValidDateString } = require("../utils/recurrence");
+
+const SORTS = ["relevance", ...Object.keys(Transactions.SEARCH_SORTS)];
+const MAX_TERMS = 10;
+const MAX_LIMIT = 100;
+// Fuzzy matching scores rows in code, so it looks at the newest matching rows up to this many
+const MAX_FUZZY_CANDIDATES = 5000;
+const NOTES_WEIGHT = 0.8; // a match in the notes counts a little less than one in the title
+
+// Repeated query parameters (?category=Food&category=Travel) arrive as an array; 'All' means no filter
+const listParam = (value) => (value === undefined ? [] : [].concat(value))
+  .map(entry => String(entry).trim())
+  .filter(entry => entry && entry !== "All");
+
+// Validates the query string of GET /items/search. Returns { search } for searchTransactions or { error }.
+function parseSearchQuery(query) {
+  const text = typeof query.q === "string" ? query.q.trim() : "";
+  const terms = [...new Set(text.split(/\s+/).filter(Boolean))].slice(0, MAX_TERMS);
+
+  const amounts = {};
+  for (const field of ["min", "max"]) {
+    if (query[field] === undefined || query[field] === "") continue;
+    const minor = parseAmount(query[field], { allowNegative: true });
+    if (minor === null) return { error: `${field} must be ${amountRule()}.` };
+    amounts[field] = minor;
+  }
+  if (amounts.min !== undefined && amounts.max !== undefined && amounts.min > amounts.max) {
+    return { error: "min cannot be greater than max." };
+  }
+
+  for (const field of ["fromDate", "toDate"]) {
+    if (query[field] && !isValidDateString(query[field])) return { error: `${field} must be a valid YYYY-MM-DD date.` };
+  }
+
+  const fuzzy = query.fuzzy !== "false";
+  const sort = query.sort || (terms.length > 0 && fuzzy ? "relevance" : "date");
+  if (!SORTS.includes(sort)) return { error: `sort must be one of: ${SORTS.join(", ")}.` };
+  const order = (query.order || (sort === "title" ? "asc" : "desc")).toLowerCase();
+  if (!["asc", "desc"].includes(order)) return { error: "order must be asc or desc." };
+
+  const page = query._page === undefined ? 1 : parseInt(query._page, 10);
+  const limit = query._limit === undefined ? 10 : parseInt(query._limit, 10);
+  if (!(page >= 1)) return { error: "_page must be a positive whole number." };
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) return { error: `_limit must be between 1 and ${MAX_LIMIT}.` };
+
+  return {
+    search: {
+      criteria: {
+        categories: listParam(query.category),
+        paymentModes: listParam(query.payment_mode),
+        min: amounts.min === undefined ? undefined : formatMinor(amounts.min),
+        max: amounts.max === undefined ? undefined : formatMinor(amounts.max),
+        fromDate: query.fromDate || undefined,
+        toDate: query.toDate || undefined
+      },
+      terms,
+      fuzzy,
+      sort,
+      direction: order === "asc" ? "ASC" : "DESC",
+      page,
+      limit
+    }
+  };
+}
+
+// Mean of each term's best score in the title or notes; 0 when any term matches neither
+function relevance(row, terms) {
+  let total = 0;
+  for (const term of terms) {
+    const score = Math.max(termScore(term, row.title), termScore(term, row.notes) * NOTES_WEIGHT);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total / terms.length;
+}
+
+const timeOf = (date) => new Date(date).getTime();
+
+const COMPARE = {
+  date: (a, b) => timeOf(a.row.date) - timeOf(b.row.date) || a.row.id - b.row.id,
+  amount: (a, b) => toMinor(a.row.value) - toMinor(b.row.value) || a.row.id - b.row.id,
+  title: (a, b) => normalizeText(a.row.title).localeCompare(normalizeText(b.row.title)) || a.row.id - b.row.id
+};
+
+// Scores the newest candidates in code and pages through the matches
+async function fuzzySearch(db, userId, { criteria, terms, sort, direction, page, limit }) {
+  const candidates = await Transactions.listSearchCandidates(db, userId, criteria, { limit: MAX_FUZZY_CANDIDATES + 1 });
+  const truncated = candidates.length > MAX_FUZZY_CANDIDATES;
+  const normalizedTerms = terms.map(normalizeText);
+
+  const matches = candidates.slice(0, MAX_FUZZY_CANDIDATES)
+    .map(row => ({ row, score: relevance(row, normalizedTerms) }))
+    .filter(match => match.score > 0);
+
+  if (sort === "relevance") {
+    // Best match first; newest first among equally good ones
+    matches.sort((a, b) => b.score - a.score || COMPARE.date(b, a));
+  } else {
+    const sign = direction === "ASC" ? 1 : -1;
+    matches.sort((a, b) => sign * COMPARE[sort](a, b));
+  }
+
+  const pageIds = matches.slice((page - 1) * limit, page * limit).map(match => match.row.id);
+  return { items: await Transactions.listByIds(db, userId, pageIds), total: matches.length, truncated };
+}
+
+// search: the result of parseSearchQuery. Returns { items, pagination, truncated }; truncated is true
+// when a fuzzy search only looked at the newest MAX_FUZZY_CANDIDATES matching rows.
+async function searchTransactions(db, userId, search) {
+  const { terms, fuzzy, sort, direction, page, limit } = search;
+  // Categories are asked for by label and matched by id
+  const criteria = { ...search.criteria, categoryIds: await categoryFilter(db, userId, search.criteria.categories) };
+
+  let result;
+  if (terms.length > 0 && fuzzy) {
+    result = await fuzzySearch(db, userId, { ...search, criteria });
+  } else {
+    // Exact search: every term must appear as typed, and the database sorts and pages
+    const exactCriteria = { ...criteria, terms };
+    result = {
+      items: await Transactions.search(db, userId, exactCriteria, {
+        sort: sort === "relevance" ? "date" : sort,
+        direction,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      total: await Transactions.countSearch(db, userId, exactCriteria),
+      truncated: false
+    };
+  }
+
+  const totalPages = Math.ceil(result.total / limit);
+  return {
+    items: await attachTags(db, userId, await attachSplits(db, userId, result.items)),
+    pagination: { page, limit, total: result.total, totalPages, hasMore: page < totalPages },
+    truncated: result.truncated
+  };
+}
+
+module.exports = { parseSearchQuery, searchTransactions };
@@ -0,0 +1,73 @@
+// services/transactionSplits.js
+// Split transactions: an expense may carry category lines (section, value, notes) that sum to
+// its value. Category summaries and budget checks count the lines instead of the parent's category.
+// Like items, lines reference their category by id (category_id) and carry its label as `section`.
+const Transactions = require("../repositories/transactionRepository");
+const Splits = require("../repositories/transactionSplitRepository");
+const { toMinor, fromMinor, formatMinor, parseAmount, amountRule } = require("../utils/money");
+
+const MAX_SPLITS = 50;
+
+// Validates the `splits` of a request body against the item's value (minor units), section and
+// currency. Returns { splits } ([] for none) or { error }; give each line its category_id (see
+// withCategoryIds) before saving them.
+function parseSplits(input, { valueMinor, section, currency }) {
+  if (input === undefined || input === null) return { splits: [] };
+  if (!Array.isArray(input)) return { error: "splits must be a list of { section, value, notes }." };
+  if (input.length === 0) return { splits: [] };
+
+  if (input.length === 1) return { error: "A split needs at least two lines." };
+  if (input.length > MAX_SPLITS) return { error: `A transaction can have at most ${MAX_SPLITS} split lines.` };
+  // Income moves the balance the other way, so it cannot share a transaction with expenses
+  if (section === Transactions.INCOME_SECTION) return { error: "Income cannot be split." };
+
+  const splits = [];
+  for (const [i, line] of input.entries()) {
+    const lineSection = line && typeof line.section === "string" ? line.section.trim() : "";
+    if (!lineSection) return { error: `Split line ${i + 1} needs a section.` };
+    if (lineSection === Transactions.INCOME_SECTION) return { error: `Split line ${i + 1} cannot be Income.` };
+
+    const lineMinor = parseAmount(line.value, { currency });
+    if (lineMinor === null || lineMinor === 0) {
+      return { error: `Split line ${i + 1} value must be a positive number: ${amountRule(currency)}.` };
+    }
+    splits.push({ section: lineSection, valueMinor: lineMinor, notes: line.notes || null });
+  }
+
+  const totalMinor = splits.reduce((total, split) => total + split.valueMinor, 0);
+  if (totalMinor !== valueMinor) {
+    return { error: `Split lines add up to ${formatMinor(totalMinor)} but the transaction value is ${formatMinor(valueMinor)}.` };
+  }
+
+  return {
+    splits: splits.map(({ section: lineSection, valueMinor: lineMinor, notes }) => ({
+      section: lineSection,
+      value: formatMinor(lineMinor),
+      notes
+    }))
+  };
+}
+
+// Lines ready for the repository: each takes the id of its section's category from `categoryIds`
+// (see resolveCategoryIds)
+const withCategoryIds = (splits, categoryIds) => splits.map(split => ({ ...split, category_id: categoryIds.get(split.section) }));
+
+const formatSplit = (row) => ({
+  id: row.id,
+  section: row.section,
+  category_id: row.category_id,
+  value: fromMinor(toMinor(row.value)),
+  notes: row.notes
+});
+
+// Adds `splits` (empty for unsplit items) to each item
+async function attachSplits(db, userId, items) {
+  const byTransaction = await Splits.listForTransactions(db, userId, items.map(item => item.id));
+  return items.map(item => ({ ...item, splits: (byTransaction.get(item.id) || []).map(formatSplit) }));
+}
+
+// The categories (ids) an item's amount counts toward: its split lines' categories, or its own
+const categoryIdsOf = (categoryId, splits) =>
+  (splits.length > 0 ? [...new Set(splits.map(split => split.category_id))] : [categoryId || null]);
+
+module.exports = { parseSplits, withCategoryIds, formatSplit, attachSplits, categoryIdsOf };
@@ -0,0 +1,60 @@
+// services/transactionTypes.js
+// Every item has a type: expense, income or refund. Expenses and refunds (money back on a purchase)
+// are filed under expense categories, income under an income category or the plain 'Income' section.
+// Money moved between the user's own accounts is not an item: transfers are made under
+// /accounts/transfers, which moves both account balances.
+const Transactions = require("../repositories/transactionRepository");
+const Categories = require("../repositories/categoryRepository");
+
+const { TRANSACTION_TYPES, INCOME_SECTION } = Transactions;
+
+// Validates an optional type from a request body or query. Returns { type } (null when not given) or { error }.
+function parseType(value) {
+  if (value === undefined || value === null || value === "") return { type: null };
+  const type = String(value).trim().toLowerCase();
+  if (type === "transfer") return { error: "Transfers between accounts are made under /accounts/transfers, not as items." };
+  if (!TRANSACTION_TYPES.includes(type)) return { error: `type must be one of ${TRANSACTION_TYPES.join(", ")}.` };
+  return { type };
+}
+
+// Whether items of this type are filed under an expense category (and sorted by category rules)
+const isExpenseType = (type) => type === "expense" || type === "refund";
+
+// The section an item of `type` goes under when none is given; null means the category rules pick one
+const defaultSection = (type) => (type === "income" ? INCOME_SECTION : null);
+
+// Settles an item's type against its section. Without a type it follows the section: 'Income' and
+// income categories mean income, anything else an expense. A given type must fit the section's
+// category. Returns { type, kind } where kind is the category kind a new label is created with (null
+// for the 'Income' section, which has no category), or { error }.
+async function resolveType(db, userId, { type, section }) {
+  const [category] = section ? await Categories.findByLabels(db, userId, [section]) : [];
+
+  let inferred = "expense";
+  if (section === INCOME_SECTION || (category && category.kind === "income")) inferred = "income";
+  const resolved = type || inferred;
+
+  if (resolved === "income") {
+    if (category && category.kind !== "income") return { error: `'${section}' is an expense category; income goes under an income category or '${INCOME_SECTION}'.` };
+    return { type: resolved, kind: section === INCOME_SECTION ? null : "income" };
+  }
+  if (section === INCOME_SECTION || (category && category.kind === "income")) {
+    return { error: `'${section}' is for income; ${resolved === "refund" ? "refunds" : "expenses"} go under an expense category.` };
+  }
+  return { type: resolved, kind: "expense" };
+}
+
+// Split lines divide an expense between expense categories. Returns an error message or null.
+async function checkSplitSections(db, userId, splits) {
+  const incomeCategory = (await Categories.findByLabels(db, userId, splits.map(split => split.section)))
+    .find(category => category.kind === "income");
+  return incomeCategory ? `Split lines go under expense categories; '${incomeCategory.label}' is an income category.` : null;
+}
+
+module.exports = {
+  parseType,
+  isExpenseType,
+  defaultSection,
+  resolveType,
+  checkSplitSections
+};
@@ -0,0 +1,18 @@
+// storage/index.js
+// Selects the database backend from DB_CLIENT. Both backends expose the mysql2
+// promise-pool API used throughout the repositories: query(sql, params),
+// getConnection() (with beginTransaction/commit/rollback/release) and end().
+const { DB_CLIENT, SQLITE_FILE } = require("../config");
+
+function createDatabase() {
+  switch (DB_CLIENT) {
+    case "mysql":
+      return require("../db").pool.promise();
+    case "sqlite":
+      return require("./sqlite").createSqliteDatabase(SQLITE_FILE);
+    default:
+      throw new Error(`Unsupported DB_CLIENT '${DB_CLIENT}'. Use "mysql" or "sqlite".`);
+  }
+}
+
+module.exports = createDatabase();
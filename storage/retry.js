@@ -0,0 +1,21 @@
+// storage/retry.js
+
+// Utility function for retrying database operations
+async function retryOperation(operation, maxRetries = 3) {
+  let lastError;
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+      if (error.code === 'ER_USER_LIMIT_REACHED') {
+        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1))); // Exponential backoff
+        continue;
+      }
+      throw error;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { retryOperation };
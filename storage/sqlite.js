@@ -0,0 +1,179 @@
+// storage/sqlite.js
+// Embedded SQLite backend (sql.js, no native build) exposing the same promise API
+// the routes use on the mysql2 pool: query(), getConnection() and end().
+//
+// sql.js is a single in-process database, so every query and every checked-out
+// connection holds one lock until it finishes or is released. Code holding a
+// connection must run all of its queries through that connection.
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+// SQLite cannot add or drop constraints on an existing table, so these migration
+// statements are skipped; the columns themselves are still created and dropped.
+const UNSUPPORTED_ALTER = /^ALTER TABLE \w+ (ADD CONSTRAINT \w+ FOREIGN KEY|DROP FOREIGN KEY)\b/i;
+
+// Rewrite the MySQL-specific bits the repositories and migrations rely on
+function toSqlite(sql) {
+  return sql
+    .replace(/\bINT AUTO_INCREMENT PRIMARY KEY\b/gi, "INTEGER PRIMARY KEY AUTOINCREMENT")
+    .replace(/\bDATE_FORMAT\(\s*([\w.]+)\s*,\s*('[^']*')\s*\)/gi, "strftime($2, $1)")
+    .replace(/\bNOW\(\)/gi, "CURRENT_TIMESTAMP")
+    .replace(/\bINSERT IGNORE\b/gi, "INSERT OR IGNORE")
+    .replace(/\bDROP INDEX (\w+) ON \w+/gi, "DROP INDEX $1")
+    .replace(/\s+FOR UPDATE\b/gi, "");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// mysql2 sends Dates as local 'YYYY-MM-DD HH:MM:SS'; store them the same way
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+      + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+// Expand array parameters into "?, ?, ?" the way mysql2 formats `IN (?)`
+function expandParams(sql, params = []) {
+  const values = [];
+  let index = 0;
+  const expanded = sql.replace(/\?/g, () => {
+    const param = params[index++];
+    if (Array.isArray(param)) {
+      if (param.length === 0) return "NULL";
+      values.push(...param.map(toSqliteValue));
+      return param.map(() => "?").join(", ");
+    }
+    values.push(toSqliteValue(param));
+    return "?";
+  });
+  return { sql: expanded, values };
+}
+
+function createLock() {
+  let tail = Promise.resolve();
+  return function acquire() {
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const ready = tail.then(() => release);
+    tail = tail.then(() => held);
+    return ready;
+  };
+}
+
+function createSqliteDatabase(file) {
+  const acquire = createLock();
+  let sqlite;
+  let dirty = false;
+  let inTransaction = false;
+
+  // Results mirror mysql2: [rows, columns] for reads, [{ insertId, affectedRows }] for writes
+  function execute(sql, params) {
+    if (UNSUPPORTED_ALTER.test(sql.trim())) return [{ insertId: 0, affectedRows: 0 }];
+
+    const prepared = expandParams(toSqlite(sql), params);
+    const statement = sqlite.prepare(prepared.sql);
+    try {
+      statement.bind(prepared.values);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      const columns = statement.getColumnNames();
+      if (columns.length > 0) return [rows, columns];
+    } finally {
+      statement.free();
+    }
+
+    dirty = true;
+    const affectedRows = sqlite.getRowsModified();
+    const insertId = sqlite.exec("SELECT last_insert_rowid()")[0].values[0][0];
+    return [{ insertId, affectedRows }];
+  }
+
+  function persist() {
+    if (!file || !dirty || inTransaction) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(sqlite.export()));
+    sqlite.run("PRAGMA foreign_keys = ON"); // export() resets connection pragmas
+    dirty = false;
+  }
+
+  const rawDb = {
+    query: async (sql, params) => execute(sql, params)
+  };
+
+  const ready = (async () => {
+    const SQL = await initSqlJs();
+    sqlite = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    sqlite.run("PRAGMA foreign_keys = ON");
+
+    // Local databases are brought up to the current schema on open
+    const { migrateUp } = require("../migrate");
+    await migrateUp(rawDb);
+    persist();
+    console.log(`✅ Using SQLite database (${file || "in-memory"})`);
+  })();
+
+  async function withLock(work) {
+    await ready;
+    const release = await acquire();
+    try {
+      return await work();
+    } finally {
+      persist();
+      release();
+    }
+  }
+
+  return {
+    ready,
+
+    query(sql, params) {
+      return withLock(() => execute(sql, params));
+    },
+
+    async getConnection() {
+      await ready;
+      const release = await acquire();
+      let released = false;
+
+      return {
+        query: async (sql, params) => execute(sql, params),
+        async beginTransaction() {
+          sqlite.run("BEGIN");
+          inTransaction = true;
+        },
+        async commit() {
+          sqlite.run("COMMIT");
+          inTransaction = false;
+          persist();
+        },
+        async rollback() {
+          if (!inTransaction) return;
+          sqlite.run("ROLLBACK");
+          inTransaction = false;
+        },
+        release() {
+          if (released) return;
+          released = true;
+          if (inTransaction) {
+            sqlite.run("ROLLBACK");
+            inTransaction = false;
+          }
+          persist();
+          release();
+        }
+      };
+    },
+
+    async end() {
+      await withLock(() => {});
+      sqlite.close();
+    }
+  };
+}
+
+module.exports = { createSqliteDatabase, toSqlite };
@@ -0,0 +1,36 @@
+// test/auth.test.js
+// Signing up and logging in against the API running offline on SQLite.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, request, signUp } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test("a new user can sign up, log in and read their profile", async () => {
+  const { api } = await signUp(server.baseUrl, { email: "new@example.com", phone_number: "5550101" });
+
+  const profile = await api("GET", "/profile");
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.email, "new@example.com");
+  assert.equal(profile.body.password, undefined);
+});
+
+test("a wrong password or a taken email is refused", async () => {
+  await signUp(server.baseUrl, { email: "taken@example.com", phone_number: "5550102" });
+
+  const login = await request(server.baseUrl, "POST", "/auth/login", { body: { email: "taken@example.com", password: "wrong" } });
+  assert.equal(login.status, 401);
+
+  const form = new FormData();
+  for (const [field, value] of Object.entries({ first_name: "A", last_name: "B", email: "taken@example.com", phone_number: "5550103", password: "secret" })) {
+    form.append(field, value);
+  }
+  const duplicate = await fetch(`${server.baseUrl}/auth/signup`, { method: "POST", body: form });
+  assert.equal(duplicate.status, 400);
+});
@@ -0,0 +1,28 @@
+// test/budgetPeriods.test.js
+// Budget period boundaries (utils/budgetPeriods.js): calendar months, Monday-to-Sunday weeks and
+// fixed custom ranges.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { periodContaining, nextPeriod } = require("../utils/budgetPeriods");
+
+test("monthly periods are calendar months", () => {
+  assert.deepEqual(periodContaining({ period: "monthly" }, "2024-02-15"), { start: "2024-02-01", end: "2024-02-29" });
+  assert.deepEqual(periodContaining({ period: "monthly" }, "2023-02-01"), { start: "2023-02-01", end: "2023-02-28" });
+  assert.deepEqual(periodContaining({ period: "monthly" }, new Date(2024, 11, 31, 23, 59)), { start: "2024-12-01", end: "2024-12-31" });
+});
+
+test("weekly periods run Monday to Sunday", () => {
+  // 2024-03-10 is a Sunday and 2024-03-11 a Monday
+  assert.deepEqual(periodContaining({ period: "weekly" }, "2024-03-10"), { start: "2024-03-04", end: "2024-03-10" });
+  assert.deepEqual(periodContaining({ period: "weekly" }, "2024-03-11"), { start: "2024-03-11", end: "2024-03-17" });
+});
+
+test("custom periods are the budget's own range", () => {
+  const budget = { period: "custom", start_date: "2024-05-03", end_date: "2024-06-20" };
+  assert.deepEqual(periodContaining(budget, "2024-05-10"), { start: "2024-05-03", end: "2024-06-20" });
+});
+
+test("nextPeriod steps over month and year ends", () => {
+  assert.deepEqual(nextPeriod({ period: "monthly" }, { start: "2024-12-01", end: "2024-12-31" }), { start: "2025-01-01", end: "2025-01-31" });
+  assert.deepEqual(nextPeriod({ period: "weekly" }, { start: "2024-12-30", end: "2025-01-05" }), { start: "2025-01-06", end: "2025-01-12" });
+});
@@ -0,0 +1,62 @@
+// test/budgets.test.js
+// Budget status over the API: spending in the period, and unused amounts rolled over from past periods.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+async function addExpense(title, value, date, section) {
+  const { status, body } = await api("POST", "/items", { title, value, date, section, payment_mode: "Card" });
+  assert.equal(status, 201, JSON.stringify(body));
+}
+
+async function statusOn(category, date) {
+  const { status, body } = await api("GET", `/items/budgets/status?category=${category}&date=${date}`);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.length, 1);
+  return body[0];
+}
+
+test("unused budget rolls over month by month", async () => {
+  const created = await api("POST", "/items/budgets", { category: "Food", amount: "100", period: "monthly", start_date: "2024-01-01", rollover: true });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  await addExpense("Groceries", "70", "2024-01-10", "Food");
+  await addExpense("Market", "50", "2024-02-10", "Food");
+  await addExpense("Bakery", "20", "2024-03-05 18:30:00", "Food");
+
+  const march = await statusOn("Food", "2024-03-20");
+  assert.equal(march.period_start, "2024-03-01");
+  assert.equal(march.period_end, "2024-03-31");
+  assert.equal(march.rollover_amount, 80);
+  assert.equal(march.available, 180);
+  assert.equal(march.spent, 20);
+  assert.equal(march.remaining, 160);
+});
+
+test("overspending a month drops the carry to zero", async () => {
+  await api("POST", "/items/budgets", { category: "Travel", amount: "100", period: "monthly", start_date: "2024-01-01", rollover: true });
+  await addExpense("Flight", "150", "2024-01-10", "Travel");
+
+  const february = await statusOn("Travel", "2024-02-01");
+  assert.equal(february.rollover_amount, 0);
+  assert.equal(february.available, 100);
+});
+
+test("one budget per category and period, and custom budgets need their dates", async () => {
+  await api("POST", "/items/budgets", { category: "Rent", amount: "500", period: "monthly" });
+  const duplicate = await api("POST", "/items/budgets", { category: "Rent", amount: "600", period: "monthly" });
+  assert.equal(duplicate.status, 409);
+
+  const custom = await api("POST", "/items/budgets", { category: "Rent", amount: "600", period: "custom", start_date: "2024-01-01" });
+  assert.equal(custom.status, 400);
+});
@@ -0,0 +1,78 @@
+// test/categories.test.js
+// Categories as one entity referenced by id: seeded defaults, renaming and merging carry items,
+// budgets and filters along.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+const categoryNamed = async (label) => (await api("GET", "/items/categories")).body.find(category => category.label === label);
+
+const addItem = async (title, value, section) => {
+  const { status, body } = await api("POST", "/items", { title, value, date: "2024-05-10", section, payment_mode: "Card" });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body;
+};
+
+test("a new user starts with the default categories", async () => {
+  const { status, body } = await api("GET", "/items/categories");
+  assert.equal(status, 200);
+  const labelsOf = (kind) => body.filter(category => category.kind === kind).map(category => category.label).sort();
+  assert.deepEqual(labelsOf("expense"), ["Clothes", "Food", "Groceries", "Petrol", "Rent", "Travel"]);
+  assert.deepEqual(labelsOf("income"), ["Freelance", "Interest", "Salary"]);
+  assert.ok(body.every(category => category.isDefault));
+});
+
+test("renaming a category keeps its items, budget and filters", async () => {
+  const food = await categoryNamed("Food");
+  const item = await addItem("Lunch", "12", "Food");
+  assert.equal(item.categoryId, food.id);
+  await api("POST", "/items/budgets", { category: "Food", amount: "200", period: "monthly", start_date: "2024-05-01" });
+
+  const renamed = await api("PUT", `/items/categories/${food.id}`, { label: "Meals" });
+  assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+  assert.equal(renamed.body.movedCount, 1);
+
+  const list = await api("GET", "/items?category=Meals");
+  assert.deepEqual(list.body.map(row => [row.title, row.section]), [["Lunch", "Meals"]]);
+  assert.deepEqual((await api("GET", "/items?category=Food")).body, []);
+
+  const status = await api("GET", "/items/budgets/status?category=Meals&date=2024-05-20");
+  assert.deepEqual(status.body.map(budget => [budget.category, budget.category_id, budget.spent]), [["Meals", food.id, 12]]);
+});
+
+test("merging files items under the kept category and deletes the other", async () => {
+  const petrol = await categoryNamed("Petrol");
+  const travel = await categoryNamed("Travel");
+  await addItem("Fuel", "40", "Petrol");
+  await addItem("Train", "25", "Travel");
+
+  const merged = await api("POST", `/items/categories/${petrol.id}/merge`, { into: travel.id });
+  assert.equal(merged.status, 200, JSON.stringify(merged.body));
+  assert.equal(merged.body.movedCount, 1);
+  assert.equal(await categoryNamed("Petrol"), undefined);
+
+  const total = await api("GET", "/items/total-by-category?category=Travel");
+  assert.equal(total.body.totalSpent, 65);
+  const summary = (await api("GET", "/items/category-summary")).body.find(row => row.section === "Travel");
+  assert.deepEqual([summary.category_id, summary.total_expenses], [travel.id, 65]);
+});
+
+test("Income is filtered as a section of its own, not a category", async () => {
+  await addItem("Salary", "1000", "Income");
+  const deposits = await api("GET", "/items?category=Income");
+  assert.deepEqual(deposits.body.map(row => [row.title, row.category_id]), [["Salary", null]]);
+  assert.equal(await categoryNamed("Income"), undefined);
+
+  const created = await api("POST", "/items/categories", { label: "Income" });
+  assert.equal(created.status, 400);
+});
@@ -0,0 +1,118 @@
+// test/categoryDeletion.test.js
+// Deleting a category takes an explicit mode: reassign, archive (restorable) or cascade, with a preview
+// of what each would touch.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+const categoryNamed = async (label, query = "") => (await api("GET", `/items/categories${query}`)).body.find(category => category.label === label);
+const balance = async () => (await api("GET", "/profile/balance")).body.balance;
+
+const addItem = async (title, value, section) => {
+  const { status, body } = await api("POST", "/items", { title, value, date: "2024-05-10", section, payment_mode: "Card" });
+  assert.equal(status, 201, JSON.stringify(body));
+};
+
+test("the preview counts what a delete would touch and a mode is required", async () => {
+  const clothes = await categoryNamed("Clothes");
+  await addItem("Shoes", "60", "Clothes");
+  await addItem("Scarf", "15.5", "Clothes");
+
+  const preview = await api("GET", `/items/categories/${clothes.id}/delete-preview`);
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.transactionCount, 2);
+  assert.equal(Number(preview.body.totalAmount), 75.5);
+
+  assert.equal((await api("DELETE", `/items/categories/${clothes.id}`)).status, 400);
+  assert.equal((await api("DELETE", `/items/categories/${clothes.id}?mode=reassign&into=${clothes.id}`)).status, 400);
+});
+
+test("reassign moves the items to the other category and deletes this one", async () => {
+  const clothes = await categoryNamed("Clothes");
+  const travel = await categoryNamed("Travel");
+
+  const removed = await api("DELETE", `/items/categories/${clothes.id}?mode=reassign&into=${travel.id}`);
+  assert.equal(removed.status, 200, JSON.stringify(removed.body));
+  assert.equal(removed.body.affectedCount, 2);
+  assert.equal(await categoryNamed("Clothes"), undefined);
+  assert.equal((await api("GET", "/items/total-by-category?category=Travel")).body.totalSpent, 75.5);
+});
+
+test("archive hides the category but keeps its items until it is restored", async () => {
+  const rent = await categoryNamed("Rent");
+  await addItem("May rent", "500", "Rent");
+
+  const archived = await api("DELETE", `/items/categories/${rent.id}?mode=archive`);
+  assert.equal(archived.status, 200, JSON.stringify(archived.body));
+  assert.equal(await categoryNamed("Rent"), undefined);
+  assert.equal((await categoryNamed("Rent", "?includeArchived=true")).archived, true);
+  assert.equal((await api("GET", "/items?category=Rent")).body.length, 1);
+
+  const restored = await api("POST", `/items/categories/${rent.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal((await categoryNamed("Rent")).archived, false);
+});
+
+test("cascade deletes the items and reverses their effect on the balance", async () => {
+  const petrol = await categoryNamed("Petrol");
+  const start = await balance();
+  await addItem("Fuel", "40", "Petrol");
+  assert.equal(await balance(), start - 40);
+
+  const removed = await api("DELETE", `/items/categories/${petrol.id}?mode=cascade`);
+  assert.equal(removed.status, 200, JSON.stringify(removed.body));
+  assert.equal(removed.body.affectedCount, 1);
+  assert.equal(await balance(), start);
+  assert.deepEqual((await api("GET", "/items?category=Petrol")).body, []);
+});
+
+test("the legacy custom-categories delete takes the same modes", async () => {
+  const created = (await api("POST", "/items/categories", { label: "Hobbies" })).body.category;
+  await addItem("Paint", "12", "Hobbies");
+
+  assert.equal((await api("DELETE", `/items/custom-categories/${created.id}`)).status, 400);
+  const archived = await api("DELETE", `/items/custom-categories/${created.id}?mode=archive`);
+  assert.equal(archived.status, 200, JSON.stringify(archived.body));
+  assert.deepEqual([archived.body.mode, archived.body.affectedCount], ["archive", 1]);
+  assert.equal((await categoryNamed("Hobbies", "?includeArchived=true")).archived, true);
+});
+
+test("cascade is refused, deleting nothing, when an item has no exchange rate", async () => {
+  const { baseCurrency } = (await api("GET", "/currency/rates")).body;
+  const saved = await api("POST", "/currency/rates", { from_currency: "CHF", to_currency: baseCurrency, rate: "1.1", effective_date: "2024-01-01" });
+  assert.equal(saved.status, 201, JSON.stringify(saved.body));
+  const { status, body } = await api("POST", "/items", {
+    title: "Museum", value: "20", currency: "CHF", date: "2024-05-10", section: "Outings", payment_mode: "Card"
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal((await api("DELETE", `/currency/rates/${saved.body.rateId}`)).status, 200);
+  const start = await balance();
+
+  const outings = await categoryNamed("Outings");
+  const refused = await api("DELETE", `/items/categories/${outings.id}?mode=cascade`);
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /CHF/);
+  assert.equal((await api("GET", "/items?category=Outings")).body.length, 1);
+  assert.equal(await balance(), start);
+});
+
+test("an archived category is no longer suggested for new items", async () => {
+  await api("POST", "/items/categories", { label: "Books" });
+  await addItem("Novel", "15", "Books");
+  const suggested = async () => (await api("GET", "/items/suggest-category?title=Novel")).body.suggestions.map(row => row.section);
+  assert.ok((await suggested()).includes("Books"));
+
+  const books = await categoryNamed("Books");
+  assert.equal((await api("DELETE", `/items/categories/${books.id}?mode=archive`)).status, 200);
+  assert.ok(!(await suggested()).includes("Books"));
+});
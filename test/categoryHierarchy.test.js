@@ -0,0 +1,56 @@
+// test/categoryHierarchy.test.js
+// Subcategories: nesting one level deep, roll-up totals and parent budgets that include their children.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+let transport;
+let parking;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+const addItem = async (title, value, section) => {
+  const { status, body } = await api("POST", "/items", { title, value, date: "2024-05-10", section, payment_mode: "Card" });
+  assert.equal(status, 201, JSON.stringify(body));
+};
+
+test("categories nest one level deep under a top-level parent", async () => {
+  transport = (await api("POST", "/items/categories", { label: "Transport" })).body.category;
+  const created = await api("POST", "/items/categories", { label: "Parking", parent_id: transport.id });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  parking = created.body.category;
+  assert.equal(parking.parentId, transport.id);
+
+  const tooDeep = await api("POST", "/items/categories", { label: "Meters", parent_id: parking.id });
+  assert.equal(tooDeep.status, 400);
+  const cycle = await api("PUT", `/items/categories/${transport.id}`, { parent_id: parking.id });
+  assert.equal(cycle.status, 400);
+});
+
+test("roll-up totals and parent budgets include the subcategories", async () => {
+  await addItem("Garage", "10", "Parking");
+  await addItem("Bus pass", "30", "Transport");
+
+  const plain = await api("GET", "/items/total-by-category?category=Transport");
+  assert.equal(plain.body.totalSpent, 30);
+  const rolled = await api("GET", "/items/total-by-category?category=Transport&rollup=true");
+  assert.equal(rolled.body.totalSpent, 40);
+  assert.deepEqual(rolled.body.includes.sort(), ["Parking", "Transport"]);
+
+  const summary = (await api("GET", "/items/category-summary?rollup=true")).body.find(row => row.section === "Transport");
+  assert.equal(summary.total_expenses, 40);
+  assert.deepEqual(summary.subcategories.map(child => [child.section, child.total_expenses]), [["Parking", 10]]);
+  const flat = (await api("GET", "/items/category-summary")).body.find(row => row.section === "Parking");
+  assert.equal(flat.parent, "Transport");
+
+  await api("POST", "/items/budgets", { category: "Transport", amount: "100", period: "monthly", start_date: "2024-05-01" });
+  const status = await api("GET", "/items/budgets/status?category=Transport&date=2024-05-20");
+  assert.deepEqual(status.body.map(budget => budget.spent), [40]);
+});
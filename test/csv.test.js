@@ -0,0 +1,23 @@
+// test/csv.test.js
+// The CSV reader behind statement import (utils/csv.js).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv } = require("../utils/csv");
+
+test("quoted fields keep delimiters, doubled quotes and line breaks", () => {
+  const rows = parseCsv('Date,Description,Amount\r\n2024-01-05,"Coffee, large",-3.50\n2024-01-06,"The ""Deli""\nDowntown",-12\n');
+  assert.deepEqual(rows, [
+    ["Date", "Description", "Amount"],
+    ["2024-01-05", "Coffee, large", "-3.50"],
+    ["2024-01-06", 'The "Deli"\nDowntown', "-12"]
+  ]);
+});
+
+test("the delimiter is detected from the header line", () => {
+  assert.deepEqual(parseCsv("Date;Amount\n05.01.2024;-3,50"), [["Date", "Amount"], ["05.01.2024", "-3,50"]]);
+  assert.deepEqual(parseCsv("Date\tAmount\n2024-01-05\t7"), [["Date", "Amount"], ["2024-01-05", "7"]]);
+});
+
+test("a byte order mark, blank lines and padding are dropped", () => {
+  assert.deepEqual(parseCsv("\uFEFFDate , Amount\n\n 2024-01-05 ,  7 \n\n"), [["Date", "Amount"], ["2024-01-05", "7"]]);
+});
@@ -0,0 +1,92 @@
+// test/cursorPagination.test.js
+// Cursor mode of the item lists (services/cursorPagination.js): the opaque (date, id) cursor and paging
+// through GET /items without skipping or repeating rows.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+const { encodeCursor, decodeCursor, parseCursorQuery } = require("../services/cursorPagination");
+
+test("a cursor round-trips its (date, id) position and direction", () => {
+  const token = encodeCursor({ date: "2024-03-05 00:00:00", id: 42 }, "next");
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(token), { date: "2024-03-05 00:00:00", id: 42, direction: "next" });
+
+  // Dates from MySQL arrive as Date objects and are kept in the local time the database compares in
+  const fromDate = decodeCursor(encodeCursor({ date: new Date(2024, 2, 5, 9, 30, 0), id: 7 }, "prev"));
+  assert.deepEqual(fromDate, { date: "2024-03-05 09:30:00", id: 7, direction: "prev" });
+});
+
+test("tampered or malformed cursors are rejected", () => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(encode({ d: "2024-03-05", i: 0, v: "next" })), null);
+  assert.equal(decodeCursor(encode({ d: "2024-03-05", i: 1.5, v: "next" })), null);
+  assert.equal(decodeCursor(encode({ d: 20240305, i: 1, v: "next" })), null);
+  assert.equal(decodeCursor(encode({ d: "2024-03-05", i: 1, v: "sideways" })), null);
+
+  assert.match(parseCursorQuery({ cursor: "not-a-cursor" }).error, /cursor is invalid/);
+  assert.match(parseCursorQuery({ cursor: ["a", "b"] }).error, /cursor is invalid/);
+  assert.match(parseCursorQuery({ cursor: "", _limit: "0" }).error, /_limit/);
+  assert.match(parseCursorQuery({ cursor: "", _limit: "101" }).error, /_limit/);
+  assert.deepEqual(parseCursorQuery({ cursor: "" }), { cursor: null, limit: 10 });
+});
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+  // Two items share a date so the id breaks the tie
+  for (const [title, date] of [["A", "2024-03-01"], ["B", "2024-03-02"], ["C", "2024-03-02"], ["D", "2024-03-03"], ["E", "2024-03-04"]]) {
+    const { status, body } = await api("POST", "/items", { title, value: "10", date, section: "Food", payment_mode: "Cash" });
+    assert.equal(status, 201, JSON.stringify(body));
+  }
+});
+
+after(() => server.stop());
+
+const titles = (body) => body.items.map(item => item.title);
+
+test("pages follow next and prev without skipping or repeating items", async () => {
+  const first = await api("GET", "/items?cursor=&_limit=2");
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.deepEqual(titles(first.body), ["E", "D"]);
+  assert.equal(first.body.prev, null);
+
+  // An item added while scrolling does not shift the following pages
+  await api("POST", "/items", { title: "F", value: "10", date: "2024-03-05", section: "Food", payment_mode: "Cash" });
+
+  const second = await api("GET", `/items?cursor=${first.body.next}&_limit=2`);
+  assert.deepEqual(titles(second.body), ["C", "B"]);
+  const third = await api("GET", `/items?cursor=${second.body.next}&_limit=2`);
+  assert.deepEqual(titles(third.body), ["A"]);
+  assert.equal(third.body.next, null);
+
+  const back = await api("GET", `/items?cursor=${third.body.prev}&_limit=2`);
+  assert.deepEqual(titles(back.body), ["C", "B"]);
+  const start = await api("GET", `/items?cursor=${back.body.prev}&_limit=2`);
+  assert.deepEqual(titles(start.body), ["E", "D"]);
+});
+
+test("an invalid cursor is a 400", async () => {
+  const { status, body } = await api("GET", "/items?cursor=garbage");
+  assert.equal(status, 400);
+  assert.match(body.error, /cursor is invalid/);
+});
+
+test("toDate takes in the whole last day in lists, summaries and search", async () => {
+  const late = await api("POST", "/items", { title: "Late", value: "5", date: "2024-03-04 21:15:00", section: "Food", payment_mode: "Cash" });
+  assert.equal(late.status, 201, JSON.stringify(late.body));
+  const range = "fromDate=2024-03-04&toDate=2024-03-04";
+
+  const page = await api("GET", `/items?cursor=&${range}`);
+  assert.deepEqual(titles(page.body), ["Late", "E"]);
+  assert.equal((await api("GET", `/items/summary?${range}`)).body.totalExpenses, 15);
+  const daily = await api("GET", "/items/summary/daily?startDate=2024-03-04&endDate=2024-03-04");
+  assert.deepEqual(daily.body.map(day => day.total_expenses), [15]);
+  const found = await api("GET", `/items/search?${range}&sort=title&order=asc`);
+  assert.deepEqual(titles(found.body), ["E", "Late"]);
+
+  assert.equal((await api("GET", "/items?toDate=2024-02-30")).status, 400);
+});
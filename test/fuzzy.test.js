@@ -0,0 +1,27 @@
+// test/fuzzy.test.js
+// Typo-tolerant matching behind item search (utils/fuzzy.js).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeText, wordsOf, termScore } = require("../utils/fuzzy");
+
+test("text is compared without case or accents", () => {
+  assert.equal(normalizeText("Café CRÈME"), "cafe creme");
+  assert.deepEqual(wordsOf("Uber-Eats: order #42"), ["uber", "eats", "order", "42"]);
+  assert.equal(termScore("cafe", "Le Café du Coin"), 1);
+});
+
+test("misspelled words and word starts score below an exact match", () => {
+  const typo = termScore("restuarant", "Dinner at Restaurant Roma");
+  assert.ok(typo > 0 && typo < 1, `scored ${typo}`);
+  const prefix = termScore("grocs", "Weekly groceries");
+  assert.ok(prefix > 0 && prefix < 1, `scored ${prefix}`);
+  assert.ok(termScore("restaurnat", "restaurant") > termScore("rstrnt", "restaurant"));
+});
+
+test("short terms must match exactly and unrelated words do not match", () => {
+  assert.equal(termScore("tx", "taxi"), 0);
+  assert.equal(termScore("ta", "taxi"), 1);
+  assert.equal(termScore("petrol", "Groceries"), 0);
+  assert.equal(termScore("", "anything"), 0);
+  assert.equal(termScore("cafe", null), 0);
+});
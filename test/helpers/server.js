@@ -0,0 +1,75 @@
+// test/helpers/server.js
+// Runs the API for request-level tests: startServer() starts index.js on a free port against a fresh
+// in-memory SQLite database, and signUp() registers a user and returns a client signed in as them.
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves to { baseUrl, stop } once the server answers its health check
+async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: path.join(__dirname, "..", ".."),
+    env: { ...process.env, DB_CLIENT: "sqlite", SQLITE_FILE: "", PORT: String(port), ...env },
+    stdio: "ignore"
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/`)).ok) return { baseUrl, stop: () => child.kill() };
+    } catch (err) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  child.kill();
+  throw new Error("Server did not start.");
+}
+
+// Sends a JSON request, with the token when given; resolves to { status, body }
+async function request(baseUrl, method, url, { body, token } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON (CSV exports, PDFs)
+  }
+  return { status: response.status, body: parsed };
+}
+
+// Registers a user (multipart, like the app's signup form) and logs them in. Resolves to
+// { token, api } where api(method, url, body) sends requests as that user.
+async function signUp(baseUrl, { email = "test@example.com", phone_number = "5550100", password = "secret" } = {}) {
+  const form = new FormData();
+  for (const [field, value] of Object.entries({ first_name: "Test", last_name: "User", email, phone_number, password })) {
+    form.append(field, value);
+  }
+  await fetch(`${baseUrl}/auth/signup`, { method: "POST", body: form });
+
+  const login = await request(baseUrl, "POST", "/auth/login", { body: { email, password } });
+  if (!login.body.token) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+  const { token } = login.body;
+  return { token, api: (method, url, body) => request(baseUrl, method, url, { body, token }) };
+}
+
+module.exports = { startServer, request, signUp };
@@ -0,0 +1,62 @@
+// test/import.test.js
+// Statement import over the API: duplicates of existing items are flagged in the preview, and a
+// saved import can be rolled back with its effect on the balance.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let token;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ token, api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+async function preview(filename, text) {
+  const form = new FormData();
+  form.append("file", new Blob([text]), filename);
+  const response = await fetch(`${server.baseUrl}/items/import/preview`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("rows matching an existing item by day, amount and title are flagged as duplicates", async () => {
+  const added = await api("POST", "/items", { title: "Tesco", value: "42.10", date: "2024-01-05 09:15:00", section: "Groceries", payment_mode: "Card" });
+  assert.equal(added.status, 201, JSON.stringify(added.body));
+
+  const { status, body } = await preview("statement.csv", "Date,Description,Amount\n2024-01-05,CARD 1234 TESCO STORES,-42.10\n2024-01-05,Tesco,-42.20\n2024-01-06,Tesco,-42.10\n");
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.rows.map(row => row.duplicate_of), [added.body.expenseId, null, null]);
+  assert.equal(body.duplicateCount, 1);
+});
+
+test("an import can be rolled back, balance included", async () => {
+  const { body: parsed } = await preview("statement.csv", "Date,Description,Amount\n2024-02-01,Salary,2000\n2024-02-03,Rent,-750\n");
+
+  // A second user, so the balance starts at zero
+  const { api: newUser } = await signUp(server.baseUrl, { email: "import@example.com", phone_number: "5550199" });
+  const imported = await newUser("POST", "/items/import", { source: "csv", filename: "statement.csv", rows: parsed.rows });
+  assert.equal(imported.status, 201, JSON.stringify(imported.body));
+  assert.equal(imported.body.importedCount, 2);
+  assert.equal(imported.body.newBalance, 1250);
+
+  const rolledBack = await newUser("DELETE", `/items/import/batches/${imported.body.batchId}`);
+  assert.equal(rolledBack.status, 200, JSON.stringify(rolledBack.body));
+  assert.equal(rolledBack.body.removedCount, 2);
+  assert.equal(rolledBack.body.newBalance, 0);
+
+  const again = await newUser("DELETE", `/items/import/batches/${imported.body.batchId}`);
+  assert.equal(again.status, 409);
+});
+
+test("files other than CSV, OFX and QFX are refused", async () => {
+  const { status } = await preview("statement.txt", "hello");
+  assert.equal(status, 400);
+});
@@ -0,0 +1,53 @@
+// test/money.test.js
+// Money in integer minor units (utils/money.js): parsing client amounts, reading database values,
+// formatting and rounding.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toMinor, parseAmount, fromMinor, formatMinor, convertMinor, sumMinor, amountRule } = require("../utils/money");
+
+test("client amounts are parsed exactly", () => {
+  assert.equal(parseAmount("19.99"), 1999);
+  assert.equal(parseAmount(19.99), 1999);
+  assert.equal(parseAmount(" 7 "), 700);
+  assert.equal(parseAmount("0.5"), 50);
+  assert.equal(parseAmount("12.300"), 1230);
+  assert.equal(parseAmount("9999999999.99"), 999999999999);
+});
+
+test("amounts that are not plain decimals, too precise or too large are refused", () => {
+  for (const input of ["abc", "", "1e3", "1,000", "0.001", 0.1 + 0.2, "10000000000.00", true, null, undefined, Infinity]) {
+    assert.equal(parseAmount(input), null, `accepted ${String(input)}`);
+  }
+});
+
+test("negative amounts need allowNegative and zero-decimal currencies need whole numbers", () => {
+  assert.equal(parseAmount("-5"), null);
+  assert.equal(parseAmount("-5.25", { allowNegative: true }), -525);
+  assert.equal(parseAmount("1500", { currency: "JPY" }), 150000);
+  assert.equal(parseAmount("1500.5", { currency: "JPY" }), null);
+  assert.match(amountRule("JPY"), /whole number/);
+  assert.match(amountRule("EUR"), /2 decimal places/);
+});
+
+test("database values are read as minor units whether they come back as strings or numbers", () => {
+  assert.equal(toMinor("1234.56"), 123456);
+  assert.equal(toMinor(1234.56), 123456);
+  assert.equal(toMinor("-0.07"), -7);
+  assert.equal(toMinor(0.1 + 0.2), 30);
+  assert.equal(toMinor(null), 0);
+  assert.equal(toMinor("not a number"), 0);
+});
+
+test("sums stay exact and format back to decimals", () => {
+  const total = sumMinor(Array.from({ length: 10 }, () => toMinor("0.10")));
+  assert.equal(total, 100);
+  assert.equal(fromMinor(total), 1);
+  assert.equal(formatMinor(-123450), "-1234.50");
+  assert.equal(formatMinor(5), "0.05");
+});
+
+test("conversions round half away from zero", () => {
+  assert.equal(convertMinor(1001, 0.5), 501);
+  assert.equal(convertMinor(-1001, 0.5), -501);
+  assert.equal(convertMinor(10000, 1.23456), 12346);
+});
@@ -0,0 +1,29 @@
+// test/ofx.test.js
+// The OFX/QFX reader behind statement import (utils/ofx.js).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseOfx } = require("../utils/ofx");
+
+test("OFX 1.x statements without closing tags are read", () => {
+  const sgml = [
+    "OFXHEADER:100", "DATA:OFXSGML", "", "<OFX>", "<BANKTRANLIST>",
+    "<STMTTRN>", "<TRNTYPE>DEBIT", "<DTPOSTED>20240105120000[-5:EST]", "<TRNAMT>-42.10", "<FITID>A1", "<NAME>TESCO STORES", "<MEMO>Card 1234",
+    "<STMTTRN>", "<TRNTYPE>CREDIT", "<DTPOSTED>20240107", "<TRNAMT>1500.00", "<FITID>A2", "<NAME>ACME &amp; SONS",
+    "</BANKTRANLIST>", "</OFX>"
+  ].join("\n");
+
+  assert.deepEqual(parseOfx(sgml), [
+    { fitId: "A1", type: "DEBIT", date: "2024-01-05", amount: -42.1, name: "TESCO STORES", memo: "Card 1234" },
+    { fitId: "A2", type: "CREDIT", date: "2024-01-07", amount: 1500, name: "ACME & SONS", memo: null }
+  ]);
+});
+
+test("OFX 2.x XML statements are read", () => {
+  const xml = "<?xml version=\"1.0\"?><OFX><BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240210</DTPOSTED>"
+    + "<TRNAMT>-9.99</TRNAMT><FITID>X9</FITID><PAYEE>Streaming Co</PAYEE></STMTTRN></BANKTRANLIST></OFX>";
+  assert.deepEqual(parseOfx(xml), [{ fitId: "X9", type: "DEBIT", date: "2024-02-10", amount: -9.99, name: "Streaming Co", memo: null }]);
+});
+
+test("files that are not OFX are refused", () => {
+  assert.throws(() => parseOfx("Date,Amount\n2024-01-05,7"), /Not an OFX\/QFX file/);
+});
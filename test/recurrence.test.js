@@ -0,0 +1,59 @@
+// test/recurrence.test.js
+// Date math behind recurring rules (utils/recurrence.js): schedules counted from the start date,
+// month-end clamping, end conditions and catching up on missed occurrences.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isValidDateString, toDateString, dayAfter, occurrenceDate, dueOccurrences } = require("../utils/recurrence");
+
+const rule = (fields) => ({ interval_count: 1, occurrences_created: 0, ...fields });
+
+test("a monthly rule on the 31st clamps to short months without drifting", () => {
+  const monthly = rule({ frequency: "monthly", start_date: "2024-01-31" });
+  const dates = [0, 1, 2, 3].map(index => occurrenceDate(monthly, index));
+  assert.deepEqual(dates, ["2024-01-31", "2024-02-29", "2024-03-31", "2024-04-30"]);
+});
+
+test("yearly rules on Feb 29 fall on Feb 28 in common years", () => {
+  const yearly = rule({ frequency: "yearly", start_date: "2024-02-29" });
+  assert.equal(occurrenceDate(yearly, 1), "2025-02-28");
+  assert.equal(occurrenceDate(yearly, 4), "2028-02-29");
+});
+
+test("daily and weekly rules step by their interval", () => {
+  assert.equal(occurrenceDate(rule({ frequency: "daily", start_date: "2024-12-30", interval_count: 3 }), 1), "2025-01-02");
+  assert.equal(occurrenceDate(rule({ frequency: "weekly", start_date: "2024-01-01", interval_count: 2 }), 2), "2024-01-29");
+});
+
+test("a day of month before the start date's day starts in the next month", () => {
+  const monthly = rule({ frequency: "monthly", start_date: "2024-01-20", day_of_month: 5 });
+  assert.equal(occurrenceDate(monthly, 0), "2024-02-05");
+  assert.equal(occurrenceDate(monthly, 1), "2024-03-05");
+});
+
+test("a rule ends after max_occurrences or its end date", () => {
+  assert.equal(occurrenceDate(rule({ frequency: "daily", start_date: "2024-01-01", max_occurrences: 2 }), 2), null);
+  assert.equal(occurrenceDate(rule({ frequency: "weekly", start_date: "2024-01-01", end_date: "2024-01-14" }), 2), null);
+  assert.equal(occurrenceDate(rule({ frequency: "weekly", start_date: "2024-01-01", end_date: "2024-01-15" }), 2), "2024-01-15");
+});
+
+test("dueOccurrences catches up on everything missed since the last created occurrence", () => {
+  const monthly = rule({ frequency: "monthly", start_date: "2024-01-15", occurrences_created: 1 });
+  assert.deepEqual(dueOccurrences(monthly, "2024-04-14"), ["2024-02-15", "2024-03-15"]);
+  assert.deepEqual(dueOccurrences(monthly, "2024-01-20"), []);
+  assert.deepEqual(dueOccurrences(rule({ ...monthly, max_occurrences: 2 }), "2025-01-01"), ["2024-02-15"]);
+});
+
+test("dates are validated and read back as YYYY-MM-DD", () => {
+  assert.equal(isValidDateString("2024-02-29"), true);
+  assert.equal(isValidDateString("2023-02-29"), false);
+  assert.equal(isValidDateString("2024-13-01"), false);
+  assert.equal(isValidDateString("2024-1-01"), false);
+  assert.equal(toDateString(new Date(2024, 4, 9, 23, 30)), "2024-05-09");
+  assert.equal(toDateString("2024-05-09 10:00:00"), "2024-05-09");
+});
+
+test("dayAfter rolls over month and year ends", () => {
+  assert.equal(dayAfter("2024-02-28"), "2024-02-29");
+  assert.equal(dayAfter("2024-02-29 18:00:00"), "2024-03-01");
+  assert.equal(dayAfter("2024-12-31"), "2025-01-01");
+});
@@ -0,0 +1,105 @@
+// test/refunds.test.js
+// Refunds and reimbursements linked to an expense: the balance, what is left to pay back and the
+// outstanding reimbursements.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+const balance = async () => (await api("GET", "/profile/balance")).body.balance;
+
+async function addExpense(item) {
+  const { status, body } = await api("POST", "/items", { date: "2026-01-10", payment_mode: "Card", ...item });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.expenseId;
+}
+
+test("a refund adds back to the balance and cannot exceed what is left to pay back", async () => {
+  const expenseId = await addExpense({ title: "Headphones", value: "50", section: "Clothes" });
+  const start = await balance();
+
+  const refund = await api("POST", `/items/${expenseId}/refunds`, { value: "20" });
+  assert.equal(refund.status, 201, JSON.stringify(refund.body));
+  assert.equal(refund.body.refunded, 20);
+  assert.equal(refund.body.remaining, 30);
+  assert.equal(await balance(), start + 20);
+
+  const tooMuch = await api("POST", `/items/${expenseId}/refunds`, { value: "30.01" });
+  assert.equal(tooMuch.status, 400);
+  assert.equal(await balance(), start + 20);
+
+  const rest = await api("POST", `/items/${expenseId}/refunds`, {});
+  assert.equal(rest.status, 201, JSON.stringify(rest.body));
+  assert.equal(rest.body.refund.value, 30);
+  assert.equal(rest.body.remaining, 0);
+
+  const listed = await api("GET", `/items/${expenseId}/refunds`);
+  assert.equal(listed.body.refunds.length, 2);
+  assert.equal(listed.body.refunded, 50);
+});
+
+test("a reimbursable expense is outstanding until its refunds cover it", async () => {
+  const expenseId = await addExpense({ title: "Client dinner", value: "80", section: "Food", reimbursable: true });
+
+  const before = (await api("GET", "/items/reimbursements/outstanding")).body;
+  assert.deepEqual(before.items.map(item => [item.title, item.outstanding]), [["Client dinner", 80]]);
+
+  const reimbursement = await api("POST", `/items/${expenseId}/refunds`, { value: "80" });
+  assert.equal(reimbursement.body.refund.title, "Reimbursement: Client dinner");
+  assert.deepEqual((await api("GET", "/items/reimbursements/outstanding")).body.items, []);
+});
+
+test("deleting an expense deletes its refunds and takes their credit back off the balance", async () => {
+  const start = await balance();
+  const expenseId = await addExpense({ title: "Jacket", value: "80", section: "Clothes" });
+  await api("POST", `/items/${expenseId}/refunds`, { value: "30" });
+  assert.equal(await balance(), start - 50);
+
+  const removed = await api("DELETE", `/items/${expenseId}`);
+  assert.equal(removed.status, 200, JSON.stringify(removed.body));
+  assert.equal(removed.body.removedRefundCount, 1);
+  assert.equal(await balance(), start);
+  assert.equal((await api("GET", `/items/${expenseId}/refunds`)).status, 404);
+});
+
+test("a refund of a split expense is spread over its split lines in proportion", async () => {
+  const expenseId = await addExpense({
+    title: "Supermarket",
+    value: "30",
+    section: "Groceries",
+    date: "2026-02-05",
+    splits: [{ section: "Groceries", value: "20" }, { section: "Rent", value: "10" }]
+  });
+
+  const refund = await api("POST", `/items/${expenseId}/refunds`, { value: "10", date: "2026-02-06" });
+  assert.equal(refund.status, 201, JSON.stringify(refund.body));
+  const lines = Object.fromEntries(refund.body.refund.splits.map(split => [split.section, split.value]));
+  assert.deepEqual(lines, { Groceries: 6.67, Rent: 3.33 });
+
+  // Only this test files items under Groceries and Rent
+  const summary = await api("GET", "/items/category-summary");
+  const spent = Object.fromEntries(summary.body.map(row => [row.section, row.total_expenses]));
+  assert.equal(spent.Groceries, 13.33);
+  assert.equal(spent.Rent, 6.67);
+});
+
+test("the category suggestion model learns refunds when they are recorded and forgets them with their expense", async () => {
+  const trainedItems = async () => (await api("GET", "/items/suggest-category?title=Boots")).body.trainedItems;
+  const expenseId = await addExpense({ title: "Boots", value: "90", section: "Clothes" });
+  const start = await trainedItems();
+
+  assert.equal((await api("POST", `/items/${expenseId}/refunds`, { value: "40" })).status, 201);
+  assert.equal(await trainedItems(), start + 1);
+
+  assert.equal((await api("DELETE", `/items/${expenseId}`)).status, 200);
+  assert.equal(await trainedItems(), start - 1);
+});
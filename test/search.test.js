@@ -0,0 +1,71 @@
+// test/search.test.js
+// Item search (GET /items/search): query validation, typo-tolerant and exact matching, filters and sorting.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+const { parseSearchQuery } = require("../services/transactionSearch");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+  const items = [
+    { title: "Restaurant Roma", value: "45", date: "2024-04-02", section: "Food", payment_mode: "Card" },
+    { title: "Pizza", value: "12.50", date: "2024-04-05", section: "Food", payment_mode: "Cash", notes: "restaurant takeaway" },
+    { title: "Taxi to airport", value: "30", date: "2024-04-06", section: "Travel", payment_mode: "Card" },
+    { title: "Groceries", value: "60", date: "2024-04-07", section: "Groceries", payment_mode: "Card" }
+  ];
+  for (const item of items) {
+    const { status, body } = await api("POST", "/items", item);
+    assert.equal(status, 201, JSON.stringify(body));
+  }
+});
+
+after(() => server.stop());
+
+const titles = (body) => body.items.map(item => item.title);
+
+test("search queries are validated", () => {
+  assert.match(parseSearchQuery({ min: "50", max: "10" }).error, /min cannot be greater than max/);
+  assert.match(parseSearchQuery({ min: "ten" }).error, /min must be/);
+  assert.match(parseSearchQuery({ fromDate: "2024-02-30" }).error, /fromDate/);
+  assert.match(parseSearchQuery({ sort: "colour" }).error, /sort must be one of/);
+  assert.match(parseSearchQuery({ _limit: "500" }).error, /_limit/);
+
+  const { search } = parseSearchQuery({ q: " taxi  taxi airport ", payment_mode: ["Card", "All"] });
+  assert.deepEqual(search.terms, ["taxi", "airport"]);
+  assert.deepEqual(search.criteria.paymentModes, ["Card"]);
+  assert.equal(search.sort, "relevance");
+  assert.equal(parseSearchQuery({ q: "taxi", fuzzy: "false" }).search.sort, "date");
+});
+
+test("a misspelled word still finds the item, best match first", async () => {
+  const { status, body } = await api("GET", "/items/search?q=restuarant");
+  assert.equal(status, 200, JSON.stringify(body));
+  // A title match ranks above the same match in the notes
+  assert.deepEqual(titles(body), ["Restaurant Roma", "Pizza"]);
+  assert.equal(body.pagination.total, 2);
+});
+
+test("fuzzy=false only finds the words as typed", async () => {
+  const typo = await api("GET", "/items/search?q=restuarant&fuzzy=false");
+  assert.deepEqual(titles(typo.body), []);
+  const exact = await api("GET", "/items/search?q=restaurant&fuzzy=false");
+  assert.deepEqual(titles(exact.body), ["Pizza", "Restaurant Roma"]);
+});
+
+test("filters combine and results sort by amount", async () => {
+  const { body } = await api("GET", "/items/search?payment_mode=Card&min=20&max=50&sort=amount&order=asc");
+  assert.deepEqual(titles(body), ["Taxi to airport", "Restaurant Roma"]);
+
+  const food = await api("GET", "/items/search?category=Food&category=Groceries&sort=amount&order=desc");
+  assert.deepEqual(titles(food.body), ["Groceries", "Restaurant Roma", "Pizza"]);
+});
+
+test("results are paged", async () => {
+  const { body } = await api("GET", "/items/search?_limit=3&_page=2");
+  assert.deepEqual(titles(body), ["Restaurant Roma"]);
+  assert.deepEqual(body.pagination, { page: 2, limit: 3, total: 4, totalPages: 2, hasMore: false });
+});
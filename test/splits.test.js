@@ -0,0 +1,56 @@
+// test/splits.test.js
+// Split transactions over the API: an expense's lines must add up to its value and count toward
+// their own categories in summaries and budgets.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+test("a split expense counts each line toward its own category", async () => {
+  const added = await api("POST", "/items", {
+    title: "Supermarket",
+    value: "30",
+    date: "2024-03-05",
+    section: "Groceries",
+    payment_mode: "Card",
+    splits: [{ section: "Groceries", value: "20" }, { section: "Clothes", value: "10", notes: "Socks" }]
+  });
+  assert.equal(added.status, 201, JSON.stringify(added.body));
+
+  const summary = await api("GET", "/items/category-summary");
+  const spent = Object.fromEntries(summary.body.map(row => [row.section, row.total_expenses]));
+  assert.equal(spent.Groceries, 20);
+  assert.equal(spent.Clothes, 10);
+
+  await api("POST", "/items/budgets", { category: "Clothes", amount: "50", period: "monthly", start_date: "2024-03-01" });
+  const [status] = (await api("GET", "/items/budgets/status?category=Clothes&date=2024-03-10")).body;
+  assert.equal(status.spent, 10);
+});
+
+test("split lines must add up to the item's value", async () => {
+  const uneven = await api("POST", "/items", {
+    title: "Pharmacy",
+    value: "15",
+    date: "2024-03-06",
+    section: "Health",
+    payment_mode: "Card",
+    splits: [{ section: "Health", value: "10" }, { section: "Groceries", value: "4.99" }]
+  });
+  assert.equal(uneven.status, 400);
+  assert.match(uneven.body.error, /add up to 14.99/);
+
+  const single = await api("POST", "/items", {
+    title: "Pharmacy", value: "15", date: "2024-03-06", section: "Health", payment_mode: "Card",
+    splits: [{ section: "Health", value: "15" }]
+  });
+  assert.equal(single.status, 400);
+});
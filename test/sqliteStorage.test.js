@@ -0,0 +1,68 @@
+// test/sqliteStorage.test.js
+// The embedded SQLite backend: MySQL syntax rewriting, the mysql2-style results the repositories
+// expect, transactions and persisting to a file.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+process.env.DB_CLIENT = "sqlite"; // migrate.js opens the configured backend as well; keep it off MySQL
+const { createSqliteDatabase, toSqlite } = require("../storage/sqlite");
+const Users = require("../repositories/userRepository");
+
+const newUser = (email) => ({ first_name: "Test", last_name: "User", email, phone_number: null, password: "hash" });
+
+test("toSqlite rewrites the MySQL syntax the repositories and migrations use", () => {
+  assert.equal(toSqlite("id INT AUTO_INCREMENT PRIMARY KEY"), "id INTEGER PRIMARY KEY AUTOINCREMENT");
+  assert.equal(toSqlite("SELECT DATE_FORMAT(i.date, '%Y-%m') FROM infodata i"), "SELECT strftime('%Y-%m', i.date) FROM infodata i");
+  assert.equal(toSqlite("UPDATE users SET created_at = NOW()"), "UPDATE users SET created_at = CURRENT_TIMESTAMP");
+  assert.equal(toSqlite("INSERT IGNORE INTO categories (label) VALUES (?)"), "INSERT OR IGNORE INTO categories (label) VALUES (?)");
+  assert.equal(toSqlite("DROP INDEX users_email_unique ON users"), "DROP INDEX users_email_unique");
+  assert.equal(toSqlite("SELECT balance FROM users WHERE id = ? FOR UPDATE"), "SELECT balance FROM users WHERE id = ?");
+});
+
+test("an in-memory database is migrated on open and returns mysql2-style results", async () => {
+  const db = createSqliteDatabase(null);
+  try {
+    const userId = await Users.create(db, newUser("a@example.com"));
+    assert.equal(userId, 1);
+    assert.equal((await Users.findById(db, userId)).email, "a@example.com");
+
+    const [result] = await db.query("UPDATE users SET balance = ? WHERE id IN (?)", [12.5, [userId, 99]]);
+    assert.equal(result.affectedRows, 1);
+    assert.equal(Number(await Users.getBalance(db, userId)), 12.5);
+  } finally {
+    await db.end();
+  }
+});
+
+test("a rolled-back transaction leaves no trace", async () => {
+  const db = createSqliteDatabase(null);
+  try {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+    await Users.create(connection, newUser("b@example.com"));
+    await connection.rollback();
+    connection.release();
+
+    assert.equal(await Users.findByEmail(db, "b@example.com"), null);
+  } finally {
+    await db.end();
+  }
+});
+
+test("a database file keeps its data across restarts", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "spendwise-")), "test.sqlite");
+  try {
+    const first = createSqliteDatabase(file);
+    await Users.create(first, newUser("c@example.com"));
+    await first.end();
+
+    const second = createSqliteDatabase(file);
+    assert.equal((await Users.findByEmail(second, "c@example.com")).email, "c@example.com");
+    await second.end();
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
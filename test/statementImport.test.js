@@ -0,0 +1,59 @@
+// test/statementImport.test.js
+// Turning statement files into import rows (services/statementImport.js): column mapping, amount
+// and date layouts, and which rows are income.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectSource, parseStatement } = require("../services/statementImport");
+
+const csv = (text) => Buffer.from(text, "utf8");
+const pick = (rows, fields) => rows.map(row => Object.fromEntries(fields.map(field => [field, row[field]])));
+
+test("a CSV mapping is suggested from the headers", () => {
+  const preview = parseStatement("csv", csv("Posted Date,Payee,Amount,Memo\n2024-01-05,Tesco,-42.10,Weekly shop\n2024-01-07,ACME Payroll,1500,\n"));
+  assert.deepEqual(preview.mapping, { date: "Posted Date", title: "Payee", amount: "Amount", notes: "Memo" });
+  assert.equal(preview.needs_mapping, false);
+  assert.deepEqual(pick(preview.rows, ["row", "date", "title", "value", "section", "notes"]), [
+    { row: 2, date: "2024-01-05", title: "Tesco", value: 42.1, section: "Uncategorized", notes: "Weekly shop" },
+    { row: 3, date: "2024-01-07", title: "ACME Payroll", value: 1500, section: "Income", notes: null }
+  ]);
+});
+
+test("headers that cannot be mapped ask for a mapping", () => {
+  const preview = parseStatement("csv", csv("When,What,How much\n2024-01-05,Tesco,-4\n"));
+  assert.equal(preview.needs_mapping, true);
+  assert.deepEqual(preview.rows, []);
+  assert.deepEqual(preview.sample, [["2024-01-05", "Tesco", "-4"]]);
+
+  const mapped = parseStatement("csv", csv("When,What,How much\n2024-01-05,Tesco,-4\n"), { mapping: { date: "When", title: 1, amount: "How much" } });
+  assert.equal(mapped.rows[0].title, "Tesco");
+});
+
+test("debit and credit columns, local date layouts and number formats are read", () => {
+  const text = "Date;Details;Debit;Credit\n05/01/2024;Rent;1.250,00;\n06/01/2024;Refund;;(12,50)\n31/02/2024;Broken;1;\n";
+  const { rows } = parseStatement("csv", csv(text), { dateFormat: "DD/MM/YYYY" });
+  assert.deepEqual(pick(rows, ["date", "value", "section"]), [
+    { date: "2024-01-05", value: 1250, section: "Uncategorized" },
+    { date: "2024-01-06", value: 12.5, section: "Income" },
+    { date: null, value: 1, section: "Uncategorized" }
+  ]);
+  assert.deepEqual(rows[2].errors, ["Unreadable date."]);
+});
+
+test("invertAmounts reads positive amounts as money out, filed under the chosen section", () => {
+  const { rows } = parseStatement("csv", csv("Date,Description,Amount\n2024-01-05,Card payment,$ 99\n"), { invertAmounts: true, section: "Shopping", paymentMode: "Card" });
+  assert.deepEqual(pick(rows, ["value", "section", "payment_mode"]), [{ value: 99, section: "Shopping", payment_mode: "Card" }]);
+});
+
+test("OFX rows keep the bank's transaction id", () => {
+  const ofx = "<OFX><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105<TRNAMT>-3.20<FITID>F1<NAME>Cafe<MEMO>Latte</STMTTRN></OFX>";
+  const { rows } = parseStatement("ofx", Buffer.from(ofx));
+  assert.deepEqual(pick(rows, ["date", "title", "value", "notes", "external_id"]), [
+    { date: "2024-01-05", title: "Cafe", value: 3.2, notes: "Latte", external_id: "F1" }
+  ]);
+});
+
+test("the source is taken from the file extension", () => {
+  assert.equal(detectSource("statement.QFX"), "qfx");
+  assert.equal(detectSource("statement.csv"), "csv");
+  assert.equal(detectSource("statement.xlsx"), null);
+});
@@ -0,0 +1,52 @@
+// test/transactionTypes.test.js
+// Explicit transaction types: income categories, the type a section implies, type filters and the
+// income/expense/net summaries.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+const addItem = async (item) => {
+  const { status, body } = await api("POST", "/items", { date: "2024-05-10", payment_mode: "Card", ...item });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body;
+};
+
+test("an income category or the Income section makes an item income", async () => {
+  const salary = await addItem({ title: "May salary", value: "2000", section: "Salary" });
+  assert.equal(salary.type, "income");
+  const gift = await addItem({ title: "Gift", value: "50", section: "Income" });
+  assert.equal(gift.type, "income");
+  const lunch = await addItem({ title: "Lunch", value: "12", section: "Food" });
+  assert.equal(lunch.type, "expense");
+
+  const mismatch = await api("POST", "/items", {
+    title: "Bonus", value: "100", date: "2024-05-10", type: "expense", section: "Salary", payment_mode: "Bank"
+  });
+  assert.equal(mismatch.status, 400);
+});
+
+test("items can be filtered by type and summaries report income, expenses and net", async () => {
+  await addItem({ title: "Lunch refund", value: "2", section: "Food", type: "refund" });
+
+  const income = await api("GET", "/items?type=income");
+  assert.deepEqual(income.body.map(row => row.title).sort(), ["Gift", "May salary"]);
+  assert.equal((await api("GET", "/items?type=bogus")).status, 400);
+
+  const summary = await api("GET", "/items/summary");
+  assert.equal(summary.status, 200);
+  assert.deepEqual([summary.body.totalIncome, summary.body.totalExpenses, summary.body.net], [2050, 10, 2040]);
+
+  const categories = (await api("GET", "/items/category-summary")).body;
+  const salary = categories.find(row => row.section === "Salary");
+  assert.deepEqual([salary.kind, salary.total_income, salary.total_expenses], ["income", 2000, 0]);
+});
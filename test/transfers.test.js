@@ -0,0 +1,94 @@
+// test/transfers.test.js
+// Transfers between a user's accounts: they move money between the two account balances and leave
+// the overall balance alone.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signUp } = require("./helpers/server");
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  ({ api } = await signUp(server.baseUrl));
+});
+
+after(() => server.stop());
+
+async function balance() {
+  return (await api("GET", "/profile/balance")).body.balance;
+}
+
+async function createAccount(name, opening_balance) {
+  const { status, body } = await api("POST", "/accounts", { name, type: "bank", opening_balance });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.account;
+}
+
+test("a transfer moves money between two accounts and leaves the balance alone", async () => {
+  const checking = await createAccount("Checking", "100");
+  const savings = await createAccount("Savings");
+  const start = await balance();
+
+  const transfer = await api("POST", "/accounts/transfers", { from_account_id: checking.id, to_account_id: savings.id, amount: "25" });
+  assert.equal(transfer.status, 201, JSON.stringify(transfer.body));
+  const balances = Object.fromEntries(transfer.body.accounts.map(account => [account.name, account.balance]));
+  assert.deepEqual(balances, { Checking: 75, Savings: 25 });
+  assert.equal(await balance(), start);
+
+  // The account is in use until the transfer is undone
+  const blocked = await api("DELETE", `/accounts/${savings.id}`);
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.transfers, 1);
+
+  assert.equal((await api("DELETE", `/accounts/transfers/${transfer.body.transferId}`)).status, 200);
+  const accounts = Object.fromEntries((await api("GET", "/accounts")).body.map(account => [account.name, account.balance]));
+  assert.deepEqual(accounts, { Checking: 100, Savings: 0 });
+  assert.equal((await api("DELETE", `/accounts/${savings.id}`)).status, 200);
+});
+
+test("a transfer needs two different accounts and a positive amount", async () => {
+  const wallet = await createAccount("Wallet", "10");
+  const card = await createAccount("Card");
+
+  const sameAccount = await api("POST", "/accounts/transfers", { from_account_id: wallet.id, to_account_id: wallet.id, amount: "5" });
+  assert.equal(sameAccount.status, 400);
+
+  const negative = await api("POST", "/accounts/transfers", { from_account_id: wallet.id, to_account_id: card.id, amount: "-5" });
+  assert.equal(negative.status, 400);
+
+  const unknown = await api("POST", "/accounts/transfers", { from_account_id: wallet.id, to_account_id: 9999, amount: "5" });
+  assert.equal(unknown.status, 404);
+
+  const badDate = await api("POST", "/accounts/transfers", { from_account_id: wallet.id, to_account_id: card.id, amount: "5", date: "2024-02-30" });
+  assert.equal(badDate.status, 400);
+});
+
+test("an account used by a recurring rule cannot be deleted; its import batches let it go", async () => {
+  const joint = await createAccount("Joint");
+  const rule = await api("POST", "/recurring", {
+    title: "Gym", value: "30", section: "Food", payment_mode: "Card", frequency: "monthly", start_date: "2099-01-01", account_id: joint.id
+  });
+  assert.equal(rule.status, 201, JSON.stringify(rule.body));
+
+  const blocked = await api("DELETE", `/accounts/${joint.id}`);
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.recurringRules, 1);
+  assert.equal((await api("DELETE", `/recurring/${rule.body.rule.id}`)).status, 200);
+
+  const rows = [{ date: "2024-03-01", title: "Coffee", value: "3", type: "expense", section: "Food", payment_mode: "Card" }];
+  const imported = await api("POST", "/items/import", { source: "csv", filename: "joint.csv", account_id: joint.id, rows });
+  assert.equal(imported.status, 201, JSON.stringify(imported.body));
+  assert.equal((await api("DELETE", `/items/import/batches/${imported.body.batchId}`)).status, 200);
+
+  assert.equal((await api("DELETE", `/accounts/${joint.id}`)).status, 200);
+});
+
+test("transfers cannot be recorded as items", async () => {
+  const start = await balance();
+  const asItem = await api("POST", "/items", {
+    title: "Move to savings", value: "25", date: "2026-01-10", type: "transfer", section: "Rent", payment_mode: "Bank"
+  });
+  assert.equal(asItem.status, 400);
+  assert.equal(await balance(), start);
+});
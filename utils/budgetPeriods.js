@@ -0,0 +1,50 @@
+// utils/budgetPeriods.js
+// Period boundaries for budgets as inclusive 'YYYY-MM-DD' ranges.
+// Monthly budgets follow calendar months, weekly budgets run Monday to Sunday and
+// custom budgets cover their fixed start_date..end_date range.
+const { toDateString } = require("./recurrence");
+
+const BUDGET_PERIODS = ["monthly", "weekly", "custom"];
+
+const parse = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+const format = (date) => date.toISOString().slice(0, 10);
+
+function addDays(date, days) {
+  const result = parse(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return format(result);
+}
+
+// The period of `budget` that contains `date`
+function periodContaining(budget, date) {
+  const day = parse(toDateString(date));
+
+  switch (budget.period) {
+    case "weekly": {
+      const mondayOffset = (day.getUTCDay() + 6) % 7;
+      const start = addDays(format(day), -mondayOffset);
+      return { start, end: addDays(start, 6) };
+    }
+    case "custom":
+      return { start: toDateString(budget.start_date), end: toDateString(budget.end_date) };
+    case "monthly":
+    default: {
+      const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+      const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+      return { start: format(start), end: format(end) };
+    }
+  }
+}
+
+function nextPeriod(budget, period) {
+  return periodContaining(budget, addDays(period.end, 1));
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  periodContaining,
+  nextPeriod
+};
@@ -0,0 +1,25 @@
+// utils/budgetThresholds.js
+// Alert thresholds are stored on a budget as a comma-separated list of percentages ("80,100").
+const { BUDGET_ALERT_THRESHOLDS } = require("../config");
+
+// Stored value -> ascending array of percentages; NULL means the configured defaults
+function thresholdsOf(budget) {
+  const thresholds = budget.alert_thresholds
+    ? String(budget.alert_thresholds).split(",").map(Number).filter(value => value > 0)
+    : BUDGET_ALERT_THRESHOLDS;
+  return [...thresholds].sort((a, b) => a - b);
+}
+
+// Request value (array, "80,100" or null) -> stored value. Returns undefined when invalid.
+function toStoredThresholds(value) {
+  if (value === null || value === "") return null;
+
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const numbers = list.map(Number);
+  if (numbers.length === 0 || numbers.some(number => !Number.isInteger(number) || number <= 0 || number > 1000)) {
+    return undefined;
+  }
+  return [...new Set(numbers)].sort((a, b) => a - b).join(",");
+}
+
+module.exports = { thresholdsOf, toStoredThresholds };
@@ -0,0 +1,63 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reader: quoted fields, doubled quotes, newlines inside quotes,
+// a UTF-8 BOM and ',', ';' or tab delimiters (detected from the header line).
+
+const DELIMITERS = [",", ";", "\t"];
+
+function detectDelimiter(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Returns an array of rows, each an array of trimmed cell strings; blank lines are skipped
+function parseCsv(input, delimiter) {
+  const text = String(input).replace(/^\uFEFF/, "");
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== "")) rows.push(row);
+  return rows;
+}
+
+module.exports = { parseCsv };
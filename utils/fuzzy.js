@@ -0,0 +1,56 @@
+// utils/fuzzy.js
+// Typo-tolerant text matching for search: accent- and case-insensitive substring matches, with an
+// edit distance fallback for misspelled words.
+
+// Lowercase without accents, so "Café" matches "cafe"
+const normalizeText = (text) => String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+const wordsOf = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Edits tolerated for a search term of this length: none for very short terms
+const allowedEdits = (term) => (term.length <= 2 ? 0 : term.length <= 5 ? 1 : 2);
+
+// Optimal string alignment distance (insertions, deletions, substitutions and swaps of neighbours).
+// Stops early and returns max + 1 once the distance is known to exceed max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well a normalized term matches a text: 1 for a substring, less for a misspelled word or word
+// start ("restuarant" -> "restaurant", "groc" -> "groceries"), 0 for no match
+function termScore(term, text) {
+  const normalized = normalizeText(text);
+  if (!term || !normalized) return 0;
+  if (normalized.includes(term)) return 1;
+
+  const max = allowedEdits(term);
+  if (max === 0) return 0;
+
+  let best = max + 1;
+  for (const word of wordsOf(normalized)) {
+    best = Math.min(best, editDistance(term, word, max), editDistance(term, word.slice(0, term.length), max));
+    if (best === 1) break;
+  }
+  return best > max ? 0 : 1 - best / (term.length + 1);
+}
+
+module.exports = { normalizeText, wordsOf, termScore };
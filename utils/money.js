@@ -0,0 +1,90 @@
+// utils/money.js
+// Money is computed in integer minor units (cents) so sums and balances never pick up floating
+// point drift. Amount columns are DECIMAL(12,2): read them with toMinor, write them with formatMinor
+// (an exact decimal string) and send them to clients with fromMinor.
+
+const SCALE = 2; // decimal places of every amount column
+const FACTOR = 10 ** SCALE;
+const MAX_MINOR = 10 ** 12 - 1; // DECIMAL(12,2) tops out at 9999999999.99
+
+// Currencies without minor units; amounts in them must be whole numbers
+const ZERO_DECIMAL_CURRENCIES = ["CLP", "ISK", "JPY", "KRW", "PYG", "UGX", "VND", "XAF", "XOF"];
+
+const DECIMAL_PATTERN = /^([+-])?(\d+)(?:\.(\d*))?$/;
+
+// Exact conversion of a decimal string; null when it is not a plain decimal number
+function decimalToMinor(text, maxDigits = SCALE) {
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) return null;
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.length > maxDigits && /[1-9]/.test(fraction.slice(maxDigits))) return null;
+
+  const minor = Number(whole) * FACTOR + Number(fraction.slice(0, SCALE).padEnd(SCALE, "0"));
+  return sign === "-" ? -minor : minor;
+}
+
+// Rounds half away from zero, so -0.5 cents and 0.5 cents round symmetrically
+function roundHalfAway(value) {
+  const rounded = Math.round(Math.abs(value));
+  return value < 0 ? -rounded : rounded;
+}
+
+// Minor units of a value read from the database (mysql2 returns DECIMAL as a string, SQLite as a
+// number) or of a computed sum; NULL and unreadable values count as 0
+function toMinor(value) {
+  if (value === null || value === undefined || value === "") return 0;
+  if (typeof value === "string") {
+    const exact = decimalToMinor(value.trim());
+    if (exact !== null) return exact;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? roundHalfAway(Number((number * FACTOR).toPrecision(15))) : 0;
+}
+
+// Parses an amount sent by a client (number or string) into minor units. Returns null when it is
+// not a number, has more decimal places than the currency allows, or does not fit the columns.
+// options: currency (for zero-decimal currencies), allowNegative (default false)
+function parseAmount(input, { currency = null, allowNegative = false } = {}) {
+  if (input === null || input === undefined || typeof input === "boolean") return null;
+  const maxDigits = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : SCALE;
+
+  // Numbers go through their shortest string form, so 19.99 stays 19.99 and 0.1 + 0.2 is rejected
+  const text = typeof input === "number" ? (Number.isFinite(input) ? String(input) : "") : String(input).trim();
+  if (/e/i.test(text)) return null;
+  const minor = decimalToMinor(text, maxDigits);
+
+  if (minor === null || Math.abs(minor) > MAX_MINOR) return null;
+  if (minor < 0 && !allowNegative) return null;
+  return minor;
+}
+
+// Plain number for JSON responses (exact to the cent for every value the columns can hold)
+const fromMinor = (minor) => minor / FACTOR;
+
+// Exact decimal string, for database writes and display ("-1234.50")
+function formatMinor(minor) {
+  const sign = minor < 0 ? "-" : "";
+  const absolute = Math.abs(minor);
+  return `${sign}${Math.floor(absolute / FACTOR)}.${String(absolute % FACTOR).padStart(SCALE, "0")}`;
+}
+
+// Applies an exchange rate (or any factor) and rounds back to whole minor units
+const convertMinor = (minor, rate) => roundHalfAway(minor * rate);
+
+const sumMinor = (values) => values.reduce((total, value) => total + value, 0);
+
+// Human-readable rule for validation errors
+const amountRule = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency)
+  ? `a whole number (${currency} has no minor units)`
+  : `a number with at most ${SCALE} decimal places`);
+
+module.exports = {
+  SCALE,
+  toMinor,
+  parseAmount,
+  fromMinor,
+  formatMinor,
+  convertMinor,
+  sumMinor,
+  amountRule
+};
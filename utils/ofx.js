@@ -0,0 +1,48 @@
+// utils/ofx.js
+// Reads the transactions of an OFX/QFX bank statement. Handles both OFX 1.x (SGML, where
+// closing tags are optional) and OFX 2.x (XML) by reading each tag's value up to the next tag.
+
+function tagValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// DTPOSTED is YYYYMMDD optionally followed by a time and timezone; only the date is kept
+function toDate(value) {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Returns [{ fitId, type, date, amount, name, memo }]; amount is signed (negative = money out)
+function parseOfx(input) {
+  const text = String(input);
+  if (!/<OFX>/i.test(text)) {
+    throw new Error("Not an OFX/QFX file.");
+  }
+
+  const transactions = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  for (const rawBlock of blocks) {
+    const block = rawBlock.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+    transactions.push({
+      fitId: tagValue(block, "FITID"),
+      type: tagValue(block, "TRNTYPE"),
+      date: toDate(tagValue(block, "DTPOSTED")),
+      amount: parseFloat(tagValue(block, "TRNAMT")),
+      name: tagValue(block, "NAME") || tagValue(block, "PAYEE"),
+      memo: tagValue(block, "MEMO")
+    });
+  }
+  return transactions;
+}
+
+module.exports = { parseOfx };
@@ -0,0 +1,135 @@
+// utils/pdf.js
+// Minimal PDF writer for text reports: A4 pages, the built-in Helvetica fonts (no embedding),
+// text, lines and filled rectangles. Coordinates are in points from the TOP-left corner.
+// Text is WinAnsi (Latin-1) encoded; other characters are printed as '?'.
+const zlib = require("zlib");
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of characters 32..126 from the standard Helvetica AFM metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+const toLatin1 = (text) => String(text).replace(/[^\x20-\xFF]/g, "?");
+
+function textWidth(text, size, bold = false) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let total = 0;
+  for (const char of toLatin1(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+  }
+  return (total * size) / 1000;
+}
+
+// Shortens `text` with "..." so it fits in `maxWidth`
+function fitText(text, maxWidth, size, bold = false) {
+  let result = toLatin1(text);
+  if (textWidth(result, size, bold) <= maxWidth) return result;
+  while (result.length > 0 && textWidth(result + "...", size, bold) > maxWidth) {
+    result = result.slice(0, -1);
+  }
+  return result + "...";
+}
+
+const escapeString = (text) => toLatin1(text).replace(/([\\()])/g, "\\$1");
+const num = (value) => Number(value.toFixed(2));
+
+function createPdf() {
+  const pages = [];
+  let current = null;
+
+  function addPage() {
+    current = [];
+    pages.push(current);
+  }
+
+  // Lets callers go back to an earlier page, e.g. to add "Page x of y" footers at the end
+  function goToPage(index) {
+    current = pages[index];
+  }
+
+  const pageCount = () => pages.length;
+
+  // options: size (default 10), bold, align ('left' | 'right' | 'center'), width (box for right/center), gray (0-1)
+  function text(value, x, y, { size = 10, bold = false, align = "left", width = 0, gray = 0 } = {}) {
+    let left = x;
+    if (align === "right") left = x + width - textWidth(value, size, bold);
+    if (align === "center") left = x + (width - textWidth(value, size, bold)) / 2;
+    current.push(`BT ${num(gray)} g /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y - size)} Td (${escapeString(value)}) Tj ET`);
+  }
+
+  function line(x1, y1, x2, y2, { width = 0.5, gray = 0.6 } = {}) {
+    current.push(`${num(gray)} G ${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+  }
+
+  function fillRect(x, y, width, height, { gray = 0.92 } = {}) {
+    current.push(`${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+  }
+
+  // Serializes the document; object numbers: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+  function toBuffer() {
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+
+    objects[1] = Buffer.from("<< /Type /Catalog /Pages 2 0 R >>");
+    objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+    objects[3] = Buffer.from("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    objects[4] = Buffer.from("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    pages.forEach((commands, i) => {
+      const pageId = pageIds[i];
+      const content = zlib.deflateSync(Buffer.from(commands.join("\n"), "latin1"));
+      objects[pageId] = Buffer.from(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+      );
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from("\nendstream")
+      ]);
+    });
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = offset;
+      const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`), objects[id], Buffer.from("\nendobj\n")]);
+      chunks.push(chunk);
+      offset += chunk.length;
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, "0000000000 65535 f \n"];
+    for (let id = 1; id < objects.length; id++) {
+      xref.push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+    }
+    xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+    chunks.push(Buffer.from(xref.join("")));
+
+    return Buffer.concat(chunks);
+  }
+
+  return { addPage, goToPage, pageCount, text, line, fillRect, toBuffer };
+}
+
+module.exports = { PAGE_WIDTH, PAGE_HEIGHT, createPdf, textWidth, fitText };
@@ -0,0 +1,98 @@
+// utils/recurrence.js
+// Date math for recurring rules. Dates are plain 'YYYY-MM-DD' strings and every
+// occurrence is computed from the rule's start date by index, so a monthly rule on
+// the 31st lands on Feb 28/29 without drifting to the 28th for the rest of the year.
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Accepts a Date (mysql2 returns DATE columns as local midnight) or a date/datetime string
+function toDateString(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function isValidDateString(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month - 1);
+}
+
+// month is zero-based
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function fromParts(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.toISOString().slice(0, 10);
+}
+
+// The date after `date` (anything toDateString takes). Inclusive toDate filters compare
+// `date < dayAfter(toDate)` so items at any time of the last day count.
+function dayAfter(date) {
+  const [year, month, day] = toDateString(date).split("-").map(Number);
+  return fromParts(year, month - 1, day + 1);
+}
+
+// The raw n-th date of the schedule, counted from the start date's month/week/day
+function scheduledDate(rule, n) {
+  const [year, month, day] = toDateString(rule.start_date).split("-").map(Number);
+  const step = (rule.interval_count || 1) * n;
+
+  switch (rule.frequency) {
+    case "daily":
+      return fromParts(year, month - 1, day + step);
+    case "weekly":
+      return fromParts(year, month - 1, day + step * 7);
+    case "monthly": {
+      const target = new Date(Date.UTC(year, month - 1 + step, 1));
+      const anchorDay = rule.day_of_month || day;
+      const clampedDay = Math.min(anchorDay, daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+      return fromParts(target.getUTCFullYear(), target.getUTCMonth(), clampedDay);
+    }
+    case "yearly": {
+      const targetYear = year + step;
+      const anchorDay = rule.day_of_month || day;
+      return fromParts(targetYear, month - 1, Math.min(anchorDay, daysInMonth(targetYear, month - 1)));
+    }
+    default:
+      throw new Error(`Unknown frequency '${rule.frequency}'`);
+  }
+}
+
+// Date of the occurrence with zero-based `index`, or null once the rule has ended.
+// A day_of_month earlier than the start date's day pushes the first occurrence to the next period.
+function occurrenceDate(rule, index) {
+  const startDate = toDateString(rule.start_date);
+  const offset = scheduledDate(rule, 0) < startDate ? 1 : 0;
+
+  if (rule.max_occurrences && index >= rule.max_occurrences) return null;
+
+  const date = scheduledDate(rule, index + offset);
+  if (rule.end_date && date > toDateString(rule.end_date)) return null;
+  return date;
+}
+
+// Every occurrence date not yet created (from occurrences_created on) that is due by `today`
+function dueOccurrences(rule, today) {
+  const dates = [];
+  for (let index = rule.occurrences_created || 0; ; index++) {
+    const date = occurrenceDate(rule, index);
+    if (!date || date > today) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  toDateString,
+  isValidDateString,
+  dayAfter,
+  occurrenceDate,
+  dueOccurrences
+};
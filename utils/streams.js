@@ -0,0 +1,20 @@
+// utils/streams.js
+const { once } = require("events");
+
+// Waits until `output` can take more data. Rejects if the stream closes first
+// (e.g. the client abandoned a download), so the producer stops instead of hanging.
+async function waitForDrain(output) {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, "drain", { signal: controller.signal }),
+      once(output, "close", { signal: controller.signal }).then(() => {
+        throw new Error("Output stream closed before the download finished.");
+      })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+module.exports = { waitForDrain };
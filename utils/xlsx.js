@@ -0,0 +1,66 @@
+// utils/xlsx.js
+// Streams a single-sheet XLSX workbook. Strings are written inline (no shared string table),
+// so rows go out as they are produced instead of being collected first.
+const { createZipWriter } = require("./zip");
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`;
+
+const workbook = (sheetName) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+// Also drops control characters, which are not allowed anywhere in XML 1.0
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function cellXml(value) {
+  if (value === null || value === undefined || value === "") return "<c/>";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+const rowXml = (values) => `<row>${values.map(cellXml).join("")}</row>`;
+
+// produceRows(writeRow) calls `await writeRow([...values])` once per data row
+async function writeXlsx(output, { sheetName, headers, produceRows }) {
+  const zip = createZipWriter(output);
+  await zip.addEntry("[Content_Types].xml", (write) => write(CONTENT_TYPES));
+  await zip.addEntry("_rels/.rels", (write) => write(ROOT_RELS));
+  await zip.addEntry("xl/workbook.xml", (write) => write(workbook(sheetName)));
+  await zip.addEntry("xl/_rels/workbook.xml.rels", (write) => write(WORKBOOK_RELS));
+
+  await zip.addEntry("xl/worksheets/sheet1.xml", async (write) => {
+    await write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+    await write(rowXml(headers));
+    await produceRows((values) => write(rowXml(values)));
+    await write("</sheetData></worksheet>");
+  });
+
+  await zip.finish();
+}
+
+module.exports = { writeXlsx };
@@ -0,0 +1,119 @@
+// utils/zip.js
+// Minimal streaming ZIP writer (deflate, no ZIP64). Each entry's sizes and CRC go in a data
+// descriptor after its data, so entries can be written straight to a response as they are produced.
+const zlib = require("zlib");
+const { once } = require("events");
+const { waitForDrain } = require("./streams");
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time of `date`
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const FLAGS = 0x0808; // bit 3: sizes in data descriptor, bit 11: UTF-8 names
+const DEFLATE = 8;
+
+// output: a writable stream (e.g. an Express response). Usage:
+//   const zip = createZipWriter(res);
+//   await zip.addEntry("a.txt", async (write) => { await write("hello"); });
+//   await zip.finish();
+function createZipWriter(output) {
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+
+  const emit = (buffer) => {
+    output.write(buffer);
+    offset += buffer.length;
+  };
+
+  async function addEntry(name, produce) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    emit(header);
+    emit(nameBuffer);
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+      emit(chunk);
+    });
+    const ended = once(deflate, "end");
+
+    await produce(async (text) => {
+      const buffer = Buffer.from(text, "utf8");
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      if (!deflate.write(buffer)) await once(deflate, "drain");
+      if (output.writableNeedDrain) await waitForDrain(output);
+    });
+    deflate.end();
+    await ended;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    emit(descriptor);
+    entries.push(entry);
+  }
+
+  // Writes the central directory; the caller ends the output stream
+  async function finish() {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(stamp.time, 12);
+      header.writeUInt16LE(stamp.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      emit(header);
+      emit(entry.nameBuffer);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    emit(end);
+  }
+
+  return { addEntry, finish };
+}
+
+module.exports = { createZipWriter };